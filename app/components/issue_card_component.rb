@@ -10,10 +10,16 @@ class IssueCardComponent < ViewComponent::Base
 
   def call
     tag.div(
+      id: @issue.card_dom_id,
       class: "issue-card px-2 sm:px-6 py-2 hover:bg-gray-50 dark:hover:bg-gray-800/50 transition-colors",
       data: {
         keyboard_shortcuts_target: "issueCard",
-        issue_state: @issue.state
+        infinite_scroll_target: "row",
+        issue_state: @issue.state,
+        issue_number: @issue.number,
+        github_url: @repository.github_issue_url(@issue.number),
+        preview_url: repository_issue_path(@repository, @issue.number),
+        bulk_action_url: repository_issue_bulk_action_path(@repository, @issue.number)
       }
     ) do
       issue_header
@@ -25,6 +31,7 @@ class IssueCardComponent < ViewComponent::Base
   def issue_header
     tag.div(class: "flex items-start gap-2") do
       safe_join([
+        selection_checkbox,
         issue_icon,
         issue_content,
         issue_actions
@@ -32,6 +39,19 @@ class IssueCardComponent < ViewComponent::Base
     end
   end
 
+  # Selects the issue for bulk actions (shift-click selects a range)
+  def selection_checkbox
+    tag.div(class: "flex-shrink-0 flex items-center h-6") do
+      tag.input(
+        type: "checkbox",
+        value: @issue.number,
+        class: "size-4 accent-emerald-600 cursor-pointer",
+        aria: { label: t("issues.index.bulk_actions.select_issue", number: @issue.number) },
+        data: { bulk_actions_target: "checkbox", action: "click->bulk-actions#toggle" }
+      )
+    end
+  end
+
   def issue_icon
     tag.div(class: "flex-shrink-0 flex items-center mr-1") do
       render IssueStateComponent.new(state: @issue.state)
@@ -43,7 +63,8 @@ class IssueCardComponent < ViewComponent::Base
       safe_join([
         issue_title_row,
         issue_actions_mobile,
-        issue_metadata
+        issue_metadata,
+        issue_preview
       ])
     end
   end
@@ -151,15 +172,40 @@ class IssueCardComponent < ViewComponent::Base
       safe_join([
         issue_number,
         author_info,
+        task_progress,
         timestamp
       ].compact, tag.span("·", class: "text-gray-400 dark:text-gray-500"))
     end
   end
 
+  # "3 of 7 tasks" for issues whose description has a task list
+  def task_progress
+    task_list = @issue.task_list
+    return unless task_list.any?
+
+    tag.span(class: "inline-flex items-center gap-1 whitespace-nowrap") do
+      safe_join([
+        tag.svg(class: "w-4 h-4", fill: "currentColor", viewBox: "0 0 16 16", aria: { hidden: true }) do
+          tag.path(d: "M2.5 1.75v11.5c0 .138.112.25.25.25h3.17a.75.75 0 0 1 0 1.5H2.75A1.75 1.75 0 0 1 1 13.25V1.75C1 .784 1.784 0 2.75 0h8.5C12.216 0 13 .784 13 1.75v7.736a.75.75 0 0 1-1.5 0V1.75a.25.25 0 0 0-.25-.25h-8.5a.25.25 0 0 0-.25.25Zm13.274 9.537v-.001l-4.557 4.45a.75.75 0 0 1-1.055-.008l-1.943-1.95a.75.75 0 0 1 1.062-1.058l1.419 1.425 4.026-3.932a.75.75 0 1 1 1.048 1.074ZM4.75 4h4.5a.75.75 0 0 1 0 1.5h-4.5a.75.75 0 0 1 0-1.5ZM4 7.75A.75.75 0 0 1 4.75 7h2a.75.75 0 0 1 0 1.5h-2A.75.75 0 0 1 4 7.75Z")
+        end,
+        tag.span(t("issues.index.task_progress", completed: task_list.completed_count, count: task_list.total_count))
+      ])
+    end
+  end
+
   def issue_number
     tag.span("##{@issue.number}", class: "font-mono")
   end
 
+  # Description excerpt, shown and hidden with the p keyboard shortcut
+  def issue_preview
+    body = @issue.body
+
+    tag.div(hidden: true, class: "mt-2 text-sm text-gray-700 dark:text-gray-300 whitespace-pre-line break-words", data: { issue_preview: true }) do
+      body.present? ? truncate(body, length: 500) : tag.em(t("issues.show.no_description"), class: "text-gray-500 dark:text-gray-400")
+    end
+  end
+
   # :reek:TooManyStatements - Building author info requires multiple concatenations
   def author_info
     author_login = @issue.author_login
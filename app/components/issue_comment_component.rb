@@ -6,8 +6,15 @@ class IssueCommentComponent < ViewComponent::Base
     @comment = comment
   end
 
+  # Focusable for the issue page's keyboard navigation (j/k), with the same id as
+  # TimelineEventComponent's comment cards so y copies a link to it
   def call
-    tag.div(class: "border border-blue-200 dark:border-gray-700 rounded-lg overflow-hidden bg-white dark:bg-black") do
+    tag.div(
+      id: "comment_#{@comment.github_id}",
+      class: "timeline-item border border-blue-200 dark:border-gray-700 rounded-lg overflow-hidden bg-white dark:bg-black",
+      tabindex: "-1",
+      data: { keyboard_shortcuts_target: "timelineItem" }
+    ) do
       safe_join([
         comment_header,
         comment_body
@@ -1,32 +1,25 @@
 # frozen_string_literal: true
 
 # Component for displaying keyboard shortcuts help modal
+# The shortcut list is filled in by the keyboard-shortcuts Stimulus controller from the
+# shortcut registry, so it only shows keys active on the current page. This component
+# renders the modal shell and the "go to" links that need server-side paths.
 class KeyboardShortcutsModalComponent < ViewComponent::Base
-  def initialize(shortcuts: nil)
-    @shortcuts = shortcuts
-  end
+  # "Go to" shortcuts, by their id in lib/default_shortcuts.js (which holds the keys, "g d" etc.)
+  SEQUENCES = [
+    { id: "goto.dashboard", description: "Go to dashboard", path: :root_path },
+    { id: "goto.repositories", description: "Go to repositories", path: :repositories_path },
+    { id: "goto.issues", description: "Go to issues", path: :repository_issues_path, needs_repository: true },
+    { id: "goto.profile", description: "Go to your profile", path: :user_path }
+  ].freeze
 
-  def shortcuts
-    @shortcuts || default_shortcuts
+  def initialize(repository: nil)
+    @repository = repository
   end
 
-  def default_shortcuts
-    [
-      { category: "Navigation", items: [
-        { keys: [ "j", "k" ], description: "Next/previous issue" },
-        { keys: [ "Esc" ], description: "Clear focus" }
-      ] },
-      { category: "Search & Filters", items: [
-        { keys: [ mac_platform? ? "Cmd-/" : "Ctrl-/" ], description: "Focus search bar" },
-        { keys: [ "a" ], description: "Open assignees filter" },
-        { keys: [ "l" ], description: "Open labels filter" },
-        { keys: [ "u" ], description: "Open authors filter" },
-        { keys: [ "s" ], description: "Open sort filter" }
-      ] },
-      { category: "Help", items: [
-        { keys: [ "Shift-/" ], description: "Show/hide keyboard shortcuts" }
-      ] }
-    ]
+  # Sequences that apply on this page (issues needs a repository)
+  def sequences
+    SEQUENCES.reject { |sequence| sequence[:needs_repository] && @repository.nil? }
   end
 
   def call
@@ -41,7 +34,10 @@ class KeyboardShortcutsModalComponent < ViewComponent::Base
       aria_modal: "true",
       aria_labelledby: "keyboard-shortcuts-title"
     ) do
-      modal_content
+      safe_join([
+        modal_content,
+        sequence_links
+      ])
     end
   end
 
@@ -80,47 +76,31 @@ class KeyboardShortcutsModalComponent < ViewComponent::Base
 
   def modal_body
     tag.div(class: "px-6 py-4") do
-      tag.div(class: "space-y-6") do
-        shortcuts.map { |category| render_category(category) }.join.html_safe
-      end
+      tag.div(class: "space-y-6", data: { keyboard_shortcuts_target: "helpBody" })
     end
   end
 
-  def render_category(category)
-    tag.div do
-      safe_join([
-        tag.h3(category[:category], class: "text-sm font-semibold text-gray-900 dark:text-white mb-3"),
-        tag.div(class: "space-y-2") do
-          category[:items].map { |item| render_shortcut(item) }.join.html_safe
-        end
-      ])
+  # Hidden links the controller registers as sequence shortcuts (and follows when one is pressed)
+  def sequence_links
+    tag.div(hidden: true) do
+      safe_join(sequences.map { |sequence| sequence_link(sequence) })
     end
   end
 
-  def render_shortcut(item)
-    tag.div(class: "flex items-center justify-between py-2") do
-      safe_join([
-        tag.div(class: "flex items-center gap-2") do
-          item[:keys].map { |key| render_key(key) }.join.html_safe
-        end,
-        tag.div(item[:description], class: "text-sm text-gray-600 dark:text-gray-400")
-      ])
-    end
-  end
-
-  def render_key(key)
-    tag.kbd(
-      key,
-      class: "px-2.5 py-1.5 text-xs font-semibold text-gray-900 dark:text-white bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded shadow-sm min-w-[2rem] text-center"
+  def sequence_link(sequence)
+    link_to(
+      sequence[:description],
+      sequence_path(sequence),
+      tabindex: "-1",
+      data: {
+        keyboard_shortcuts_target: "sequence",
+        shortcut_id: sequence[:id]
+      }
     )
   end
 
-  def mac_platform?
-    # Detect Mac platform from user agent
-    user_agent = helpers.request&.user_agent.to_s
-    user_agent.match?(/Mac OS X|Macintosh/i)
-  rescue NoMethodError
-    # Default to non-Mac if request is not available (e.g., in tests)
-    false
+  def sequence_path(sequence)
+    path = sequence[:path]
+    sequence[:needs_repository] ? public_send(path, @repository) : public_send(path)
   end
 end
@@ -2,9 +2,11 @@
 
 # Component for displaying GitHub Projects V2 fields in sidebar
 # Shows project memberships and field values (Status, Sprint, Priority, Estimate, etc.)
+# Given an update_url, single select fields open a menu of their options to change the value
 class ProjectFieldsComponent < ViewComponent::Base
-  def initialize(project_items:)
+  def initialize(project_items:, update_url: nil)
     @project_items = project_items
+    @update_url = update_url
   end
 
   def render?
@@ -13,6 +15,16 @@ class ProjectFieldsComponent < ViewComponent::Base
 
   private
 
+  # Each field's name, value and, when it can be changed here, its options
+  # Editable fields without a value are listed too so they can be set
+  # :reek:FeatureEnvy - item encapsulates the project item data
+  def field_rows(item)
+    editable = @update_url ? (item[:editable_fields] || []).index_by { |field| field[:name] } : {}
+    names = item[:fields].keys | editable.keys
+
+    names.map { |name| [ name, item[:fields][name], editable[name] ] }
+  end
+
   # :reek:UtilityFunction - Pure helper for formatting field values, appropriate as private method
   # :reek:TooManyStatements - Simple case statement for different value types
   # :reek:DuplicateMethodCall - value.to_s called in different case branches for type handling
@@ -23,7 +35,7 @@ class ProjectFieldsComponent < ViewComponent::Base
       # Show numbers as integers if they have no decimal component
       string_value = value.to_s
       value % 1 == 0 ? value.to_i.to_s : string_value
-    when String
+    when String, nil
       value.present? ? value : "None"
     else
       value.to_s
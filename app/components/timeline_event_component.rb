@@ -3,10 +3,11 @@
 # Component for displaying timeline events (labels, milestones, projects, comments)
 # :reek:TooManyInstanceVariables - Extracts data from item hash for view access
 class TimelineEventComponent < ViewComponent::Base
-  def initialize(item:, repository: nil)
+  def initialize(item:, repository: nil, issue_number: nil)
     @item = item
     @type = item[:type]
     @repository = repository
+    @issue_number = issue_number
   end
 
   def render?
@@ -19,6 +20,25 @@ class TimelineEventComponent < ViewComponent::Base
     @type == "comment"
   end
 
+  # On the issue page comments' task lists can be checked off (see MarkdownHelper#markdown_body_tag)
+  def comment_body
+    body = @item[:body]
+    github_id = @item[:github_id]
+
+    if @repository && @issue_number && github_id
+      helpers.markdown_body_tag(body, repository: @repository, issue_number: @issue_number, comment_id: github_id)
+    else
+      tag.div(helpers.render_markdown(body), class: "markdown text-gray-900 dark:text-gray-200")
+    end
+  end
+
+  # Lets live updates recognize a comment that's already on the page (by its GitHub id,
+  # which cached comments and timeline API comments share)
+  def comment_dom_id
+    github_id = @item[:github_id]
+    "comment_#{github_id}" if github_id
+  end
+
   def event_icon_svg
     case @type
     when "labeled", "unlabeled"
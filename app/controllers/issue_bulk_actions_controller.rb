@@ -0,0 +1,36 @@
+# frozen_string_literal: true
+
+# Controller for bulk actions on the issues index (JSON endpoint)
+# The bulk action bar sends one request per selected issue so it can report progress
+# and failures per issue; a successful response carries the re-rendered issue card.
+class IssueBulkActionsController < ApplicationController
+  before_action :set_repository
+
+  def create
+    issue_number = params[:issue_id].to_i
+    result = Github::IssueActionService.new(
+      user: Current.user,
+      repository: @repository,
+      issue_number: issue_number,
+      action: params[:operation],
+      values: Array(params[:values]).grep(String)
+    ).call
+
+    if result[:success]
+      issue = result[:issue]
+      render json: {
+        number: issue_number,
+        state: issue.state,
+        html: render_to_string(IssueCardComponent.new(issue: issue, repository: @repository), layout: false)
+      }
+    else
+      render json: { number: issue_number, error: result[:error] }, status: :unprocessable_entity
+    end
+  end
+
+  private
+
+  def set_repository
+    @repository = Current.user.repositories.find(params[:repository_id])
+  end
+end
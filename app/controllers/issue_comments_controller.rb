@@ -0,0 +1,45 @@
+# frozen_string_literal: true
+
+# Controller for posting comments from the issue page's comment composer
+# The Turbo Stream response appends the new comment to the issue's timeline (the composer
+# clears itself) or shows the error above the composer.
+class IssueCommentsController < ApplicationController
+  before_action :set_issue
+
+  def create
+    result = Github::IssueCommentService.new(
+      user: Current.user,
+      issue: @issue,
+      body: params[:body]
+    ).call
+
+    if result[:success]
+      respond_to do |format|
+        format.turbo_stream do
+          render turbo_stream: turbo_stream.append("issue_timeline", IssueCommentComponent.new(comment: result[:comment]))
+        end
+        format.html { redirect_to issue_path, notice: t("issue_comments.create.success") }
+      end
+    else
+      error = result[:error]
+
+      respond_to do |format|
+        format.turbo_stream do
+          render turbo_stream: turbo_stream.update("comment_composer_error", error), status: :unprocessable_entity
+        end
+        format.html { redirect_to issue_path, alert: error }
+      end
+    end
+  end
+
+  private
+
+  def set_issue
+    @repository = Current.user.repositories.find(params[:repository_id])
+    @issue = @repository.issues.find_by!(number: params[:issue_id])
+  end
+
+  def issue_path
+    repository_issue_path(@repository, @issue.number)
+  end
+end
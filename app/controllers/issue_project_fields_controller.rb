@@ -0,0 +1,30 @@
+# frozen_string_literal: true
+
+# Controller for changing an issue's project fields from the sidebar (JSON endpoint)
+# The sidebar shows the new value right away and rolls back when this returns an error.
+class IssueProjectFieldsController < ApplicationController
+  before_action :set_repository
+
+  def update
+    result = Github::ProjectItemFieldService.new(
+      user: Current.user,
+      repository: @repository,
+      project_id: params[:project_id],
+      item_id: params[:item_id],
+      field_id: params[:field_id],
+      option_id: params[:option_id]
+    ).call
+
+    if result[:success]
+      render json: { field_id: params[:field_id], option_id: params[:option_id].presence }
+    else
+      render json: { field_id: params[:field_id], error: result[:error] }, status: :unprocessable_entity
+    end
+  end
+
+  private
+
+  def set_repository
+    @repository = Current.user.repositories.find(params[:repository_id])
+  end
+end
@@ -0,0 +1,46 @@
+# frozen_string_literal: true
+
+# Controller for inline edits from the issue page sidebar (JSON endpoint)
+# The sidebar updates optimistically and sends one action per change; a successful response
+# carries the issue's labels, assignees and state plus the re-rendered sidebar sections, and
+# an error response tells the page to roll back.
+class IssueSidebarActionsController < ApplicationController
+  before_action :set_repository
+
+  def create
+    issue_number = params[:issue_id].to_i
+    result = Github::IssueActionService.new(
+      user: Current.user,
+      repository: @repository,
+      issue_number: issue_number,
+      action: params[:operation],
+      values: Array(params[:values]).grep(String)
+    ).call
+
+    if result[:success]
+      issue = result[:issue]
+      render json: {
+        number: issue_number,
+        state: issue.state,
+        labels: issue.label_names,
+        assignees: issue.assignee_logins,
+        html: {
+          labels: render_sidebar_section("labels", issue),
+          assignees: render_sidebar_section("assignees", issue)
+        }
+      }
+    else
+      render json: { number: issue_number, error: result[:error] }, status: :unprocessable_entity
+    end
+  end
+
+  private
+
+  def set_repository
+    @repository = Current.user.repositories.find(params[:repository_id])
+  end
+
+  def render_sidebar_section(section, issue)
+    render_to_string(partial: "issues/sidebar_#{section}", formats: [ :html ], locals: { issue: issue, repository: @repository })
+  end
+end
@@ -0,0 +1,34 @@
+# frozen_string_literal: true
+
+# Controller for checking task list items in an issue body or comment (JSON endpoint)
+# The checkbox is toggled on the page right away; an error response tells it to switch back,
+# and a conflict (the text changed on GitHub since the page loaded) to stop editing until reload.
+class IssueTaskListsController < ApplicationController
+  before_action :set_repository
+
+  def update
+    result = Github::TaskListService.new(
+      user: Current.user,
+      repository: @repository,
+      issue_number: params[:issue_id].to_i,
+      comment_id: params[:comment_id],
+      line: params[:line],
+      checked: params[:checked] == "true",
+      digest: params[:digest]
+    ).call
+
+    if result[:success]
+      render json: { digest: result[:digest] }
+    elsif result[:conflict]
+      render json: { error: result[:error], conflict: true }, status: :conflict
+    else
+      render json: { error: result[:error] }, status: :unprocessable_entity
+    end
+  end
+
+  private
+
+  def set_repository
+    @repository = Current.user.repositories.find(params[:repository_id])
+  end
+end
@@ -6,6 +6,9 @@
 # :reek:DuplicateMethodCall - Controller actions access params and parsed data repeatedly
 # :reek:RepeatedConditional - Debug mode checked in multiple actions
 class IssuesController < ApplicationController
+  # Turbo Frame the issues index loads issues into for its split-pane preview
+  PREVIEW_FRAME = "issue_preview"
+
   before_action :set_repository
 
   # :reek:TooManyStatements - Controller action orchestrates sync, search, and pagination
@@ -37,7 +40,9 @@ class IssuesController < ApplicationController
     end
 
     # Parse search query for GitHub qualifiers
-    parsed_query = parse_search_query(@query)
+    parsed_query = Github::SearchQueryParser.parse(@query)
+    @search_filters = parsed_query[:filters]
+    @search_sort = parsed_query[:sort]
 
     # Default to GitHub mode for fresh data, fall back to local cache on failure
     # Users can explicitly opt into local mode via params[:search_mode]
@@ -119,6 +124,14 @@ class IssuesController < ApplicationController
       end
     end
 
+    # Infinite scroll only needs the next page of cards, not counts or filter labels
+    return render(:index) if request.format.turbo_stream?
+
+    # A background refresh under way, or one that failed
+    # Keep pages showing one out of the service worker's cache; they're reloaded when it's done
+    @issue_refresh = IssueRefresh.find(@repository)
+    no_store if @issue_refresh&.active?
+
     # Calculate state counts
     if parsed_query[:filters][:state].present?
       # If state filter is present, use total count from API for that state
@@ -209,6 +222,14 @@ class IssuesController < ApplicationController
   # :reek:TooManyStatements - Controller action orchestrates auto-refresh logic
   # :reek:NilCheck - Explicit nil check required to detect uncached issues
   def show
+    # Prefetched previews are served from the local cache: no sync and no GitHub calls for
+    # issues the user may never look at (issue-preview loads the full one on focus)
+    if preview_prefetch?
+      @issue = @repository.issues.find_by!(number: params[:id])
+      @timeline_items = @issue.issue_comments.map(&:timeline_item)
+      render :preview and return
+    end
+
     @issue = @repository.issues.find_by(number: params[:id])
 
     # Fetch from API if issue doesn't exist in database yet (beyond initial 200)
@@ -255,7 +276,7 @@ class IssuesController < ApplicationController
       @timeline_items = merge_timeline_with_comments(timeline_events)
     else
       @project_items = []
-      @timeline_items = comments_to_timeline_items(@issue.issue_comments)
+      @timeline_items = @issue.issue_comments.map(&:timeline_item)
     end
 
     # Show rate limit info if debug mode
@@ -267,31 +288,103 @@ class IssuesController < ApplicationController
         flash.now[:notice] = t("issues.errors.rate_limit_unavailable")
       end
     end
+
+    render :preview if turbo_frame_request_id == PREVIEW_FRAME
+  end
+
+  # With issue templates and none chosen yet, lists them to pick from; otherwise the form,
+  # filled in from the chosen template
+  def new
+    if params[:template].present?
+      @template = load_issue_template(params[:template])
+    else
+      load_issue_templates
+      @choosing_template = @templates.any?
+    end
   end
 
-  # :reek:TooManyStatements - Controller action orchestrates sync and redirect
+  # Issue forms' answers (issue[fields]) are composed into the body like GitHub does
+  # :reek:TooManyStatements - Controller action composes the body and handles both outcomes
+  def create
+    @template = load_issue_template(issue_params[:template])
+    body = @template&.form? ? @template.compose_body(issue_params[:fields]) : issue_params[:body]
+
+    result = Github::IssueCreateService.new(
+      user: Current.user,
+      repository: @repository,
+      title: issue_params[:title],
+      body: body,
+      labels: issue_params[:labels],
+      assignees: issue_params[:assignees]
+    ).call
+
+    if result[:success]
+      redirect_to repository_issue_path(@repository, result[:issue].number), notice: t("issues.create.success")
+    else
+      flash.now[:alert] = t("issues.create.error", error: result[:error])
+      render :new, status: :unprocessable_entity
+    end
+  end
+
+  # Refreshes a single issue right away; refreshing the whole list runs in RefreshIssuesJob,
+  # whose progress is shown in the list (see IssueRefresh)
   def refresh
-    issue_id = params[:id]
-    issue_id_present = issue_id.present?
+    return refresh_issue if params[:id].present?
 
-    # Determine if syncing single issue or all issues
-    sync_service_params = { user: Current.user, repository: @repository }
-    sync_service_params[:issue_number] = issue_id.to_i if issue_id_present
+    issue_refresh = IssueRefresh.start(@repository)
 
-    result = Github::IssueSyncService.new(**sync_service_params).call
+    respond_to do |format|
+      format.turbo_stream { render_refresh_progress(issue_refresh) }
+      format.html { redirect_to repository_issues_path(@repository, refresh_search_params), notice: t("issues.refresh.started") }
+    end
+  end
 
-    # Preserve search query and debug parameter
-    search_params = {}
-    search_params[:q] = params[:q] if params[:q].present?
-    search_params[:debug] = params[:debug] if params[:debug].present?
+  # Stops a running list refresh, rolling back whatever it synced
+  def cancel_refresh
+    issue_refresh = IssueRefresh.find(@repository)
+    issue_refresh.update(status: "cancelled") if issue_refresh&.active?
 
-    # Determine redirect path based on whether this is a member or collection action
-    redirect_path = if issue_id_present
-      issue = @repository.issues.find_by!(number: issue_id)
-      repository_issue_path(@repository, issue.number, search_params)
-    else
-      repository_issues_path(@repository, search_params)
+    respond_to do |format|
+      format.turbo_stream { render_refresh_progress(issue_refresh) }
+      format.html { redirect_to repository_issues_path(@repository, refresh_search_params), notice: t("issues.refresh.cancelled") }
     end
+  end
+
+  private
+
+  def set_repository
+    @repository = Current.user.repositories.find(params[:repository_id])
+  end
+
+  def issue_params
+    params.fetch(:issue, {}).permit(:title, :body, :template, labels: [], assignees: [], fields: {})
+  end
+
+  # The issue preview pane marks its prefetches like Turbo does
+  def preview_prefetch?
+    turbo_frame_request_id == PREVIEW_FRAME && request.headers["X-Sec-Purpose"] == "prefetch"
+  end
+
+  # Templates can't be loaded without a token, or GitHub may be unavailable - the blank form
+  # still works, so that only shows a warning
+  def load_issue_templates
+    result = Github::IssueTemplateService.new(user: Current.user, repository: @repository).call
+    flash.now[:alert] = t("issues.new.templates_unavailable", error: result[:error]) unless result[:success]
+    @templates = result[:templates] || []
+  end
+
+  # Only the chosen template is loaded, not the whole list
+  def load_issue_template(filename)
+    result = Github::IssueTemplateService.new(user: Current.user, repository: @repository).find(filename)
+    flash.now[:alert] = t("issues.new.templates_unavailable", error: result[:error]) unless result[:success]
+    result[:template]
+  end
+
+  # :reek:DuplicateMethodCall - Issue number used for the sync and the redirect
+  def refresh_issue
+    result = Github::IssueSyncService.new(user: Current.user, repository: @repository, issue_number: params[:id].to_i).call
+    issue = @repository.issues.find_by!(number: params[:id])
+    redirect_path = repository_issue_path(@repository, issue.number, refresh_search_params)
 
     if result[:success]
       redirect_to redirect_path, notice: t("issues.refresh.success", count: result[:synced_count])
@@ -300,10 +393,20 @@ class IssuesController < ApplicationController
     end
   end
 
-  private
+  # Preserve search query and debug parameter
+  def refresh_search_params
+    search_params = {}
+    search_params[:q] = params[:q] if params[:q].present?
+    search_params[:debug] = params[:debug] if params[:debug].present?
+    search_params
+  end
 
-  def set_repository
-    @repository = Current.user.repositories.find(params[:repository_id])
+  def render_refresh_progress(issue_refresh)
+    render turbo_stream: turbo_stream.replace(
+      IssueRefresh::DOM_ID,
+      partial: "issues/refresh_progress",
+      locals: { issue_refresh: issue_refresh, repository: @repository }
+    )
   end
 
   # :reek:NestedIterators - Extracting labels from issues requires nested iteration
@@ -322,63 +425,6 @@ class IssuesController < ApplicationController
     labels_hash.values.sort_by { |label| label["name"] || label[:name] }
   end
 
-  # Parse GitHub search qualifiers from query string
-  # Supports: is:open, is:closed, label:name (multiple), assignee:username, author:username, sort:field-direction
-  # :reek:TooManyStatements - Parses multiple qualifier types
-  # :reek:UtilityFunction - Pure parser function for search syntax
-  # :reek:DuplicateMethodCall - Regexp matches accessed for readability
-  def parse_search_query(query_string)
-    return { query: nil, filters: {}, sort: nil, has_qualifiers: false } if query_string.blank?
-
-    query_parts = []
-    filters = {}
-    sort = nil
-    has_qualifiers = false
-    labels = [] # Support multiple labels
-
-    # Split query into tokens, preserving quoted strings
-    tokens = query_string.scan(/(?:"[^"]*"|[^\s"])+/)
-
-    tokens.each do |token|
-      case token
-      when /^is:(open|closed)$/i
-        filters[:state] = Regexp.last_match(1).downcase
-        has_qualifiers = true
-      when /^state:(open|closed)$/i
-        filters[:state] = Regexp.last_match(1).downcase
-        has_qualifiers = true
-      when /^label:(.+)$/i
-        # Remove surrounding quotes if present and collect multiple labels
-        labels << Regexp.last_match(1).gsub(/^["']|["']$/, "")
-        has_qualifiers = true
-      when /^assignee:(.+)$/i
-        filters[:assignee] = Regexp.last_match(1).gsub(/^["']|["']$/, "")
-        has_qualifiers = true
-      when /^author:(.+)$/i
-        filters[:author] = Regexp.last_match(1).gsub(/^["']|["']$/, "")
-        has_qualifiers = true
-      when /^sort:(created|updated|comments)(?:-(asc|desc))?$/i
-        # Parse sort field and direction (default to desc if not specified)
-        field = Regexp.last_match(1).downcase
-        direction = Regexp.last_match(2)&.downcase || "desc"
-        sort = direction == "asc" ? "#{field}-asc" : field
-        has_qualifiers = true
-      else
-        # Not a qualifier, add to search query
-        query_parts << token
-      end
-    end
-
-    filters[:labels] = labels if labels.any?
-
-    {
-      query: query_parts.join(" ").presence,
-      filters: filters,
-      sort: sort,
-      has_qualifiers: has_qualifiers
-    }
-  end
-
   # :reek:TooManyStatements - Calculates threshold warnings for multiple resources
   # :reek:UtilityFunction - Pure calculation function for rate limit warnings
   def approaching_rate_limit?(rate_limit)
@@ -480,7 +526,7 @@ class IssuesController < ApplicationController
 
     # Convert cached comments to timeline items (only those not in API response)
     cached_comments = @issue.issue_comments.reject { |comment| timeline_comment_ids.include?(comment.github_id) }
-    comment_items = comments_to_timeline_items(cached_comments)
+    comment_items = cached_comments.map(&:timeline_item)
 
     # Consolidate label events that happen at the same time
     consolidated_events = consolidate_label_events(timeline_events)
@@ -491,20 +537,4 @@ class IssuesController < ApplicationController
     # Sort chronologically and remove nil values
     all_items.compact.sort_by { |item| item[:created_at] }
   end
-
-  # Convert cached comments to timeline item format
-  # :reek:UtilityFunction - Pure data transformation helper
-  # :reek:FeatureEnvy - Accesses comment attributes extensively
-  def comments_to_timeline_items(comments)
-    comments.map do |comment|
-      {
-        type: "comment",
-        id: "cached_#{comment.id}",
-        created_at: comment.github_created_at,
-        actor: comment.author_login,
-        body: comment.body,
-        avatar_url: comment.author_avatar_url
-      }
-    end
-  end
 end
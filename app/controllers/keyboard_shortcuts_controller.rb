@@ -0,0 +1,33 @@
+# frozen_string_literal: true
+
+# Controller for saving the current user's remapped keyboard shortcuts
+# The settings panel on the profile edit page submits every shortcut that differs
+# from its default, so an update replaces the stored set; destroy resets them all.
+class KeyboardShortcutsController < ApplicationController
+  def update
+    user = Current.user
+
+    if user.update(keyboard_shortcuts: keyboard_shortcuts_params)
+      redirect_to edit_user_path(anchor: "keyboard-shortcuts"), notice: t("keyboard_shortcuts.update.success")
+    else
+      redirect_to edit_user_path(anchor: "keyboard-shortcuts"),
+                  alert: t("keyboard_shortcuts.update.error", errors: user.errors.full_messages.join(", "))
+    end
+  end
+
+  def destroy
+    Current.user.update!(keyboard_shortcuts: {})
+
+    redirect_to edit_user_path(anchor: "keyboard-shortcuts"), notice: t("keyboard_shortcuts.destroy.success")
+  end
+
+  private
+
+  # keyboard_shortcuts[<shortcut id>][] = key, one entry per key slot
+  # The ids are open-ended, so keep string values here and let the model validate the rest
+  def keyboard_shortcuts_params
+    shortcuts = params.fetch(:keyboard_shortcuts, {})
+
+    shortcuts.keys.index_with { |id| Array(shortcuts[id]).grep(String).compact_blank }.compact_blank
+  end
+end
@@ -0,0 +1,9 @@
+# frozen_string_literal: true
+
+# Renders markdown for the comment composer's preview tab, through the same pipeline
+# (MarkdownHelper#render_markdown) as the comments and issue bodies it previews
+class MarkdownPreviewsController < ApplicationController
+  def create
+    render html: helpers.render_markdown(params[:body].to_s)
+  end
+end
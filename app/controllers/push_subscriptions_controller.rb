@@ -0,0 +1,33 @@
+# frozen_string_literal: true
+
+# Controller for this browser's Web Push subscription (JSON endpoint)
+# The profile page's push-subscription Stimulus controller sends the browser's subscription
+# after the user allows notifications, and deletes it when they're turned off again.
+class PushSubscriptionsController < ApplicationController
+  def create
+    # The same browser may have been subscribed by another account before. It moves to this one
+    # only when sent with that subscription's keys, which only the browser knows: an endpoint
+    # alone doesn't take over another user's subscription (it fails the uniqueness check).
+    subscription = PushSubscription.find_by(push_subscription_params.to_h.symbolize_keys) ||
+      Current.user.push_subscriptions.find_or_initialize_by(endpoint: push_subscription_params[:endpoint])
+    subscription.assign_attributes(push_subscription_params.merge(user: Current.user, user_agent: request.user_agent))
+
+    if subscription.save
+      head :created
+    else
+      render json: { error: subscription.errors.full_messages.join(", ") }, status: :unprocessable_entity
+    end
+  end
+
+  def destroy
+    Current.user.push_subscriptions.where(endpoint: push_subscription_params[:endpoint]).destroy_all
+
+    head :no_content
+  end
+
+  private
+
+  def push_subscription_params
+    params.require(:push_subscription).permit(:endpoint, :p256dh_key, :auth_key)
+  end
+end
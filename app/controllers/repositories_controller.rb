@@ -162,7 +162,9 @@ class RepositoriesController < ApplicationController
       prioritized_users << current_user_data if current_user_data && current_user_data[:login] != selected
       users = prioritized_users + users
 
-      # Limit to 20 results for dropdown
+      # Limit to 20 results for dropdown, telling the client how many there were
+      # so it knows when local filtering isn't enough
+      response.headers["X-Total-Count"] = users.size.to_s
       users = users.first(20)
 
       render json: users
@@ -205,6 +207,7 @@ class RepositoriesController < ApplicationController
       end
 
       # Limit to 50 results for dropdown
+      response.headers["X-Total-Count"] = labels_data.size.to_s
       labels_data = labels_data.first(50)
 
       render json: labels_data
@@ -214,6 +217,74 @@ class RepositoriesController < ApplicationController
     end
   end
 
+  # Milestones for search autocomplete (JSON endpoint)
+  # Open milestones are listed before closed ones
+  # :reek:TooManyStatements - Controller action orchestrates API call and data transformation
+  def milestones
+    user = Current.user
+    repository = user.repositories.find(params[:id])
+    domain = repository.github_domain
+    query = params[:q]
+
+    github_token = user.github_tokens.find_by(domain: domain)
+    unless github_token
+      render json: { error: "No GitHub token found for #{domain}" }, status: :unauthorized
+      return
+    end
+
+    begin
+      client = Github::ApiClient.new(token: github_token.token, domain: domain)
+      milestones = client.fetch_milestones(repository.owner, repository.name)
+
+      if milestones.is_a?(Hash)
+        render json: { error: milestones[:error] }, status: :unprocessable_entity
+        return
+      end
+
+      milestones_data = milestones.map do |milestone|
+        {
+          title: milestone.title,
+          state: milestone.state,
+          due_on: milestone.due_on
+        }
+      end
+
+      # Filter by search query if provided
+      if query.present?
+        lower_query = query.downcase
+        milestones_data = milestones_data.select { |milestone| milestone[:title].downcase.include?(lower_query) }
+      end
+
+      # Open milestones first (sort_by is stable, keeping GitHub's order within each group)
+      milestones_data = milestones_data.sort_by.with_index { |milestone, index| [ milestone[:state] == "open" ? 0 : 1, index ] }
+
+      response.headers["X-Total-Count"] = milestones_data.size.to_s
+      render json: milestones_data.first(50)
+    rescue => error
+      Rails.logger.error "Error fetching milestones: #{error.message}"
+      render json: { error: "Failed to fetch milestones" }, status: :internal_server_error
+    end
+  end
+
+  # @mention suggestions for markdown textareas, from the cached assignable users
+  # (synced with the repository, so no API call while typing)
+  def mentionable_users
+    repository = Current.user.repositories.find(params[:id])
+    users = repository.repository_assignable_users.search(params[:q]).ordered
+
+    response.headers["X-Total-Count"] = users.count.to_s
+    render json: users.limit(100).map { |user| { login: user.login, avatar_url: user.avatar_url } }
+  end
+
+  # #issue suggestions for markdown textareas, from the local issue cache
+  # Most recently updated first, since those are the ones usually referenced
+  def issue_references
+    repository = Current.user.repositories.find(params[:id])
+    issues = repository.issues.referenced_by(params[:q]).order(github_updated_at: :desc, number: :desc).limit(10)
+
+    render json: issues.map { |issue| { number: issue.number, title: issue.title, state: issue.state } }
+  end
+
   private
 
   def repository_params
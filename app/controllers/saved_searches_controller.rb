@@ -0,0 +1,54 @@
+# frozen_string_literal: true
+
+# Controller for managing saved issue searches (create, rename, reorder and delete)
+# Saved searches are opened from the picker in the navbar
+class SavedSearchesController < ApplicationController
+  def index
+    @saved_searches = Current.user.saved_searches.includes(:repository).ordered
+    @watched_search_ids = Current.user.watches.where(watchable_type: "SavedSearch").pluck(:watchable_id)
+  end
+
+  def create
+    saved_search = Current.user.saved_searches.build(saved_search_params)
+
+    if saved_search.save
+      redirect_back_or_to saved_searches_path, notice: t("saved_searches.create.success", name: saved_search.name)
+    else
+      redirect_back_or_to saved_searches_path,
+                          alert: t("saved_searches.create.error", errors: saved_search.errors.full_messages.join(", "))
+    end
+  end
+
+  def update
+    saved_search = find_saved_search
+
+    if saved_search.update(saved_search_params.except(:repository_id))
+      redirect_to saved_searches_path, notice: t("saved_searches.update.success")
+    else
+      redirect_to saved_searches_path,
+                  alert: t("saved_searches.update.error", errors: saved_search.errors.full_messages.join(", "))
+    end
+  end
+
+  def move
+    find_saved_search.move(params[:direction])
+
+    redirect_to saved_searches_path
+  end
+
+  def destroy
+    find_saved_search.destroy
+
+    redirect_to saved_searches_path, notice: t("saved_searches.destroy.success")
+  end
+
+  private
+
+  def find_saved_search
+    Current.user.saved_searches.find(params[:id])
+  end
+
+  def saved_search_params
+    params.require(:saved_search).permit(:name, :query, :repository_id)
+  end
+end
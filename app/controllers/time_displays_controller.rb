@@ -0,0 +1,16 @@
+# frozen_string_literal: true
+
+# Controller for the current user's time display preference (relative, absolute or ISO
+# 8601 times), which the time Stimulus controller reads from the time-display meta tag
+class TimeDisplaysController < ApplicationController
+  def update
+    user = Current.user
+
+    if user.update(time_display: params[:time_display])
+      redirect_to edit_user_path(anchor: "time-display"), notice: t("time_displays.update.success")
+    else
+      redirect_to edit_user_path(anchor: "time-display"),
+                  alert: t("time_displays.update.error", errors: user.errors.full_messages.join(", "))
+    end
+  end
+end
@@ -0,0 +1,38 @@
+# frozen_string_literal: true
+
+# Controller for watching issues and saved searches
+# Watching one sends push notifications about the changes sync picks up (see Push::WatchNotifier).
+# Issues are watched from their sidebar, saved searches from the saved searches page.
+class WatchesController < ApplicationController
+  before_action :set_watchable
+
+  def create
+    Current.user.watches.find_or_create_by!(watchable: @watchable)
+
+    redirect_back_or_to fallback_path, notice: t("watches.create.success")
+  end
+
+  def destroy
+    Current.user.watches.where(watchable: @watchable).destroy_all
+
+    redirect_back_or_to fallback_path, notice: t("watches.destroy.success")
+  end
+
+  private
+
+  def set_watchable
+    user = Current.user
+
+    @watchable = if params[:saved_search_id]
+      user.saved_searches.find(params[:saved_search_id])
+    else
+      user.repositories.find(params[:repository_id]).issues.find_by!(number: params[:issue_id])
+    end
+  end
+
+  def fallback_path
+    return saved_searches_path if @watchable.is_a?(SavedSearch)
+
+    repository_issue_path(@watchable.repository, @watchable.number)
+  end
+end
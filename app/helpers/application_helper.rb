@@ -20,4 +20,53 @@ module ApplicationHelper
 
     content_tag :time, time_ago_in_words(datetime) + " ago", datetime: datetime.utc.iso8601, **options
   end
+
+  # Renders the signed-in user's remapped keyboard shortcuts for the shortcut registry
+  # (read by the keyboard-shortcuts Stimulus controller when it connects)
+  #
+  # @return [String, nil] meta tag with the shortcuts as JSON, nil when signed out
+  #
+  # @example
+  #   <%= keyboard_shortcuts_meta_tag %>
+  #   # => <meta name="keyboard-shortcuts" content="{&quot;list.move&quot;:[&quot;n&quot;,&quot;p&quot;]}">
+  def keyboard_shortcuts_meta_tag
+    user = Current.user
+    return unless user
+
+    tag.meta(name: "keyboard-shortcuts", content: user.keyboard_shortcuts.to_json)
+  end
+
+  # Renders the signed-in user's time display preference for the time Stimulus controller
+  # (relative times when signed out)
+  #
+  # @return [String] meta tag with "relative", "absolute" or "iso"
+  #
+  # @example
+  #   <%= time_display_meta_tag %>
+  #   # => <meta name="time-display" content="absolute">
+  def time_display_meta_tag
+    tag.meta(name: "time-display", content: Current.user&.time_display || "relative")
+  end
+
+  # Renders the service worker's URL for lib/service_worker.js to register
+  # (left out when config.x.service_worker is off, e.g. in tests)
+  #
+  # @return [String, nil] meta tag with the service worker path, nil when disabled
+  #
+  # @example
+  #   <%= service_worker_meta_tag %>
+  #   # => <meta name="service-worker" content="/service-worker.js">
+  def service_worker_meta_tag
+    return unless Rails.configuration.x.service_worker
+
+    tag.meta(name: "service-worker", content: pwa_service_worker_path(format: :js))
+  end
+
+  # Whether to offer push notifications and watching: they need VAPID keys and the
+  # service worker, which receives the pushes
+  #
+  # @return [Boolean]
+  def push_notifications_available?
+    Rails.configuration.x.service_worker.present? && Push::WebPushClient.configured?
+  end
 end
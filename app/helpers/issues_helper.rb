@@ -0,0 +1,46 @@
+# frozen_string_literal: true
+
+# Helper methods for issue lists
+module IssuesHelper
+  # Issue states an issue list inserts new issues in as sync finds them (see live_issues_controller.js)
+  #
+  # Only a list of every issue, newest first, knows where a new issue goes without running its
+  # search again; a state qualifier limits it to that state. Other lists only update the cards
+  # they already show.
+  #
+  # @param query [String, nil] The list's search query
+  # @return [Array<String>]
+  def live_insert_states(query)
+    parsed_query = Github::SearchQueryParser.parse(query)
+    filters = parsed_query[:filters]
+    # is:issue is left in the text for GitHub search, where it's the default anyway
+    text = parsed_query[:query].to_s.split - [ "is:issue" ]
+    sort = parsed_query[:sort] || params[:sort]
+
+    return [] unless text.empty? && filters.except(:state).empty? && [ nil, "created" ].include?(sort)
+
+    Array(filters[:state] || %w[open closed])
+  end
+
+  # The query with its issue state (state: or is: open/closed) switched, for the open/closed links
+  # issues_search_controller.js makes the same edit to the query in the search field instead.
+  #
+  # @param query [String, nil] The list's search query
+  # @param state [String] "open" or "closed"
+  # @return [String]
+  def query_with_state(query, state)
+    rest = query.to_s.gsub(/(?<!\S)(?:state|is):(?:open|closed)(?!\S)/i, "").squish
+    [ rest.presence, "state:#{state}" ].compact.join(" ")
+  end
+
+  # The query with its sort qualifier replaced, for the sort dropdown's links
+  # filter_dropdown_controller.js makes the same edit to the query in the search field instead.
+  #
+  # @param query [String, nil] The list's search query
+  # @param sort [String] e.g. "updated-desc"
+  # @return [String]
+  def query_with_sort(query, sort)
+    rest = query.to_s.gsub(/(?<!\S)sort:\S*/i, "").squish
+    [ rest.presence, "sort:#{sort}" ].compact.join(" ")
+  end
+end
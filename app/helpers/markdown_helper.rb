@@ -4,9 +4,11 @@
 module MarkdownHelper
   # Renders markdown text to HTML with GitHub-flavored markdown extensions
   # @param text [String] The markdown text to render
+  # @param sourcepos [Boolean] Add data-sourcepos (source line and column ranges) to block elements
   # @return [ActiveSupport::SafeBuffer] HTML-safe rendered markdown
   # :reek:UtilityFunction - Helper method for view templates, appropriate as pure function
-  def render_markdown(text)
+  # :reek:BooleanParameter - sourcepos is an optional rendering flag
+  def render_markdown(text, sourcepos: false)
     return "" if text.blank?
 
     # Parse with GFM and syntax highlighting, allowing raw HTML like GitHub
@@ -16,7 +18,8 @@ module MarkdownHelper
       },
       render: {
         unsafe: true,  # Allow raw HTML like GitHub does
-        github_pre_lang: true  # Add language class to code blocks
+        github_pre_lang: true,  # Add language class to code blocks
+        sourcepos: sourcepos
       },
       extension: {
         strikethrough: true,
@@ -29,4 +32,27 @@ module MarkdownHelper
 
     Commonmarker.to_html(text, options: options).html_safe
   end
+
+  # Renders an issue body or comment in its .markdown container
+  # When the user can push to the repository and the text has a task list, its checkboxes are
+  # made clickable by the task-list controller, which finds each item's line from data-sourcepos
+  # and sends it with the digest of the text it was rendered from (see Github::TaskListService)
+  # @param comment_id [Integer, nil] The comment's GitHub id, nil for the issue body
+  # @return [ActiveSupport::SafeBuffer] HTML-safe rendered markdown
+  def markdown_body_tag(text, repository:, issue_number:, comment_id: nil)
+    markdown_class = "markdown text-gray-900 dark:text-gray-200"
+    return tag.div(render_markdown(text), class: markdown_class) unless repository.can_push? && TaskList.new(text).any?
+
+    tag.div(data: {
+      controller: "task-list",
+      task_list_url_value: repository_issue_task_list_path(repository, issue_number),
+      task_list_comment_id_value: comment_id,
+      task_list_digest_value: TaskList.digest(text)
+    }) do
+      safe_join([
+        tag.div(render_markdown(text, sourcepos: true), class: markdown_class, data: { task_list_target: "body" }),
+        tag.p(class: "hidden mt-2 text-sm text-red-600 dark:text-red-400", role: "alert", data: { task_list_target: "error" })
+      ])
+    end
+  end
 end
@@ -0,0 +1,10 @@
+# frozen_string_literal: true
+
+# Helper methods for saved issue searches
+module SavedSearchesHelper
+  # Issues page for a saved search
+  # Global searches open in the repository being browsed
+  def saved_search_issues_path(saved_search, repository = nil)
+    repository_issues_path(saved_search.repository || repository, q: saved_search.query)
+  end
+end
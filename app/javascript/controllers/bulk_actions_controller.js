@@ -0,0 +1,254 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Stimulus controller for selecting issues on the issues index and acting on them in bulk
+// Cards are selected with their checkbox (shift-click selects a range) or with x / Shift-x,
+// which the keyboard-shortcuts controller dispatches as keyboard-shortcuts:select.
+// While anything is selected a sticky bar offers label, assignee and open/closed actions.
+// Actions are sent one issue at a time (GitHub discourages concurrent writes) so the bar
+// can report progress and failures per issue; updated cards replace the old ones in place.
+export default class extends Controller {
+  static targets = ["checkbox", "bar", "count", "labelInput", "assigneeInput", "button", "progress"]
+  static values = {
+    messages: Object   // selected, pending, working, done, summary
+  }
+
+  connect() {
+    this.anchor = null        // Card of the last checkbox toggled, where range selection starts
+    this.running = false
+    this.suggestRequest = null
+    this.update()
+  }
+
+  disconnect() {
+    this.suggestRequest?.abort()
+  }
+
+  // Cards appended by infinite scroll or restored after virtualization
+  checkboxTargetConnected(checkbox) {
+    checkbox.checked = this.isSelected(checkbox.closest(".issue-card"))
+  }
+
+  // Checkbox click; with Shift held everything between the last toggled card and this one follows it
+  toggle(event) {
+    const checkbox = event.currentTarget
+    const card = checkbox.closest(".issue-card")
+
+    if (event.shiftKey && this.anchor) {
+      this.setRange(this.anchor, card, checkbox.checked)
+    } else {
+      this.setSelected(card, checkbox.checked)
+    }
+
+    this.anchor = card
+    this.update()
+  }
+
+  // keyboard-shortcuts:select (x toggles the focused card, Shift-x selects up to it)
+  select({ detail: { item, range } }) {
+    if (range && this.anchor) {
+      this.setRange(this.anchor, item, true)
+    } else {
+      this.setSelected(item, !this.isSelected(item))
+    }
+
+    this.anchor = item
+    this.update()
+  }
+
+  clear() {
+    this.cards().forEach(card => this.setSelected(card, false))
+    this.anchor = null
+    this.progressTarget.replaceChildren()
+    this.update()
+  }
+
+  // Run a bar button's action on every selected issue, one after the other
+  async run({ params: { operation } }) {
+    const cards = this.selectedCards()
+    const values = this.valuesFor(operation)
+    if (this.running || cards.length === 0 || values === null) return
+
+    this.running = true
+    this.update()
+
+    const rows = new Map(cards.map(card => [card, this.createProgressRow(card)]))
+    this.progressTarget.replaceChildren(...rows.values())
+    this.progressTarget.classList.remove("hidden")
+
+    let succeeded = 0
+    for (const card of cards) {
+      const row = rows.get(card)
+      this.setRowStatus(row, this.messagesValue.working)
+
+      try {
+        const html = await this.perform(card, operation, values)
+        this.replaceCard(card, html)
+        this.setRowStatus(row, this.messagesValue.done, "text-emerald-600 dark:text-emerald-400")
+        succeeded++
+      } catch (error) {
+        console.error("Error running bulk action:", error)
+        this.setRowStatus(row, error.message, "text-red-600 dark:text-red-400")
+      }
+    }
+
+    const summary = document.createElement("li")
+    summary.className = "pt-1 font-medium text-gray-900 dark:text-white"
+    summary.textContent = this.interpolate(this.messagesValue.summary, { succeeded, total: cards.length })
+    this.progressTarget.appendChild(summary)
+
+    this.running = false
+    this.update()
+  }
+
+  async perform(card, operation, values) {
+    const body = new FormData()
+    body.append("operation", operation)
+    values.forEach(value => body.append("values[]", value))
+
+    const response = await fetch(card.dataset.bulkActionUrl, {
+      method: "POST",
+      body,
+      headers: {
+        "Accept": "application/json",
+        "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+      }
+    })
+    const data = await response.json().catch(() => ({}))
+
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`)
+    }
+
+    return data.html
+  }
+
+  // Label names or logins for actions that need them (comma-separated), [] for the rest,
+  // or null when the input was left empty
+  valuesFor(operation) {
+    let input = null
+    if (operation.endsWith("_labels")) input = this.labelInputTarget
+    if (operation.endsWith("_assignees")) input = this.assigneeInputTarget
+    if (!input) return []
+
+    const values = input.value.split(",").map(value => value.trim()).filter(Boolean)
+    if (values.length === 0) {
+      input.focus()
+      return null
+    }
+
+    return values
+  }
+
+  // Fill an input's datalist from the labels or assignable users endpoint
+  async suggest({ currentTarget: input, params: { url, field } }) {
+    const term = input.value.split(",").pop().trim()
+
+    this.suggestRequest?.abort()
+    this.suggestRequest = new AbortController()
+
+    try {
+      const response = await fetch(`${url}?q=${encodeURIComponent(term)}`, {
+        signal: this.suggestRequest.signal,
+        headers: { "Accept": "application/json" }
+      })
+      if (!response.ok) return
+
+      const items = await response.json()
+      if (!Array.isArray(items)) return
+
+      // Suggestions complete the last comma-separated entry
+      const prefix = input.value.includes(",") ? `${input.value.slice(0, input.value.lastIndexOf(",") + 1)} ` : ""
+      input.list.replaceChildren(...items.map(item => {
+        const option = document.createElement("option")
+        option.value = prefix + item[field]
+        return option
+      }))
+    } catch (error) {
+      if (error.name !== "AbortError") console.error("Error loading suggestions:", error)
+    }
+  }
+
+  // Swap in the re-rendered card, keeping it selected
+  replaceCard(card, html) {
+    const template = document.createElement("template")
+    template.innerHTML = html.trim()
+    const replacement = template.content.firstElementChild
+    if (!replacement) return
+
+    card.replaceWith(replacement)
+    this.setSelected(replacement, true)
+    if (this.anchor === card) this.anchor = replacement
+  }
+
+  setRange(from, to, selected) {
+    const cards = this.cards()
+    const [start, end] = [cards.indexOf(from), cards.indexOf(to)].sort((a, b) => a - b)
+    if (start === -1) {
+      this.setSelected(to, selected)
+      return
+    }
+
+    cards.slice(start, end + 1).forEach(card => this.setSelected(card, selected))
+  }
+
+  setSelected(card, selected) {
+    const checkbox = card.querySelector('[data-bulk-actions-target="checkbox"]')
+    if (checkbox) checkbox.checked = selected
+
+    if (selected) {
+      card.dataset.selected = "true"
+    } else {
+      delete card.dataset.selected
+    }
+  }
+
+  isSelected(card) {
+    return card.dataset.selected === "true"
+  }
+
+  // Every card, including virtualized ones whose checkbox is detached (data-selected is the source of truth)
+  cards() {
+    return Array.from(this.element.querySelectorAll(".issue-card"))
+  }
+
+  selectedCards() {
+    return this.cards().filter(card => this.isSelected(card))
+  }
+
+  // Show the bar while anything is selected and keep the count and buttons current
+  update() {
+    if (!this.hasBarTarget) return
+
+    const count = this.selectedCards().length
+    this.barTarget.classList.toggle("hidden", count === 0 && !this.running)
+    this.countTarget.textContent = `${count} ${this.messagesValue.selected}`
+    this.buttonTargets.forEach(button => { button.disabled = this.running })
+  }
+
+  createProgressRow(card) {
+    const row = document.createElement("li")
+    row.className = "flex items-center justify-between gap-3"
+
+    const title = document.createElement("span")
+    title.className = "truncate text-gray-700 dark:text-gray-300"
+    title.textContent = `#${card.dataset.issueNumber} ${card.querySelector("a[href*='/issues/']")?.textContent.trim() || ""}`
+
+    const status = document.createElement("span")
+    status.className = "flex-shrink-0 text-gray-500 dark:text-gray-400"
+    status.textContent = this.messagesValue.pending
+    status.dataset.status = ""
+
+    row.append(title, status)
+    return row
+  }
+
+  setRowStatus(row, text, className = "text-gray-500 dark:text-gray-400") {
+    const status = row.querySelector("[data-status]")
+    status.className = `flex-shrink-0 ${className}`
+    status.textContent = text
+  }
+
+  interpolate(template, values) {
+    return template.replace(/%\{(\w+)\}/g, (match, key) => values[key] ?? match)
+  }
+}
@@ -0,0 +1,138 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Markdown inserted by the toolbar buttons: text wrapped around the selection, or a prefix for
+// each selected line
+const FORMATS = {
+  bold: { before: "**", after: "**" },
+  italic: { before: "_", after: "_" },
+  code: { before: "`", after: "`" },
+  link: { before: "[", after: "](url)" },
+  quote: { prefix: "> " },
+  bulletList: { prefix: "- " },
+  numberedList: { prefix: "1. " },
+  taskList: { prefix: "- [ ] " }
+}
+
+// Connects to data-controller="comment-composer"
+// The issue page's comment form: a write/preview toggle (the preview is rendered by the server
+// with the same markdown pipeline as posted comments), a formatting toolbar and Ctrl-Enter
+// (or Cmd-Enter) to post. The draft is saved in localStorage per issue as it's typed and
+// cleared once the comment is posted; the server appends the new comment to the timeline.
+// The new issue form uses it for the issue's description the same way.
+export default class extends Controller {
+  static targets = ["input", "preview", "writeTab", "previewTab", "error"]
+  static values = {
+    previewUrl: String,
+    draftKey: String,
+    messages: Object   // empty, error (preview)
+  }
+
+  connect() {
+    // A saved draft wins over the initial text (e.g. an issue template's)
+    const draft = this.readDraft()
+    if (draft) this.inputTarget.value = draft
+  }
+
+  // Tab clicks
+  write() {
+    this.toggle(false)
+    this.inputTarget.focus()
+  }
+
+  async preview() {
+    this.toggle(true)
+
+    const body = this.inputTarget.value
+    if (!body.trim()) {
+      this.previewTarget.textContent = this.messagesValue.empty
+      return
+    }
+
+    try {
+      const formData = new FormData()
+      formData.append("body", body)
+
+      const response = await fetch(this.previewUrlValue, {
+        method: "POST",
+        body: formData,
+        headers: {
+          "Accept": "text/html",
+          "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+        }
+      })
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`)
+
+      this.previewTarget.innerHTML = await response.text()
+    } catch (error) {
+      console.error("Error rendering preview:", error)
+      this.previewTarget.textContent = this.messagesValue.error
+    }
+  }
+
+  toggle(previewing) {
+    this.inputTarget.classList.toggle("hidden", previewing)
+    this.previewTarget.classList.toggle("hidden", !previewing)
+    this.writeTabTarget.setAttribute("aria-selected", !previewing)
+    this.previewTabTarget.setAttribute("aria-selected", previewing)
+  }
+
+  // Toolbar buttons (data-comment-composer-syntax-param names a FORMATS entry)
+  format({ params: { syntax } }) {
+    const format = FORMATS[syntax]
+    if (!format) return
+
+    this.write()
+
+    const input = this.inputTarget
+    const { selectionStart: start, selectionEnd: end, value } = input
+
+    if (format.prefix) {
+      const lineStart = value.lastIndexOf("\n", start - 1) + 1
+      const lines = value.slice(lineStart, end).split("\n")
+      input.setRangeText(lines.map(line => format.prefix + line).join("\n"), lineStart, end, "end")
+    } else {
+      input.setRangeText(format.before + value.slice(start, end) + format.after, start, end)
+      input.setSelectionRange(start + format.before.length, end + format.before.length)
+    }
+
+    this.saveDraft()
+  }
+
+  // keydown.ctrl+enter / keydown.meta+enter
+  submit(event) {
+    event.preventDefault()
+    if (this.inputTarget.value.trim()) this.element.requestSubmit()
+  }
+
+  // turbo:submit-end
+  submitted(event) {
+    if (!event.detail.success) return
+
+    this.inputTarget.value = ""
+    if (this.hasErrorTarget) this.errorTarget.textContent = ""
+    this.saveDraft()
+    this.toggle(false)
+  }
+
+  // Input, so a reload or another visit to the issue picks up where the user left off
+  saveDraft() {
+    try {
+      const body = this.inputTarget.value
+      if (body.trim()) {
+        localStorage.setItem(this.draftKeyValue, body)
+      } else {
+        localStorage.removeItem(this.draftKeyValue)
+      }
+    } catch {
+      // Storage disabled or full - the draft just won't survive the page
+    }
+  }
+
+  readDraft() {
+    try {
+      return localStorage.getItem(this.draftKeyValue) || ""
+    } catch {
+      return ""
+    }
+  }
+}
@@ -1,84 +1,109 @@
 import { Controller } from "@hotwired/stimulus"
+import { fetchCached, isTruncated } from "lib/data_cache"
+import { fuzzyFilter, highlightMatch } from "lib/fuzzy_match"
+import { fieldValues, toggleFieldValue } from "lib/form_fields"
+import { PickerEdits, createCheckmark, itemAction } from "lib/picker_edits"
 
 // Stimulus controller for contributor search in filter dropdowns
-// Fetches repository assignees from GitHub REST API once and caches client-side
+// Loads repository assignees through the shared data cache. The Author and Assignee
+// dropdowns request the same URL, so they share a single fetch. Typing fuzzy-filters
+// the cached list locally.
+// In form-field mode (a field value, e.g. on the new issue form) clicking a user toggles a
+// hidden input in the fields target instead of editing the search query, and the chosen
+// users are shown in the summary target.
+// In edit mode (an edit URL, e.g. in the issue sidebar) clicking a user assigns or unassigns
+// them on the issue right away, rolling back if GitHub rejects the change.
 export default class extends Controller {
-  static targets = ["search", "results", "loading"]
+  static targets = ["search", "results", "loading", "fields", "summary", "error"]
   static values = {
     url: String,      // API endpoint URL (e.g., /repositories/1/assignable_users)
-    selected: String  // Currently selected username
+    selected: Array,  // Currently selected usernames
+    field: String,    // Form-field mode: name of the hidden inputs (e.g., issue[assignees][])
+    editUrl: String   // Edit mode: the issue's sidebar action endpoint
   }
 
   connect() {
+    this.edits = new PickerEdits(this, 'assignees')
     this.debounceTimer = null
-    this.abortController = null
     this.searchAbortController = null  // Separate abort controller for search requests
     this.cachedContributors = null  // Cache full list client-side
 
+    if (this.hasFieldValue) {
+      this.selectedValue = fieldValues(this.fieldsTarget, this.fieldValue)
+      this.renderSummary()
+    }
+
     // Fetch and cache contributors on page load
     this.loadContributors()
   }
 
-  // Fetch contributors from API once and cache
+  // Load contributors from the shared cache (fetching on a miss, revalidating when stale)
   async loadContributors() {
     // Show loading state
     this.showLoading()
 
-    // Create abort controller for this request
-    this.abortController = new AbortController()
-
     try {
-      const url = new URL(this.urlValue, window.location.origin)
-      // Pass selected value to ensure it's included in results
-      if (this.selectedValue) {
-        url.searchParams.set('selected', this.selectedValue)
-      }
-
-      const response = await fetch(url, {
-        signal: this.abortController.signal,
-        headers: {
-          'Accept': 'application/json'
-        }
+      const contributors = await fetchCached(this.urlValue, {
+        onUpdate: fresh => this.contributorsLoaded(fresh).catch(error => {
+          console.error('Error updating contributors:', error)
+          this.showError()
+        })
       })
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`)
+      await this.contributorsLoaded(contributors)
+    } catch (error) {
+      console.error('Error fetching contributors:', error)
+      this.showError()
+    } finally {
+      this.hideLoading()
+    }
+  }
+
+  async contributorsLoaded(contributors) {
+    // Selected users go first; fetch any that aren't in the shared list separately
+    const selected = this.selectedValue || []
+    const selectedUsers = await Promise.all(selected.map(async login => {
+      const found = contributors.find(contributor => contributor.login === login)
+      if (found) return found
+
+      const url = new URL(this.urlValue, window.location.origin)
+      url.searchParams.set('selected', login)
+
+      try {
+        const withSelected = await fetchCached(url)
+        return withSelected.find(contributor => contributor.login === login)
+      } catch (error) {
+        // Missing selected user shouldn't hide everyone else
+        console.error(`Error fetching selected contributor ${login}:`, error)
+        return null
       }
+    }))
 
-      const contributors = await response.json()
+    // Cache the full list for client-side filtering
+    this.cachedContributors = selectedUsers.filter(Boolean)
+      .concat(contributors.filter(contributor => !selected.includes(contributor.login)))
 
-      // Cache the full list for client-side filtering
-      this.cachedContributors = contributors
+    // In edit mode the server-rendered section stays until something changes
+    if (!this.hasEditUrlValue) this.renderSummary()
 
-      // Display initial list
+    // Don't replace search results the user is looking at
+    if (!this.hasSearchTarget || !this.searchTarget.value.trim()) {
       this.displayResults(this.cachedContributors)
-    } catch (error) {
-      if (error.name !== 'AbortError') {
-        console.error('Error fetching contributors:', error)
-        this.showError()
-      }
-    } finally {
-      this.hideLoading()
     }
   }
 
-  // Handle search input with debouncing
+  // Filter the cached list as the user types
   search(event) {
-    const query = event.target.value
+    const query = event.target.value.trim()
 
-    // Clear existing timer
+    // Clear any pending server search
     if (this.debounceTimer) {
       clearTimeout(this.debounceTimer)
     }
+    if (this.searchAbortController) {
+      this.searchAbortController.abort()
+    }
 
-    // Debounce search (wait 300ms after user stops typing)
-    this.debounceTimer = setTimeout(() => {
-      this.performSearch(query.trim())
-    }, 300)
-  }
-
-  // Perform search - use API for queries, cached data when empty
-  async performSearch(query) {
     // If no query, restore cached initial list
     if (!query) {
       if (this.cachedContributors) {
@@ -87,13 +112,22 @@ export default class extends Controller {
       return
     }
 
-    // Make API call with search query
-    this.showLoading()
+    if (this.cachedContributors) {
+      this.displayMatches(fuzzyFilter(this.cachedContributors, query, contributor => contributor.login))
+    }
 
-    // Abort any pending request
-    if (this.searchAbortController) {
-      this.searchAbortController.abort()
+    // The endpoint only returns the first 20 users - search the server when there are more
+    // Debounce (wait 300ms after user stops typing)
+    if (!this.cachedContributors || isTruncated(this.urlValue)) {
+      this.debounceTimer = setTimeout(() => {
+        this.performSearch(query)
+      }, 300)
     }
+  }
+
+  // Server-side search - fallback for users beyond the cached list
+  async performSearch(query) {
+    this.showLoading()
     this.searchAbortController = new AbortController()
 
     try {
@@ -101,8 +135,8 @@ export default class extends Controller {
       url.searchParams.set('q', query)
 
       // Pass selected value to ensure it's included in results
-      if (this.selectedValue) {
-        url.searchParams.set('selected', this.selectedValue)
+      if (this.selectedValue.length > 0) {
+        url.searchParams.set('selected', this.selectedValue[0])
       }
 
       const response = await fetch(url, {
@@ -117,7 +151,11 @@ export default class extends Controller {
       }
 
       const contributors = await response.json()
-      this.displayResults(contributors)
+
+      // Merge with the cached list so local matches stay visible, then rank everything together
+      const known = new Set((this.cachedContributors || []).map(contributor => contributor.login))
+      const combined = (this.cachedContributors || []).concat(contributors.filter(contributor => !known.has(contributor.login)))
+      this.displayMatches(fuzzyFilter(combined, query, contributor => contributor.login))
     } catch (error) {
       if (error.name !== 'AbortError') {
         console.error('Error searching contributors:', error)
@@ -128,8 +166,14 @@ export default class extends Controller {
     }
   }
 
+  // Display fuzzy matches in rank order with matched characters highlighted
+  displayMatches(matches) {
+    const highlights = new Map(matches.map(match => [match.item.login, match.indices]))
+    this.displayResults(matches.map(match => match.item), highlights)
+  }
+
   // Display search results
-  displayResults(contributors) {
+  displayResults(contributors, highlights = null) {
     this.resultsTarget.innerHTML = ''
 
     if (contributors.length === 0) {
@@ -137,47 +181,77 @@ export default class extends Controller {
       return
     }
 
-    // Trust server-side ordering (selected first, then current user, then everyone else)
+    // Trust the given ordering (server priority, or match rank when searching)
     // Don't re-sort client-side
-    const selected = this.selectedValue
+    const selected = this.selectedValue || []
 
     contributors.forEach(contributor => {
-      const isSelected = selected && contributor.login === selected
-      const item = this.createResultItem(contributor, isSelected)
+      const isSelected = selected.includes(contributor.login)
+      const item = this.createResultItem(contributor, isSelected, highlights?.get(contributor.login))
       this.resultsTarget.appendChild(item)
     })
   }
 
+  // Form-field mode: toggle the clicked user's hidden input, keeping the menu open
+  toggleField(event) {
+    event.preventDefault()
+
+    const item = event.currentTarget
+    const selected = toggleFieldValue(this.fieldsTarget, this.fieldValue, item.dataset.value)
+    this.selectedValue = fieldValues(this.fieldsTarget, this.fieldValue)
+
+    item.firstElementChild.replaceWith(createCheckmark(selected))
+    this.renderSummary()
+  }
+
+  // Edit mode: assign or unassign the clicked user on the issue (see lib/picker_edits.js)
+  toggleEdit(event) {
+    this.edits.toggle(event)
+  }
+
+  // The chosen users with their avatars (form-field mode, or edit mode once something changed)
+  renderSummary() {
+    if (!this.hasSummaryTarget) return
+
+    const avatars = new Map((this.cachedContributors || []).map(contributor => [contributor.login, contributor.avatar_url]))
+    this.summaryTarget.innerHTML = ''
+
+    if (this.selectedValue.length === 0) {
+      this.summaryTarget.innerHTML = '<span class="text-sm text-gray-500 dark:text-gray-400">No one yet</span>'
+      return
+    }
+
+    this.selectedValue.forEach(login => {
+      const user = document.createElement('span')
+      user.className = 'inline-flex items-center gap-1.5 text-sm text-gray-900 dark:text-gray-200'
+
+      const avatarUrl = avatars.get(login)
+      if (avatarUrl) {
+        const avatar = document.createElement('img')
+        avatar.src = avatarUrl
+        avatar.alt = ''
+        avatar.className = 'size-5 rounded-full'
+        user.appendChild(avatar)
+      }
+
+      user.appendChild(document.createTextNode(login))
+      this.summaryTarget.appendChild(user)
+    })
+  }
+
   // Create a result item element
-  createResultItem(contributor, isSelected = false) {
+  createResultItem(contributor, isSelected = false, matchedIndices = []) {
     const button = document.createElement('button')
     button.type = 'button'
     const baseClasses = 'flex items-center gap-2 w-full px-4 py-2 text-left text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors focus:bg-gray-100 dark:focus:bg-gray-700 focus:outline-none'
     button.className = baseClasses
-    button.dataset.action = 'click->filter-dropdown#selectItem'
+    button.dataset.action = itemAction(this)
     button.dataset.value = contributor.login
     button.dataset.filterDropdownTarget = 'item'
     button.tabIndex = -1
 
     // Checkmark for selected item (no background highlight, just checkmark)
-    if (isSelected) {
-      const checkmark = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
-      checkmark.setAttribute('class', 'h-5 w-5 text-emerald-600 dark:text-emerald-400 flex-shrink-0')
-      checkmark.setAttribute('viewBox', '0 0 20 20')
-      checkmark.setAttribute('fill', 'currentColor')
-
-      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path')
-      path.setAttribute('fill-rule', 'evenodd')
-      path.setAttribute('d', 'M16.704 4.153a.75.75 0 01.143 1.052l-8 10.5a.75.75 0 01-1.127.075l-4.5-4.5a.75.75 0 011.06-1.06l3.894 3.893 7.48-9.817a.75.75 0 011.05-.143z')
-      path.setAttribute('clip-rule', 'evenodd')
-
-      checkmark.appendChild(path)
-      button.appendChild(checkmark)
-    } else {
-      const spacer = document.createElement('div')
-      spacer.className = 'h-5 w-5 flex-shrink-0'
-      button.appendChild(spacer)
-    }
+    button.appendChild(createCheckmark(isSelected))
 
     // Avatar
     const avatar = document.createElement('img')
@@ -189,7 +263,7 @@ export default class extends Controller {
     // Login text
     const loginText = document.createElement('span')
     loginText.className = 'flex-1 truncate'
-    loginText.textContent = contributor.login
+    highlightMatch(loginText, contributor.login, matchedIndices)
 
     button.appendChild(avatar)
     button.appendChild(loginText)
@@ -239,9 +313,6 @@ export default class extends Controller {
     if (this.debounceTimer) {
       clearTimeout(this.debounceTimer)
     }
-    if (this.abortController) {
-      this.abortController.abort()
-    }
     if (this.searchAbortController) {
       this.searchAbortController.abort()
     }
@@ -1,11 +1,54 @@
 import { Controller } from "@hotwired/stimulus"
+import { SearchQuery, editSearchField } from "lib/search_query"
+import { fuzzyMatch } from "lib/fuzzy_match"
+import { shortcuts } from "lib/shortcut_registry"
 
 export default class extends Controller {
   static targets = ["button", "menu", "search", "item"]
+  static values = {
+    multiple: Boolean,  // Checkbox mode: toggle several values, then Apply once
+    shortcut: String    // Shortcut id that opens this dropdown, e.g. "filters.label"
+  }
 
   connect() {
     this.close = this.close.bind(this)
     this.handleKeydown = this.handleKeydown.bind(this)
+    this.registerShortcuts()
+
+    // Multi-select: pending choices keyed by lowercased value => { value, state: "include" | "exclude" }
+    if (this.multipleValue) {
+      this.loadSelection()
+    }
+  }
+
+  // Items are rendered after connect (label/contributor search), so style them as they arrive
+  itemTargetConnected(item) {
+    if (this.multipleValue) {
+      this.renderItemState(item)
+    }
+  }
+
+  registerShortcuts() {
+    this.unregisterShortcuts = []
+
+    // The issues page renders the filters twice (desktop and mobile): only the shown copy opens
+    if (this.shortcutValue) {
+      this.unregisterShortcuts.push(shortcuts.register("page", [
+        { id: this.shortcutValue, handler: () => this.openFromShortcut() }
+      ], { when: () => this.element.offsetParent !== null }))
+    }
+
+    // An open menu takes over the keyboard: page shortcuts (j/k, filter keys) pause until it closes
+    this.unregisterShortcuts.push(shortcuts.register("component", [
+      { keys: "Escape", allowInInputs: true, handler: () => this.closeMenu() }
+    ], { modal: true, when: () => this.isOpen() }))
+  }
+
+  openFromShortcut() {
+    if (this.isOpen()) return
+
+    this.closeOtherDropdowns()
+    this.openMenu()
   }
 
   toggle(event) {
@@ -40,6 +83,12 @@ export default class extends Controller {
     // Adjust positioning based on available space
     this.adjustPosition()
 
+    // Start from what's in the search field (unapplied changes are dropped on close)
+    if (this.multipleValue) {
+      this.loadSelection()
+      this.itemTargets.forEach(item => this.renderItemState(item))
+    }
+
     // Focus search input if it exists
     if (this.hasSearchTarget) {
       setTimeout(() => this.searchTarget.focus(), 100)
@@ -128,11 +177,10 @@ export default class extends Controller {
   }
 
   search(event) {
-    const query = event.target.value.toLowerCase()
+    const query = event.target.value
 
     this.itemTargets.forEach(item => {
-      const text = item.textContent.toLowerCase()
-      if (text.includes(query)) {
+      if (fuzzyMatch(query, item.textContent.trim())) {
         item.classList.remove("hidden")
       } else {
         item.classList.add("hidden")
@@ -141,56 +189,37 @@ export default class extends Controller {
   }
 
   selectItem(event) {
+    // Sort options are links to the edited query: modified clicks open them in a new tab or window
+    if (event.metaKey || event.ctrlKey || event.shiftKey) return
+
+    event.preventDefault()
+
     const button = event.currentTarget
+
+    // Multi-select: toggle the item and keep the menu open (Alt-click excludes)
+    if (this.multipleValue) {
+      this.toggleItem(button, event.altKey ? "exclude" : "include")
+      return
+    }
+
     const value = button.dataset.value
     const qualifierType = this.element.dataset.qualifierType
-
-    // Get the search field - look in the entire document since the dropdown may be outside the form
-    const searchField = document.querySelector('input[name="q"]')
+    const searchField = this.searchField()
     const form = searchField ? searchField.closest("form") : null
 
     if (searchField && qualifierType) {
-      let query = searchField.value || ''
-
-      if (qualifierType === 'label') {
-        // Labels support multiple selections - toggle the clicked label
-        // Escape special regex characters in the value
-        const escapedValue = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-        // Build pattern that matches label with or without quotes, followed by space or end of string
-        const quotedPattern = `"${escapedValue}"`
-        const labelRegex = new RegExp(`\\blabel:(?:${quotedPattern}|${escapedValue})(?=\\s|$)`, 'i')
-
-        if (labelRegex.test(query)) {
-          // Label is already selected, remove it
-          query = query.replace(labelRegex, '').replace(/\s+/g, ' ').trim()
+      editSearchField(searchField, query => {
+        if (qualifierType === "label") {
+          // Labels support multiple selections - toggle the clicked label
+          query.toggle("label", value)
+        } else if (qualifierType !== "sort" && query.has(qualifierType, value)) {
+          // Author/Assignee: clicking the selected user unselects it
+          query.remove(qualifierType)
         } else {
-          // Label not selected, add it
-          const quotedValue = value.includes(' ') ? `"${value}"` : value
-          query = query ? `${query} label:${quotedValue}` : `label:${quotedValue}`
+          // Replace any existing qualifier of this type with the new value
+          query.set(qualifierType, value)
         }
-      } else {
-        // Author/Assignee: toggle on/off (click to unselect if already selected)
-        const escapedValue = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-        const quotedPattern = `"${escapedValue}"`
-        const qualifierRegex = new RegExp(`\\b${qualifierType}:(?:${quotedPattern}|${escapedValue})(?=\\s|$)`, 'i')
-
-        if (qualifierRegex.test(query)) {
-          // User is already selected, remove the qualifier (unselect)
-          query = query.replace(qualifierRegex, '').replace(/\s+/g, ' ').trim()
-        } else {
-          // User not selected, replace any existing qualifier with this one
-          const existingQualifierRegex = new RegExp(`\\b${qualifierType}:(?:"[^"]*"|\\S+)`, 'gi')
-          query = query.replace(existingQualifierRegex, '').replace(/\s+/g, ' ').trim()
-
-          // Add new qualifier
-          const quotedValue = value.includes(' ') ? `"${value}"` : value
-          query = query ? `${query} ${qualifierType}:${quotedValue}` : `${qualifierType}:${quotedValue}`
-        }
-      }
-
-      // Normalize whitespace and add trailing space (unless empty)
-      const normalizedQuery = query.replace(/\s+/g, ' ').trim()
-      searchField.value = normalizedQuery ? normalizedQuery + ' ' : normalizedQuery
+      })
     }
 
     // Automatically close and submit the form
@@ -201,14 +230,117 @@ export default class extends Controller {
     }
   }
 
+  // Write the pending multi-select choices to the search field and submit once
+  apply(event) {
+    if (event) event.preventDefault()
+
+    const qualifierType = this.element.dataset.qualifierType
+    const searchField = this.searchField()
+    if (!searchField || !qualifierType) return
+
+    editSearchField(searchField, query => {
+      query.remove(qualifierType)
+      this.selection.forEach(({ value, state }) => {
+        query.add(qualifierType, value, { negated: state === "exclude" })
+      })
+    })
+
+    this.closeMenu()
+    searchField.form?.requestSubmit()
+  }
+
+  // Set an item to include/exclude, or clear it if it's already in that state
+  toggleItem(item, state = "include") {
+    const value = item.dataset.value
+    const key = value.toLowerCase()
+
+    if (this.selection.get(key)?.state === state) {
+      this.selection.delete(key)
+    } else {
+      this.selection.set(key, { value, state })
+    }
+
+    this.renderItemState(item)
+  }
+
+  // Read current include/exclude values for this qualifier from the search field
+  loadSelection() {
+    const qualifierType = this.element.dataset.qualifierType
+    const query = SearchQuery.parse(this.searchField()?.value)
+
+    this.selection = new Map()
+    query.qualifiers(qualifierType).forEach(term => {
+      this.selection.set(term.value.toLowerCase(), { value: term.value, state: term.negated ? "exclude" : "include" })
+    })
+  }
+
+  // Checkbox indicator + ARIA state for an item (exclusions show as "mixed")
+  renderItemState(item) {
+    if (!this.selection) this.loadSelection()
+
+    const state = this.selection.get((item.dataset.value || "").toLowerCase())?.state || "none"
+
+    item.setAttribute("role", "menuitemcheckbox")
+    item.setAttribute("aria-checked", { include: "true", exclude: "mixed", none: "false" }[state])
+    item.dataset.selectionState = state
+
+    const indicator = document.createElement("span")
+    indicator.dataset.filterDropdownIndicator = ""
+    indicator.className = `flex h-4 w-4 mx-0.5 flex-shrink-0 items-center justify-center rounded border ${{
+      include: "border-emerald-600 bg-emerald-600 text-white dark:border-emerald-500 dark:bg-emerald-500",
+      exclude: "border-red-600 bg-red-600 text-white dark:border-red-500 dark:bg-red-500",
+      none: "border-gray-300 dark:border-gray-600"
+    }[state]}`
+
+    if (state === "include") {
+      indicator.innerHTML = '<svg class="h-3 w-3" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true"><path fill-rule="evenodd" d="M16.704 4.153a.75.75 0 01.143 1.052l-8 10.5a.75.75 0 01-1.127.075l-4.5-4.5a.75.75 0 011.06-1.06l3.894 3.893 7.48-9.817a.75.75 0 011.05-.143z" clip-rule="evenodd" /></svg>'
+    } else if (state === "exclude") {
+      indicator.innerHTML = '<svg class="h-3 w-3" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true"><path fill-rule="evenodd" d="M4 10a.75.75 0 01.75-.75h10.5a.75.75 0 010 1.5H4.75A.75.75 0 014 10z" clip-rule="evenodd" /></svg>'
+    }
+
+    // Replace the single-select checkmark/spacer rendered by the search controllers
+    const current = item.querySelector("[data-filter-dropdown-indicator]") || item.firstElementChild
+    if (current) {
+      current.replaceWith(indicator)
+    } else {
+      item.prepend(indicator)
+    }
+  }
+
+  // The search field lives outside the dropdown, so look in the entire document
+  searchField() {
+    return document.querySelector('input[name="q"]')
+  }
+
   handleKeydown(event) {
     if (!this.isOpen()) return
 
-    switch (event.key) {
-      case "Escape":
+    // Multi-select keys: Space or Enter toggles (native button click), "-" excludes, Enter in
+    // the search field toggles the first match and Ctrl/Cmd-Enter applies
+    if (this.multipleValue) {
+      const focusedItem = this.itemTargets.find(item => item === document.activeElement)
+
+      if (event.key === "-" && focusedItem) {
         event.preventDefault()
-        this.closeMenu()
-        break
+        this.toggleItem(focusedItem, "exclude")
+        return
+      }
+
+      if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault()
+        this.apply()
+        return
+      }
+
+      if (event.key === "Enter" && this.hasSearchTarget && document.activeElement === this.searchTarget) {
+        event.preventDefault()
+        const [firstItem] = this.getVisibleMenuItems()
+        if (firstItem) this.toggleItem(firstItem, "include")
+        return
+      }
+    }
+
+    switch (event.key) {
       case "Tab":
         // Close dropdown when tabbing out
         this.closeMenu()
@@ -316,6 +448,7 @@ export default class extends Controller {
   }
 
   disconnect() {
+    this.unregisterShortcuts.forEach(unregister => unregister())
     document.removeEventListener("click", this.close)
     document.removeEventListener("keydown", this.handleKeydown)
   }
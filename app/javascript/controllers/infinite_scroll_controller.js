@@ -0,0 +1,125 @@
+import { Controller } from "@hotwired/stimulus"
+import { Turbo } from "@hotwired/turbo-rails"
+
+// Stimulus controller for the infinite-scrolling issues list
+// When the sentinel (the "Load more" link after the list) comes into view, or keyboard focus
+// gets near the end of the list, the next page is requested as a Turbo Stream that appends its
+// cards and replaces the sentinel. To keep long lists fast, rows far outside the viewport are
+// virtualized: their contents are detached and the empty row keeps its height. The row
+// elements themselves stay, so j/k, selection and preview keep working across pages;
+// keyboard-shortcuts:focus restores a row before its link is focused. Every row is restored
+// before Turbo caches the page (and on disconnect), so restoration visits get whole rows.
+export default class extends Controller {
+  static targets = ["list", "sentinel", "row"]
+  static values = {
+    loadingText: String,
+    errorText: String,
+    prefetchRows: { type: Number, default: 5 }  // Load the next page when focus is this close to the end
+  }
+
+  connect() {
+    this.loading = false
+    this.detached = new Map()  // row => DocumentFragment with its contents
+
+    // Rows more than a few screens away are virtualized
+    this.rowObserver = new IntersectionObserver(entries => this.updateRows(entries), { rootMargin: "300% 0px" })
+    this.sentinelObserver = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) this.load()
+    }, { rootMargin: "600px 0px" })
+
+    this.rowTargets.forEach(row => this.rowObserver.observe(row))
+    if (this.hasSentinelTarget) this.sentinelObserver.observe(this.sentinelTarget)
+  }
+
+  disconnect() {
+    this.rowObserver.disconnect()
+    this.sentinelObserver.disconnect()
+    this.restoreAll()
+  }
+
+  rowTargetConnected(row) {
+    this.rowObserver?.observe(row)
+  }
+
+  rowTargetDisconnected(row) {
+    this.rowObserver?.unobserve(row)
+    this.detached?.delete(row)
+  }
+
+  // The sentinel is replaced with each page (and left out after the last one)
+  sentinelTargetConnected(sentinel) {
+    this.loading = false
+    this.sentinelObserver?.observe(sentinel)
+  }
+
+  sentinelTargetDisconnected(sentinel) {
+    this.sentinelObserver?.unobserve(sentinel)
+  }
+
+  // Fetch the next page and let Turbo apply the stream
+  // Loading stays on until the stream's new sentinel connects (Turbo applies streams asynchronously)
+  async load() {
+    if (this.loading || !this.hasSentinelTarget) return
+
+    const sentinel = this.sentinelTarget
+    this.loading = true
+    sentinel.textContent = this.loadingTextValue
+    sentinel.setAttribute("aria-disabled", "true")
+
+    try {
+      const response = await fetch(sentinel.href, { headers: { "Accept": "text/vnd.turbo-stream.html" } })
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      Turbo.renderStreamMessage(await response.text())
+    } catch (error) {
+      console.error("Error loading more issues:", error)
+      sentinel.textContent = this.errorTextValue
+      sentinel.removeAttribute("aria-disabled")
+      this.loading = false
+    }
+  }
+
+  // keyboard-shortcuts:focus - make sure the row has its contents, and keep loading ahead of j
+  reveal({ detail: { item } }) {
+    this.restore(item)
+
+    const index = this.rowTargets.indexOf(item)
+    if (index !== -1 && index >= this.rowTargets.length - this.prefetchRowsValue) this.load()
+  }
+
+  updateRows(entries) {
+    entries.forEach(({ target: row, isIntersecting }) => {
+      if (isIntersecting) {
+        this.restore(row)
+      } else {
+        this.detach(row)
+      }
+    })
+  }
+
+  detach(row) {
+    // Rows with focus (or rows already detached) stay as they are
+    if (this.detached.has(row) || row.contains(document.activeElement)) return
+
+    const contents = document.createDocumentFragment()
+    row.style.height = `${row.offsetHeight}px`
+    contents.append(...row.childNodes)
+    this.detached.set(row, contents)
+  }
+
+  restore(row) {
+    const contents = this.detached.get(row)
+    if (!contents) return
+
+    row.append(contents)
+    row.style.height = ""
+    this.detached.delete(row)
+  }
+
+  // turbo:before-cache - the snapshot must not keep empty rows: their contents only live here
+  restoreAll() {
+    this.detached.forEach((contents, row) => this.restore(row))
+  }
+}
@@ -0,0 +1,165 @@
+import { Controller } from "@hotwired/stimulus"
+import { LruCache } from "lib/lru_cache"
+
+// Stimulus controller for the split-pane issue preview on the issues index
+// The keyboard-shortcuts controller dispatches keyboard-shortcuts:focus as j/k move through
+// the list; the focused issue is then loaded into the preview Turbo Frame (issues#show renders
+// just the frame for it). Loads wait for focus to settle, requests for issues the user has
+// already moved past are aborted, and the issues either side of the focused one are
+// prefetched into an LRU cache. Prefetches come from the app's local copy (no GitHub calls),
+// so a prefetched preview is shown at once and the full one is loaded when focus settles on it.
+// Below the xl breakpoint the pane is hidden and nothing loads.
+export default class extends Controller {
+  static targets = ["pane", "frame"]
+  static values = {
+    errorMessage: String,
+    delay: { type: Number, default: 150 },          // ms to wait for j/k to settle
+    cacheSize: { type: Number, default: 20 },
+    ttl: { type: Number, default: 2 * 60 * 1000 }   // Cached previews older than this are refetched
+  }
+
+  connect() {
+    this.cache = new LruCache(this.cacheSizeValue)  // url => { html, fetchedAt, prefetched }
+    this.requests = new Map()                       // url => { promise, abortController, prefetch }
+    this.currentUrl = null
+    this.timer = null
+    this.wideScreen = window.matchMedia("(min-width: 1280px)")
+  }
+
+  disconnect() {
+    clearTimeout(this.timer)
+    this.abortRequests()
+  }
+
+  // keyboard-shortcuts:focus
+  show({ detail: { item } }) {
+    const url = item.dataset.previewUrl
+    if (!this.hasFrameTarget || !this.wideScreen.matches || !url || url === this.currentUrl) return
+
+    this.currentUrl = url
+    clearTimeout(this.timer)
+
+    const entry = this.cached(url)
+    if (entry) {
+      this.render(entry.html)
+      if (!entry.prefetched) {
+        this.prefetchAround(item)
+        return
+      }
+    } else {
+      this.frameTarget.setAttribute("aria-busy", "true")
+      this.frameTarget.classList.add("opacity-50")
+    }
+
+    this.timer = setTimeout(() => this.loadFocused(item, url), this.delayValue)
+  }
+
+  async loadFocused(item, url) {
+    // Cancel requests for issues that are no longer focused or next to the focused one
+    this.abortRequests([url, ...this.neighbourUrls(item)])
+
+    try {
+      const html = await this.load(url)
+      if (url === this.currentUrl) this.render(html)
+      this.prefetchAround(item)
+    } catch (error) {
+      if (error.name === "AbortError") return
+
+      console.error("Error loading issue preview:", error)
+      // Keep a prefetched preview that's already shown
+      if (url === this.currentUrl && !this.cached(url)) this.renderError()
+    }
+  }
+
+  // Fetch the preview frame for an issue, sharing requests already in flight (a full load
+  // also serves a prefetch, but replaces a prefetch in flight)
+  load(url, { prefetch = false } = {}) {
+    const request = this.requests.get(url)
+    if (request && (prefetch || !request.prefetch)) return request.promise
+    request?.abortController.abort()
+
+    const headers = { "Accept": "text/html", "Turbo-Frame": this.frameTarget.id }
+    if (prefetch) headers["X-Sec-Purpose"] = "prefetch"
+
+    const abortController = new AbortController()
+    const promise = fetch(url, { signal: abortController.signal, headers })
+      .then(async response => {
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`)
+        }
+
+        const html = this.extractFrame(await response.text())
+        this.cache.set(url, { html, fetchedAt: Date.now(), prefetched: prefetch })
+        return html
+      })
+      .finally(() => {
+        if (this.requests.get(url)?.promise === promise) this.requests.delete(url)
+      })
+
+    this.requests.set(url, { promise, abortController, prefetch })
+    return promise
+  }
+
+  prefetchAround(item) {
+    this.neighbourUrls(item)
+      .filter(url => !this.cached(url))
+      .forEach(url => {
+        this.load(url, { prefetch: true }).catch(error => {
+          if (error.name !== "AbortError") console.error("Error prefetching issue preview:", error)
+        })
+      })
+  }
+
+  // Abort in-flight requests, except for the given urls
+  abortRequests(keep = []) {
+    this.requests.forEach(({ abortController }, url) => {
+      if (keep.includes(url)) return
+
+      abortController.abort()
+      this.requests.delete(url)
+    })
+  }
+
+  // Preview urls of the issues before and after an item in the list
+  neighbourUrls(item) {
+    const items = Array.from(this.element.querySelectorAll("[data-preview-url]"))
+    const index = items.indexOf(item)
+
+    return [items[index - 1], items[index + 1]]
+      .filter(neighbour => index !== -1 && neighbour)
+      .map(neighbour => neighbour.dataset.previewUrl)
+  }
+
+  cached(url) {
+    const entry = this.cache.get(url)
+    return entry && Date.now() - entry.fetchedAt < this.ttlValue ? entry : null
+  }
+
+  // The contents of our frame in a full response, like Turbo does for frame navigation
+  extractFrame(html) {
+    const frame = new DOMParser().parseFromString(html, "text/html").getElementById(this.frameTarget.id)
+    if (!frame) {
+      throw new Error("Preview frame missing from response")
+    }
+
+    return frame.innerHTML
+  }
+
+  render(html) {
+    this.frameTarget.innerHTML = html
+    this.frameTarget.removeAttribute("aria-busy")
+    this.frameTarget.classList.remove("opacity-50")
+
+    if (this.hasPaneTarget) this.paneTarget.scrollTop = 0
+  }
+
+  renderError() {
+    const message = document.createElement("p")
+    message.className = "px-6 py-12 text-center text-sm text-red-600 dark:text-red-400"
+    message.textContent = this.errorMessageValue
+
+    this.frameTarget.replaceChildren(message)
+    this.frameTarget.removeAttribute("aria-busy")
+    this.frameTarget.classList.remove("opacity-50")
+  }
+}
@@ -0,0 +1,18 @@
+import { Controller } from "@hotwired/stimulus"
+import { Turbo } from "@hotwired/turbo-rails"
+
+// Stimulus controller for a background refresh of the issues list
+// RefreshIssuesJob broadcasts the refresh's progress as it syncs (see IssueRefresh), replacing
+// this element each time. Once the refresh completes the page is visited again, swapping in
+// the refreshed list with the current search.
+export default class extends Controller {
+  static values = {
+    status: String
+  }
+
+  statusValueChanged() {
+    if (this.statusValue === "completed") {
+      Turbo.visit(window.location.href, { action: "replace" })
+    }
+  }
+}
@@ -0,0 +1,56 @@
+import { Controller } from "@hotwired/stimulus"
+import { updateIssue } from "lib/issue_edits"
+
+// Stimulus controller for closing and reopening the issue from the issue page sidebar
+// The state badges and button switch right away and switch back if GitHub rejects the change.
+// Badges for both states are rendered into templates so the page can show either.
+export default class extends Controller {
+  static targets = ["badge", "button", "error", "openBadge", "closedBadge"]
+  static values = {
+    url: String,      // The issue's sidebar action endpoint
+    state: String,    // "open" or "closed"
+    messages: Object  // Button labels: close, closing, reopen, reopening
+  }
+
+  async toggle(event) {
+    event.preventDefault()
+    if (this.pending) return
+
+    const previous = this.stateValue
+    const operation = previous === "open" ? "close" : "reopen"
+
+    this.pending = true
+    this.stateValue = previous === "open" ? "closed" : "open"
+    this.errorTarget.classList.add("hidden")
+
+    try {
+      const issue = await updateIssue(this.urlValue, operation)
+      this.stateValue = issue.state
+    } catch (error) {
+      console.error("Error updating issue state:", error)
+      this.stateValue = previous
+      this.errorTarget.textContent = error.message
+      this.errorTarget.classList.remove("hidden")
+    } finally {
+      this.pending = false
+      this.render()
+    }
+  }
+
+  stateValueChanged() {
+    this.render()
+  }
+
+  render() {
+    const template = this.stateValue === "open" ? this.openBadgeTarget : this.closedBadgeTarget
+    this.badgeTargets.forEach(badge => badge.replaceChildren(template.content.cloneNode(true)))
+
+    if (this.pending) {
+      this.buttonTarget.disabled = true
+      this.buttonTarget.textContent = this.messagesValue[this.stateValue === "open" ? "reopening" : "closing"]
+    } else {
+      this.buttonTarget.disabled = false
+      this.buttonTarget.textContent = this.messagesValue[this.stateValue === "open" ? "close" : "reopen"]
+    }
+  }
+}
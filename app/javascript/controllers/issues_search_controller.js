@@ -1,7 +1,10 @@
 import { Controller } from "@hotwired/stimulus"
+import { editSearchField } from "lib/search_query"
 
 // Stimulus controller for issues search input
 export default class extends Controller {
+  static targets = ["input"]
+
   // Move cursor to end of input when focused (instead of selecting all text)
   moveCursorToEnd(event) {
     const input = event.target
@@ -12,4 +15,15 @@ export default class extends Controller {
       input.setSelectionRange(length, length)
     }, 0)
   }
+
+  // Switch between open and closed issues without touching the rest of the query
+  // The links work on their own; this keeps whatever has been typed but not searched yet.
+  // Modified clicks (new tab or window) are left to the link.
+  selectState(event) {
+    if (!this.hasInputTarget || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return
+
+    event.preventDefault()
+    editSearchField(this.inputTarget, query => query.setState(event.params.state))
+    this.inputTarget.form.requestSubmit()
+  }
 }
@@ -1,34 +1,175 @@
 import { Controller } from "@hotwired/stimulus"
-
+import { Turbo } from "@hotwired/turbo-rails"
+import { shortcuts, formatKey } from "lib/shortcut_registry"
+import { rememberSearchResults, adjacentSearchResult } from "lib/search_results"
+
+// Action of the latest Turbo visit ("restore" for back/forward navigation)
+let lastVisitAction = null
+document.addEventListener("turbo:visit", event => { lastVisitAction = event.detail.action })
+
+// Page-level keyboard shortcuts: list navigation (j/k, g g/G) and actions on the focused item,
+// search focus and the help modal
+// Bindings live in the shared shortcut registry alongside those other controllers
+// register (filter dropdowns, navbar); the help modal is built from the registry when opened.
+// The user's remapped keys come from the keyboard-shortcuts meta tag in the layout.
+// The focused position is kept per URL in sessionStorage and restored on back navigation.
+// Moving focus dispatches keyboard-shortcuts:focus with the item (the issue preview listens),
+// and x / Shift-x dispatch keyboard-shortcuts:select (the bulk actions bar listens).
+// Items that take focus themselves (tabindex, like the issue page's comments and events) are
+// focused directly instead of a link inside them. Leaving an issue list remembers its issues
+// (lib/search_results.js), so [ and ] on an issue page step through the search it came from.
 export default class extends Controller {
-  static targets = ["issueCard", "navigableItem", "searchInput", "modal"]
-  static outlets = ["filter-dropdown"]
+  static targets = ["issueCard", "navigableItem", "timelineItem", "searchInput", "modal", "helpBody", "sequence", "status"]
   static values = {
     navigableTarget: { type: String, default: "navigableItem" },
-    linkSelector: { type: String, default: "a" }
+    linkSelector: { type: String, default: "a" },
+    itemName: { type: String, default: "item" },  // used in the help text, e.g. "Next/previous issue"
+    messages: Object   // copied, failed (the status toast)
   }
 
   connect() {
     this.currentFocusIndex = -1
-    this.handleKeydown = this.handleKeydown.bind(this)
+    this.focusNextWhenLoaded = false
     this.handleFocusIn = this.handleFocusIn.bind(this)
-    document.addEventListener("keydown", this.handleKeydown)
     document.addEventListener("focusin", this.handleFocusIn)
+
+    this.loadUserBindings()
+
+    // Registration-level `when` keeps keys for missing page parts out of the help modal
+    this.unregisterShortcuts = [
+      shortcuts.register("page", this.navigationShortcuts(), { when: () => this.hasNavigableTargets() }),
+      shortcuts.register("page", this.issueShortcuts(), { when: () => this.hasIssueCardTarget }),
+      shortcuts.register("page", this.timelineShortcuts(), { when: () => this.navigableTargetValue === "timelineItem" }),
+      shortcuts.register("page", this.searchResultShortcuts(), { when: () => this.hasSearchResults() }),
+      shortcuts.register("page", this.searchShortcuts(), { when: () => this.hasSearchInputTarget }),
+      shortcuts.register("page", this.helpShortcuts(), { when: () => this.hasModalTarget }),
+      shortcuts.register("global", this.sequenceShortcuts()),
+      // While the help modal is open only its own keys work
+      shortcuts.register("overlay", [
+        { id: "help.toggle", handler: () => this.hideHelp(), allowInInputs: true },
+        { keys: "Escape", handler: () => this.hideHelp(), allowInInputs: true }
+      ], { modal: true, when: () => this.isHelpOpen() })
+    ]
+
+    if (lastVisitAction === "restore") this.restoreFocus()
   }
 
   disconnect() {
-    document.removeEventListener("keydown", this.handleKeydown)
+    this.unregisterShortcuts.forEach(unregister => unregister())
     document.removeEventListener("focusin", this.handleFocusIn)
+
+    if (this.hasIssueCardTarget) {
+      rememberSearchResults(this.issueCardTargets.map(card => card.dataset.previewUrl))
+    }
+  }
+
+  // Per-user key remapping saved from the profile edit page (no meta tag when signed out)
+  loadUserBindings() {
+    const meta = document.querySelector('meta[name="keyboard-shortcuts"]')
+
+    try {
+      shortcuts.setOverrides(meta ? JSON.parse(meta.content) : {})
+    } catch (error) {
+      console.error("Error loading keyboard shortcuts:", error)
+    }
+  }
+
+  navigationShortcuts() {
+    return [
+      {
+        id: "list.move",
+        description: `Next/previous ${this.itemNameValue}`,
+        handler: (event, key, index) => index === 0 ? this.focusNext() : this.focusPrevious()
+      },
+      { id: "list.ends", handler: (event, key, index) => this.focusEdge({ last: index === 1 }) },
+      { id: "list.clearFocus", when: () => this.currentFocusIndex >= 0, handler: () => this.clearFocus() },
+      {
+        id: "list.open",
+        description: `Open ${this.itemNameValue}`,
+        when: () => this.focusedItem() !== null,
+        handler: () => this.openFocused()
+      }
+    ]
+  }
+
+  // Actions on the focused issue card
+  issueShortcuts() {
+    const hasFocusedItem = () => this.focusedItem() !== null
+
+    return [
+      { id: "issues.openInGitHub", when: hasFocusedItem, handler: () => this.openFocusedOnGitHub() },
+      { id: "issues.select", when: hasFocusedItem, handler: () => this.selectFocused() },
+      { id: "issues.selectRange", when: hasFocusedItem, handler: () => this.selectFocused({ range: true }) },
+      { id: "issues.preview", when: hasFocusedItem, handler: () => this.toggleFocusedPreview() }
+    ]
+  }
+
+  // Actions on the issue page's focused comment or event
+  timelineShortcuts() {
+    return [
+      { id: "comments.copyLink", when: () => this.focusedItem() !== null, handler: () => this.copyFocusedLink() }
+    ]
+  }
+
+  // Previous/next issue from the list the issue was opened from
+  searchResultShortcuts() {
+    return [
+      {
+        id: "issues.adjacent",
+        handler: (event, key, index) => this.visitSearchResult(index === 0 ? 1 : -1)
+      }
+    ]
+  }
+
+  searchShortcuts() {
+    return [
+      { id: "search.focus", handler: () => this.focusSearch() },
+      { id: "search.focusAnywhere", allowInInputs: true, handler: () => this.focusSearch() },
+      {
+        // Escape leaves the search field
+        keys: "Escape",
+        allowInInputs: true,
+        when: () => document.activeElement === this.searchInputTarget,
+        handler: () => this.searchInputTarget.blur()
+      },
+      {
+        // Arrow keys move between filter dropdown buttons
+        keys: ["ArrowLeft", "ArrowRight"],
+        when: () => this.isFilterDropdownButtonFocused(),
+        handler: (event, key) => this.navigateFilterButtons(key === "ArrowRight")
+      }
+    ]
+  }
+
+  helpShortcuts() {
+    return [
+      { id: "help.toggle", handler: () => this.toggleHelp() }
+    ]
+  }
+
+  // "Go to" links rendered by KeyboardShortcutsModalComponent
+  sequenceShortcuts() {
+    return this.sequenceTargets.map(link => ({
+      id: link.dataset.shortcutId,
+      handler: () => link.click()  // Let Turbo handle the visit
+    }))
+  }
+
+  // Cards appended by infinite scroll; continue a j pressed at the end of the list
+  issueCardTargetConnected(card) {
+    if (this.focusNextWhenLoaded && this.getNavigableTargets().indexOf(card) === this.currentFocusIndex + 1) {
+      this.focusNextWhenLoaded = false
+      this.focusNext()
+    }
   }
 
-  // Get navigable items with backward compatibility for issueCard
+  // Items of the target named by navigableTarget (issueCard, navigableItem or timelineItem)
   getNavigableTargets() {
-    // Use navigableItem if available, otherwise fall back to issueCard
-    return this.hasNavigableItemTarget ? this.navigableItemTargets : this.issueCardTargets
+    return this.targets.findAll(this.navigableTargetValue)
   }
 
   hasNavigableTargets() {
-    return this.hasNavigableItemTarget || this.hasIssueCardTarget
+    return this.targets.has(this.navigableTargetValue)
   }
 
   handleFocusIn(event) {
@@ -39,123 +180,140 @@ export default class extends Controller {
       card.classList.remove("keyboard-focused")
     })
 
-    // Update currentFocusIndex if a navigable link is focused
+    // Update currentFocusIndex if a navigable item or link is focused
     const target = event.target
-    if (target && target.tagName === 'A' && target.href) {
+    if (targets.includes(target)) {
+      this.trackFocus(target)
+    } else if (target && target.tagName === 'A' && target.href) {
       // Check if this link matches our configured selector
       if (target.matches(this.linkSelectorValue)) {
         // Find which navigable card contains this link
-        const targetName = this.hasNavigableItemTarget ? "navigableItem" : "issueCard"
-        const card = target.closest(`[data-keyboard-shortcuts-target="${targetName}"]`)
-        if (card) {
-          const newIndex = targets.indexOf(card)
-          if (newIndex !== -1) {
-            this.currentFocusIndex = newIndex
-          }
-        }
+        const card = target.closest(`[data-keyboard-shortcuts-target~="${this.navigableTargetValue}"]`)
+        if (card) this.trackFocus(card)
       }
     } else {
       // Focus moved to a non-navigable element, clear the index
       this.currentFocusIndex = -1
+      this.focusNextWhenLoaded = false
+      this.rememberFocus()
     }
   }
 
-  handleKeydown(event) {
-    // Don't intercept shortcuts if user is typing in an input, textarea, or contenteditable
-    const target = event.target
-    if (this.isTypingContext(target)) {
-      // Allow Cmd/Ctrl-/ even in inputs to focus search
-      if (event.key === "/" && (event.metaKey || event.ctrlKey)) {
-        event.preventDefault()
-        this.focusSearch()
-      }
-      // Allow Escape to blur the search input
-      if (event.key === "Escape" && this.hasSearchInputTarget && target === this.searchInputTarget) {
-        event.preventDefault()
-        this.searchInputTarget.blur()
-      }
-      return
+  trackFocus(card) {
+    const newIndex = this.getNavigableTargets().indexOf(card)
+    if (newIndex !== -1 && newIndex !== this.currentFocusIndex) {
+      this.currentFocusIndex = newIndex
+      this.rememberFocus()
+      this.dispatch("focus", { detail: { item: card } })
     }
+  }
 
-    // Handle keyboard shortcuts
-    switch (event.key) {
-      case "/":
-        if (!event.shiftKey) {
-          event.preventDefault()
-          this.focusSearch()
-        } else {
-          // Shift-/ shows help modal
-          event.preventDefault()
-          this.toggleHelp()
-        }
-        break
-      case "?":
-        // Alternative for Shift-/ (produces ? on some keyboards)
-        event.preventDefault()
-        this.toggleHelp()
-        break
-      case "j":
-        event.preventDefault()
-        this.focusNext()
-        break
-      case "k":
-        event.preventDefault()
-        this.focusPrevious()
-        break
-      case "a":
-        event.preventDefault()
-        this.openFilterDropdown("assignee")
-        break
-      case "l":
-        event.preventDefault()
-        this.openFilterDropdown("label")
-        break
-      case "u":
-        event.preventDefault()
-        this.openFilterDropdown("author")
-        break
-      case "s":
-        event.preventDefault()
-        this.openFilterDropdown("sort")
-        break
-      case "ArrowUp":
-      case "ArrowDown":
-        // Allow arrow navigation in open dropdown menus
-        if (this.isDropdownMenuOpen()) {
-          // Let browser handle navigation in dropdowns
-          return
-        }
-        break
-      case "ArrowLeft":
-      case "ArrowRight":
-        // Handle arrow navigation between filter dropdown buttons
-        if (this.isFilterDropdownButtonFocused()) {
-          event.preventDefault()
-          this.navigateFilterButtons(event.key === "ArrowRight")
-        }
-        break
-      case "Escape":
-        // Clear focus when Escape is pressed
-        if (this.currentFocusIndex >= 0) {
-          event.preventDefault()
-          this.clearFocus()
-        }
-        break
+  // The keyboard-focused item, as long as focus hasn't left it
+  focusedItem() {
+    const item = this.getNavigableTargets()[this.currentFocusIndex]
+    return item && item.contains(document.activeElement) ? item : null
+  }
+
+  openFocused() {
+    const link = this.focusedItem()?.querySelector(this.linkSelectorValue)
+    if (link) {
+      link.click()  // Let Turbo handle the visit
     }
   }
 
-  isTypingContext(element) {
-    if (!element) return false
+  openFocusedOnGitHub() {
+    const url = this.focusedItem()?.dataset.githubUrl
+    if (url) {
+      window.open(url, "_blank", "noopener")
+    }
+  }
 
-    const tagName = element.tagName.toLowerCase()
-    const isContentEditable = element.isContentEditable
+  // Toggle the focused card's selection, or select up to it with range (the bulk-actions controller listens)
+  selectFocused({ range = false } = {}) {
+    const item = this.focusedItem()
+    if (item) {
+      this.dispatch("select", { detail: { item, range } })
+    }
+  }
+
+  // Copy a link to the focused comment (its id is the anchor), or to the issue for the
+  // issue body and events
+  async copyFocusedLink() {
+    const item = this.focusedItem()
+    if (!item) return
+
+    const url = new URL(window.location.pathname, window.location.origin)
+    if (item.id) url.hash = item.id
+
+    try {
+      await navigator.clipboard.writeText(url.href)
+      this.showStatus(this.messagesValue.copied)
+    } catch (error) {
+      console.error("Error copying link:", error)
+      this.showStatus(this.messagesValue.failed)
+    }
+  }
+
+  // Briefly show a message in the status toast
+  showStatus(message) {
+    if (!this.hasStatusTarget || !message) return
+
+    this.statusTarget.textContent = message
+    this.statusTarget.classList.remove("hidden")
+
+    clearTimeout(this.statusTimer)
+    this.statusTimer = setTimeout(() => this.statusTarget.classList.add("hidden"), 2000)
+  }
+
+  hasSearchResults() {
+    return adjacentSearchResult(window.location.pathname, 0) !== null
+  }
 
-    return (
-      tagName === "input" ||
-      tagName === "textarea" ||
-      tagName === "select" ||
-      isContentEditable
-    )
+  visitSearchResult(offset) {
+    const path = adjacentSearchResult(window.location.pathname, offset)
+    if (path) Turbo.visit(path)
+  }
+
+  toggleFocusedPreview() {
+    const preview = this.focusedItem()?.querySelector("[data-issue-preview]")
+    if (preview) {
+      preview.hidden = !preview.hidden
+    }
+  }
+
+  focusStorageKey() {
+    return `list-focus:${window.location.pathname}${window.location.search}`
+  }
+
+  // Remember the focused position for this URL so back navigation can restore it
+  rememberFocus() {
+    try {
+      if (this.currentFocusIndex >= 0) {
+        sessionStorage.setItem(this.focusStorageKey(), this.currentFocusIndex)
+      } else {
+        sessionStorage.removeItem(this.focusStorageKey())
+      }
+    } catch {
+      // Storage disabled - focus just won't survive navigation
+    }
+  }
+
+  restoreFocus() {
+    let stored = null
+    try {
+      stored = sessionStorage.getItem(this.focusStorageKey())
+    } catch {
+      return
+    }
+
+    const targets = this.getNavigableTargets()
+    if (stored === null || targets.length === 0) return
+
+    targets.forEach(card => {
+      card.classList.remove("keyboard-focused")
+    })
+    this.currentFocusIndex = Math.min(Number(stored), targets.length - 1)
+    this.applyFocus()
   }
 
   focusSearch() {
@@ -180,6 +338,8 @@ export default class extends Controller {
     this.currentFocusIndex++
     if (this.currentFocusIndex >= targets.length) {
       this.currentFocusIndex = targets.length - 1
+      // Move on once the next page of an infinite-scrolling list arrives
+      this.focusNextWhenLoaded = true
     }
 
     this.applyFocus()
@@ -187,6 +347,7 @@ export default class extends Controller {
 
   focusPrevious() {
     if (!this.hasNavigableTargets()) return
+    this.focusNextWhenLoaded = false
 
     const targets = this.getNavigableTargets()
 
@@ -204,44 +365,53 @@ export default class extends Controller {
     this.applyFocus()
   }
 
+  // Focus the first or last item (g g / G)
+  focusEdge({ last = false } = {}) {
+    const targets = this.getNavigableTargets()
+    if (targets.length === 0) return
+
+    this.focusNextWhenLoaded = false
+    targets.forEach(card => {
+      card.classList.remove("keyboard-focused")
+    })
+
+    this.currentFocusIndex = last ? targets.length - 1 : 0
+    this.applyFocus()
+  }
+
   applyFocus() {
     const targets = this.getNavigableTargets()
     if (this.currentFocusIndex >= 0 && this.currentFocusIndex < targets.length) {
       const card = targets[this.currentFocusIndex]
+
+      // Listeners run before the link is looked up, so a virtualized row can restore its contents
+      this.dispatch("focus", { detail: { item: card } })
+
       card.classList.add("keyboard-focused")
       card.scrollIntoView({ behavior: "smooth", block: "nearest" })
 
-      // Focus the link within the card
-      const link = card.querySelector(this.linkSelectorValue)
-      if (link) {
-        link.focus()
+      // Focus the card itself when it takes focus, otherwise the link within it
+      if (card.hasAttribute("tabindex")) {
+        card.focus({ preventScroll: true })
+      } else {
+        const link = card.querySelector(this.linkSelectorValue)
+        if (link) {
+          link.focus()
+        }
       }
+
+      this.rememberFocus()
     }
   }
 
   clearFocus() {
+    this.focusNextWhenLoaded = false
     const targets = this.getNavigableTargets()
     targets.forEach(card => {
       card.classList.remove("keyboard-focused")
     })
     this.currentFocusIndex = -1
-  }
-
-  openFilterDropdown(type) {
-    // Find the filter dropdown controller for the specified type
-    const dropdown = document.querySelector(`[data-qualifier-type="${type}"]`)
-    if (dropdown) {
-      const controller = this.application.getControllerForElementAndIdentifier(
-        dropdown,
-        "filter-dropdown"
-      )
-      if (controller && !controller.isOpen()) {
-        // Close other dropdowns first
-        controller.closeOtherDropdowns()
-        // Open this dropdown
-        controller.openMenu()
-      }
-    }
+    this.rememberFocus()
   }
 
   toggleHelp() {
@@ -257,6 +427,8 @@ export default class extends Controller {
 
   showHelp() {
     if (this.hasModalTarget) {
+      // Build the list before opening so the modal's own keys don't hide the page's
+      this.renderHelp()
       this.modalTarget.classList.remove("hidden")
       // Focus the modal for accessibility
       this.modalTarget.focus()
@@ -269,6 +441,68 @@ export default class extends Controller {
     }
   }
 
+  isHelpOpen() {
+    return this.hasModalTarget && !this.modalTarget.classList.contains("hidden")
+  }
+
+  // Fill the help modal with the shortcuts active on this page
+  renderHelp() {
+    if (!this.hasHelpBodyTarget) return
+
+    this.helpBodyTarget.replaceChildren(...shortcuts.categories().map(group => this.createHelpCategory(group)))
+  }
+
+  createHelpCategory({ category, items }) {
+    const section = document.createElement("div")
+
+    const heading = document.createElement("h3")
+    heading.className = "text-sm font-semibold text-gray-900 dark:text-white mb-3"
+    heading.textContent = category
+    section.appendChild(heading)
+
+    const list = document.createElement("div")
+    list.className = "space-y-2"
+    items.forEach(item => list.appendChild(this.createHelpRow(item)))
+    section.appendChild(list)
+
+    return section
+  }
+
+  createHelpRow(item) {
+    const row = document.createElement("div")
+    row.className = "flex items-center justify-between py-2"
+
+    const keys = document.createElement("div")
+    keys.className = "flex items-center gap-2"
+    item.keys.forEach(key => {
+      // Sequences show as "g then d"
+      key.split(" ").forEach((part, index) => {
+        if (index > 0) {
+          const then = document.createElement("span")
+          then.className = "text-xs text-gray-500 dark:text-gray-400"
+          then.textContent = "then"
+          keys.appendChild(then)
+        }
+        keys.appendChild(this.createKey(formatKey(part)))
+      })
+    })
+    row.appendChild(keys)
+
+    const description = document.createElement("div")
+    description.className = "text-sm text-gray-600 dark:text-gray-400"
+    description.textContent = item.description
+    row.appendChild(description)
+
+    return row
+  }
+
+  createKey(label) {
+    const key = document.createElement("kbd")
+    key.className = "px-2.5 py-1.5 text-xs font-semibold text-gray-900 dark:text-white bg-gray-100 dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded shadow-sm min-w-[2rem] text-center"
+    key.textContent = label
+    return key
+  }
+
   // Action for closing modal from template
   closeHelp(event) {
     event.preventDefault()
@@ -282,19 +516,6 @@ export default class extends Controller {
     }
   }
 
-  // Check if any dropdown menu is currently open and visible
-  isDropdownMenuOpen() {
-    // Check for any dropdown menu with role="menu" that is visible
-    const dropdowns = document.querySelectorAll('[role="menu"]')
-    for (const dropdown of dropdowns) {
-      // Check if dropdown is visible (not hidden)
-      if (dropdown.offsetParent !== null && !dropdown.classList.contains('hidden')) {
-        return true
-      }
-    }
-    return false
-  }
-
   // Check if a filter dropdown button currently has focus
   isFilterDropdownButtonFocused() {
     const activeElement = document.activeElement
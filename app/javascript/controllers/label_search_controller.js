@@ -1,80 +1,88 @@
 import { Controller } from "@hotwired/stimulus"
+import { fetchCached, isTruncated } from "lib/data_cache"
+import { fuzzyFilter, highlightMatch } from "lib/fuzzy_match"
+import { fieldValues, toggleFieldValue } from "lib/form_fields"
+import { PickerEdits, createCheckmark, itemAction } from "lib/picker_edits"
 
 // Stimulus controller for label search in filter dropdowns
-// Fetches repository labels from GitHub REST API once and caches client-side
+// Loads repository labels through the shared data cache so repeat visits open instantly,
+// then fuzzy-filters them locally as the user types
+// In form-field mode (a field value, e.g. on the new issue form) clicking a label toggles a
+// hidden input in the fields target instead of editing the search query, and the chosen
+// labels are shown in the summary target
+// In edit mode (an edit URL, e.g. in the issue sidebar) clicking a label adds it to or removes it
+// from the issue right away, rolling back if GitHub rejects the change
 export default class extends Controller {
-  static targets = ["search", "results", "loading"]
+  static targets = ["search", "results", "loading", "fields", "summary", "error"]
   static values = {
     url: String,      // API endpoint URL (e.g., /repositories/1/labels)
-    selected: Array   // Currently selected label names
+    selected: Array,  // Currently selected label names
+    field: String,    // Form-field mode: name of the hidden inputs (e.g., issue[labels][])
+    editUrl: String   // Edit mode: the issue's sidebar action endpoint
   }
 
   connect() {
+    this.edits = new PickerEdits(this, 'labels')
     this.debounceTimer = null
-    this.abortController = null
     this.searchAbortController = null  // Separate abort controller for search requests
     this.cachedLabels = null  // Cache full list client-side
 
+    if (this.hasFieldValue) {
+      this.selectedValue = fieldValues(this.fieldsTarget, this.fieldValue)
+      this.renderSummary()
+    }
+
     // Fetch and cache labels on page load
     this.loadLabels()
   }
 
-  // Fetch labels from API once and cache
+  // Load labels from the shared cache (fetching on a miss, revalidating when stale)
   async loadLabels() {
     // Show loading state
     this.showLoading()
 
-    // Create abort controller for this request
-    this.abortController = new AbortController()
-
     try {
-      const url = new URL(this.urlValue, window.location.origin)
-
-      const response = await fetch(url, {
-        signal: this.abortController.signal,
-        headers: {
-          'Accept': 'application/json'
-        }
+      const labels = await fetchCached(this.urlValue, {
+        onUpdate: fresh => this.labelsLoaded(fresh)
       })
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`)
-      }
+      this.labelsLoaded(labels)
+    } catch (error) {
+      console.error('Error fetching labels:', error)
+      this.showError()
+    } finally {
+      this.hideLoading()
+    }
+  }
 
-      const labels = await response.json()
+  labelsLoaded(labels) {
+    // Cache the full list for client-side filtering
+    this.cachedLabels = labels
+
+    // Let other controllers (e.g. search chips) pick up label colors
+    this.dispatch("loaded", { detail: { labels } })
 
-      // Cache the full list for client-side filtering
-      this.cachedLabels = labels
+    // In edit mode the server-rendered section stays until something changes
+    if (!this.hasEditUrlValue) this.renderSummary()
 
-      // Display initial list
+    // Don't replace search results the user is looking at
+    if (!this.hasSearchTarget || !this.searchTarget.value.trim()) {
       this.displayResults(this.cachedLabels)
-    } catch (error) {
-      if (error.name !== 'AbortError') {
-        console.error('Error fetching labels:', error)
-        this.showError()
-      }
-    } finally {
-      this.hideLoading()
     }
   }
 
-  // Handle search input with debouncing
+  // Filter the cached list as the user types
   search(event) {
-    const query = event.target.value
+    const query = event.target.value.trim()
 
-    // Clear existing timer
+    // Clear any pending server search
     if (this.debounceTimer) {
       clearTimeout(this.debounceTimer)
     }
+    if (this.searchAbortController) {
+      this.searchAbortController.abort()
+    }
 
-    // Debounce search (wait 300ms after user stops typing)
-    this.debounceTimer = setTimeout(() => {
-      this.performSearch(query.trim())
-    }, 300)
-  }
-
-  // Perform search - use API for queries, cached data when empty
-  async performSearch(query) {
     // If no query, restore cached initial list
     if (!query) {
       if (this.cachedLabels) {
@@ -83,13 +91,22 @@ export default class extends Controller {
       return
     }
 
-    // Make API call with search query
-    this.showLoading()
+    if (this.cachedLabels) {
+      this.displayMatches(fuzzyFilter(this.cachedLabels, query, label => label.name))
+    }
 
-    // Abort any pending request
-    if (this.searchAbortController) {
-      this.searchAbortController.abort()
+    // Only go to the server when the cached list doesn't have every label
+    // Debounce (wait 300ms after user stops typing)
+    if (!this.cachedLabels || isTruncated(this.urlValue)) {
+      this.debounceTimer = setTimeout(() => {
+        this.performSearch(query)
+      }, 300)
     }
+  }
+
+  // Server-side search - fallback for labels beyond the cached list
+  async performSearch(query) {
+    this.showLoading()
     this.searchAbortController = new AbortController()
 
     try {
@@ -108,7 +125,11 @@ export default class extends Controller {
       }
 
       const labels = await response.json()
-      this.displayResults(labels)
+
+      // Merge with the cached list so local matches stay visible, then rank everything together
+      const known = new Set((this.cachedLabels || []).map(label => label.name))
+      const combined = (this.cachedLabels || []).concat(labels.filter(label => !known.has(label.name)))
+      this.displayMatches(fuzzyFilter(combined, query, label => label.name))
     } catch (error) {
       if (error.name !== 'AbortError') {
         console.error('Error searching labels:', error)
@@ -119,8 +140,15 @@ export default class extends Controller {
     }
   }
 
+  // Display fuzzy matches in rank order with matched characters highlighted
+  displayMatches(matches) {
+    const highlights = new Map(matches.map(match => [match.item.name, match.indices]))
+    this.displayResults(matches.map(match => match.item), highlights)
+  }
+
   // Display search results
-  displayResults(labels) {
+  // Without highlights (no query) the list is sorted; ranked matches keep their order
+  displayResults(labels, highlights = null) {
     this.resultsTarget.innerHTML = ''
 
     if (labels.length === 0) {
@@ -128,54 +156,86 @@ export default class extends Controller {
       return
     }
 
-    // Sort: selected first, then alphabetically
     const selected = this.selectedValue || []
-    labels.sort((a, b) => {
-      const aSelected = selected.includes(a.name)
-      const bSelected = selected.includes(b.name)
 
-      if (aSelected && !bSelected) return -1
-      if (!aSelected && bSelected) return 1
-      return a.name.localeCompare(b.name)
-    })
+    if (!highlights) {
+      // Sort: selected first, then alphabetically
+      labels = [...labels].sort((a, b) => {
+        const aSelected = selected.includes(a.name)
+        const bSelected = selected.includes(b.name)
+
+        if (aSelected && !bSelected) return -1
+        if (!aSelected && bSelected) return 1
+        return a.name.localeCompare(b.name)
+      })
+    }
 
     labels.forEach(label => {
       const isSelected = selected.includes(label.name)
-      const item = this.createResultItem(label, isSelected)
+      const item = this.createResultItem(label, isSelected, highlights?.get(label.name))
       this.resultsTarget.appendChild(item)
     })
   }
 
+  // Form-field mode: toggle the clicked label's hidden input, keeping the menu open
+  toggleField(event) {
+    event.preventDefault()
+
+    const item = event.currentTarget
+    const selected = toggleFieldValue(this.fieldsTarget, this.fieldValue, item.dataset.value)
+    this.selectedValue = fieldValues(this.fieldsTarget, this.fieldValue)
+
+    item.firstElementChild.replaceWith(createCheckmark(selected))
+    this.renderSummary()
+  }
+
+  // Edit mode: add or remove the clicked label on the issue (see lib/picker_edits.js)
+  toggleEdit(event) {
+    this.edits.toggle(event)
+  }
+
+  // The chosen labels as colored chips (form-field mode, or edit mode once something changed)
+  renderSummary() {
+    if (!this.hasSummaryTarget) return
+
+    const colors = new Map((this.cachedLabels || []).map(label => [label.name, label.color]))
+    this.summaryTarget.innerHTML = ''
+
+    if (this.selectedValue.length === 0) {
+      this.summaryTarget.innerHTML = '<span class="text-sm text-gray-500 dark:text-gray-400">None yet</span>'
+      return
+    }
+
+    this.selectedValue.forEach(name => {
+      const chip = document.createElement('span')
+      chip.className = 'inline-flex items-center gap-1.5 rounded-full px-2 py-0.5 text-xs font-medium text-gray-700 dark:text-gray-200 ring-1 ring-inset ring-gray-200 dark:ring-gray-700'
+
+      const color = colors.get(name)
+      if (color) {
+        const colorDot = document.createElement('span')
+        colorDot.className = 'h-2 w-2 rounded-full'
+        colorDot.style.backgroundColor = `#${color}`
+        chip.appendChild(colorDot)
+      }
+
+      chip.appendChild(document.createTextNode(name))
+      this.summaryTarget.appendChild(chip)
+    })
+  }
+
   // Create a result item element
-  createResultItem(label, isSelected = false) {
+  createResultItem(label, isSelected = false, matchedIndices = []) {
     const button = document.createElement('button')
     button.type = 'button'
     const baseClasses = 'flex items-center gap-2 w-full px-4 py-2 text-left text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors focus:bg-gray-100 dark:focus:bg-gray-700 focus:outline-none'
     button.className = baseClasses
-    button.dataset.action = 'click->filter-dropdown#selectItem'
+    button.dataset.action = itemAction(this)
     button.dataset.value = label.name
     button.dataset.filterDropdownTarget = 'item'
     button.tabIndex = -1
 
     // Checkmark for selected item
-    if (isSelected) {
-      const checkmark = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
-      checkmark.setAttribute('class', 'h-5 w-5 text-emerald-600 dark:text-emerald-400 flex-shrink-0')
-      checkmark.setAttribute('viewBox', '0 0 20 20')
-      checkmark.setAttribute('fill', 'currentColor')
-
-      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path')
-      path.setAttribute('fill-rule', 'evenodd')
-      path.setAttribute('d', 'M16.704 4.153a.75.75 0 01.143 1.052l-8 10.5a.75.75 0 01-1.127.075l-4.5-4.5a.75.75 0 011.06-1.06l3.894 3.893 7.48-9.817a.75.75 0 011.05-.143z')
-      path.setAttribute('clip-rule', 'evenodd')
-
-      checkmark.appendChild(path)
-      button.appendChild(checkmark)
-    } else {
-      const spacer = document.createElement('div')
-      spacer.className = 'h-5 w-5 flex-shrink-0'
-      button.appendChild(spacer)
-    }
+    button.appendChild(createCheckmark(isSelected))
 
     // Label color indicator
     if (label.color) {
@@ -188,7 +248,7 @@ export default class extends Controller {
     // Label name text
     const labelText = document.createElement('span')
     labelText.className = 'flex-1 truncate'
-    labelText.textContent = label.name
+    highlightMatch(labelText, label.name, matchedIndices)
 
     button.appendChild(labelText)
 
@@ -237,9 +297,6 @@ export default class extends Controller {
     if (this.debounceTimer) {
       clearTimeout(this.debounceTimer)
     }
-    if (this.abortController) {
-      this.abortController.abort()
-    }
     if (this.searchAbortController) {
       this.searchAbortController.abort()
     }
@@ -0,0 +1,72 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Stimulus controller for the issue page's live updates
+// Sync appends new comments to the timeline as Turbo Streams (see IssueComment#broadcast_synced).
+// They go in below whatever the reader is looking at, so nothing moves; instead a toast counts
+// the ones that haven't been scrolled into view yet and jumps to the first of them. Comments
+// the page already shows (the timeline API can be ahead of sync) are skipped.
+export default class extends Controller {
+  static targets = ["timeline", "toast", "count"]
+  static values = {
+    messages: Object   // one, other
+  }
+
+  connect() {
+    this.unseen = []
+    this.observer = new IntersectionObserver(entries => this.seen(entries))
+  }
+
+  disconnect() {
+    this.observer.disconnect()
+  }
+
+  // turbo:before-stream-render@document
+  receive(event) {
+    const stream = event.target
+    if (stream.action !== "append" || stream.target !== this.timelineTarget.id) return
+
+    const content = stream.templateElement.content
+    Array.from(content.children)
+      .filter(element => element.id && document.getElementById(element.id))
+      .forEach(element => element.remove())
+
+    const ids = Array.from(content.children, element => element.id).filter(Boolean)
+    if (ids.length === 0) {
+      event.preventDefault()
+      return
+    }
+
+    const render = event.detail.render
+    event.detail.render = async (streamElement) => {
+      await render(streamElement)
+
+      ids.map(id => document.getElementById(id)).filter(Boolean).forEach(element => {
+        this.unseen.push(element)
+        this.observer.observe(element)
+      })
+      this.update()
+    }
+  }
+
+  // Toast click
+  showNew() {
+    this.unseen[0]?.scrollIntoView({ behavior: "smooth", block: "start" })
+  }
+
+  seen(entries) {
+    entries.filter(entry => entry.isIntersecting).forEach(({ target }) => {
+      this.observer.unobserve(target)
+      this.unseen = this.unseen.filter(element => element !== target)
+    })
+
+    this.update()
+  }
+
+  update() {
+    const count = this.unseen.length
+    const message = count === 1 ? this.messagesValue.one : this.messagesValue.other
+
+    this.countTarget.textContent = message.replace("%{count}", count)
+    this.toastTarget.classList.toggle("hidden", count === 0)
+  }
+}
@@ -0,0 +1,40 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Stimulus controller for the issues list's live updates
+// Sync broadcasts a Turbo Stream for each new or changed issue (see Issue#broadcast_synced).
+// Changed cards are replaced wherever they're shown, keeping their selection and keyboard
+// focus. New issues arrive as prepends, which only lists showing every issue in their state,
+// newest first, can place without searching again; the server lists those states in
+// insertStates and new issues in other states are dropped.
+export default class extends Controller {
+  static values = {
+    insertStates: Array
+  }
+
+  // turbo:before-stream-render@document
+  filter(event) {
+    const stream = event.target
+    const card = stream.templateElement?.content.querySelector(".issue-card")
+    if (!card) return
+
+    if (stream.action === "prepend" && stream.target === this.element.id) {
+      if (!this.insertStatesValue.includes(card.dataset.issueState)) event.preventDefault()
+    } else if (stream.action === "replace") {
+      const current = this.element.querySelector(`#${CSS.escape(stream.target)}`)
+      if (current) this.keepState(event, current, card)
+    }
+  }
+
+  // Carry the replaced card's selection and focus over to the new one
+  keepState(event, current, card) {
+    const focused = current.contains(document.activeElement)
+    if (current.dataset.selected) card.dataset.selected = current.dataset.selected
+    if (current.classList.contains("keyboard-focused")) card.classList.add("keyboard-focused")
+
+    const render = event.detail.render
+    event.detail.render = async (stream) => {
+      await render(stream)
+      if (focused) document.getElementById(stream.target)?.querySelector("a[href*='/issues/']")?.focus({ preventScroll: true })
+    }
+  }
+}
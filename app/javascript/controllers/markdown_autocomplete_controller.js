@@ -0,0 +1,217 @@
+import { Controller } from "@hotwired/stimulus"
+import { fetchCached, isTruncated } from "lib/data_cache"
+import { highlightMatch } from "lib/fuzzy_match"
+import { SuggestionList, fetchSuggestions, filterSuggestions } from "lib/suggestion_list"
+import { caretPosition } from "lib/caret_position"
+import { EMOJI } from "lib/emoji"
+
+// What's being typed at the caret: @login, #issue (number or title words) or :emoji
+const TRIGGERS = [
+  { source: "users", prefix: "@", pattern: /(?:^|[^\w`])@([\w-]*)$/ },
+  { source: "issues", prefix: "#", pattern: /(?:^|[\s(])#([^\s#]*)$/ },
+  { source: "emoji", prefix: ":", pattern: /(?:^|\s):([\w+-]+)$/ }
+]
+
+// Connects to data-controller="markdown-autocomplete"
+// Suggestions for any markdown textarea: @mentions from the repository's cached assignable
+// users, #references from the local issue cache and :emoji: from lib/emoji.js, in a popup
+// anchored at the caret. The popup and its keys come from lib/suggestion_list.js
+// (Ctrl/Cmd-Enter still posts).
+export default class extends Controller {
+  static targets = ["input", "list"]
+  static values = {
+    usersUrl: String,   // e.g. /repositories/1/mentionable_users
+    issuesUrl: String,  // e.g. /repositories/1/issue_references
+    limit: { type: Number, default: 8 }
+  }
+
+  connect() {
+    this.token = null
+    this.suggestionList = new SuggestionList(this.inputTarget, this.listTarget, {
+      onSelect: suggestion => this.complete(suggestion),
+      renderOption: (option, suggestion) => this.renderOption(option, suggestion),
+      optionPadding: "px-3 py-1.5"
+    })
+  }
+
+  disconnect() {
+    this.suggestionList.stop()
+  }
+
+  // Look at the token under the caret and show matching suggestions
+  async update() {
+    this.token = this.currentToken()
+
+    if (!this.token) {
+      this.close()
+      return
+    }
+
+    const token = this.token
+    if (token.source === "issues") {
+      this.searchIssues(token)
+      return
+    }
+
+    const items = await this.load(token)
+
+    // Ignore results for a token the user has already moved past
+    if (this.token !== token) return
+
+    this.show(this.filter(items, token.partial))
+
+    // The cached list is only the first page - look further on the server
+    if (token.source === "users" && token.partial && isTruncated(this.usersUrlValue)) {
+      this.searchServer(token, items)
+    }
+  }
+
+  handleKeydown(event) {
+    this.suggestionList.handleKeydown(event)
+  }
+
+  // Replace the token under the caret with the completion
+  complete(suggestion) {
+    if (!suggestion || !this.token) return
+
+    const input = this.inputTarget
+    const { start, end } = this.token
+    const completed = `${suggestion.insert} `
+
+    input.setRangeText(completed, start, end, "end")
+    this.close()
+
+    // Let the composer save the draft
+    input.dispatchEvent(new Event("input", { bubbles: true }))
+  }
+
+  // Find the trigger token that ends at the caret
+  currentToken() {
+    const input = this.inputTarget
+    if (input.selectionStart !== input.selectionEnd) return null
+
+    const end = input.selectionStart
+    const before = input.value.slice(0, end)
+
+    for (const { source, prefix, pattern } of TRIGGERS) {
+      const match = before.match(pattern)
+      if (match) {
+        const partial = match[1]
+        return { source, partial, start: end - partial.length - prefix.length, end }
+      }
+    }
+
+    return null
+  }
+
+  // Users come from the data cache (shared across textareas), emoji are built in
+  async load(token) {
+    if (token.source === "emoji") {
+      return EMOJI.map(({ name, char }) => ({ value: name, label: `:${name}:`, insert: char, glyph: char }))
+    }
+
+    try {
+      const data = await fetchCached(this.usersUrlValue)
+      return data.map(user => this.toSuggestion("users", user))
+    } catch (error) {
+      console.error("Error fetching mention suggestions:", error)
+      return []
+    }
+  }
+
+  // Server-side search for queries the cached list doesn't cover
+  async fetchItems(source, query, signal) {
+    const data = await fetchSuggestions(source === "users" ? this.usersUrlValue : this.issuesUrlValue, query, signal)
+    return data.map(item => this.toSuggestion(source, item))
+  }
+
+  // Debounced user search on the server
+  // Results are merged with the cached users and ranked together
+  searchServer(token, cachedItems) {
+    this.suggestionList.debounce(async signal => {
+      const items = await this.fetchItems("users", token.partial, signal)
+      const known = new Set(cachedItems.map(item => item.value))
+      const combined = cachedItems.concat(items.filter(item => !known.has(item.value)))
+
+      if (this.token === token) this.show(this.filter(combined, token.partial))
+    })
+  }
+
+  // Issues are searched on the server (the local cache can be large), in its order
+  searchIssues(token) {
+    this.suggestionList.debounce(async signal => {
+      const items = await this.fetchItems("issues", token.partial, signal)
+      if (this.token === token) this.show(items.slice(0, this.limitValue))
+    })
+  }
+
+  // Normalize endpoint JSON into { value, label, insert, avatarUrl, detail }
+  toSuggestion(source, item) {
+    switch (source) {
+      case "users":
+        return { value: item.login, label: item.login, insert: `@${item.login}`, avatarUrl: item.avatar_url }
+      case "issues":
+        return { value: String(item.number), label: item.title, insert: `#${item.number}`, detail: `#${item.number}` }
+    }
+  }
+
+  // Fuzzy-ranked matches, remembering matched characters for highlighting
+  filter(items, partial) {
+    return filterSuggestions(items, partial, this.limitValue, item => item.value)
+  }
+
+  show(suggestions) {
+    this.suggestionList.show(suggestions)
+    if (this.suggestionList.isOpen()) this.position()
+  }
+
+  close() {
+    this.suggestionList.close()
+  }
+
+  // Anchor the popup just below the caret, inside the textarea's width
+  position() {
+    const input = this.inputTarget
+    const caret = caretPosition(input, this.token.start)
+    const maxLeft = Math.max(input.offsetWidth - this.listTarget.offsetWidth, 0)
+
+    this.listTarget.style.top = `${input.offsetTop + caret.top + caret.height}px`
+    this.listTarget.style.left = `${input.offsetLeft + Math.min(caret.left, maxLeft)}px`
+  }
+
+  // Fill in a suggestion's list item
+  renderOption(option, suggestion) {
+    if (suggestion.avatarUrl) {
+      const avatar = document.createElement("img")
+      avatar.src = suggestion.avatarUrl
+      avatar.alt = ""
+      avatar.className = "h-5 w-5 rounded-full flex-shrink-0"
+      option.appendChild(avatar)
+    } else if (suggestion.glyph) {
+      const glyph = document.createElement("span")
+      glyph.className = "w-5 text-center flex-shrink-0"
+      glyph.textContent = suggestion.glyph
+      option.appendChild(glyph)
+    }
+
+    // Issue numbers go first, like GitHub's own suggestions
+    if (suggestion.detail) {
+      const detail = document.createElement("span")
+      detail.className = "text-xs text-gray-500 dark:text-gray-400"
+      detail.textContent = suggestion.detail
+      option.appendChild(detail)
+    }
+
+    const label = document.createElement("span")
+    label.className = "flex-1 truncate"
+    if (suggestion.indices) {
+      // Emoji labels are the name wrapped in colons
+      const offset = suggestion.label === suggestion.value ? 0 : 1
+      highlightMatch(label, suggestion.label, suggestion.indices.map(index => index + offset))
+    } else {
+      label.textContent = suggestion.label
+    }
+    option.appendChild(label)
+
+  }
+}
@@ -1,7 +1,9 @@
 import { Controller } from "@hotwired/stimulus"
+import { shortcuts } from "lib/shortcut_registry"
 
 export default class extends Controller {
-  static targets = ["mobileMenu", "mobileOpenIcon", "mobileCloseIcon", "dropdown", "button"]
+  static targets = ["mobileMenu", "mobileOpenIcon", "mobileCloseIcon", "dropdown", "button",
+    "savedSearches", "savedSearchesButton", "savedSearchQuery"]
 
   toggleMobileMenu() {
     this.mobileMenuTarget.classList.toggle("hidden")
@@ -119,10 +121,11 @@ export default class extends Controller {
   }
 
   toggleDropdown() {
+    this.closeSavedSearches({ restoreFocus: false })
     this.dropdownTarget.classList.toggle("hidden")
 
     // Update aria-expanded
-    const button = this.element.querySelector('[aria-haspopup="true"]')
+    const button = this.buttonTarget
     const expanded = button.getAttribute("aria-expanded") === "true"
     button.setAttribute("aria-expanded", !expanded)
   }
@@ -146,7 +149,7 @@ export default class extends Controller {
 
   openDropdown() {
     this.dropdownTarget.classList.remove("hidden")
-    const button = this.element.querySelector('[aria-haspopup="true"]')
+    const button = this.buttonTarget
     button.setAttribute("aria-expanded", "true")
 
     // Add keydown listener for menu navigation
@@ -155,7 +158,7 @@ export default class extends Controller {
 
   closeDropdown() {
     this.dropdownTarget.classList.add("hidden")
-    const button = this.element.querySelector('[aria-haspopup="true"]')
+    const button = this.buttonTarget
     button.setAttribute("aria-expanded", "false")
 
     // Return focus to button
@@ -230,18 +233,123 @@ export default class extends Controller {
   hideDropdown(event) {
     if (!this.element.contains(event.target)) {
       this.dropdownTarget.classList.add("hidden")
-      const button = this.element.querySelector('[aria-haspopup="true"]')
+      const button = this.buttonTarget
       button.setAttribute("aria-expanded", "false")
+      this.closeSavedSearches({ restoreFocus: false })
+    }
+  }
+
+  // Saved searches picker (also opened with `g s`)
+  toggleSavedSearches() {
+    if (this.isSavedSearchesClosed()) {
+      this.openSavedSearches()
+    } else {
+      this.closeSavedSearches()
+    }
+  }
+
+  handleSavedSearchesButtonKeydown(event) {
+    if ((event.key === "ArrowDown" || event.key === "Enter") && this.isSavedSearchesClosed()) {
+      event.preventDefault()
+      event.stopPropagation()
+      this.openSavedSearches({ focusFirst: true })
+    }
+  }
+
+  openSavedSearches({ focusFirst = false } = {}) {
+    if (!this.hasSavedSearchesTarget) return
+
+    this.dropdownTarget.classList.add("hidden")
+    this.buttonTarget.setAttribute("aria-expanded", "false")
+
+    this.savedSearchesTarget.classList.remove("hidden")
+    this.savedSearchesButtonTarget.setAttribute("aria-expanded", "true")
+    document.addEventListener("keydown", this.handleSavedSearchesKeydown)
+
+    if (focusFirst) {
+      const menuItems = this.getSavedSearchItems()
+      if (menuItems.length > 0) {
+        menuItems[0].focus()
+      }
+    }
+  }
+
+  closeSavedSearches({ restoreFocus = true } = {}) {
+    if (!this.hasSavedSearchesTarget || this.isSavedSearchesClosed()) return
+
+    this.savedSearchesTarget.classList.add("hidden")
+    this.savedSearchesButtonTarget.setAttribute("aria-expanded", "false")
+    document.removeEventListener("keydown", this.handleSavedSearchesKeydown)
+
+    if (restoreFocus) {
+      this.savedSearchesButtonTarget.focus()
+    }
+  }
+
+  isSavedSearchesClosed() {
+    return this.savedSearchesTarget.classList.contains("hidden")
+  }
+
+  handleSavedSearchesKeydown(event) {
+    // Leave arrow keys alone while typing a name for a new saved search
+    if (event.target.tagName === "INPUT") return
+
+    const menuItems = this.getSavedSearchItems()
+    const currentIndex = menuItems.indexOf(document.activeElement)
+
+    switch (event.key) {
+      case "ArrowDown":
+        event.preventDefault()
+        if (currentIndex < menuItems.length - 1) {
+          menuItems[currentIndex + 1].focus()
+        }
+        break
+      case "ArrowUp":
+        event.preventDefault()
+        if (currentIndex <= 0) {
+          this.closeSavedSearches()
+        } else {
+          menuItems[currentIndex - 1].focus()
+        }
+        break
+    }
+  }
+
+  getSavedSearchItems() {
+    return Array.from(this.savedSearchesTarget.querySelectorAll('a[role="menuitem"]'))
+  }
+
+  // Save whatever is currently in the issues search field, including unsubmitted edits
+  fillSavedSearchQuery() {
+    const searchField = document.querySelector('input[name="q"]')
+    if (searchField && this.hasSavedSearchQueryTarget) {
+      this.savedSearchQueryTarget.value = searchField.value.trim()
     }
   }
 
   connect() {
+    this.handleSavedSearchesKeydown = this.handleSavedSearchesKeydown.bind(this)
+
+    this.unregisterShortcuts = [
+      shortcuts.register("global", [{
+        id: "goto.savedSearches",
+        when: () => this.hasSavedSearchesTarget,
+        handler: () => this.openSavedSearches({ focusFirst: true })
+      }]),
+      // Page shortcuts pause while the saved searches menu is open
+      shortcuts.register("component", [
+        { keys: "Escape", allowInInputs: true, handler: () => this.closeSavedSearches() }
+      ], { modal: true, when: () => this.hasSavedSearchesTarget && !this.isSavedSearchesClosed() })
+    ]
+
     // Close dropdown when clicking outside
     document.addEventListener("click", this.hideDropdown.bind(this))
   }
 
   disconnect() {
+    this.unregisterShortcuts.forEach(unregister => unregister())
     document.removeEventListener("click", this.hideDropdown.bind(this))
     document.removeEventListener("keydown", this.handleMenuKeydown.bind(this))
+    document.removeEventListener("keydown", this.handleSavedSearchesKeydown)
   }
 }
@@ -0,0 +1,36 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Stimulus controller for the offline banner at the top of every page
+// The service worker fills in cachedAt when it serves a cached copy of a page because the
+// network can't be reached (see app/views/pwa/service-worker.js). The banner then shows how
+// old the copy is, and offers to reload once the connection comes back.
+export default class extends Controller {
+  static targets = ["time", "reload"]
+  static values = {
+    cachedAt: String
+  }
+
+  connect() {
+    this.showReload = this.showReload.bind(this)
+    if (!this.cachedAtValue) return
+
+    // The time controller keeps the relative time current
+    this.timeTarget.setAttribute("datetime", this.cachedAtValue)
+    this.timeTarget.dataset.controller = "time"
+    this.element.classList.remove("hidden")
+
+    window.addEventListener("online", this.showReload)
+  }
+
+  disconnect() {
+    window.removeEventListener("online", this.showReload)
+  }
+
+  showReload() {
+    this.reloadTarget.classList.remove("hidden")
+  }
+
+  reload() {
+    window.location.reload()
+  }
+}
@@ -0,0 +1,64 @@
+import { Controller } from "@hotwired/stimulus"
+import { updateProjectField } from "lib/issue_edits"
+
+// Stimulus controller for a single select project field (Status, Priority, ...) in the issue
+// page sidebar. Choosing an option from the filter dropdown shows it right away and sets it on
+// GitHub, switching back to the previous option if GitHub rejects the change.
+export default class extends Controller {
+  static targets = ["value", "option", "error"]
+  static values = {
+    url: String,       // The issue's project field endpoint
+    projectId: String,
+    itemId: String,
+    fieldId: String,
+    optionId: String   // The chosen option, blank for none
+  }
+
+  async select(event) {
+    event.preventDefault()
+
+    const optionId = event.currentTarget.dataset.value
+    const previous = this.optionIdValue
+    this.closeMenu()
+    if (optionId === previous) return
+
+    this.optionIdValue = optionId
+    this.errorTarget.classList.add("hidden")
+
+    try {
+      await updateProjectField(this.urlValue, {
+        projectId: this.projectIdValue,
+        itemId: this.itemIdValue,
+        fieldId: this.fieldIdValue,
+        optionId
+      })
+    } catch (error) {
+      console.error("Error updating project field:", error)
+
+      // Only roll back if nothing else was chosen meanwhile
+      if (this.optionIdValue === optionId) this.optionIdValue = previous
+      this.errorTarget.textContent = error.message
+      this.errorTarget.classList.remove("hidden")
+    }
+  }
+
+  optionIdValueChanged() {
+    const chosen = this.optionTargets.find(option => option.dataset.value === this.optionIdValue)
+
+    this.optionTargets.forEach(option => {
+      const selected = option === chosen
+      option.setAttribute("aria-checked", selected)
+      option.querySelector("svg").classList.toggle("invisible", !selected)
+    })
+
+    if (chosen) {
+      this.valueTarget.textContent = chosen.dataset.name
+      this.valueTarget.title = chosen.dataset.name
+    }
+  }
+
+  closeMenu() {
+    const dropdown = this.application.getControllerForElementAndIdentifier(this.element, "filter-dropdown")
+    if (dropdown?.isOpen()) dropdown.closeMenu()
+  }
+}
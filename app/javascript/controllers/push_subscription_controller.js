@@ -0,0 +1,106 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Stimulus controller for turning push notifications on and off for this browser
+// Turning them on asks for notification permission, subscribes through the service
+// worker's PushManager with the app's VAPID public key, and stores the subscription on
+// the server, which then pushes changes to watched issues and saved searches.
+export default class extends Controller {
+  static targets = ["status", "enable", "disable"]
+  static values = {
+    url: String,
+    publicKey: String,
+    messages: Object   // enabled, disabled, blocked, unsupported, error
+  }
+
+  async connect() {
+    this.update(await this.currentSubscription())
+  }
+
+  async subscribe() {
+    try {
+      const permission = await Notification.requestPermission()
+      if (permission !== "granted") {
+        this.update(null)
+        return
+      }
+
+      const registration = await navigator.serviceWorker.ready
+      const subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: this.applicationServerKey()
+      })
+
+      await this.send("POST", subscription)
+      this.update(subscription)
+    } catch (error) {
+      console.error("Error subscribing to push notifications:", error)
+      this.statusTarget.textContent = this.messagesValue.error
+    }
+  }
+
+  async unsubscribe() {
+    try {
+      const subscription = await this.currentSubscription()
+      if (subscription) {
+        await this.send("DELETE", subscription)
+        await subscription.unsubscribe()
+      }
+
+      this.update(null)
+    } catch (error) {
+      console.error("Error unsubscribing from push notifications:", error)
+      this.statusTarget.textContent = this.messagesValue.error
+    }
+  }
+
+  isSupported() {
+    return "serviceWorker" in navigator && "PushManager" in window && "Notification" in window
+  }
+
+  async currentSubscription() {
+    if (!this.isSupported()) return null
+
+    const registration = await navigator.serviceWorker.getRegistration()
+    return registration ? registration.pushManager.getSubscription() : null
+  }
+
+  async send(method, subscription) {
+    const { endpoint, keys = {} } = subscription.toJSON()
+    const body = new FormData()
+    body.append("push_subscription[endpoint]", endpoint)
+    if (keys.p256dh) body.append("push_subscription[p256dh_key]", keys.p256dh)
+    if (keys.auth) body.append("push_subscription[auth_key]", keys.auth)
+
+    const response = await fetch(this.urlValue, {
+      method,
+      body,
+      headers: {
+        "Accept": "application/json",
+        "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+      }
+    })
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`)
+    }
+  }
+
+  // Show the status and whichever button applies
+  update(subscription) {
+    let status = subscription ? "enabled" : "disabled"
+    if (!this.isSupported()) status = "unsupported"
+    else if (!subscription && Notification.permission === "denied") status = "blocked"
+
+    this.statusTarget.textContent = this.messagesValue[status]
+    this.enableTarget.classList.toggle("hidden", status !== "disabled")
+    this.disableTarget.classList.toggle("hidden", status !== "enabled")
+  }
+
+  // The base64url VAPID public key as the bytes PushManager expects
+  applicationServerKey() {
+    const base64 = this.publicKeyValue.replace(/-/g, "+").replace(/_/g, "/")
+    const padded = base64 + "=".repeat((4 - base64.length % 4) % 4)
+
+    return Uint8Array.from(atob(padded), character => character.charCodeAt(0))
+  }
+}
@@ -0,0 +1,205 @@
+import { Controller } from "@hotwired/stimulus"
+import { quote } from "lib/search_query"
+import { fetchCached, isTruncated } from "lib/data_cache"
+import { highlightMatch } from "lib/fuzzy_match"
+import { SuggestionList, fetchSuggestions, filterSuggestions } from "lib/suggestion_list"
+
+// Stimulus controller for qualifier autocomplete in the issues search input
+// Typing label:, author:, assignee:, milestone: or sort: pops up a suggestion list
+// fed by the same JSON endpoints (and shared data cache) as the filter dropdowns.
+// The popup and its keys come from lib/suggestion_list.js.
+export default class extends Controller {
+  static targets = ["input", "list"]
+  static values = {
+    labelsUrl: String,      // e.g. /repositories/1/labels
+    usersUrl: String,       // e.g. /repositories/1/assignable_users
+    milestonesUrl: String,  // e.g. /repositories/1/milestones
+    limit: { type: Number, default: 8 }
+  }
+
+  static sortOptions = [
+    { value: "created-desc", label: "Newest" },
+    { value: "created-asc", label: "Oldest" },
+    { value: "updated-desc", label: "Recently updated" },
+    { value: "updated-asc", label: "Least recently updated" },
+    { value: "comments-desc", label: "Most commented" },
+    { value: "comments-asc", label: "Least commented" }
+  ]
+
+  // Matches the qualifier being typed at the caret, e.g. "-label:\"needs tri"
+  static tokenPattern = /^(-?)(label|author|assignee|milestone|sort):"?([^"]*)$/i
+
+  connect() {
+    this.token = null
+    this.suggestionList = new SuggestionList(this.inputTarget, this.listTarget, {
+      onSelect: suggestion => this.complete(suggestion),
+      renderOption: (option, suggestion) => this.renderOption(option, suggestion)
+    })
+  }
+
+  disconnect() {
+    this.suggestionList.stop()
+  }
+
+  // Look at the token under the caret and show matching suggestions
+  async update() {
+    this.token = this.currentToken()
+
+    if (!this.token) {
+      this.close()
+      return
+    }
+
+    const token = this.token
+    const items = await this.load(token.key)
+
+    // Ignore results for a token the user has already moved past
+    if (this.token !== token) return
+
+    this.show(this.filter(items, token.partial))
+
+    // The cached list is only the first page - look further on the server
+    const source = this.sourceFor(token.key)
+    if (token.partial && source !== "sort" && isTruncated(this.urlFor(source))) {
+      this.searchServer(token, items)
+    }
+  }
+
+  handleKeydown(event) {
+    this.suggestionList.handleKeydown(event)
+  }
+
+  // Replace the token under the caret with the completed qualifier
+  complete(suggestion) {
+    if (!suggestion || !this.token) return
+
+    const input = this.inputTarget
+    const { start, end, negated, key } = this.token
+    const completed = `${negated ? "-" : ""}${key}:${quote(suggestion.value)} `
+    const after = input.value.slice(end).replace(/^\S*\s?/, "")
+
+    input.value = input.value.slice(0, start) + completed + after
+    const caret = start + completed.length
+    input.setSelectionRange(caret, caret)
+
+    this.close()
+
+    // Let the search chips pick up the finished qualifier
+    input.dispatchEvent(new Event("input", { bubbles: true }))
+  }
+
+  // Find the qualifier token that ends at the caret
+  currentToken() {
+    const input = this.inputTarget
+    if (input.selectionStart !== input.selectionEnd) return null
+
+    const end = input.selectionStart
+    const before = input.value.slice(0, end)
+
+    // Token starts after the last whitespace that isn't inside quotes
+    let start = 0
+    let inQuotes = false
+    for (let i = 0; i < before.length; i++) {
+      if (before[i] === '"') inQuotes = !inQuotes
+      else if (/\s/.test(before[i]) && !inQuotes) start = i + 1
+    }
+
+    const match = before.slice(start).match(this.constructor.tokenPattern)
+    if (!match) return null
+
+    return { start, end, negated: match[1] === "-", key: match[2].toLowerCase(), partial: match[3] }
+  }
+
+  // Suggestion list for a qualifier, shared with the filter dropdowns through the data cache
+  async load(key) {
+    const source = this.sourceFor(key)
+    if (source === "sort") return this.constructor.sortOptions
+
+    try {
+      const data = await fetchCached(this.urlFor(source))
+      return data.map(item => this.toSuggestion(source, item))
+    } catch (error) {
+      console.error(`Error fetching ${source} suggestions:`, error)
+      return []
+    }
+  }
+
+  // Debounced server-side search for queries the cached list doesn't cover
+  // Results are merged with the cached items and ranked together
+  searchServer(token, cachedItems) {
+    this.suggestionList.debounce(async signal => {
+      const source = this.sourceFor(token.key)
+      const data = await fetchSuggestions(this.urlFor(source), token.partial, signal)
+      const items = data.map(item => this.toSuggestion(source, item))
+      const known = new Set(cachedItems.map(item => item.value))
+      const combined = cachedItems.concat(items.filter(item => !known.has(item.value)))
+
+      if (this.token === token) this.show(this.filter(combined, token.partial))
+    })
+  }
+
+  sourceFor(key) {
+    return key === "author" || key === "assignee" ? "users" : key === "sort" ? "sort" : `${key}s`
+  }
+
+  urlFor(source) {
+    return { labels: this.labelsUrlValue, users: this.usersUrlValue, milestones: this.milestonesUrlValue }[source]
+  }
+
+  // Normalize endpoint JSON into { value, label, color, avatarUrl, detail }
+  toSuggestion(source, item) {
+    switch (source) {
+      case "labels":
+        return { value: item.name, label: item.name, color: item.color }
+      case "users":
+        return { value: item.login, label: item.login, avatarUrl: item.avatar_url }
+      case "milestones":
+        return { value: item.title, label: item.title, detail: item.state === "closed" ? "Closed" : null }
+    }
+  }
+
+  // Fuzzy-ranked matches; sort options also match on their description ("sort:old" finds created-asc)
+  filter(items, partial) {
+    return filterSuggestions(items, partial, this.limitValue, item => item.label === item.value ? item.value : `${item.value} ${item.label}`)
+  }
+
+  // "No suggestions" only once something has been typed
+  show(suggestions) {
+    this.suggestionList.show(suggestions, { emptyText: this.token?.partial ? "No suggestions" : null })
+  }
+
+  close() {
+    this.suggestionList.close()
+  }
+
+  // Fill in a suggestion's list item
+  renderOption(option, suggestion) {
+    if (suggestion.avatarUrl) {
+      const avatar = document.createElement("img")
+      avatar.src = suggestion.avatarUrl
+      avatar.alt = ""
+      avatar.className = "h-5 w-5 rounded-full flex-shrink-0"
+      option.appendChild(avatar)
+    } else if (suggestion.color) {
+      const colorDot = document.createElement("div")
+      colorDot.className = "h-3 w-3 rounded-full flex-shrink-0"
+      colorDot.style.backgroundColor = `#${suggestion.color}`
+      option.appendChild(colorDot)
+    }
+
+    const label = document.createElement("span")
+    label.className = "flex-1 truncate"
+    highlightMatch(label, suggestion.label, suggestion.label === suggestion.value ? suggestion.indices : [])
+    option.appendChild(label)
+
+    // Sort options show the raw value, milestones show their state
+    const detailText = suggestion.detail || (suggestion.label !== suggestion.value ? suggestion.value : null)
+    if (detailText) {
+      const detail = document.createElement("span")
+      detail.className = "text-xs text-gray-500 dark:text-gray-400"
+      detail.textContent = detailText
+      option.appendChild(detail)
+    }
+
+  }
+}
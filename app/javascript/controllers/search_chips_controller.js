@@ -0,0 +1,172 @@
+import { Controller } from "@hotwired/stimulus"
+import { SearchQuery, parseToken, serializeTerm, tokenize } from "lib/search_query"
+
+// Stimulus controller for the issues search bar
+// Shows each qualifier in the query as a removable chip and keeps free text in
+// a plain input. The hidden `q` field holds the full query for form submission.
+export default class extends Controller {
+  static targets = ["query", "chips", "input"]
+
+  // Chip colors by qualifier (labels use their GitHub color instead)
+  static chipClasses = {
+    state: "bg-emerald-50 text-emerald-700 ring-emerald-600/20 dark:bg-emerald-500/10 dark:text-emerald-400 dark:ring-emerald-500/30",
+    is: "bg-emerald-50 text-emerald-700 ring-emerald-600/20 dark:bg-emerald-500/10 dark:text-emerald-400 dark:ring-emerald-500/30",
+    author: "bg-blue-50 text-blue-700 ring-blue-600/20 dark:bg-blue-500/10 dark:text-blue-400 dark:ring-blue-500/30",
+    assignee: "bg-indigo-50 text-indigo-700 ring-indigo-600/20 dark:bg-indigo-500/10 dark:text-indigo-400 dark:ring-indigo-500/30",
+    sort: "bg-amber-50 text-amber-700 ring-amber-600/20 dark:bg-amber-500/10 dark:text-amber-400 dark:ring-amber-500/30",
+    default: "bg-gray-50 text-gray-700 ring-gray-500/20 dark:bg-gray-400/10 dark:text-gray-300 dark:ring-gray-400/30"
+  }
+
+  connect() {
+    this.labelColors = {}
+    this.placeholder = this.inputTarget.placeholder
+    this.render()
+  }
+
+  // Rebuild chips and free text from the hidden query value
+  // Called on connect and whenever something else edits the query (filter dropdowns, state links)
+  render() {
+    const query = SearchQuery.parse(this.queryTarget.value)
+
+    this.terms = query.terms.filter(term => term.type === "qualifier")
+    const text = query.text
+    this.inputTarget.value = text ? `${text} ` : text
+
+    this.renderChips()
+  }
+
+  // Keep the hidden query in sync while typing and turn finished qualifiers into chips
+  update() {
+    const value = this.inputTarget.value
+
+    // A qualifier is finished once it's followed by a space (outside of quotes)
+    if (/\s$/.test(value) && !this.hasOpenQuote(value)) {
+      const terms = tokenize(value).map(parseToken)
+      const qualifiers = terms.filter(term => term.type === "qualifier" && term.value !== "")
+
+      if (qualifiers.length > 0) {
+        // add() replaces single-value qualifiers, so typing state:closed swaps out a state:open chip
+        const query = new SearchQuery(this.terms)
+        qualifiers.forEach(term => query.add(term.key, term.value, { negated: term.negated }))
+        this.terms = query.terms
+
+        const text = terms.filter(term => !qualifiers.includes(term)).map(serializeTerm).join(" ")
+        this.inputTarget.value = text ? `${text} ` : text
+        this.renderChips()
+      }
+    }
+
+    this.sync()
+  }
+
+  // Backspace in an empty input pulls the last chip back into the input for editing
+  handleKeydown(event) {
+    if (event.key !== "Backspace") return
+
+    const input = this.inputTarget
+    if (input.value !== "" || this.terms.length === 0) return
+
+    event.preventDefault()
+    input.value = serializeTerm(this.terms.pop())
+
+    this.renderChips()
+    this.sync()
+  }
+
+  // Remove a chip via its × button
+  removeChip(event) {
+    event.preventDefault()
+
+    this.terms.splice(event.params.index, 1)
+    this.renderChips()
+    this.sync()
+    this.inputTarget.focus()
+  }
+
+  // Clicking the empty area of the search bar focuses the text input
+  focusInput(event) {
+    if (event.target === this.element || event.target === this.chipsTarget) {
+      this.inputTarget.focus()
+    }
+  }
+
+  // Label colors arrive from label-search once it has loaded the repository labels
+  updateLabelColors(event) {
+    const labels = event.detail.labels || []
+
+    labels.forEach(label => {
+      this.labelColors[label.name.toLowerCase()] = label.color
+    })
+
+    this.renderChips()
+  }
+
+  // Write chips + free text back to the hidden `q` field
+  sync() {
+    const query = new SearchQuery([...this.terms])
+    const chips = query.toString()
+    const text = this.inputTarget.value.trim()
+
+    this.queryTarget.value = [chips, text].filter(Boolean).join(" ")
+  }
+
+  renderChips() {
+    this.chipsTarget.innerHTML = ""
+
+    this.terms.forEach((term, index) => {
+      this.chipsTarget.appendChild(this.createChip(term, index))
+    })
+
+    // The example query in the placeholder only makes sense for an empty search
+    this.inputTarget.placeholder = this.terms.length > 0 ? "" : this.placeholder
+  }
+
+  // Create a chip element for a qualifier term
+  createChip(term, index) {
+    const chip = document.createElement("span")
+    chip.className = "inline-flex items-center gap-1 rounded-full py-0.5 pl-2 pr-1 text-xs font-medium ring-1 ring-inset whitespace-nowrap"
+    chip.dataset.key = term.key
+
+    const color = term.key === "label" ? this.labelColors[term.value.toLowerCase()] : null
+    if (color) {
+      this.applyLabelColor(chip, color)
+    } else {
+      chip.className += ` ${this.constructor.chipClasses[term.key] || this.constructor.chipClasses.default}`
+    }
+
+    const text = document.createElement("span")
+    text.textContent = serializeTerm(term)
+    chip.appendChild(text)
+
+    const remove = document.createElement("button")
+    remove.type = "button"
+    remove.className = "inline-flex h-4 w-4 items-center justify-center rounded-full opacity-60 hover:opacity-100 focus:outline-none"
+    remove.dataset.action = "search-chips#removeChip"
+    remove.dataset.searchChipsIndexParam = index
+    remove.setAttribute("aria-label", `Remove ${serializeTerm(term)}`)
+    remove.innerHTML = `
+      <svg class="h-3 w-3" viewBox="0 0 16 16" fill="currentColor" aria-hidden="true">
+        <path d="M3.72 3.72a.75.75 0 0 1 1.06 0L8 6.94l3.22-3.22a.75.75 0 1 1 1.06 1.06L9.06 8l3.22 3.22a.75.75 0 1 1-1.06 1.06L8 9.06l-3.22 3.22a.75.75 0 0 1-1.06-1.06L6.94 8 3.72 4.78a.75.75 0 0 1 0-1.06Z" />
+      </svg>
+    `
+    chip.appendChild(remove)
+
+    return chip
+  }
+
+  // Solid GitHub label color with black or white text (same lightness threshold as IssueLabelComponent)
+  applyLabelColor(chip, color) {
+    const r = parseInt(color.slice(0, 2), 16)
+    const g = parseInt(color.slice(2, 4), 16)
+    const b = parseInt(color.slice(4, 6), 16)
+    const perceivedLightness = (r * 0.2126 + g * 0.7152 + b * 0.0722) / 255
+
+    chip.className += " ring-black/10 dark:ring-white/10"
+    chip.style.backgroundColor = `rgb(${r}, ${g}, ${b})`
+    chip.style.color = perceivedLightness > 0.453 ? "#000" : "#fff"
+  }
+
+  hasOpenQuote(value) {
+    return (value.match(/"/g) || []).length % 2 === 1
+  }
+}
@@ -0,0 +1,185 @@
+import { Controller } from "@hotwired/stimulus"
+import { keyFromEvent, SEQUENCE_TIMEOUT } from "lib/shortcut_registry"
+import { DEFAULT_SHORTCUTS, findConflicts, isValidBinding } from "lib/default_shortcuts"
+
+// Stimulus controller for the keyboard shortcuts panel on the profile edit page
+// Renders one row per remappable shortcut with an input per key slot. Focus an input and
+// press the new key (two keys in quick succession record a sequence like "g d"); Backspace
+// clears it back to the default. Saving is blocked while any keys conflict, and only
+// shortcuts that differ from their defaults are submitted.
+export default class extends Controller {
+  static targets = ["list", "saveButton", "conflictNotice"]
+  static values = {
+    bindings: Object,    // Saved remappings, { id => [keys] }
+    resetLabel: String   // Per-row reset button text
+  }
+
+  connect() {
+    this.lastInput = null
+    this.lastKeyAt = 0
+
+    // Current keys for every shortcut, one slot per default key
+    this.bindings = Object.fromEntries(Object.entries(DEFAULT_SHORTCUTS).map(([id, shortcut]) => {
+      const saved = this.bindingsValue[id]
+      return [id, shortcut.keys.map((key, slot) => (Array.isArray(saved) && saved[slot]) || key)]
+    }))
+
+    this.render()
+  }
+
+  // Record the key pressed in a slot input
+  record(event) {
+    if (event.key === "Tab" || ["Shift", "Control", "Alt", "Meta"].includes(event.key)) return
+
+    // Keep the key away from the page's own shortcuts
+    event.preventDefault()
+
+    const input = event.currentTarget
+    const { id, slot } = event.params
+    let value = ""
+
+    if (event.key !== "Backspace" && event.key !== "Delete") {
+      const key = keyFromEvent(event)
+      const continuing = input === this.lastInput &&
+        Date.now() - this.lastKeyAt < SEQUENCE_TIMEOUT &&
+        input.value && !input.value.includes(" ")
+
+      value = continuing ? `${input.value} ${key}` : key
+      this.lastInput = input
+      this.lastKeyAt = continuing ? 0 : Date.now()  // A sequence is complete after two keys
+    }
+
+    if (value && !isValidBinding(value)) return
+
+    this.bindings[id][slot] = value
+    input.value = value || DEFAULT_SHORTCUTS[id].keys[slot]
+    this.update()
+  }
+
+  resetRow({ params: { id } }) {
+    this.bindings[id] = [...DEFAULT_SHORTCUTS[id].keys]
+    this.rowFor(id).querySelectorAll("input").forEach((input, slot) => {
+      input.value = this.bindings[id][slot]
+    })
+    this.update()
+  }
+
+  // Leave unchanged shortcuts out of the submission so they follow future default changes
+  prepareSubmit(event) {
+    if (Object.keys(this.conflicts()).length > 0) {
+      event.preventDefault()
+      return
+    }
+
+    Object.keys(DEFAULT_SHORTCUTS).forEach(id => {
+      this.rowFor(id).querySelectorAll("input").forEach(input => {
+        input.disabled = this.isDefault(id)
+      })
+    })
+  }
+
+  render() {
+    this.listTarget.replaceChildren(...Object.keys(DEFAULT_SHORTCUTS).map(id => this.createRow(id)))
+    this.update()
+  }
+
+  // Refresh conflict messages, reset buttons and the save button
+  update() {
+    const conflicts = this.conflicts()
+
+    Object.keys(DEFAULT_SHORTCUTS).forEach(id => {
+      const row = this.rowFor(id)
+      const messages = conflicts[id] || []
+      const conflicted = messages.length > 0
+      const message = row.querySelector("[data-conflict]")
+
+      message.textContent = messages.join(". ")
+      message.classList.toggle("hidden", !conflicted)
+      row.querySelectorAll("input").forEach(input => {
+        input.classList.toggle("outline-gray-300", !conflicted)
+        input.classList.toggle("dark:outline-gray-600", !conflicted)
+        input.classList.toggle("outline-red-500", conflicted)
+        input.setAttribute("aria-invalid", conflicted ? "true" : "false")
+      })
+      row.querySelector("button").classList.toggle("invisible", this.isDefault(id))
+    })
+
+    const blocked = Object.keys(conflicts).length > 0
+    this.saveButtonTarget.disabled = blocked
+    this.conflictNoticeTarget.classList.toggle("hidden", !blocked)
+  }
+
+  // Empty slots fall back to their default key
+  effectiveKeys(id) {
+    return this.bindings[id].map((key, slot) => key || DEFAULT_SHORTCUTS[id].keys[slot])
+  }
+
+  isDefault(id) {
+    return this.effectiveKeys(id).every((key, slot) => key === DEFAULT_SHORTCUTS[id].keys[slot])
+  }
+
+  conflicts() {
+    return findConflicts(Object.fromEntries(Object.keys(DEFAULT_SHORTCUTS).map(id => [id, this.effectiveKeys(id)])))
+  }
+
+  rowFor(id) {
+    return this.listTarget.querySelector(`tr[data-shortcut-id="${id}"]`)
+  }
+
+  // Create a table row: description, key inputs (with conflict message) and reset button
+  createRow(id) {
+    const shortcut = DEFAULT_SHORTCUTS[id]
+    const row = document.createElement("tr")
+    row.dataset.shortcutId = id
+
+    const description = document.createElement("td")
+    description.className = "py-4 pr-3 text-sm text-gray-900 dark:text-white"
+    description.textContent = shortcut.description
+
+    const category = document.createElement("span")
+    category.className = "block text-xs text-gray-500 dark:text-gray-400"
+    category.textContent = shortcut.category
+    description.appendChild(category)
+
+    const keys = document.createElement("td")
+    keys.className = "px-3 py-4"
+
+    const inputs = document.createElement("div")
+    inputs.className = "flex gap-2"
+    this.bindings[id].forEach((key, slot) => inputs.appendChild(this.createInput(id, slot, key || shortcut.keys[slot])))
+
+    const message = document.createElement("p")
+    message.className = "hidden mt-1 text-xs text-red-600 dark:text-red-400"
+    message.dataset.conflict = ""
+    keys.append(inputs, message)
+
+    const reset = document.createElement("td")
+    reset.className = "py-4 pl-3 text-right"
+
+    const button = document.createElement("button")
+    button.type = "button"
+    button.className = "text-sm font-medium text-emerald-600 hover:text-emerald-500 dark:text-emerald-400 dark:hover:text-emerald-300"
+    button.textContent = this.resetLabelValue
+    button.setAttribute("aria-label", `${this.resetLabelValue} ${shortcut.description}`)
+    button.dataset.action = "click->shortcut-settings#resetRow"
+    button.dataset.shortcutSettingsIdParam = id
+    reset.appendChild(button)
+
+    row.append(description, keys, reset)
+    return row
+  }
+
+  createInput(id, slot, key) {
+    const input = document.createElement("input")
+    input.type = "text"
+    input.readOnly = true
+    input.name = `keyboard_shortcuts[${id}][]`
+    input.value = key
+    input.className = "w-24 rounded-md bg-white dark:bg-gray-900 px-2 py-1 font-mono text-sm text-gray-900 dark:text-white outline-1 -outline-offset-1 outline-gray-300 dark:outline-gray-600 focus:outline-2 focus:-outline-offset-2 focus:outline-emerald-600"
+    input.setAttribute("aria-label", `${DEFAULT_SHORTCUTS[id].description} key ${slot + 1}`)
+    input.dataset.action = "keydown->shortcut-settings#record"
+    input.dataset.shortcutSettingsIdParam = id
+    input.dataset.shortcutSettingsSlotParam = slot
+    return input
+  }
+}
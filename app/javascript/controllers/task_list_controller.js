@@ -0,0 +1,65 @@
+import { Controller } from "@hotwired/stimulus"
+import { updateTaskList } from "lib/issue_edits"
+
+// Stimulus controller for checking off task list items in an issue body or comment
+// The markdown is rendered with data-sourcepos, so each item's <li> tells which line of the
+// source it starts on. The checkbox flips right away and flips back if GitHub rejects the
+// change; after a conflict the checkboxes stay disabled until the page is reloaded.
+export default class extends Controller {
+  static targets = ["body", "error"]
+  static values = {
+    url: String,        // The issue's task list endpoint
+    commentId: String,  // The comment's GitHub id, blank for the issue body
+    digest: String      // Digest of the markdown the body was rendered from
+  }
+
+  connect() {
+    this.checkboxes.forEach(checkbox => {
+      checkbox.disabled = false
+      checkbox.classList.add("cursor-pointer")
+      checkbox.dataset.action = "change->task-list#toggle"
+    })
+  }
+
+  async toggle(event) {
+    const checkbox = event.target
+    const line = this.lineOf(checkbox)
+    if (!line) return
+
+    this.setDisabled(true)
+    this.errorTarget.classList.add("hidden")
+
+    try {
+      const result = await updateTaskList(this.urlValue, {
+        commentId: this.commentIdValue,
+        line,
+        checked: checkbox.checked,
+        digest: this.digestValue
+      })
+      this.digestValue = result.digest
+      this.setDisabled(false)
+    } catch (error) {
+      console.error("Error updating task list:", error)
+      checkbox.checked = !checkbox.checked
+      this.errorTarget.textContent = error.message
+      this.errorTarget.classList.remove("hidden")
+      if (!error.conflict) this.setDisabled(false)
+    }
+  }
+
+  // Task list checkboxes in items that know their source line
+  get checkboxes() {
+    return Array.from(this.bodyTarget.querySelectorAll('li[data-sourcepos] input[type="checkbox"]'))
+      .filter(checkbox => this.lineOf(checkbox))
+  }
+
+  // data-sourcepos is "startLine:startColumn-endLine:endColumn"
+  lineOf(checkbox) {
+    const sourcepos = checkbox.closest("li[data-sourcepos]")?.dataset.sourcepos
+    return sourcepos ? parseInt(sourcepos, 10) : null
+  }
+
+  setDisabled(disabled) {
+    this.checkboxes.forEach(checkbox => { checkbox.disabled = disabled })
+  }
+}
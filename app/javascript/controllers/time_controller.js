@@ -1,70 +1,111 @@
 import { Controller } from "@hotwired/stimulus"
+import { schedule, unschedule } from "lib/time_ticker"
+
+const SECOND = 1000
+const MINUTE = 60 * SECOND
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
 
 // Connects to data-controller="time"
+// Shows a <time> element's datetime the way the signed-in user chose on their profile (the
+// time-display meta tag): relative in the browser's locale ("3 hours ago", "in 2 days"),
+// absolute, or ISO 8601, with the full local date as a tooltip. Relative times are kept
+// current by the shared ticker (lib/time_ticker.js): every second while under a minute
+// away, every minute while under an hour, and hourly after that.
 export default class extends Controller {
   connect() {
-    this.updateTime()
-
-    // Update every minute to keep relative times fresh
-    this.interval = setInterval(() => {
-      this.updateTime()
-    }, 60000)
+    this.update = this.update.bind(this)
+    this.update()
   }
 
   disconnect() {
-    if (this.interval) {
-      clearInterval(this.interval)
-    }
+    unschedule(this.update)
   }
 
-  updateTime() {
-    const datetime = this.element.getAttribute('datetime')
+  update() {
+    const datetime = this.element.getAttribute("datetime")
     if (!datetime) return
 
     const date = new Date(datetime)
+    const display = timeDisplay()
 
-    // Set the text content to relative time
-    this.element.textContent = this.relativeTime(date)
+    this.element.textContent = format(date, display)
+    this.element.title = formatFullDate(date)
 
-    // Set the title attribute to full local datetime for hover tooltip
-    this.element.title = this.formatFullDate(date)
+    if (display === "relative") schedule(this.update, updateInterval(date))
   }
+}
 
-  relativeTime(date) {
-    const now = new Date()
-    const seconds = Math.floor((now - date) / 1000)
-    const minutes = Math.floor(seconds / 60)
-    const hours = Math.floor(minutes / 60)
-    const days = Math.floor(hours / 24)
-    const months = Math.floor(days / 30)
-    const years = Math.floor(days / 365)
-
-    if (seconds < 60) {
-      return 'just now'
-    } else if (minutes < 60) {
-      return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'} ago`
-    } else if (hours < 24) {
-      return `${hours} ${hours === 1 ? 'hour' : 'hours'} ago`
-    } else if (days < 30) {
-      return `${days} ${days === 1 ? 'day' : 'days'} ago`
-    } else if (months < 12) {
-      return `${months} ${months === 1 ? 'month' : 'months'} ago`
-    } else {
-      return `${years} ${years === 1 ? 'year' : 'years'} ago`
-    }
-  }
+function timeDisplay() {
+  return document.querySelector('meta[name="time-display"]')?.content || "relative"
+}
 
-  formatFullDate(date) {
-    // Format: "Monday, January 1, 2025 at 3:45:30 PM EST"
-    return date.toLocaleString(undefined, {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit',
-      second: '2-digit',
-      timeZoneName: 'short'
-    })
+function format(date, display) {
+  switch (display) {
+    case "absolute":
+      return date.toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" })
+    case "iso":
+      return date.toISOString().replace(/\.\d{3}Z$/, "Z")
+    default:
+      return relativeTime(date)
   }
 }
+
+let relativeFormat
+function relativeTime(date, now = new Date()) {
+  relativeFormat ||= new Intl.RelativeTimeFormat(undefined, { numeric: "auto" })
+
+  // Negative in the past
+  const milliseconds = date - now
+
+  const seconds = Math.round(milliseconds / SECOND)
+  if (Math.abs(seconds) < 60) return relativeFormat.format(seconds, "second")
+
+  const minutes = Math.round(milliseconds / MINUTE)
+  if (Math.abs(minutes) < 60) return relativeFormat.format(minutes, "minute")
+
+  const hours = Math.round(milliseconds / HOUR)
+  if (Math.abs(hours) < 24) return relativeFormat.format(hours, "hour")
+
+  const months = monthsBetween(now, date)
+  if (months === 0) return relativeFormat.format(Math.round(milliseconds / DAY), "day")
+  if (Math.abs(months) < 12) return relativeFormat.format(months, "month")
+
+  return relativeFormat.format(Math.trunc(months / 12), "year")
+}
+
+// Whole calendar months from one date to another (negative into the past)
+function monthsBetween(from, to) {
+  let months = (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth()
+
+  // A month only counts once its day of the month comes round
+  const shifted = new Date(from)
+  shifted.setMonth(from.getMonth() + months)
+  if (months > 0 && shifted > to) months--
+  if (months < 0 && shifted < to) months++
+
+  return months
+}
+
+// How long until the relative text may change
+function updateInterval(date) {
+  const distance = Math.abs(date - new Date())
+
+  if (distance < MINUTE) return SECOND
+  if (distance < HOUR) return MINUTE
+  return HOUR
+}
+
+// Format: "Monday, January 1, 2025 at 3:45:30 PM EST"
+function formatFullDate(date) {
+  return date.toLocaleString(undefined, {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    second: "2-digit",
+    timeZoneName: "short"
+  })
+}
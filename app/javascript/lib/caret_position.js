@@ -0,0 +1,51 @@
+// Where a textarea's caret is drawn, for anchoring popups to it
+//
+//   const { top, left, height } = caretPosition(textarea)
+//   popup.style.top = `${textarea.offsetTop + top + height}px`
+//
+// Textareas don't expose caret coordinates, so the text up to the caret is copied into an
+// invisible mirror element styled like the textarea, and a marker placed where the caret
+// would be is measured. Coordinates are relative to the textarea's border box, with its
+// scroll position taken into account.
+
+// Styles that affect where text wraps and how tall lines are
+const MIRRORED_STYLES = [
+  "boxSizing", "width", "height", "overflowX", "overflowY",
+  "borderTopWidth", "borderRightWidth", "borderBottomWidth", "borderLeftWidth", "borderStyle",
+  "paddingTop", "paddingRight", "paddingBottom", "paddingLeft",
+  "fontStyle", "fontVariant", "fontWeight", "fontStretch", "fontSize", "fontSizeAdjust",
+  "lineHeight", "fontFamily", "textAlign", "textTransform", "textIndent",
+  "letterSpacing", "wordSpacing", "tabSize"
+]
+
+export function caretPosition(textarea, position = textarea.selectionStart) {
+  const style = window.getComputedStyle(textarea)
+  const mirror = document.createElement("div")
+
+  MIRRORED_STYLES.forEach(property => { mirror.style[property] = style[property] })
+  Object.assign(mirror.style, {
+    position: "absolute",
+    visibility: "hidden",
+    top: "0",
+    left: "-9999px",
+    whiteSpace: "pre-wrap",
+    overflowWrap: "break-word"
+  })
+
+  mirror.textContent = textarea.value.slice(0, position)
+
+  // Something to measure even at the end of a line
+  const marker = document.createElement("span")
+  marker.textContent = textarea.value.slice(position) || "."
+  mirror.appendChild(marker)
+
+  document.body.appendChild(mirror)
+  const coordinates = {
+    top: marker.offsetTop + parseInt(style.borderTopWidth) - textarea.scrollTop,
+    left: marker.offsetLeft + parseInt(style.borderLeftWidth) - textarea.scrollLeft,
+    height: parseInt(style.lineHeight) || parseInt(style.fontSize)
+  }
+  mirror.remove()
+
+  return coordinates
+}
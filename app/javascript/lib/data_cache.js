@@ -0,0 +1,121 @@
+// Shared cache for the JSON endpoints behind the filter dropdowns
+// (labels, assignable users, milestones).
+//
+//   const labels = await fetchCached("/repositories/1/labels", {
+//     onUpdate: fresh => render(fresh)   // called if a background revalidation finds changes
+//   })
+//
+// Entries are keyed by URL path + query, so each repository/endpoint pair gets its own entry.
+// They live in memory for the lifetime of the page (surviving Turbo visits) and in
+// sessionStorage so a full reload doesn't refetch. Concurrent requests for the same URL
+// share one fetch, and stale entries are returned immediately while a fresh copy loads
+// in the background (stale-while-revalidate).
+//
+// Endpoints that cap their results send X-Total-Count; isTruncated() tells callers
+// whether local filtering can be trusted or a server-side search is needed.
+
+export const DEFAULT_TTL = 5 * 60 * 1000 // 5 minutes
+
+const STORAGE_PREFIX = "data-cache:"
+
+const memory = new Map()    // key => { data, total, fetchedAt }
+const inFlight = new Map()  // key => Promise
+
+export function cacheKey(url) {
+  const parsed = new URL(url, window.location.origin)
+  return parsed.pathname + parsed.search
+}
+
+function read(key) {
+  if (memory.has(key)) return memory.get(key)
+
+  try {
+    const stored = sessionStorage.getItem(STORAGE_PREFIX + key)
+    if (!stored) return null
+
+    const entry = JSON.parse(stored)
+    memory.set(key, entry)
+    return entry
+  } catch {
+    // Storage disabled or corrupt entry - treat as a miss
+    return null
+  }
+}
+
+function write(key, data, total = null) {
+  const entry = { data, total, fetchedAt: Date.now() }
+  memory.set(key, entry)
+
+  try {
+    sessionStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(entry))
+  } catch {
+    // Quota exceeded or storage disabled - the in-memory copy still works
+  }
+
+  return entry
+}
+
+// Fetch a URL, sharing the request with anyone else asking for the same key
+function request(url, key) {
+  if (inFlight.has(key)) return inFlight.get(key)
+
+  const promise = fetch(url, { headers: { "Accept": "application/json" } })
+    .then(async response => {
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+
+      const total = response.headers.get("X-Total-Count")
+      const data = await response.json()
+      return write(key, data, total === null ? null : Number(total)).data
+    })
+    .finally(() => inFlight.delete(key))
+
+  inFlight.set(key, promise)
+  return promise
+}
+
+// Return cached data for a URL, fetching it if missing.
+// Stale entries resolve immediately and are revalidated in the background;
+// onUpdate receives the fresh data only if it differs from what was returned.
+export function fetchCached(url, { ttl = DEFAULT_TTL, onUpdate = null } = {}) {
+  const key = cacheKey(url)
+  const entry = read(key)
+
+  if (!entry) return request(url, key)
+
+  if (Date.now() - entry.fetchedAt > ttl) {
+    const staleJson = JSON.stringify(entry.data)
+
+    request(url, key)
+      .then(data => {
+        if (onUpdate && JSON.stringify(data) !== staleJson) onUpdate(data)
+      })
+      .catch(error => console.error(`Error revalidating ${key}:`, error))
+  }
+
+  return Promise.resolve(entry.data)
+}
+
+// Cached data for a URL without fetching (null on a miss)
+export function peekCached(url) {
+  return read(cacheKey(url))?.data ?? null
+}
+
+// Whether the cached list for a URL is only the first page of a longer one
+export function isTruncated(url) {
+  const entry = read(cacheKey(url))
+  return Boolean(entry && entry.total !== null && entry.total > entry.data.length)
+}
+
+// Drop a cached entry so the next fetchCached call goes to the network
+export function invalidate(url) {
+  const key = cacheKey(url)
+  memory.delete(key)
+
+  try {
+    sessionStorage.removeItem(STORAGE_PREFIX + key)
+  } catch {
+    // Ignore storage errors
+  }
+}
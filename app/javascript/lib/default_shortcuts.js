@@ -0,0 +1,77 @@
+// Every shortcut users can remap, keyed by a stable id
+//
+// Controllers register bindings by id and the registry fills in keys, description and
+// category from here, swapping in the user's own keys when they have remapped one
+// (see the keyboard shortcuts section of the profile edit page). Entries with several
+// keys are one action in several directions, e.g. j/k for next/previous.
+
+export const DEFAULT_SHORTCUTS = {
+  "list.move": { keys: ["j", "k"], description: "Next/previous item", category: "Navigation" },
+  "list.ends": { keys: ["g g", "G"], description: "First/last item", category: "Navigation" },
+  "list.clearFocus": { keys: ["Escape"], description: "Clear focus", category: "Navigation" },
+  "list.open": { keys: ["o", "Enter"], description: "Open item", category: "Navigation" },
+  "issues.openInGitHub": { keys: ["O"], description: "Open issue on GitHub in a new tab", category: "Issues" },
+  "issues.select": { keys: ["x"], description: "Select issue for bulk actions", category: "Issues" },
+  "issues.selectRange": { keys: ["X"], description: "Select issues from the last selected one", category: "Issues" },
+  "issues.preview": { keys: ["p"], description: "Show/hide issue preview", category: "Issues" },
+  "issues.adjacent": { keys: ["]", "["], description: "Next/previous issue in the search results", category: "Issues" },
+  "comments.copyLink": { keys: ["y"], description: "Copy link to the focused comment", category: "Issues" },
+  "goto.dashboard": { keys: ["g d"], description: "Go to dashboard", category: "Go to" },
+  "goto.repositories": { keys: ["g r"], description: "Go to repositories", category: "Go to" },
+  "goto.issues": { keys: ["g i"], description: "Go to issues", category: "Go to" },
+  "goto.profile": { keys: ["g p"], description: "Go to your profile", category: "Go to" },
+  "goto.savedSearches": { keys: ["g s"], description: "Open saved searches", category: "Go to" },
+  "search.focus": { keys: ["/"], description: "Focus search bar", category: "Search & Filters" },
+  "search.focusAnywhere": { keys: ["Mod+/"], description: "Focus search bar from any field", category: "Search & Filters" },
+  "filters.author": { keys: ["u"], description: "Open authors filter", category: "Search & Filters" },
+  "filters.label": { keys: ["l"], description: "Open labels filter", category: "Search & Filters" },
+  "filters.assignee": { keys: ["a"], description: "Open assignees filter", category: "Search & Filters" },
+  "filters.sort": { keys: ["s"], description: "Open sort filter", category: "Search & Filters" },
+  "help.toggle": { keys: ["?"], description: "Show/hide keyboard shortcuts", category: "Help" }
+}
+
+// Keys a single registry token may use: "j", "Escape", "Mod+/", "Mod+Alt+k"
+export const KEY_PATTERN = /^(Mod\+)?(Alt\+)?\S{1,12}$/
+
+// Whether a binding string is one key or a two-key sequence ("g d")
+export function isValidBinding(keys) {
+  const parts = String(keys).split(" ")
+  return parts.length <= 2 && parts.every(part => KEY_PATTERN.test(part))
+}
+
+// Keys claimed more than once (by several shortcuts, or twice by one), or single keys that
+// start another shortcut's sequence (which would make the sequence unreachable).
+// Takes { id => [keys] } and returns { id => [messages] }.
+export function findConflicts(bindings) {
+  const owners = new Map() // key => [ids], one entry per use
+  const conflicts = {}
+  const addConflict = (id, message) => (conflicts[id] ||= []).push(message)
+
+  Object.entries(bindings).forEach(([id, keys]) => {
+    keys.forEach(key => owners.set(key, [...(owners.get(key) || []), id]))
+  })
+
+  owners.forEach((ids, key) => {
+    new Set(ids).forEach(id => {
+      const others = ids.filter(other => other !== id)
+
+      if (others.length > 0) {
+        addConflict(id, `"${key}" is also used by ${describe(others)}`)
+      } else if (ids.length > 1) {
+        addConflict(id, `"${key}" is used twice`)
+      }
+    })
+
+    const prefix = key.split(" ")[0]
+    if (key.includes(" ") && owners.has(prefix)) {
+      new Set(owners.get(prefix)).forEach(id => addConflict(id, `"${prefix}" starts the "${key}" sequence`))
+      new Set(ids).forEach(id => addConflict(id, `"${prefix}" is also used by ${describe(owners.get(prefix))}`))
+    }
+  })
+
+  return conflicts
+}
+
+function describe(ids) {
+  return Array.from(new Set(ids), id => DEFAULT_SHORTCUTS[id]?.description || id).join(", ")
+}
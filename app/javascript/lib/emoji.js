@@ -0,0 +1,31 @@
+// Emoji suggested for :shortcodes: in markdown textareas, by their GitHub names
+//
+//   EMOJI.find(emoji => emoji.name === "tada").char // => "🎉"
+//
+// A hand-picked set of the ones people actually use in issues rather than the full list,
+// which would be a large download for every page. Completing inserts the character itself,
+// which renders the same on GitHub and here.
+
+export const EMOJI = [
+  ["+1", "👍"], ["-1", "👎"], ["100", "💯"], ["alarm_clock", "⏰"], ["angry", "😠"],
+  ["arrow_down", "⬇️"], ["arrow_left", "⬅️"], ["arrow_right", "➡️"], ["arrow_up", "⬆️"],
+  ["balloon", "🎈"], ["bangbang", "‼️"], ["beers", "🍻"], ["bell", "🔔"], ["blush", "😊"],
+  ["boom", "💥"], ["bug", "🐛"], ["bulb", "💡"], ["calendar", "📆"], ["clap", "👏"],
+  ["clipboard", "📋"], ["coffee", "☕"], ["confused", "😕"], ["construction", "🚧"],
+  ["cry", "😢"], ["dart", "🎯"], ["disappointed", "😞"], ["eyes", "👀"], ["facepalm", "🤦"],
+  ["fire", "🔥"], ["gear", "⚙️"], ["ghost", "👻"], ["gift", "🎁"], ["grimacing", "😬"],
+  ["grin", "😁"], ["grinning", "😀"], ["hammer", "🔨"], ["heart", "❤️"], ["heavy_check_mark", "✔️"],
+  ["hourglass", "⌛"], ["hugs", "🤗"], ["information_source", "ℹ️"], ["joy", "😂"],
+  ["key", "🔑"], ["laughing", "😆"], ["link", "🔗"], ["lock", "🔒"], ["mag", "🔍"],
+  ["memo", "📝"], ["muscle", "💪"], ["no_entry", "⛔"], ["ok_hand", "👌"], ["package", "📦"],
+  ["pencil2", "✏️"], ["point_right", "👉"], ["pray", "🙏"],
+  ["pushpin", "📌"], ["question", "❓"], ["raised_hands", "🙌"], ["recycle", "♻️"],
+  ["relieved", "😌"], ["rocket", "🚀"], ["rotating_light", "🚨"], ["scream", "😱"],
+  ["see_no_evil", "🙈"], ["shrug", "🤷"], ["skull", "💀"], ["slightly_smiling_face", "🙂"],
+  ["smile", "😄"], ["smiley", "😃"], ["smirk", "😏"], ["sob", "😭"], ["sparkles", "✨"],
+  ["star", "⭐"], ["stopwatch", "⏱️"], ["sunglasses", "😎"], ["sweat_smile", "😅"],
+  ["tada", "🎉"], ["thinking", "🤔"], ["thumbsdown", "👎"], ["thumbsup", "👍"],
+  ["trophy", "🏆"], ["turtle", "🐢"], ["upside_down_face", "🙃"], ["warning", "⚠️"],
+  ["wave", "👋"], ["white_check_mark", "✅"], ["wink", "😉"], ["wrench", "🔧"],
+  ["x", "❌"], ["zap", "⚡"], ["zzz", "💤"]
+].map(([name, char]) => ({ name, char }))
@@ -0,0 +1,32 @@
+// Hidden inputs holding a multi-value form field, for pickers that fill in a form
+//
+//   toggleFieldValue(container, "issue[labels][]", "bug")   // => true (now selected)
+//   fieldValues(container, "issue[labels][]")               // => ["bug"]
+//
+// Each value is its own <input type="hidden">, which Rails reads as an array because of the
+// [] in the name. The inputs are kept in the given container.
+
+export function fieldValues(container, name) {
+  return fieldInputs(container, name).map(input => input.value)
+}
+
+// Add the value, or remove it if it's already there; returns whether it's now selected
+export function toggleFieldValue(container, name, value) {
+  const existing = fieldInputs(container, name).find(input => input.value === value)
+
+  if (existing) {
+    existing.remove()
+    return false
+  }
+
+  const input = document.createElement("input")
+  input.type = "hidden"
+  input.name = name
+  input.value = value
+  container.appendChild(input)
+  return true
+}
+
+function fieldInputs(container, name) {
+  return [...container.querySelectorAll("input[type='hidden']")].filter(input => input.name === name)
+}
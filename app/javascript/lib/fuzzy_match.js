@@ -0,0 +1,152 @@
+// Ranked fuzzy matching for filter dropdowns and autocomplete
+//
+//   fuzzyMatch("nt", "needs triage") // => { score: 2..., indices: [0, 6] } (word starts)
+//   fuzzyFilter(labels, "bug", label => label.name) // => [{ item, score, indices }, ...]
+//
+// Matches rank prefix > word-start > subsequence. Within a tier, tighter and
+// shorter matches score higher. `indices` are the matched character positions
+// for highlighting.
+
+const PREFIX = 3
+const WORD_START = 2
+const SUBSEQUENCE = 1
+
+// Characters that start a new "word" inside a label or login
+const WORD_SEPARATOR = /[\s\-_/.:]/
+
+function isWordStart(text, index) {
+  return index === 0 || WORD_SEPARATOR.test(text[index - 1])
+}
+
+function range(start, length) {
+  return Array.from({ length }, (_, offset) => start + offset)
+}
+
+// Each query character matched to the start of a word, in order ("nt" => Needs Triage)
+function wordStartIndices(text, query) {
+  const indices = []
+  let position = 0
+
+  for (const char of query) {
+    let found = -1
+    for (let i = position; i < text.length; i++) {
+      if (text[i] === char && isWordStart(text, i)) {
+        found = i
+        break
+      }
+    }
+    if (found === -1) return null
+
+    indices.push(found)
+    position = found + 1
+  }
+
+  return indices
+}
+
+// Greedy in-order match of every query character
+function subsequenceIndices(text, query) {
+  const indices = []
+  let position = 0
+
+  for (const char of query) {
+    const found = text.indexOf(char, position)
+    if (found === -1) return null
+
+    indices.push(found)
+    position = found + 1
+  }
+
+  return indices
+}
+
+// Score within a tier: fewer gaps and shorter text rank higher (always < 1)
+function tightness(indices, textLength) {
+  const span = indices[indices.length - 1] - indices[0] + 1
+  const gaps = span - indices.length
+  return 1 / (1 + gaps + textLength / 100)
+}
+
+export function fuzzyMatch(query, text) {
+  const needle = (query || "").trim().toLowerCase()
+  const haystack = (text || "").toLowerCase()
+
+  if (!needle) return { score: 0, indices: [] }
+
+  if (haystack.startsWith(needle)) {
+    return { score: PREFIX + tightness(range(0, needle.length), haystack.length), indices: range(0, needle.length) }
+  }
+
+  // The whole query at the start of a later word ("triage" in "needs triage")
+  for (let i = haystack.indexOf(needle); i !== -1; i = haystack.indexOf(needle, i + 1)) {
+    if (isWordStart(haystack, i)) {
+      const indices = range(i, needle.length)
+      return { score: WORD_START + tightness(indices, haystack.length), indices }
+    }
+  }
+
+  // Initials across words ("nt" => "needs triage")
+  const initials = wordStartIndices(haystack, needle.replace(/\s+/g, ""))
+  if (initials) {
+    return { score: WORD_START + tightness(initials, haystack.length) / 2, indices: initials }
+  }
+
+  const indices = subsequenceIndices(haystack, needle.replace(/\s+/g, ""))
+  if (indices) {
+    return { score: SUBSEQUENCE + tightness(indices, haystack.length), indices }
+  }
+
+  return null
+}
+
+// Filter and rank a list; getText picks the string to match from each item
+export function fuzzyFilter(items, query, getText = item => item) {
+  const results = []
+
+  items.forEach((item, position) => {
+    const match = fuzzyMatch(query, getText(item))
+    if (match) results.push({ item, position, ...match })
+  })
+
+  // Stable: equal scores keep their original order
+  results.sort((a, b) => b.score - a.score || a.position - b.position)
+  return results
+}
+
+// Fill an element with text, wrapping matched characters in <mark>
+export function highlightMatch(element, text, indices = []) {
+  element.textContent = ""
+
+  if (indices.length === 0) {
+    element.textContent = text
+    return element
+  }
+
+  const matched = new Set(indices)
+  let run = ""
+  let runMatched = matched.has(0)
+
+  const flush = () => {
+    if (!run) return
+    if (runMatched) {
+      const mark = document.createElement("mark")
+      mark.className = "bg-transparent font-semibold text-inherit underline decoration-emerald-500 underline-offset-2"
+      mark.textContent = run
+      element.appendChild(mark)
+    } else {
+      element.appendChild(document.createTextNode(run))
+    }
+    run = ""
+  }
+
+  for (let index = 0; index < text.length; index++) {
+    if (matched.has(index) !== runMatched) {
+      flush()
+      runMatched = matched.has(index)
+    }
+    run += text[index]
+  }
+  flush()
+
+  return element
+}
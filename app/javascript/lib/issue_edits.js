@@ -0,0 +1,61 @@
+// Inline edits from the issue sidebar, sent to the issue's sidebar action endpoint
+//
+//   const issue = await updateIssue(url, "add_labels", ["bug"])
+//   issue.labels        // => ["bug", "docs"], the issue's labels after the change
+//   issue.html.labels   // => the re-rendered Labels section
+//
+// Operations are the issue actions: add_labels, remove_labels, add_assignees,
+// remove_assignees, close and reopen. Rejected changes throw with GitHub's error message,
+// so callers can roll back their optimistic update.
+
+export async function updateIssue(url, operation, values = []) {
+  const body = new FormData()
+  body.append("operation", operation)
+  values.forEach(value => body.append("values[]", value))
+
+  return sendEdit(url, "POST", body)
+}
+
+// Set a project item's single select field to an option, or clear it with a blank option
+export async function updateProjectField(url, { projectId, itemId, fieldId, optionId }) {
+  const body = new FormData()
+  body.append("project_id", projectId)
+  body.append("item_id", itemId)
+  body.append("field_id", fieldId)
+  body.append("option_id", optionId || "")
+
+  return sendEdit(url, "PATCH", body)
+}
+
+// Check or uncheck the task list item starting on a line of an issue body or comment (blank
+// commentId for the body). digest identifies the markdown the page was rendered from: if
+// GitHub's has changed since, the error thrown has conflict set and nothing is saved.
+export async function updateTaskList(url, { commentId, line, checked, digest }) {
+  const body = new FormData()
+  body.append("comment_id", commentId || "")
+  body.append("line", line)
+  body.append("checked", checked)
+  body.append("digest", digest)
+
+  return sendEdit(url, "PATCH", body)
+}
+
+async function sendEdit(url, method, body) {
+  const response = await fetch(url, {
+    method,
+    body,
+    headers: {
+      "Accept": "application/json",
+      "X-CSRF-Token": document.querySelector('meta[name="csrf-token"]')?.content
+    }
+  })
+  const data = await response.json().catch(() => ({}))
+
+  if (!response.ok) {
+    const error = new Error(data.error || `HTTP error! status: ${response.status}`)
+    error.conflict = Boolean(data.conflict)
+    throw error
+  }
+
+  return data
+}
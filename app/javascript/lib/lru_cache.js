@@ -0,0 +1,41 @@
+// Fixed-size cache that evicts the least recently used entry
+//
+//   const previews = new LruCache(20)
+//   previews.set(url, html)
+//   previews.get(url)   // => html, and marks the entry as most recently used
+//
+// Relies on Map keeping insertion order: reads move an entry to the end,
+// so the first key is always the one to evict.
+
+export class LruCache {
+  constructor(limit) {
+    this.limit = limit
+    this.entries = new Map()
+  }
+
+  has(key) {
+    return this.entries.has(key)
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) return undefined
+
+    const value = this.entries.get(key)
+    this.entries.delete(key)
+    this.entries.set(key, value)
+    return value
+  }
+
+  set(key, value) {
+    this.entries.delete(key)
+    this.entries.set(key, value)
+
+    while (this.entries.size > this.limit) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key)
+  }
+}
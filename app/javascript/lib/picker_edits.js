@@ -0,0 +1,109 @@
+// Edit mode of the label and assignee pickers (label-search and contributor-search in the
+// issue sidebar): clicking an item adds it to or removes it from the issue right away
+//
+//   this.edits = new PickerEdits(this, "labels")
+//   toggleEdit(event) { this.edits.toggle(event) }
+//
+// The change shows at once and is rolled back if GitHub rejects it. The field (labels or
+// assignees) names the issue operations (add_labels, remove_labels) and the parts of the
+// response used. The controller provides selectedValue, editUrlValue, the results, summary
+// and optional error targets, and renderSummary().
+
+import { updateIssue } from "lib/issue_edits"
+
+// What clicking an item does in the picker's mode: edit the issue, toggle a form field, or
+// edit the search query (filter-dropdown)
+export function itemAction(controller) {
+  if (controller.hasEditUrlValue) return `click->${controller.identifier}#toggleEdit`
+  if (controller.hasFieldValue) return `click->${controller.identifier}#toggleField`
+  return "click->filter-dropdown#selectItem"
+}
+
+// Checkmark for a selected item, or a spacer of the same size
+export function createCheckmark(isSelected) {
+  if (!isSelected) {
+    const spacer = document.createElement("div")
+    spacer.className = "h-5 w-5 flex-shrink-0"
+    return spacer
+  }
+
+  const checkmark = document.createElementNS("http://www.w3.org/2000/svg", "svg")
+  checkmark.setAttribute("class", "h-5 w-5 text-emerald-600 dark:text-emerald-400 flex-shrink-0")
+  checkmark.setAttribute("viewBox", "0 0 20 20")
+  checkmark.setAttribute("fill", "currentColor")
+
+  const path = document.createElementNS("http://www.w3.org/2000/svg", "path")
+  path.setAttribute("fill-rule", "evenodd")
+  path.setAttribute("d", "M16.704 4.153a.75.75 0 01.143 1.052l-8 10.5a.75.75 0 01-1.127.075l-4.5-4.5a.75.75 0 011.06-1.06l3.894 3.893 7.48-9.817a.75.75 0 011.05-.143z")
+  path.setAttribute("clip-rule", "evenodd")
+
+  checkmark.appendChild(path)
+  return checkmark
+}
+
+export class PickerEdits {
+  constructor(controller, field) {
+    this.controller = controller
+    this.field = field
+    this.pending = 0
+  }
+
+  async toggle(event) {
+    event.preventDefault()
+
+    const controller = this.controller
+    const value = event.currentTarget.dataset.value
+    const adding = !controller.selectedValue.includes(value)
+    this.setSelected(value, adding)
+    this.hideError()
+    this.pending += 1
+
+    try {
+      const issue = await updateIssue(controller.editUrlValue, `${adding ? "add" : "remove"}_${this.field}`, [value])
+
+      // Once nothing else is in flight, show the issue as GitHub has it
+      if (this.pending === 1) {
+        controller.selectedValue = issue[this.field]
+        controller.summaryTarget.innerHTML = issue.html[this.field]
+        this.renderCheckmarks()
+      }
+    } catch (error) {
+      console.error(`Error updating ${this.field}:`, error)
+      this.setSelected(value, !adding)
+      this.showError(error.message)
+    } finally {
+      this.pending -= 1
+    }
+  }
+
+  setSelected(value, selected) {
+    const controller = this.controller
+    const others = controller.selectedValue.filter(selectedValue => selectedValue !== value)
+    controller.selectedValue = selected ? others.concat(value) : others
+
+    this.renderCheckmarks()
+    controller.renderSummary()
+  }
+
+  // Update the checkmarks of the listed items to match the selection
+  renderCheckmarks() {
+    const { resultsTarget, selectedValue } = this.controller
+
+    resultsTarget.querySelectorAll("[data-value]").forEach(item => {
+      item.firstElementChild.replaceWith(createCheckmark(selectedValue.includes(item.dataset.value)))
+    })
+  }
+
+  showError(message) {
+    if (!this.controller.hasErrorTarget) return
+
+    this.controller.errorTarget.textContent = message
+    this.controller.errorTarget.classList.remove("hidden")
+  }
+
+  hideError() {
+    if (this.controller.hasErrorTarget) {
+      this.controller.errorTarget.classList.add("hidden")
+    }
+  }
+}
@@ -0,0 +1,218 @@
+// Parses GitHub issue search syntax into a list of terms and serializes it back
+//
+//   const query = SearchQuery.parse('is:issue -label:"needs triage" no:assignee crash')
+//   query.toggle("label", "bug")
+//   query.toString() // => 'is:issue -label:"needs triage" no:assignee crash label:bug'
+//
+// Each term is either a qualifier ({ type: "qualifier", key, value, negated })
+// or free text ({ type: "text", value, negated, quoted }). Unknown qualifiers
+// are kept as free text so they round-trip untouched.
+
+// Qualifiers understood by GitHub's issue search
+export const QUALIFIER_KEYS = [
+  "is", "state", "label", "author", "assignee", "mentions", "commenter",
+  "involves", "milestone", "project", "no", "in", "sort", "type", "reason",
+  "created", "updated", "closed", "comments", "reactions", "interactions",
+  "linked", "repo", "org", "user"
+]
+
+// Qualifiers that only make sense once per query (adding a new value replaces the old one)
+export const SINGLE_VALUE_KEYS = ["state", "sort", "author", "milestone", "type", "reason"]
+
+const QUALIFIER_PATTERN = /^(-?)([a-z][a-z-]*):([\s\S]*)$/i
+
+// Split a query string into raw tokens, keeping quoted sections together
+// e.g. 'label:"needs triage" fix' => ['label:"needs triage"', 'fix']
+export function tokenize(string) {
+  const tokens = []
+  let current = ""
+  let inQuotes = false
+
+  for (const char of string || "") {
+    if (char === '"') {
+      inQuotes = !inQuotes
+      current += char
+    } else if (/\s/.test(char) && !inQuotes) {
+      if (current) tokens.push(current)
+      current = ""
+    } else {
+      current += char
+    }
+  }
+
+  // An unterminated quote swallows the rest of the string
+  if (current) tokens.push(current)
+
+  return tokens
+}
+
+// Remove one pair of surrounding quotes (the closing quote may be missing while typing)
+function unquote(value) {
+  if (value.startsWith('"')) {
+    return value.endsWith('"') && value.length > 1 ? value.slice(1, -1) : value.slice(1)
+  }
+  return value
+}
+
+// Quote a qualifier value when GitHub would otherwise split it
+export function quote(value) {
+  const text = String(value)
+  return text === "" || /[\s"]/.test(text) ? `"${text.replace(/"/g, "")}"` : text
+}
+
+// Build a term object from a single raw token
+export function parseToken(token) {
+  const match = token.match(QUALIFIER_PATTERN)
+
+  if (match && QUALIFIER_KEYS.includes(match[2].toLowerCase())) {
+    return {
+      type: "qualifier",
+      key: match[2].toLowerCase(),
+      value: unquote(match[3]),
+      negated: match[1] === "-"
+    }
+  }
+
+  const negated = token.startsWith("-") && token.length > 1
+  const text = negated ? token.slice(1) : token
+  const quoted = text.startsWith('"')
+
+  return { type: "text", value: quoted ? unquote(text) : text, negated, quoted }
+}
+
+// Turn a term object back into its query string form
+export function serializeTerm(term) {
+  const prefix = term.negated ? "-" : ""
+
+  if (term.type === "qualifier") {
+    return `${prefix}${term.key}:${quote(term.value)}`
+  }
+
+  return `${prefix}${term.quoted ? `"${term.value}"` : term.value}`
+}
+
+function sameValue(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase()
+}
+
+export class SearchQuery {
+  static parse(string) {
+    return new SearchQuery(tokenize(string).map(parseToken))
+  }
+
+  constructor(terms = []) {
+    this.terms = terms
+  }
+
+  // All qualifier terms for a key (optionally filtered by negation)
+  qualifiers(key, { negated } = {}) {
+    return this.terms.filter(term =>
+      term.type === "qualifier" &&
+      term.key === key &&
+      (negated === undefined || term.negated === negated)
+    )
+  }
+
+  // Values for a key, e.g. values("label") => ["bug", "needs triage"]
+  values(key, { negated = false } = {}) {
+    return this.qualifiers(key, { negated }).map(term => term.value)
+  }
+
+  // First (non-negated) value for a key, or null
+  value(key) {
+    return this.values(key)[0] ?? null
+  }
+
+  has(key, value, { negated = false } = {}) {
+    return this.qualifiers(key, { negated }).some(term => value === undefined || sameValue(term.value, value))
+  }
+
+  // Add a qualifier unless the exact same one is already present.
+  // Single-value qualifiers replace any existing value.
+  add(key, value, { negated = false } = {}) {
+    if (this.has(key, value, { negated })) return this
+
+    if (SINGLE_VALUE_KEYS.includes(key) && !negated) {
+      this.remove(key)
+    } else {
+      // A value can't be both included and excluded
+      this.remove(key, value)
+    }
+
+    this.terms.push({ type: "qualifier", key, value: String(value), negated })
+    return this
+  }
+
+  // Remove qualifiers for a key; with a value only that value is removed (included or negated)
+  remove(key, value) {
+    this.terms = this.terms.filter(term =>
+      !(term.type === "qualifier" && term.key === key && (value === undefined || sameValue(term.value, value)))
+    )
+    return this
+  }
+
+  // Replace all values for a key with a single value
+  set(key, value) {
+    this.remove(key)
+    if (value !== null && value !== undefined && value !== "") {
+      this.terms.push({ type: "qualifier", key, value: String(value), negated: false })
+    }
+    return this
+  }
+
+  // Add the qualifier if missing, otherwise remove it
+  toggle(key, value, { negated = false } = {}) {
+    if (this.has(key, value, { negated })) {
+      this.remove(key, value)
+    } else {
+      this.add(key, value, { negated })
+    }
+    return this
+  }
+
+  // Issue state can be written as state:open or is:open - normalize to state:
+  setState(state) {
+    this.remove("is", "open")
+    this.remove("is", "closed")
+    return this.set("state", state)
+  }
+
+  state() {
+    const term = this.terms.find(term =>
+      term.type === "qualifier" && !term.negated &&
+      (term.key === "state" || term.key === "is") &&
+      ["open", "closed"].includes(term.value.toLowerCase())
+    )
+    return term ? term.value.toLowerCase() : null
+  }
+
+  // Free-text portion of the query
+  get text() {
+    return this.terms.filter(term => term.type === "text").map(serializeTerm).join(" ")
+  }
+
+  clone() {
+    return new SearchQuery(this.terms.map(term => ({ ...term })))
+  }
+
+  // Qualifiers without a value (a half-typed "label:") are left out
+  toString() {
+    return this.terms
+      .filter(term => !(term.type === "qualifier" && term.value === ""))
+      .map(serializeTerm)
+      .join(" ")
+  }
+}
+
+// Parse the value of a search field, apply an edit and write it back.
+// A trailing space is kept so users can keep typing after a qualifier.
+// Dispatches `search-query:change` so views of the query (e.g. search chips) can refresh.
+export function editSearchField(field, edit) {
+  const query = SearchQuery.parse(field.value)
+  edit(query)
+
+  const value = query.toString()
+  field.value = value ? `${value} ` : value
+  field.dispatchEvent(new CustomEvent("search-query:change", { bubbles: true, detail: { query } }))
+  return query
+}
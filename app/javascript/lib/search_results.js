@@ -0,0 +1,37 @@
+// The issues of the last list the user left, for stepping through them from an issue page
+//
+//   rememberSearchResults(["/repositories/1/issues/12", "/repositories/1/issues/9"])
+//   adjacentSearchResult("/repositories/1/issues/12", 1)   // => "/repositories/1/issues/9"
+//
+// Paths are kept in sessionStorage, so each tab steps through the search it came from.
+// Only issues that were loaded into the list (including infinite scroll pages) are known.
+
+const STORAGE_KEY = "search-results"
+
+export function rememberSearchResults(paths) {
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(paths.filter(Boolean)))
+  } catch {
+    // Quota exceeded or storage disabled - [ and ] just won't be available
+  }
+}
+
+// The path offset places away from the given one, or null when it isn't in the results
+// or the offset runs off either end
+export function adjacentSearchResult(path, offset) {
+  const paths = storedPaths()
+  const index = paths.indexOf(path)
+  if (index === -1) return null
+
+  return paths[index + offset] ?? null
+}
+
+function storedPaths() {
+  try {
+    const paths = JSON.parse(sessionStorage.getItem(STORAGE_KEY))
+    return Array.isArray(paths) ? paths : []
+  } catch {
+    // Storage disabled or corrupt entry
+    return []
+  }
+}
@@ -0,0 +1,34 @@
+// Service worker registration
+//
+// Registers the worker named by the service-worker meta tag (see service_worker_meta_tag)
+// and hands it this page's stylesheets and scripts to precache as the app shell. The page
+// knows the current deploy's digested asset URLs; the worker itself doesn't.
+
+export function registerServiceWorker() {
+  const url = document.querySelector('meta[name="service-worker"]')?.content
+  if (!url || !("serviceWorker" in navigator)) return
+
+  navigator.serviceWorker.register(url, { scope: "/" })
+    .then(() => navigator.serviceWorker.ready)
+    .then(registration => registration.active?.postMessage({ type: "precache", urls: shellUrls() }))
+    .catch(error => console.error("Error registering service worker:", error))
+}
+
+// Stylesheets, scripts, preloaded modules and everything in the import map
+export function shellUrls() {
+  const urls = Array.from(
+    document.querySelectorAll('link[rel="stylesheet"], link[rel="modulepreload"], script[src]'),
+    element => element.href || element.src
+  )
+
+  const importmap = document.querySelector('script[type="importmap"]')
+  if (importmap) {
+    try {
+      urls.push(...Object.values(JSON.parse(importmap.textContent).imports || {}))
+    } catch (error) {
+      console.error("Error reading import map:", error)
+    }
+  }
+
+  return [...new Set(urls.map(url => new URL(url, document.baseURI).href))]
+}
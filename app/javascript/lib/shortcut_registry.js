@@ -0,0 +1,264 @@
+// Page-wide keyboard shortcut registry
+//
+//   connect() {
+//     this.unregister = shortcuts.register("page", [
+//       { id: "list.move", handler: (event, key, index) => index === 0 ? this.focusNext() : this.focusPrevious() },
+//       { keys: "Escape", handler: () => this.close() }
+//     ])
+//   }
+//   disconnect() { this.unregister() }
+//
+// Bindings with an `id` take their keys, description and category from DEFAULT_SHORTCUTS,
+// and use the user's remapped keys once setOverrides() has been called. Handlers get
+// the index of the matched key so multi-key entries (j/k) survive remapping.
+//
+// Keys use event.key values ("j", "?", "Escape"), "Mod+/" for Cmd/Ctrl, and
+// space-separated sequences ("g d"). When several bindings claim a key, the one
+// from the highest-priority scope wins (ties go to the latest registration).
+// A registration with `modal: true` (an open menu or dialog) hides every
+// lower-priority binding while its `when` holds.
+//
+// Binding options:
+//   when          - guard checked on each keypress (the binding is still listed in help)
+//   allowInInputs - also fire while typing in an input/textarea
+//   description   - shown in the help modal; bindings without one are hidden from it
+
+import { DEFAULT_SHORTCUTS } from "lib/default_shortcuts"
+
+export const SCOPES = { global: 0, page: 10, component: 20, overlay: 30 }
+
+// How long to wait for the second key of a sequence
+export const SEQUENCE_TIMEOUT = 1000
+
+// Help modal category order (anything else goes before Help)
+const CATEGORY_ORDER = ["Navigation", "Issues", "Go to", "Search & Filters", "Help"]
+
+const MODIFIER_KEYS = ["Shift", "Control", "Alt", "Meta"]
+
+// Inputs that don't take text, so shortcuts keep working while they have focus
+const NON_TEXT_INPUT_TYPES = ["checkbox", "radio", "button", "submit", "reset"]
+
+export function isMac() {
+  return /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent)
+}
+
+export function isTypingContext(element) {
+  if (!element || !element.tagName) return false
+
+  const tagName = element.tagName.toLowerCase()
+  if (tagName === "input") return !NON_TEXT_INPUT_TYPES.includes(element.type)
+
+  return tagName === "textarea" || tagName === "select" || element.isContentEditable
+}
+
+// Normalize a keydown event to registry notation, e.g. "j", "?", "Mod+/"
+export function keyFromEvent(event) {
+  // Shift-/ reports "/" on some keyboard layouts
+  const key = event.key === "/" && event.shiftKey ? "?" : event.key
+  const modifiers = []
+
+  if (event.metaKey || event.ctrlKey) modifiers.push("Mod+")
+  if (event.altKey) modifiers.push("Alt+")
+
+  return modifiers.join("") + key
+}
+
+// Display form of a key for the help modal ("Mod+/" => "Cmd-/" on macOS, "O" => "Shift-O")
+export function formatKey(key) {
+  if (key === "Escape") return "Esc"
+  if (key === "?") return "Shift-/"
+  if (/^[A-Z]$/.test(key)) return `Shift-${key}`
+
+  return key.replace("Mod+", isMac() ? "Cmd-" : "Ctrl-").replace("Alt+", "Alt-")
+}
+
+function byPrecedence(a, b) {
+  return b.priority - a.priority || b.order - a.order
+}
+
+function categoryRank(category) {
+  const index = CATEGORY_ORDER.indexOf(category)
+  return index === -1 ? CATEGORY_ORDER.indexOf("Help") - 0.5 : index
+}
+
+class ShortcutRegistry {
+  constructor() {
+    this.registrations = []
+    this.overrides = {}
+    this.counter = 0
+    this.pending = null
+    this.timer = null
+    this.indicator = null
+    this.listening = false
+    this.handleKeydown = this.handleKeydown.bind(this)
+  }
+
+  // Register bindings for a scope; returns a function that unregisters them
+  register(scope, bindings, { modal = false, when = null } = {}) {
+    const registration = {
+      priority: SCOPES[scope] ?? SCOPES.page,
+      order: this.counter++,
+      modal,
+      when,
+      bindings: bindings.map(binding => {
+        const defaults = DEFAULT_SHORTCUTS[binding.id] || {}
+        return { ...defaults, ...binding, keys: [].concat(binding.keys ?? defaults.keys) }
+      })
+    }
+
+    this.registrations.push(registration)
+    this.listen()
+
+    return () => {
+      this.registrations = this.registrations.filter(entry => entry !== registration)
+    }
+  }
+
+  // User remappings: { id => [keys] } (entries for unknown ids are ignored)
+  setOverrides(overrides) {
+    this.overrides = overrides || {}
+  }
+
+  keysFor(binding) {
+    const override = binding.id && this.overrides[binding.id]
+    return Array.isArray(override) && override.length > 0 ? override : binding.keys
+  }
+
+  // Bindings from registrations that are currently active, in registration order
+  activeBindings() {
+    const active = this.registrations.filter(registration => !registration.when || registration.when())
+    const floor = Math.max(-Infinity, ...active.filter(registration => registration.modal).map(registration => registration.priority))
+
+    return active
+      .filter(registration => registration.priority >= floor)
+      .flatMap(registration => registration.bindings.map(binding => ({
+        ...binding,
+        keys: this.keysFor(binding),
+        priority: registration.priority,
+        order: registration.order
+      })))
+  }
+
+  // The binding that handles a key right now, or null
+  resolve(key, { typing = false } = {}) {
+    const candidates = this.activeBindings().filter(binding =>
+      binding.keys.includes(key) &&
+      (!typing || binding.allowInInputs) &&
+      (!binding.when || binding.when())
+    )
+
+    return candidates.sort(byPrecedence)[0] ?? null
+  }
+
+  // Whether a key starts an active sequence
+  isPrefix(key) {
+    return this.activeBindings().some(binding =>
+      binding.keys.some(bindingKey => bindingKey.startsWith(`${key} `)) &&
+      (!binding.when || binding.when())
+    )
+  }
+
+  // Described bindings that win their keys, for the help modal
+  bindings() {
+    const claimed = new Set()
+    const visible = []
+
+    this.activeBindings()
+      .map((binding, position) => ({ ...binding, position }))
+      .sort(byPrecedence)
+      .filter(binding => binding.description)
+      .forEach(binding => {
+        const keys = binding.keys.filter(key => !claimed.has(key))
+        keys.forEach(key => claimed.add(key))
+
+        if (keys.length > 0) visible.push({ ...binding, keys })
+      })
+
+    return visible.sort((a, b) => a.position - b.position)
+  }
+
+  // bindings() grouped as [{ category, items }] in help modal order
+  categories() {
+    const groups = new Map()
+
+    this.bindings().forEach(binding => {
+      const category = binding.category || "General"
+      if (!groups.has(category)) groups.set(category, [])
+      groups.get(category).push(binding)
+    })
+
+    return Array.from(groups, ([category, items]) => ({ category, items }))
+      .sort((a, b) => categoryRank(a.category) - categoryRank(b.category))
+  }
+
+  listen() {
+    if (this.listening) return
+
+    document.addEventListener("keydown", this.handleKeydown)
+    this.listening = true
+  }
+
+  handleKeydown(event) {
+    // Focused widgets (menus, autocomplete) that handle a key call preventDefault
+    if (event.defaultPrevented || MODIFIER_KEYS.includes(event.key)) return
+
+    const key = keyFromEvent(event)
+    const typing = isTypingContext(event.target)
+
+    if (this.pending) {
+      const sequence = `${this.pending} ${key}`
+      this.cancelSequence()
+      this.run(this.resolve(sequence, { typing }), event, sequence)
+      return
+    }
+
+    if (!typing && this.isPrefix(key)) {
+      event.preventDefault()
+      this.startSequence(key)
+      return
+    }
+
+    this.run(this.resolve(key, { typing }), event, key)
+  }
+
+  run(binding, event, key) {
+    if (!binding) return
+
+    event.preventDefault()
+    binding.handler(event, key, binding.keys.indexOf(key))
+  }
+
+  // Remember the first key of a sequence; give up if no second key follows in time
+  startSequence(prefix) {
+    this.pending = prefix
+    this.showIndicator(prefix)
+
+    clearTimeout(this.timer)
+    this.timer = setTimeout(() => this.cancelSequence(), SEQUENCE_TIMEOUT)
+  }
+
+  cancelSequence() {
+    this.pending = null
+    clearTimeout(this.timer)
+    this.indicator?.remove()
+  }
+
+  // Small badge showing the pending first key, e.g. "g …"
+  showIndicator(prefix) {
+    if (!this.indicator) {
+      this.indicator = document.createElement("div")
+      this.indicator.className = "fixed bottom-4 right-4 z-50 flex items-center gap-2 rounded-md bg-gray-900/90 dark:bg-gray-700/90 px-3 py-2 text-sm text-white shadow-lg"
+      this.indicator.setAttribute("role", "status")
+      this.indicator.setAttribute("aria-live", "polite")
+    }
+
+    const key = document.createElement("kbd")
+    key.className = "rounded bg-white/20 px-1.5 py-0.5 font-mono text-xs font-semibold"
+    key.textContent = prefix
+    this.indicator.replaceChildren(key, " …")
+
+    document.body.appendChild(this.indicator)
+  }
+}
+
+export const shortcuts = new ShortcutRegistry()
@@ -0,0 +1,201 @@
+// The suggestion popup behind the search and markdown autocompletes: a listbox for a text
+// input, with the keys of the filter dropdowns
+//
+//   this.suggestionList = new SuggestionList(this.inputTarget, this.listTarget, {
+//     onSelect: suggestion => this.complete(suggestion),
+//     renderOption: (option, suggestion) => option.append(suggestion.label)
+//   })
+//   this.suggestionList.show(filterSuggestions(items, "bu", 8, item => item.value))
+//
+// ArrowDown/ArrowUp move (up from the first item returns to the text), Home/End jump to the
+// first/last suggestion, Enter or Tab completes with the highlighted (or first) suggestion
+// and Escape closes. Ctrl/Cmd-Enter is left alone, so forms can still submit.
+// Suggestions are plain objects; the callers decide what they hold and how they look.
+
+import { fuzzyFilter } from "lib/fuzzy_match"
+
+// How long to wait after the user stops typing before searching the server
+export const SEARCH_DELAY = 300
+
+const OPTION_CLASS = "flex cursor-pointer items-center gap-2 text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+
+// Fuzzy-ranked matches, remembering matched characters (indices) for highlighting
+export function filterSuggestions(items, partial, limit, key) {
+  return fuzzyFilter(items, partial, key)
+    .slice(0, limit)
+    .map(match => ({ ...match.item, indices: match.indices }))
+}
+
+// Server-side search of a JSON endpoint with ?q=
+export async function fetchSuggestions(url, query, signal) {
+  const searchUrl = new URL(url, window.location.origin)
+  if (query) searchUrl.searchParams.set("q", query)
+
+  const response = await fetch(searchUrl, { signal, headers: { "Accept": "application/json" } })
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`)
+  }
+
+  return response.json()
+}
+
+export class SuggestionList {
+  // onSelect(suggestion)            - complete with a chosen suggestion
+  // renderOption(option, suggestion) - fill in a suggestion's <li>
+  // optionPadding                   - padding classes of each <li>
+  constructor(input, list, { onSelect, renderOption, optionPadding = "px-4 py-2" }) {
+    this.input = input
+    this.list = list
+    this.onSelect = onSelect
+    this.renderOption = renderOption
+    this.optionPadding = optionPadding
+    this.suggestions = []
+    this.activeIndex = -1
+    this.debounceTimer = null
+    this.abortController = null
+  }
+
+  // Show suggestions; without any, show emptyText or close
+  show(suggestions, { emptyText = null } = {}) {
+    this.suggestions = suggestions
+    this.activeIndex = -1
+    this.list.innerHTML = ""
+
+    if (suggestions.length === 0 && !emptyText) {
+      this.close()
+      return
+    }
+
+    if (suggestions.length === 0) {
+      const empty = document.createElement("li")
+      empty.className = `${this.optionPadding} text-sm text-gray-500 dark:text-gray-400`
+      empty.setAttribute("role", "presentation")
+      empty.textContent = emptyText
+      this.list.appendChild(empty)
+    }
+
+    suggestions.forEach((suggestion, index) => {
+      this.list.appendChild(this.createOption(suggestion, index))
+    })
+
+    this.list.classList.remove("hidden")
+    this.input.setAttribute("aria-expanded", "true")
+  }
+
+  // Returns whether the key was handled (callers stop there)
+  handleKeydown(event) {
+    if (!this.isOpen()) return false
+
+    switch (event.key) {
+      case "Escape":
+        event.preventDefault()
+        event.stopPropagation() // Keep focus (and any draft) where it is
+        this.close()
+        return true
+      case "Tab":
+      case "Enter": {
+        if (event.ctrlKey || event.metaKey) return false
+
+        // Complete with the highlighted item, or the first one
+        const suggestion = this.suggestions[Math.max(this.activeIndex, 0)]
+        if (suggestion) {
+          event.preventDefault()
+          this.onSelect(suggestion)
+        } else {
+          this.close()
+        }
+        return true
+      }
+      case "ArrowDown":
+        event.preventDefault()
+        this.activate(Math.min(this.activeIndex + 1, this.suggestions.length - 1))
+        return true
+      case "ArrowUp":
+        event.preventDefault()
+        // Moving up from the first item returns to the text (no highlight)
+        this.activate(this.activeIndex - 1)
+        return true
+      case "Home":
+        event.preventDefault()
+        this.activate(0)
+        return true
+      case "End":
+        event.preventDefault()
+        this.activate(this.suggestions.length - 1)
+        return true
+    }
+
+    return false
+  }
+
+  // A suggestion's <li>; mousedown is cancelled so clicking keeps the input focused
+  createOption(suggestion, index) {
+    const option = document.createElement("li")
+    option.id = `${this.list.id}-option-${index}`
+    option.className = `${OPTION_CLASS} ${this.optionPadding}`
+    option.setAttribute("role", "option")
+    option.setAttribute("aria-selected", "false")
+    option.addEventListener("mousedown", event => event.preventDefault())
+    option.addEventListener("click", () => this.onSelect(suggestion))
+
+    this.renderOption(option, suggestion)
+    return option
+  }
+
+  activate(index) {
+    const options = this.list.querySelectorAll("[role='option']")
+    this.activeIndex = Math.max(index, -1)
+
+    options.forEach((option, optionIndex) => {
+      const active = optionIndex === this.activeIndex
+      option.classList.toggle("bg-gray-100", active)
+      option.classList.toggle("dark:bg-gray-700", active)
+      option.setAttribute("aria-selected", active ? "true" : "false")
+      if (active) option.scrollIntoView({ block: "nearest" })
+    })
+
+    if (this.activeIndex >= 0) {
+      this.input.setAttribute("aria-activedescendant", options[this.activeIndex].id)
+    } else {
+      this.input.removeAttribute("aria-activedescendant")
+    }
+  }
+
+  // Run a server search once typing pauses, aborting the previous one
+  debounce(search) {
+    clearTimeout(this.debounceTimer)
+
+    this.debounceTimer = setTimeout(async () => {
+      this.abortController?.abort()
+      this.abortController = new AbortController()
+
+      try {
+        await search(this.abortController.signal)
+      } catch (error) {
+        if (error.name !== "AbortError") {
+          console.error("Error searching suggestions:", error)
+        }
+      }
+    }, SEARCH_DELAY)
+  }
+
+  close() {
+    clearTimeout(this.debounceTimer)
+    this.suggestions = []
+    this.activeIndex = -1
+    this.list.classList.add("hidden")
+    this.list.innerHTML = ""
+    this.input.setAttribute("aria-expanded", "false")
+    this.input.removeAttribute("aria-activedescendant")
+  }
+
+  isOpen() {
+    return !this.list.classList.contains("hidden")
+  }
+
+  // Stop pending and running searches (controller disconnect)
+  stop() {
+    clearTimeout(this.debounceTimer)
+    this.abortController?.abort()
+  }
+}
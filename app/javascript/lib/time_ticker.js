@@ -0,0 +1,54 @@
+// Shared ticker for the page's relative times
+//
+//   schedule(update, 1000)   // call update in a second
+//   unschedule(update)       // e.g. when its element disconnects
+//
+// One timer serves every scheduled callback, set for whichever is due first, so a page
+// full of times doesn't run a timer per element. Callbacks run once; they schedule
+// themselves again with however long their text stays current.
+
+const due = new Map()  // callback => timestamp
+let timer = null
+let timerAt = Infinity
+
+export function schedule(callback, delay) {
+  const at = Date.now() + delay
+  due.set(callback, at)
+
+  if (at < timerAt) start(at)
+}
+
+export function unschedule(callback) {
+  due.delete(callback)
+
+  if (due.size === 0) stop()
+}
+
+function start(at) {
+  clearTimeout(timer)
+  timerAt = at
+  timer = setTimeout(tick, Math.max(0, at - Date.now()))
+}
+
+function stop() {
+  clearTimeout(timer)
+  timer = null
+  timerAt = Infinity
+}
+
+function tick() {
+  stop()
+
+  const now = Date.now()
+  const ready = []
+  due.forEach((at, callback) => {
+    if (at <= now) ready.push(callback)
+  })
+
+  ready.forEach(callback => due.delete(callback))
+  ready.forEach(callback => callback())
+
+  let next = Infinity
+  due.forEach(at => { next = Math.min(next, at) })
+  if (next < timerAt) start(next)
+}
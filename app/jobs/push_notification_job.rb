@@ -0,0 +1,24 @@
+# frozen_string_literal: true
+
+# Background job to send a push notification to every browser a user has subscribed
+# Subscriptions the push service no longer knows (the browser unsubscribed or the
+# permission was revoked) are deleted; other failures are logged.
+# :reek:FeatureEnvy - Job works with the user's subscriptions
+class PushNotificationJob < ApplicationJob
+  queue_as :default
+
+  def perform(user, payload)
+    client = Push::WebPushClient.new
+
+    user.push_subscriptions.find_each do |subscription|
+      result = client.deliver(subscription, payload)
+      next if result[:success]
+
+      if result[:expired]
+        subscription.destroy
+      else
+        Rails.logger.error "Error sending push notification to subscription #{subscription.id}: #{result[:error]}"
+      end
+    end
+  end
+end
@@ -0,0 +1,43 @@
+# frozen_string_literal: true
+
+# Background job to refresh a repository's cached issues (started by IssueRefresh.start)
+# Runs Github::IssueSyncService and records its progress in the IssueRefresh, which broadcasts
+# it to the issues list. A refresh cancelled from the list stops at the next synced issue and
+# rolls back everything it synced.
+# :reek:TooManyStatements - Job tracks the refresh through each of its outcomes
+# :reek:FeatureEnvy - Job works with the refresh and its repository
+class RefreshIssuesJob < ApplicationJob
+  queue_as :default
+
+  def perform(repository_id)
+    repository = Repository.find(repository_id)
+    issue_refresh = IssueRefresh.find(repository)
+    # Cancelled before the job got to it
+    issue_refresh.clear if issue_refresh&.cancelled?
+    return unless issue_refresh&.queued?
+
+    issue_refresh.update(status: "running")
+
+    progress = lambda do |fetched, total, rate_limit|
+      raise Github::IssueSyncService::Cancelled if issue_refresh.cancel_requested?
+
+      remaining = rate_limit&.values&.first&.dig(:remaining)
+      issue_refresh.update(fetched: fetched, total: total, rate_limit_remaining: remaining || issue_refresh.rate_limit_remaining)
+    end
+
+    result = Github::IssueSyncService.new(user: repository.user, repository: repository, progress: progress).call
+
+    if result[:cancelled]
+      issue_refresh.clear
+    elsif result[:success]
+      issue_refresh.update(status: "completed", fetched: result[:synced_count])
+      issue_refresh.clear
+    else
+      issue_refresh.update(status: "failed", error: result[:error])
+    end
+  rescue StandardError => error
+    Rails.logger.error "Error refreshing issues for repository #{repository_id}: #{error.message}"
+    issue_refresh&.update(status: "failed", error: error.message)
+    raise
+  end
+end
@@ -2,6 +2,7 @@
 class Issue < ApplicationRecord
   belongs_to :repository
   has_many :issue_comments, dependent: :destroy
+  has_many :watches, as: :watchable, dependent: :destroy
 
   validates :number, presence: true, uniqueness: { scope: :repository_id }
   validates :title, presence: true
@@ -11,10 +12,24 @@ class Issue < ApplicationRecord
   scope :closed, -> { where(state: "closed") }
   scope :by_state, ->(state) { where(state: state) if state.present? }
   scope :with_label, ->(label) { where("labels LIKE ?", "%#{label}%") if label.present? }
+  # Exclusions match whole names (-label:bug keeps "debug") and keep issues with no labels or assignees
+  scope :without_label, ->(label) {
+    where("NOT EXISTS (SELECT 1 FROM json_each(issues.labels) WHERE LOWER(json_extract(json_each.value, '$.name')) = LOWER(?))", label) if label.present?
+  }
   scope :assigned_to, ->(login) { where("assignees LIKE ?", "%#{login}%") if login.present? }
+  scope :not_assigned_to, ->(login) {
+    where("NOT EXISTS (SELECT 1 FROM json_each(issues.assignees) WHERE LOWER(json_extract(json_each.value, '$.login')) = LOWER(?))", login) if login.present?
+  }
   scope :authored_by, ->(login) { where(author_login: login) if login.present? }
   scope :recently_cached, -> { where("cached_at > ?", 5.minutes.ago) }
 
+  # Issues a #reference being typed could mean: by number prefix ("#12" finds #12, #120...) or title
+  scope :referenced_by, ->(query) {
+    return all if query.blank?
+    pattern = "%#{sanitize_sql_like(query)}%"
+    where("CAST(number AS TEXT) LIKE ? OR title LIKE ?", "#{sanitize_sql_like(query)}%", pattern)
+  }
+
   def open?
     state == "open"
   end
@@ -30,4 +45,25 @@ class Issue < ApplicationRecord
   def assignee_logins
     (assignees || []).map { |assignee| assignee["login"] }
   end
+
+  # Task list items in the description, for "3 of 7 tasks" progress
+  def task_list
+    TaskList.new(body)
+  end
+
+  # DOM id of the issue's card in issue lists
+  # By number, since cards for GitHub search results are built from unsaved issues
+  def card_dom_id
+    "issue_card_#{number}"
+  end
+
+  # Show a sync's change in the repository's open issue lists (issues#index subscribes)
+  # New issues are prepended; live_issues_controller.js keeps them out of lists they don't belong in
+  def broadcast_synced
+    if previously_new_record?
+      broadcast_prepend_later_to repository, :issues, target: "issues_list"
+    else
+      broadcast_replace_later_to repository, :issues, target: card_dom_id
+    end
+  end
 end
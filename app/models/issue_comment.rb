@@ -5,4 +5,22 @@ class IssueComment < ApplicationRecord
   validates :github_id, presence: true, uniqueness: { scope: :issue_id }
 
   default_scope -> { order(github_created_at: :asc) }
+
+  # The comment as an issue page timeline item (see TimelineEventComponent)
+  def timeline_item
+    {
+      type: "comment",
+      id: "cached_#{id}",
+      github_id: github_id,
+      created_at: github_created_at,
+      actor: author_login,
+      body: body,
+      avatar_url: author_avatar_url
+    }
+  end
+
+  # Append a newly synced comment to the issue page of anyone viewing it (issues#show subscribes)
+  def broadcast_synced
+    broadcast_append_later_to issue, :comments, target: "issue_timeline"
+  end
 end
@@ -0,0 +1,91 @@
+# frozen_string_literal: true
+
+# Progress of a repository's issues refresh running in RefreshIssuesJob
+# Kept in the cache rather than the database: a sync holds SQLite's write lock until it
+# commits, and cancelling has to get through while it runs. Every save is broadcast to the
+# repository's issue lists (issues/_refresh_progress), which reload once it completes.
+class IssueRefresh
+  include ActiveModel::Model
+  include ActiveModel::Attributes
+
+  STATUSES = %w[queued running completed failed cancelled].freeze
+  ACTIVE_STATUSES = %w[queued running].freeze
+  DOM_ID = "issues_refresh"
+  # Longer than any sync takes; a refresh whose job died is forgotten after this
+  EXPIRES_IN = 1.hour
+
+  attribute :status, :string, default: "queued"
+  attribute :fetched, :integer, default: 0
+  attribute :total, :integer
+  attribute :rate_limit_remaining, :integer
+  attribute :error, :string
+
+  attr_reader :repository
+
+  validates :status, inclusion: { in: STATUSES }
+
+  def self.find(repository)
+    attributes = Rails.cache.read(cache_key(repository))
+    new(repository: repository, **attributes.symbolize_keys) if attributes
+  end
+
+  # Queue a refresh unless one is already under way, which is returned instead
+  def self.start(repository)
+    current = find(repository)
+    return current if current&.active?
+
+    new(repository: repository).tap do |issue_refresh|
+      issue_refresh.save
+      RefreshIssuesJob.perform_later(repository.id)
+    end
+  end
+
+  def self.cache_key(repository)
+    "issue_refresh/#{repository.id}"
+  end
+
+  def initialize(repository:, **attributes)
+    super(**attributes)
+    @repository = repository
+  end
+
+  STATUSES.each do |name|
+    define_method(:"#{name}?") { status == name }
+  end
+
+  def active?
+    ACTIVE_STATUSES.include?(status)
+  end
+
+  # Whether the refresh was cancelled since this copy was read
+  def cancel_requested?
+    self.class.find(repository)&.cancelled? || false
+  end
+
+  def update(**changes)
+    assign_attributes(changes)
+    save
+  end
+
+  def save
+    return false unless valid?
+
+    Rails.cache.write(self.class.cache_key(repository), attributes, expires_in: EXPIRES_IN)
+    broadcast
+    true
+  end
+
+  # Forget a finished refresh; pages keep showing its last broadcast
+  def clear
+    Rails.cache.delete(self.class.cache_key(repository))
+  end
+
+  def broadcast
+    Turbo::StreamsChannel.broadcast_replace_to(
+      repository, :issues,
+      target: DOM_ID,
+      partial: "issues/refresh_progress",
+      locals: { issue_refresh: self, repository: repository }
+    )
+  end
+end
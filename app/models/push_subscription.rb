@@ -0,0 +1,42 @@
+# frozen_string_literal: true
+
+# A browser's Web Push subscription, created when a user turns on push notifications there
+# The endpoint is that browser's push service URL; the keys encrypt messages for it.
+class PushSubscription < ApplicationRecord
+  # Push services of the browsers that support Web Push (Chrome/Edge/Opera, Firefox, Safari,
+  # legacy Edge). The server POSTs to endpoints, so they must be on one of these hosts or a
+  # subdomain: anything else could point it at internal hosts.
+  PUSH_SERVICE_HOSTS = %w[
+    fcm.googleapis.com
+    updates.push.services.mozilla.com
+    push.apple.com
+    notify.windows.com
+  ].freeze
+  HTTPS_URL = %r{\Ahttps://}i
+
+  belongs_to :user
+
+  validates :endpoint, presence: true, uniqueness: true, format: { with: HTTPS_URL }
+  validates :p256dh_key, presence: true
+  validates :auth_key, presence: true
+  validate :endpoint_on_push_service
+
+  # Whether the endpoint is an https URL on a known push service
+  def push_service_endpoint?
+    uri = URI.parse(endpoint.to_s)
+    host = uri.host.to_s.downcase
+    uri.is_a?(URI::HTTPS) && uri.port == 443 && PUSH_SERVICE_HOSTS.any? { |service| host == service || host.end_with?(".#{service}") }
+  rescue URI::InvalidURIError
+    false
+  end
+
+  private
+
+  def endpoint_on_push_service
+    # Blank and non-https endpoints already fail the format checks
+    return unless endpoint.to_s.match?(HTTPS_URL)
+    return if push_service_endpoint?
+
+    errors.add(:endpoint, :not_a_push_service, message: "is not a known push service")
+  end
+end
@@ -3,6 +3,7 @@ class Repository < ApplicationRecord
   belongs_to :user
   has_many :issues, dependent: :destroy
   has_many :repository_assignable_users, dependent: :destroy
+  has_many :saved_searches, dependent: :destroy
 
   validates :owner, presence: true
   validates :name, presence: true
@@ -25,6 +26,11 @@ class Repository < ApplicationRecord
     "#{time_ago_in_words(cached_at)} ago"
   end
 
+  # Link to an issue on GitHub itself
+  def github_issue_url(number)
+    "https://#{github_domain}/#{owner}/#{name}/issues/#{number}"
+  end
+
   private
 
   # :reek:UtilityFunction - Simple time formatting helper
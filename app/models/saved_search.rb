@@ -0,0 +1,66 @@
+# frozen_string_literal: true
+
+# A named issue search query saved by a user
+# Searches with a repository only show up for that repository; searches without
+# one apply to every repository. Ordered by position in the navbar picker.
+class SavedSearch < ApplicationRecord
+  belongs_to :user
+  belongs_to :repository, optional: true
+  has_many :watches, as: :watchable, dependent: :destroy
+
+  validates :name, presence: true, length: { maximum: 100 }, uniqueness: { scope: [ :user_id, :repository_id ] }
+  validates :query, presence: true
+  validate :repository_belongs_to_user
+
+  before_create :append_to_list
+
+  scope :ordered, -> { order(position: :asc, id: :asc) }
+
+  # Searches offered while browsing a repository (its own plus the global ones).
+  # Outside a repository only repository-specific searches can be opened.
+  scope :available_in, ->(repository) {
+    repository ? where(repository_id: [ nil, repository.id ]) : where.not(repository_id: nil)
+  }
+
+  def global?
+    repository_id.nil?
+  end
+
+  # Swap places with the previous ("up") or next ("down") saved search
+  # Returns false when already at that end of the list
+  def move(direction)
+    neighbor = direction.to_s == "up" ? previous_search : next_search
+    return false unless neighbor
+
+    transaction do
+      neighbor_position = neighbor.position
+      neighbor.update!(position: position)
+      update!(position: neighbor_position)
+    end
+  end
+
+  private
+
+  def siblings
+    user.saved_searches.where.not(id: id)
+  end
+
+  def previous_search
+    siblings.where("position < ?", position).order(position: :desc).first
+  end
+
+  def next_search
+    siblings.where("position > ?", position).order(position: :asc).first
+  end
+
+  def append_to_list
+    self.position = (user.saved_searches.maximum(:position) || -1) + 1
+  end
+
+  # :reek:NilCheck - repository is optional for global searches
+  def repository_belongs_to_user
+    return if repository.nil? || repository.user_id == user_id
+
+    errors.add(:repository, :invalid)
+  end
+end
@@ -0,0 +1,75 @@
+# frozen_string_literal: true
+
+# The task list ("- [ ] Write tests" items) in an issue body or comment's markdown
+# Items are found by parsing the markdown like MarkdownHelper#render_markdown does, so task
+# list syntax in code blocks doesn't count. Items are identified by the line they start on,
+# which rendered items carry in data-sourcepos.
+#
+#   task_list = TaskList.new("- [x] Write tests\n- [ ] Ship it")
+#   task_list.completed_count  # => 1
+#   task_list.total_count      # => 2
+#   task_list.toggle(2, true)  # => "- [x] Write tests\n- [x] Ship it"
+class TaskList
+  # The [ ] or [x] at the start of an item's line, after any blockquote and list markers
+  ITEM_MARKER = /\A\s*(?:>\s*)*(?:[-+*]|\d{1,9}[.)])\s+\[([ xX])\]/
+
+  attr_reader :markdown
+
+  # Fingerprint of the markdown a task list was rendered from, to tell whether it has changed
+  def self.digest(markdown)
+    Digest::SHA256.hexdigest(markdown.to_s)
+  end
+
+  def initialize(markdown)
+    @markdown = markdown.to_s
+  end
+
+  # The items' lines (1-based) and whether they're checked
+  def items
+    @items ||= item_lines.filter_map do |line|
+      match = lines[line - 1]&.match(ITEM_MARKER)
+      { line: line, checked: match[1] != " " } if match
+    end
+  end
+
+  def any?
+    items.any?
+  end
+
+  def total_count
+    items.size
+  end
+
+  def completed_count
+    items.count { |item| item[:checked] }
+  end
+
+  # The markdown with the item on the given line checked or unchecked, nil without an item there
+  def toggle(line, checked)
+    return unless items.any? { |item| item[:line] == line }
+
+    text = lines[line - 1]
+    mark = text.match(ITEM_MARKER).begin(1)
+
+    updated = lines.dup
+    updated[line - 1] = "#{text[0...mark]}#{checked ? "x" : " "}#{text[(mark + 1)..]}"
+    updated.join
+  end
+
+  private
+
+  # Lines keep their endings (GitHub stores bodies with \r\n), so joining them round-trips
+  def lines
+    @lines ||= markdown.lines
+  end
+
+  # :reek:FeatureEnvy - Reads the position of each parsed node
+  def item_lines
+    return [] if markdown.blank?
+
+    document = Commonmarker.parse(markdown, options: { extension: { tasklist: true } })
+    [].tap do |item_lines|
+      document.walk { |node| item_lines << node.source_position[:start_line] if node.type == :taskitem }
+    end
+  end
+end
@@ -4,11 +4,24 @@ class User < ApplicationRecord
   has_many :sessions, dependent: :destroy
   has_many :repositories, dependent: :destroy
   has_many :github_tokens, dependent: :destroy
+  has_many :saved_searches, dependent: :destroy
+  has_many :push_subscriptions, dependent: :destroy
+  has_many :watches, dependent: :destroy
+
+  # Remapped keyboard shortcuts are stored as { shortcut id => [keys] }, e.g. { "list.move" => ["n", "p"] }
+  # The ids and default keys live in app/javascript/lib/default_shortcuts.js
+  SHORTCUT_ID_FORMAT = /\A[a-z]+\.[a-zA-Z]+\z/
+  # One key ("j", "Mod+/") or a two-key sequence ("g d")
+  SHORTCUT_KEYS_FORMAT = /\A(Mod\+)?(Alt\+)?\S{1,12}( (Mod\+)?(Alt\+)?\S{1,12})?\z/
+  # How times are shown by the time Stimulus controller
+  TIME_DISPLAYS = %w[relative absolute iso].freeze
 
   normalizes :email_address, with: ->(email) { email.strip.downcase }
 
   validates :email_address, presence: true, uniqueness: true, format: { with: URI::MailTo::EMAIL_REGEXP }
   validates :password, length: { minimum: 8 }, if: -> { new_record? || !password.nil? }
+  validate :keyboard_shortcuts_format
+  validates :time_display, inclusion: { in: TIME_DISPLAYS }
 
   def avatar_url(size: 40)
     require "digest"
@@ -21,7 +34,31 @@ class User < ApplicationRecord
     email_prefix&.first&.upcase || "?"
   end
 
+  # Whether the user gets push notifications about an issue or saved search
+  def watching?(watchable)
+    watches.exists?(watchable: watchable)
+  end
+
   def self.find_by_password_reset_token!(token)
     find_signed!(token, purpose: :password_reset)
   end
+
+  private
+
+  def keyboard_shortcuts_format
+    shortcuts = keyboard_shortcuts
+    unless shortcuts.is_a?(Hash) && shortcuts.all? { |id, keys| valid_shortcut?(id, keys) }
+      errors.add(:keyboard_shortcuts, :invalid)
+      return
+    end
+
+    duplicates = shortcuts.values.flatten.tally.select { |_key, count| count > 1 }.keys
+    errors.add(:keyboard_shortcuts, :duplicate_keys, keys: duplicates.to_sentence) if duplicates.any?
+  end
+
+  # :reek:UtilityFunction
+  def valid_shortcut?(id, keys)
+    id.match?(SHORTCUT_ID_FORMAT) && keys.is_a?(Array) && keys.any? &&
+      keys.all? { |key| key.is_a?(String) && key.match?(SHORTCUT_KEYS_FORMAT) }
+  end
 end
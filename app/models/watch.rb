@@ -0,0 +1,28 @@
+# frozen_string_literal: true
+
+# An issue or saved search a user gets push notifications about
+# Watched issues notify on new comments, label changes and state changes picked up during
+# sync; watched saved searches do the same for any synced issue that matches their query.
+class Watch < ApplicationRecord
+  WATCHABLE_TYPES = %w[Issue SavedSearch].freeze
+
+  belongs_to :user
+  belongs_to :watchable, polymorphic: true
+
+  validates :watchable_type, inclusion: { in: WATCHABLE_TYPES }
+  validates :watchable_id, uniqueness: { scope: [ :user_id, :watchable_type ] }
+  validate :watchable_belongs_to_user
+
+  private
+
+  # :reek:NilCheck - watchable may be missing before validation
+  def watchable_belongs_to_user
+    owner_id = case watchable
+    when Issue then watchable.repository.user_id
+    when SavedSearch then watchable.user_id
+    end
+    return if owner_id.nil? || owner_id == user_id
+
+    errors.add(:watchable, :invalid)
+  end
+end
@@ -22,10 +22,17 @@ module Github
     # Error message constants
     ERROR_REPOSITORY_NOT_FOUND = "Repository not found"
     ERROR_ISSUE_NOT_FOUND = "Issue not found"
+    ERROR_COMMENT_NOT_FOUND = "Comment not found"
     ERROR_NO_RESULTS_FOUND = "No results found"
     ERROR_UNAUTHORIZED = "Unauthorized - check your GitHub token"
     ERROR_SAML_PROTECTED = "This repository requires SAML SSO authorization. Please authorize your personal access token with the organization. See: https://docs.github.com/en/enterprise-cloud@latest/authentication/authenticating-with-single-sign-on/authorizing-a-personal-access-token-for-use-with-single-sign-on"
     ERROR_INVALID_TOKEN = "Invalid GitHub token"
+    ERROR_FORBIDDEN = "Your GitHub token doesn't have permission to update issues in this repository"
+    ERROR_UPDATE_REJECTED = "GitHub rejected the update"
+
+    # Where issue templates live, and which files there are templates (config.yml isn't)
+    ISSUE_TEMPLATE_PATH = ".github/ISSUE_TEMPLATE"
+    ISSUE_TEMPLATE_FILE = /\A(?!config\.ya?ml\z).+\.(md|ya?ml)\z/i
 
     config_accessor :default_rate_limit_delay, default: ApiConfiguration::DEFAULT_RATE_LIMIT_DELAY
     config_accessor :max_retries, default: ApiConfiguration::MAX_RETRIES
@@ -121,6 +128,19 @@ module Github
       { error: ERROR_SAML_PROTECTED }
     end
 
+    # Fetch open and closed milestones for a repository
+    def fetch_milestones(owner, repo_name)
+      with_rate_limiting do
+        @client.milestones("#{owner}/#{repo_name}", state: "all", per_page: 100)
+      end
+    rescue Octokit::NotFound
+      []
+    rescue Octokit::Unauthorized
+      { error: ERROR_UNAUTHORIZED }
+    rescue Octokit::SAMLProtected
+      { error: ERROR_SAML_PROTECTED }
+    end
+
     # Fetch project memberships and field values for an issue via GraphQL
     # Returns array of project items with fields like Status, Sprint, Priority, Estimate, etc.
     # Returns empty array on error (graceful degradation)
@@ -133,9 +153,22 @@ module Github
                 nodes {
                   id
                   project {
+                    id
                     title
                     number
                     url
+                    fields(first: 20) {
+                      nodes {
+                        ... on ProjectV2SingleSelectField {
+                          id
+                          name
+                          options {
+                            id
+                            name
+                          }
+                        }
+                      }
+                    }
                   }
                   fieldValues(first: 20) {
                     nodes {
@@ -376,6 +409,265 @@ module Github
       { error: error.message }
     end
 
+    # Issue writes (bulk actions on the issues index)
+    # Each returns the issue (or its labels) after the change, or { error: } on failure
+
+    # Add labels to an issue, returning the issue's labels afterwards
+    def add_issue_labels(owner, repo_name, issue_number, labels)
+      with_rate_limiting do
+        issue_labels = @client.add_labels_to_an_issue("#{owner}/#{repo_name}", issue_number, labels)
+        issue_labels.map { |label| normalize_label_data(label) }
+      end
+    rescue Octokit::NotFound
+      { error: ERROR_ISSUE_NOT_FOUND }
+    rescue Octokit::Unauthorized
+      { error: ERROR_UNAUTHORIZED }
+    rescue Octokit::SAMLProtected
+      { error: ERROR_SAML_PROTECTED }
+    rescue Octokit::Forbidden
+      { error: ERROR_FORBIDDEN }
+    rescue Octokit::UnprocessableEntity
+      { error: ERROR_UPDATE_REJECTED }
+    end
+
+    # Remove labels from an issue, returning the issue's labels afterwards
+    # Labels the issue doesn't have are skipped
+    # :reek:NestedIterators - Each label is removed with its own request
+    def remove_issue_labels(owner, repo_name, issue_number, labels)
+      full_name = "#{owner}/#{repo_name}"
+
+      with_rate_limiting do
+        labels.each do |label|
+          @client.remove_label(full_name, issue_number, label)
+        rescue Octokit::NotFound
+          # GitHub returns 404 when the label isn't on the issue
+          next
+        end
+
+        @client.labels_for_issue(full_name, issue_number).map { |label| normalize_label_data(label) }
+      end
+    rescue Octokit::NotFound
+      { error: ERROR_ISSUE_NOT_FOUND }
+    rescue Octokit::Unauthorized
+      { error: ERROR_UNAUTHORIZED }
+    rescue Octokit::SAMLProtected
+      { error: ERROR_SAML_PROTECTED }
+    rescue Octokit::Forbidden
+      { error: ERROR_FORBIDDEN }
+    end
+
+    def add_issue_assignees(owner, repo_name, issue_number, logins)
+      with_rate_limiting do
+        issue = @client.add_assignees("#{owner}/#{repo_name}", issue_number, logins)
+        normalize_issue_data(issue)
+      end
+    rescue Octokit::NotFound
+      { error: ERROR_ISSUE_NOT_FOUND }
+    rescue Octokit::Unauthorized
+      { error: ERROR_UNAUTHORIZED }
+    rescue Octokit::SAMLProtected
+      { error: ERROR_SAML_PROTECTED }
+    rescue Octokit::Forbidden
+      { error: ERROR_FORBIDDEN }
+    rescue Octokit::UnprocessableEntity
+      { error: ERROR_UPDATE_REJECTED }
+    end
+
+    def remove_issue_assignees(owner, repo_name, issue_number, logins)
+      with_rate_limiting do
+        issue = @client.remove_assignees("#{owner}/#{repo_name}", issue_number, logins)
+        normalize_issue_data(issue)
+      end
+    rescue Octokit::NotFound
+      { error: ERROR_ISSUE_NOT_FOUND }
+    rescue Octokit::Unauthorized
+      { error: ERROR_UNAUTHORIZED }
+    rescue Octokit::SAMLProtected
+      { error: ERROR_SAML_PROTECTED }
+    rescue Octokit::Forbidden
+      { error: ERROR_FORBIDDEN }
+    end
+
+    # Close or reopen an issue (state is "open" or "closed")
+    def update_issue_state(owner, repo_name, issue_number, state)
+      full_name = "#{owner}/#{repo_name}"
+
+      with_rate_limiting do
+        issue = if state == "closed"
+          @client.close_issue(full_name, issue_number)
+        else
+          @client.reopen_issue(full_name, issue_number)
+        end
+        normalize_issue_data(issue)
+      end
+    rescue Octokit::NotFound
+      { error: ERROR_ISSUE_NOT_FOUND }
+    rescue Octokit::Unauthorized
+      { error: ERROR_UNAUTHORIZED }
+    rescue Octokit::SAMLProtected
+      { error: ERROR_SAML_PROTECTED }
+    rescue Octokit::Forbidden
+      { error: ERROR_FORBIDDEN }
+    rescue Octokit::UnprocessableEntity
+      { error: ERROR_UPDATE_REJECTED }
+    end
+
+    # Set a single select field of an issue's project item (e.g. Status) to one of its options,
+    # or clear it when option_id is blank
+    # :reek:LongParameterList - GraphQL mutation needs the project, item, field and option ids
+    def update_project_item_field(project_id, item_id, field_id, option_id)
+      variables = { projectId: project_id, itemId: item_id, fieldId: field_id }
+
+      result = if option_id.present?
+        graphql_query(<<~GRAPHQL, variables.merge(optionId: option_id))
+          mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!, $optionId: String!) {
+            updateProjectV2ItemFieldValue(input: { projectId: $projectId, itemId: $itemId, fieldId: $fieldId, value: { singleSelectOptionId: $optionId } }) {
+              projectV2Item { id }
+            }
+          }
+        GRAPHQL
+      else
+        graphql_query(<<~GRAPHQL, variables)
+          mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!) {
+            clearProjectV2ItemFieldValue(input: { projectId: $projectId, itemId: $itemId, fieldId: $fieldId }) {
+              projectV2Item { id }
+            }
+          }
+        GRAPHQL
+      end
+
+      result[:error] ? { error: result[:error] } : { success: true }
+    end
+
+    # Comment on an issue (the issue page's comment composer), returning the new comment
+    def create_issue_comment(owner, repo_name, issue_number, body)
+      with_rate_limiting do
+        comment = @client.add_comment("#{owner}/#{repo_name}", issue_number, body)
+        normalize_comment_data(comment)
+      end
+    rescue Octokit::NotFound
+      { error: ERROR_ISSUE_NOT_FOUND }
+    rescue Octokit::Unauthorized
+      { error: ERROR_UNAUTHORIZED }
+    rescue Octokit::SAMLProtected
+      { error: ERROR_SAML_PROTECTED }
+    rescue Octokit::Forbidden
+      { error: ERROR_FORBIDDEN }
+    rescue Octokit::UnprocessableEntity
+      { error: ERROR_UPDATE_REJECTED }
+    end
+
+    # A single issue comment, for checking it hasn't changed before editing it
+    def fetch_issue_comment(owner, repo_name, comment_id)
+      with_rate_limiting do
+        comment = @client.issue_comment("#{owner}/#{repo_name}", comment_id)
+        normalize_comment_data(comment)
+      end
+    rescue Octokit::NotFound
+      { error: ERROR_COMMENT_NOT_FOUND }
+    rescue Octokit::Unauthorized
+      { error: ERROR_UNAUTHORIZED }
+    rescue Octokit::SAMLProtected
+      { error: ERROR_SAML_PROTECTED }
+    end
+
+    # Replace an issue's body (e.g. with a task list item checked), returning the updated issue
+    def update_issue_body(owner, repo_name, issue_number, body)
+      with_rate_limiting do
+        issue = @client.update_issue("#{owner}/#{repo_name}", issue_number, body: body)
+        normalize_issue_data(issue)
+      end
+    rescue Octokit::NotFound
+      { error: ERROR_ISSUE_NOT_FOUND }
+    rescue Octokit::Unauthorized
+      { error: ERROR_UNAUTHORIZED }
+    rescue Octokit::SAMLProtected
+      { error: ERROR_SAML_PROTECTED }
+    rescue Octokit::Forbidden
+      { error: ERROR_FORBIDDEN }
+    rescue Octokit::UnprocessableEntity
+      { error: ERROR_UPDATE_REJECTED }
+    end
+
+    # Replace an issue comment's body, returning the updated comment
+    def update_issue_comment(owner, repo_name, comment_id, body)
+      with_rate_limiting do
+        comment = @client.update_comment("#{owner}/#{repo_name}", comment_id, body)
+        normalize_comment_data(comment)
+      end
+    rescue Octokit::NotFound
+      { error: ERROR_COMMENT_NOT_FOUND }
+    rescue Octokit::Unauthorized
+      { error: ERROR_UNAUTHORIZED }
+    rescue Octokit::SAMLProtected
+      { error: ERROR_SAML_PROTECTED }
+    rescue Octokit::Forbidden
+      { error: ERROR_FORBIDDEN }
+    rescue Octokit::UnprocessableEntity
+      { error: ERROR_UPDATE_REJECTED }
+    end
+
+    # Open an issue (the new issue form), returning the new issue
+    # GitHub drops labels and assignees the user isn't allowed to set rather than failing
+    # :reek:LongParameterList - GitHub API takes the issue's title, body, labels and assignees
+    def create_issue(owner, repo_name, title, body, labels: [], assignees: [])
+      with_rate_limiting do
+        issue = @client.create_issue("#{owner}/#{repo_name}", title, body, labels: labels, assignees: assignees)
+        normalize_issue_data(issue)
+      end
+    rescue Octokit::NotFound
+      { error: ERROR_REPOSITORY_NOT_FOUND }
+    rescue Octokit::Unauthorized
+      { error: ERROR_UNAUTHORIZED }
+    rescue Octokit::SAMLProtected
+      { error: ERROR_SAML_PROTECTED }
+    rescue Octokit::Forbidden
+      { error: ERROR_FORBIDDEN }
+    rescue Octokit::UnprocessableEntity
+      { error: ERROR_UPDATE_REJECTED }
+    end
+
+    # Issue templates and issue forms in the repository's .github/ISSUE_TEMPLATE directory
+    # Returns [{ filename:, content: }] for each markdown or YAML file (not config.yml),
+    # or [] when the repository has no templates
+    # :reek:NestedIterators - Each template's content is fetched with its own request
+    def fetch_issue_templates(owner, repo_name)
+      full_name = "#{owner}/#{repo_name}"
+
+      with_rate_limiting do
+        entries = @client.contents(full_name, path: ISSUE_TEMPLATE_PATH)
+        templates = Array(entries).select { |entry| entry.type == "file" && entry.name.match?(ISSUE_TEMPLATE_FILE) }
+
+        templates.map do |entry|
+          issue_template_file(entry.name, @client.contents(full_name, path: entry.path))
+        end
+      end
+    rescue Octokit::NotFound
+      []
+    rescue Octokit::Unauthorized
+      { error: ERROR_UNAUTHORIZED }
+    rescue Octokit::SAMLProtected
+      { error: ERROR_SAML_PROTECTED }
+    end
+
+    # One issue template from .github/ISSUE_TEMPLATE, without listing the directory
+    # Returns { filename:, content: }, or nil when the repository has no such template
+    def fetch_issue_template(owner, repo_name, filename)
+      return nil unless filename.to_s.match?(ISSUE_TEMPLATE_FILE) && !filename.include?("/")
+
+      with_rate_limiting do
+        file = @client.contents("#{owner}/#{repo_name}", path: "#{ISSUE_TEMPLATE_PATH}/#{filename}")
+        # A directory lists its entries instead
+        issue_template_file(filename, file) unless file.is_a?(Array) || file.type != "file"
+      end
+    rescue Octokit::NotFound
+      nil
+    rescue Octokit::Unauthorized
+      { error: ERROR_UNAUTHORIZED }
+    rescue Octokit::SAMLProtected
+      { error: ERROR_SAML_PROTECTED }
+    end
+
     # Search issues using GitHub's search API
     # Query syntax: https://docs.github.com/en/search-github/searching-on-github/searching-issues-and-pull-requests
     # :reek:LongParameterList - GitHub API requires these parameters
@@ -430,8 +722,19 @@ module Github
       @last_rate_limit
     end
 
+    # Rate limit info from the headers of the most recent response, whatever the call
+    # (rate_limit_info is only captured by searches)
+    def last_response_rate_limit
+      extract_rate_limit_from_headers
+    end
+
     private
 
+    # :reek:UtilityFunction - Decodes a Contents API file
+    def issue_template_file(filename, file)
+      { filename: filename, content: Base64.decode64(file.content).force_encoding(Encoding::UTF_8) }
+    end
+
     # Execute a GraphQL query
     # :reek:UtilityFunction - Wrapper for GraphQL API calls
     def graphql_query(query, variables = {})
@@ -537,7 +840,8 @@ module Github
         full_name: repo.full_name,
         description: repo.description,
         url: repo.html_url,
-        open_issues_count: repo.open_issues_count
+        open_issues_count: repo.open_issues_count,
+        can_push: repo.permissions&.push
       }
     end
 
@@ -552,7 +856,7 @@ module Github
         body: issue.body,
         author_login: author&.login,
         author_avatar_url: author&.avatar_url,
-        labels: issue.labels.map { |label| { name: label.name, color: label.color } },
+        labels: issue.labels.map { |label| normalize_label_data(label) },
         assignees: issue.assignees.map { |assignee| { login: assignee.login, avatar_url: assignee.avatar_url } },
         comments_count: issue.comments,
         created_at: issue.created_at,
@@ -560,6 +864,11 @@ module Github
       }
     end
 
+    # :reek:UtilityFunction - Data transformation helper
+    def normalize_label_data(label)
+      { name: label.name, color: label.color }
+    end
+
     # :reek:UtilityFunction - Data transformation helper
     # :reek:DuplicateMethodCall - comment.user accessed for both login and avatar
     def normalize_comment_data(comment)
@@ -614,11 +923,26 @@ module Github
         fields[field_name] = value if value || field_type == "ProjectV2ItemFieldDateValue"
       end
 
+      # Single select fields (Status, Priority, ...) can be changed from the sidebar, so keep
+      # their ids and options; other field types come back as empty nodes
+      editable_fields = item.dig(:project, :fields, :nodes)&.filter_map do |field|
+        next unless field[:id] && field[:options]
+
+        {
+          id: field[:id],
+          name: field[:name],
+          options: field[:options].map { |option| { id: option[:id], name: option[:name] } }
+        }
+      end
+
       {
+        item_id: item[:id],
+        project_id: item.dig(:project, :id),
         project_title: item.dig(:project, :title),
         project_number: item.dig(:project, :number),
         project_url: item.dig(:project, :url),
-        fields: fields
+        fields: fields,
+        editable_fields: editable_fields || []
       }
     end
 
@@ -0,0 +1,140 @@
+# frozen_string_literal: true
+
+module Github
+  # Applies an action to a single issue on GitHub, for the issues index's bulk actions and the
+  # issue sidebar's inline edits
+  # Actions add or remove labels or assignees, or close or reopen the issue.
+  # The cached issue is updated to match and broadcast to open issue lists; uncached issues are
+  # returned unsaved.
+  # :reek:TooManyStatements - Service orchestrates API calls, cache updates, and error handling
+  class IssueActionService
+    ACTIONS = %w[add_labels remove_labels add_assignees remove_assignees close reopen].freeze
+
+    # Actions that need label names or assignee logins
+    ACTIONS_WITH_VALUES = %w[add_labels remove_labels add_assignees remove_assignees].freeze
+
+    attr_reader :user, :repository, :issue_number, :action, :values
+
+    # :reek:LongParameterList - Keyword arguments describe one action on one issue
+    def initialize(user:, repository:, issue_number:, action:, values: [])
+      @user = user
+      @repository = repository
+      @issue_number = issue_number
+      @action = action.to_s
+      @values = Array(values).compact_blank
+    end
+
+    def call
+      return { success: false, error: "Unknown action: #{action}" } unless ACTIONS.include?(action)
+      return { success: false, error: "No labels or assignees given" } if ACTIONS_WITH_VALUES.include?(action) && values.empty?
+
+      domain = repository.github_domain
+      github_token = user.github_tokens.find_by(domain: domain)
+      return { success: false, error: missing_token_error } unless github_token
+
+      client = Github::ApiClient.new(token: github_token.token, domain: domain)
+      issue_data = perform(client)
+      return handle_api_error(issue_data[:error]) if issue_data[:error]
+
+      issue = repository.issues.find_by(number: issue_number)
+      if issue
+        update_cached_issue(issue, issue_data)
+        issue.broadcast_synced
+      else
+        # Label endpoints don't return the issue, so fetch it to render the card
+        issue_data = client.fetch_issue(repository.owner, repository.name, issue_number) unless issue_data.key?(:title)
+        return handle_api_error(issue_data[:error]) if issue_data[:error]
+
+        issue = build_issue(issue_data)
+      end
+
+      { success: true, issue: issue }
+    rescue Octokit::TooManyRequests => rate_limit_error
+      handle_rate_limit_error(rate_limit_error)
+    rescue StandardError => error
+      handle_general_error(error)
+    end
+
+    private
+
+    # Run the action on GitHub, returning issue data (or just labels for label actions)
+    # :reek:DuplicateMethodCall - repository owner and name passed to each client method
+    def perform(client)
+      owner = repository.owner
+      name = repository.name
+
+      case action
+      when "add_labels"
+        labels_result(client.add_issue_labels(owner, name, issue_number, values))
+      when "remove_labels"
+        labels_result(client.remove_issue_labels(owner, name, issue_number, values))
+      when "add_assignees"
+        client.add_issue_assignees(owner, name, issue_number, values)
+      when "remove_assignees"
+        client.remove_issue_assignees(owner, name, issue_number, values)
+      when "close"
+        client.update_issue_state(owner, name, issue_number, "closed")
+      when "reopen"
+        client.update_issue_state(owner, name, issue_number, "open")
+      end
+    end
+
+    # Label endpoints return the issue's labels rather than the issue
+    # :reek:UtilityFunction - Wraps label results like issue data
+    def labels_result(result)
+      result.is_a?(Hash) ? result : { labels: result }
+    end
+
+    # Keep cached_at as is so the next visit still refreshes comments
+    # :reek:UtilityFunction - Persistence helper
+    def update_cached_issue(issue, issue_data)
+      attributes = issue_data.slice(:state, :labels, :assignees)
+      issue.update!(attributes.merge(github_updated_at: issue_data[:updated_at] || Time.current))
+    end
+
+    # Build an Issue without persisting it, like search results for uncached issues
+    # :reek:FeatureEnvy - issue_data encapsulates API response structure
+    def build_issue(issue_data)
+      Issue.new(
+        repository: repository,
+        number: issue_number,
+        title: issue_data[:title],
+        state: issue_data[:state],
+        body: issue_data[:body],
+        author_login: issue_data[:author_login],
+        author_avatar_url: issue_data[:author_avatar_url],
+        labels: issue_data[:labels],
+        assignees: issue_data[:assignees],
+        comments_count: issue_data[:comments_count],
+        github_created_at: issue_data[:created_at],
+        github_updated_at: issue_data[:updated_at],
+        cached_at: nil
+      )
+    end
+
+    def missing_token_error
+      "No GitHub token configured for #{repository.github_domain}"
+    end
+
+    # Error handling methods
+
+    def handle_api_error(error_message)
+      Rails.logger.error "GitHub API error updating #{repository.full_name}##{issue_number}: #{error_message}"
+      { success: false, error: error_message }
+    end
+
+    def handle_rate_limit_error(exception)
+      reset_time = exception.response_headers["x-ratelimit-reset"]
+      error_msg = "Rate limit exceeded. Resets at #{Time.at(reset_time.to_i)}"
+      Rails.logger.warn "Rate limit updating #{repository.full_name}##{issue_number}: #{error_msg}"
+      { success: false, error: error_msg }
+    end
+
+    # :reek:FeatureEnvy - exception encapsulates error details
+    def handle_general_error(exception)
+      message = exception.message
+      Rails.logger.error "Error updating #{repository.full_name}##{issue_number}: #{exception.class} - #{message}"
+      { success: false, error: "Failed to update issue: #{message}" }
+    end
+  end
+end
@@ -0,0 +1,93 @@
+# frozen_string_literal: true
+
+module Github
+  # Posts a comment from the issue page's comment composer to GitHub
+  # The new comment is cached with the issue's other comments and broadcast to anyone else
+  # viewing the issue, like comments picked up by sync.
+  # :reek:TooManyStatements - Service orchestrates the API call, caching, and error handling
+  class IssueCommentService
+    attr_reader :user, :issue, :body
+
+    def initialize(user:, issue:, body:)
+      @user = user
+      @issue = issue
+      @body = body.to_s
+    end
+
+    # :reek:DuplicateMethodCall - repository.github_domain accessed for token lookup and client
+    def call
+      return { success: false, error: "Comment can't be blank" } if body.blank?
+
+      domain = repository.github_domain
+      github_token = user.github_tokens.find_by(domain: domain)
+      return { success: false, error: missing_token_error } unless github_token
+
+      client = Github::ApiClient.new(token: github_token.token, domain: domain)
+      comment_data = client.create_issue_comment(repository.owner, repository.name, issue.number, body)
+      return handle_api_error(comment_data[:error]) if comment_data[:error]
+
+      comment = cache_comment(comment_data)
+      comment.broadcast_synced
+
+      { success: true, comment: comment }
+    rescue Octokit::TooManyRequests => rate_limit_error
+      handle_rate_limit_error(rate_limit_error)
+    rescue StandardError => error
+      handle_general_error(error)
+    end
+
+    private
+
+    def repository
+      issue.repository
+    end
+
+    # Keep cached_at as is so the next visit still refreshes the issue
+    # (a sync running meanwhile may have cached the comment already)
+    # :reek:FeatureEnvy - comment_data encapsulates API response structure
+    def cache_comment(comment_data)
+      comment = issue.issue_comments.find_or_initialize_by(github_id: comment_data[:github_id])
+      new_comment = comment.new_record?
+
+      comment.update!(
+        author_login: comment_data[:author_login],
+        author_avatar_url: comment_data[:author_avatar_url],
+        body: comment_data[:body],
+        github_created_at: comment_data[:created_at],
+        github_updated_at: comment_data[:updated_at]
+      )
+      issue.update!(comments_count: issue.comments_count.to_i + 1) if new_comment
+
+      comment
+    end
+
+    def missing_token_error
+      "No GitHub token configured for #{repository.github_domain}"
+    end
+
+    # Error handling methods
+
+    def issue_reference
+      "#{repository.full_name}##{issue.number}"
+    end
+
+    def handle_api_error(error_message)
+      Rails.logger.error "GitHub API error commenting on #{issue_reference}: #{error_message}"
+      { success: false, error: error_message }
+    end
+
+    def handle_rate_limit_error(exception)
+      reset_time = exception.response_headers["x-ratelimit-reset"]
+      error_msg = "Rate limit exceeded. Resets at #{Time.at(reset_time.to_i)}"
+      Rails.logger.warn "Rate limit commenting on #{issue_reference}: #{error_msg}"
+      { success: false, error: error_msg }
+    end
+
+    # :reek:FeatureEnvy - exception encapsulates error details
+    def handle_general_error(exception)
+      message = exception.message
+      Rails.logger.error "Error commenting on #{issue_reference}: #{exception.class} - #{message}"
+      { success: false, error: "Failed to post comment: #{message}" }
+    end
+  end
+end
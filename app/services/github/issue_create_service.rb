@@ -0,0 +1,90 @@
+# frozen_string_literal: true
+
+module Github
+  # Opens an issue on GitHub from the new issue form
+  # The new issue is cached with the repository's other issues and broadcast to open issue
+  # lists, like issues picked up by sync.
+  # :reek:TooManyStatements - Service orchestrates the API call, caching, and error handling
+  class IssueCreateService
+    attr_reader :user, :repository, :title, :body, :labels, :assignees
+
+    # :reek:LongParameterList - Keyword arguments describe the new issue
+    def initialize(user:, repository:, title:, body: nil, labels: [], assignees: [])
+      @user = user
+      @repository = repository
+      @title = title.to_s.strip
+      @body = body.to_s
+      @labels = Array(labels).compact_blank
+      @assignees = Array(assignees).compact_blank
+    end
+
+    # :reek:DuplicateMethodCall - repository.github_domain accessed for token lookup and client
+    def call
+      return { success: false, error: "Title can't be blank" } if title.blank?
+
+      domain = repository.github_domain
+      github_token = user.github_tokens.find_by(domain: domain)
+      return { success: false, error: missing_token_error } unless github_token
+
+      client = Github::ApiClient.new(token: github_token.token, domain: domain)
+      issue_data = client.create_issue(repository.owner, repository.name, title, body, labels: labels, assignees: assignees)
+      return handle_api_error(issue_data[:error]) if issue_data[:error]
+
+      issue = cache_issue(issue_data)
+      issue.broadcast_synced
+
+      { success: true, issue: issue }
+    rescue Octokit::TooManyRequests => rate_limit_error
+      handle_rate_limit_error(rate_limit_error)
+    rescue StandardError => error
+      handle_general_error(error)
+    end
+
+    private
+
+    # A brand new issue has no comments to sync, so it's fully cached
+    # :reek:FeatureEnvy - issue_data encapsulates API response structure
+    def cache_issue(issue_data)
+      repository.issues.find_or_initialize_by(number: issue_data[:number]).tap do |issue|
+        issue.update!(
+          title: issue_data[:title],
+          state: issue_data[:state],
+          body: issue_data[:body],
+          author_login: issue_data[:author_login],
+          author_avatar_url: issue_data[:author_avatar_url],
+          labels: issue_data[:labels],
+          assignees: issue_data[:assignees],
+          comments_count: issue_data[:comments_count],
+          github_created_at: issue_data[:created_at],
+          github_updated_at: issue_data[:updated_at],
+          cached_at: Time.current
+        )
+      end
+    end
+
+    def missing_token_error
+      "No GitHub token configured for #{repository.github_domain}"
+    end
+
+    # Error handling methods
+
+    def handle_api_error(error_message)
+      Rails.logger.error "GitHub API error opening an issue in #{repository.full_name}: #{error_message}"
+      { success: false, error: error_message }
+    end
+
+    def handle_rate_limit_error(exception)
+      reset_time = exception.response_headers["x-ratelimit-reset"]
+      error_msg = "Rate limit exceeded. Resets at #{Time.at(reset_time.to_i)}"
+      Rails.logger.warn "Rate limit opening an issue in #{repository.full_name}: #{error_msg}"
+      { success: false, error: error_msg }
+    end
+
+    # :reek:FeatureEnvy - exception encapsulates error details
+    def handle_general_error(exception)
+      message = exception.message
+      Rails.logger.error "Error opening an issue in #{repository.full_name}: #{exception.class} - #{message}"
+      { success: false, error: "Failed to open issue: #{message}" }
+    end
+  end
+end
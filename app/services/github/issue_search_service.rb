@@ -114,20 +114,43 @@ module Github
     # :reek:TooManyStatements - Applies multiple filter conditions
     def apply_filters(issues)
       state = filters[:state]
-      labels = filters[:labels] || []
-      assignee = filters[:assignee]
       author = filters[:author]
 
       issues = issues.by_state(state) if state.present?
-      # Apply each label filter (must have all labels)
+      # Apply each label filter (must have all labels, and none of the excluded ones)
       labels.each do |label|
         issues = issues.with_label(label)
       end
-      issues = issues.assigned_to(assignee) if assignee.present?
+      excluded_labels.each do |label|
+        issues = issues.without_label(label)
+      end
+      assignees.each do |assignee|
+        issues = issues.assigned_to(assignee)
+      end
+      excluded_assignees.each do |assignee|
+        issues = issues.not_assigned_to(assignee)
+      end
       issues = issues.authored_by(author) if author.present?
       issues
     end
 
+    def labels
+      filters[:labels] || []
+    end
+
+    def excluded_labels
+      filters[:excluded_labels] || []
+    end
+
+    # Accepts a single :assignee as well as multiple :assignees
+    def assignees
+      filters[:assignees] || Array(filters[:assignee])
+    end
+
+    def excluded_assignees
+      filters[:excluded_assignees] || []
+    end
+
     # :reek:ControlParameter - sort_by controls query ordering
     # :reek:FeatureEnvy - issues encapsulates ordering logic
     def apply_sorting(issues)
@@ -151,8 +174,6 @@ module Github
       parts << query if query.present?
 
       state = filters[:state]
-      labels = filters[:labels] || []
-      assignee = filters[:assignee]
       author = filters[:author]
 
       parts << "state:#{state}" if state.present?
@@ -160,7 +181,15 @@ module Github
       labels.each do |label|
         parts << "label:\"#{label}\""
       end
-      parts << "assignee:#{assignee}" if assignee.present?
+      excluded_labels.each do |label|
+        parts << "-label:\"#{label}\""
+      end
+      assignees.each do |assignee|
+        parts << "assignee:#{assignee}"
+      end
+      excluded_assignees.each do |assignee|
+        parts << "-assignee:#{assignee}"
+      end
       parts << "author:#{author}" if author.present?
       parts.join(" ")
     end
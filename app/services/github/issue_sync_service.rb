@@ -4,15 +4,29 @@ module Github
   # Synchronizes issues and comments from GitHub API to local database
   # Fetches all issues for a repository with labels, assignees, and comments
   # Optionally syncs a single issue when issue_number is provided
+  # Changes to already cached issues are passed on to Push::WatchNotifier for watchers, and
+  # new or changed issues and new comments are broadcast to pages showing them
+  # An optional progress callable is called as issues are synced with the number synced, the
+  # total and the rate limit info from the latest response; it can raise Cancelled to stop the
+  # sync and roll it back
   # :reek:TooManyStatements - Service orchestrates API calls, batch upserts, and error handling
   # :reek:NilCheck - Explicit check for issue_number presence
   class IssueSyncService
-    attr_reader :user, :repository, :issue_number
+    # Raised by a progress callable to stop the sync
+    class Cancelled < StandardError; end
 
-    def initialize(user:, repository:, issue_number: nil)
+    ERROR_CANCELLED = "Sync was cancelled"
+
+    # Attributes every sync writes, whether or not anything changed on GitHub
+    SYNC_ATTRIBUTES = %w[cached_at updated_at].freeze
+
+    attr_reader :user, :repository, :issue_number, :progress
+
+    def initialize(user:, repository:, issue_number: nil, progress: nil)
       @user = user
       @repository = repository
       @issue_number = issue_number
+      @progress = progress
     end
 
     # :reek:DuplicateMethodCall - repository.github_domain accessed for token lookup and client
@@ -48,6 +62,8 @@ module Github
       repository.update!(cached_at: Time.current) if issue_number.nil?
 
       { success: true, synced_count: synced_count, rate_limit: client.rate_limit_info }
+    rescue Cancelled
+      { success: false, cancelled: true, error: ERROR_CANCELLED }
     rescue Octokit::TooManyRequests => rate_limit_error
       handle_rate_limit_error(rate_limit_error)
     rescue Octokit::Unauthorized
@@ -65,23 +81,74 @@ module Github
     # :reek:TooManyStatements - Orchestrates issue and comment syncing
     def sync_issues_with_comments(client, issues_data)
       synced_count = 0
+      changes = {}
+      broadcasts = []
 
       # Use transaction for atomicity - all issues sync or none
       ApplicationRecord.transaction do
+        report_progress(client, synced_count, issues_data.size)
+
         issues_data.each do |issue_data|
           # Upsert issue
           issue = upsert_issue(issue_data)
+          issue_changes = watched_changes(issue)
+          changes[issue] = issue_changes if issue_changes.any?
+          broadcasts << issue if live_change?(issue)
 
           # Fetch and sync comments
-          sync_issue_comments(client, issue, issue_data[:number])
+          broadcasts.concat(sync_issue_comments(client, issue, issue_data[:number]))
 
           synced_count += 1
+          report_progress(client, synced_count, issues_data.size)
         end
       end
 
+      # Only after commit, so nothing is broadcast from a rolled back sync
+      broadcasts.each(&:broadcast_synced)
+      Push::WatchNotifier.new(user: user, repository: repository, changes: changes).call if changes.any?
+
       synced_count
     end
 
+    def report_progress(client, synced_count, total)
+      progress&.call(synced_count, total, client.last_response_rate_limit)
+    end
+
+    # What changed on an already cached issue that watchers hear about:
+    # { state: "closed", labels: { added: [...], removed: [...] }, comments: 2 }
+    # Labels are compared by name (the API's label hashes don't match the stored JSON)
+    # :reek:UtilityFunction - Reads the issue's saved changes
+    # :reek:FeatureEnvy - issue encapsulates its saved changes
+    def watched_changes(issue)
+      return {} if issue.previously_new_record?
+
+      changes = {}
+      changes[:state] = issue.state if issue.saved_change_to_state?
+
+      old_labels, new_labels = (issue.saved_change_to_labels || [ [], [] ]).map do |labels|
+        Array(labels).map { |label| label["name"] || label[:name] }
+      end
+      added = new_labels - old_labels
+      removed = old_labels - new_labels
+      changes[:labels] = { added: added, removed: removed } if added.any? || removed.any?
+
+      old_count, new_count = issue.saved_change_to_comments_count.to_a.map(&:to_i)
+      changes[:comments] = new_count - old_count if new_count.to_i > old_count.to_i
+
+      changes
+    end
+
+    # Whether sync changed anything an issue's card shows
+    # JSON columns are compared serialized: the API's symbol-keyed hashes never equal the stored ones
+    # :reek:UtilityFunction - Reads the issue's saved changes
+    def live_change?(issue)
+      return true if issue.previously_new_record?
+
+      issue.saved_changes.except(*SYNC_ATTRIBUTES).any? do |_attribute, (old_value, new_value)|
+        old_value.to_json != new_value.to_json
+      end
+    end
+
     # :reek:UtilityFunction - Data transformation and persistence helper
     def upsert_issue(issue_data)
       issue_attrs = issue_attributes(issue_data)
@@ -111,16 +178,15 @@ module Github
       }
     end
 
+    # Returns the comments that weren't cached yet
     # :reek:FeatureEnvy - issue encapsulates issue_comments relationship
     def sync_issue_comments(client, issue, issue_number)
       comments_data = client.fetch_issue_comments(repository.owner, repository.name, issue_number)
 
       # Handle empty or error responses
-      return if comments_data.empty? || (comments_data.is_a?(Hash) && comments_data[:error])
+      return [] if comments_data.empty? || (comments_data.is_a?(Hash) && comments_data[:error])
 
-      comments_data.each do |comment_data|
-        upsert_comment(issue, comment_data)
-      end
+      comments_data.map { |comment_data| upsert_comment(issue, comment_data) }.select(&:previously_new_record?)
     end
 
     # :reek:UtilityFunction - Data transformation and persistence helper
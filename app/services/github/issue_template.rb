@@ -0,0 +1,148 @@
+# frozen_string_literal: true
+
+module Github
+  # An issue template from a repository's .github/ISSUE_TEMPLATE directory
+  # Markdown templates (front matter plus a body to start from) and YAML issue forms (fields
+  # whose answers make up the body) are both supported. Forms compose the body the way GitHub
+  # does: a "### Label" heading per field with the answer below it.
+  #
+  #   template = Github::IssueTemplate.parse("bug_report.yml", content)
+  #   template.form?                                    # => true
+  #   template.compose_body("what-happened" => "It crashed")
+  #   # => "### What happened?\n\nIt crashed"
+  #
+  # See https://docs.github.com/en/communities/using-templates-to-encourage-useful-issues-and-pull-requests/syntax-for-issue-forms
+  class IssueTemplate
+    # Markdown template front matter between --- lines, followed by the body
+    FRONT_MATTER = /\A---\s*\n(.*?)\n---\s*(?:\n|\z)(.*)\z/m
+
+    # Issue form field types; GitHub rejects forms with other types
+    FIELD_TYPES = %w[markdown input textarea dropdown checkboxes].freeze
+
+    # What GitHub fills in for fields left empty
+    NO_RESPONSE = "_No response_"
+
+    # A field of an issue form: markdown (text shown in the form), input, textarea, dropdown
+    # or checkboxes. Options are dropdown choices or checkbox labels.
+    Field = Data.define(:type, :key, :label, :description, :placeholder, :value, :options, :multiple, :required, :render) do
+      def markdown?
+        type == "markdown"
+      end
+
+      # The field's part of the issue body, nil for markdown fields
+      # Checkbox answers are the indexes of the checked options
+      # :reek:TooManyStatements - Each field type formats its answer differently
+      def section(answer)
+        return if markdown?
+
+        response = if type == "checkboxes"
+          checked = Array(answer).map(&:to_s)
+          options.each_with_index.map { |option, index| "- [#{checked.include?(index.to_s) ? "x" : " "}] #{option}" }.join("\n")
+        else
+          text = Array(answer).compact_blank.join(", ")
+          render.present? && text.present? ? "```#{render}\n#{text}\n```" : text
+        end
+
+        "### #{label}\n\n#{response.presence || NO_RESPONSE}"
+      end
+    end
+
+    attr_reader :filename, :name, :about, :title, :labels, :assignees, :body, :fields
+
+    # :reek:LongParameterList - A template has these parts in GitHub's format
+    def initialize(filename:, name:, about: nil, title: nil, labels: [], assignees: [], body: nil, fields: [])
+      @filename = filename
+      @name = name
+      @about = about
+      @title = title
+      @labels = labels
+      @assignees = assignees
+      @body = body
+      @fields = fields
+    end
+
+    # Parse a template file, nil when it isn't a valid template
+    def self.parse(filename, content)
+      template = filename.match?(/\.ya?ml\z/i) ? parse_form(filename, content) : parse_markdown(filename, content)
+      template if template&.name.present?
+    rescue Psych::Exception
+      nil
+    end
+
+    # :reek:TooManyStatements - Reads each front matter key
+    def self.parse_markdown(filename, content)
+      match = content.to_s.match(FRONT_MATTER)
+      return unless match
+
+      front_matter = YAML.safe_load(match[1])
+      return unless front_matter.is_a?(Hash)
+
+      new(
+        filename: filename,
+        name: front_matter["name"].to_s,
+        about: front_matter["about"],
+        title: front_matter["title"],
+        labels: list(front_matter["labels"]),
+        assignees: list(front_matter["assignees"]),
+        body: match[2].to_s.strip
+      )
+    end
+
+    # :reek:TooManyStatements - Reads each top-level key
+    def self.parse_form(filename, content)
+      form = YAML.safe_load(content.to_s)
+      return unless form.is_a?(Hash) && form["body"].is_a?(Array)
+
+      new(
+        filename: filename,
+        name: form["name"].to_s,
+        about: form["description"],
+        title: form["title"],
+        labels: list(form["labels"]),
+        assignees: list(form["assignees"]),
+        fields: form["body"].each_with_index.filter_map { |field, index| parse_field(field, index) }
+      )
+    end
+
+    # Fields without an id are keyed by their position
+    # :reek:TooManyStatements - Reads each field attribute
+    # :reek:DuplicateMethodCall - Attributes accessed by key for readability
+    def self.parse_field(field, index)
+      return unless field.is_a?(Hash) && FIELD_TYPES.include?(field["type"])
+
+      attributes = field["attributes"] || {}
+      options = Array(attributes["options"]).map { |option| option.is_a?(Hash) ? option["label"].to_s : option.to_s }
+
+      Field.new(
+        type: field["type"].to_s,
+        key: field["id"].presence || "field_#{index}",
+        label: attributes["label"].to_s,
+        description: attributes["description"],
+        placeholder: attributes["placeholder"],
+        value: attributes["value"],
+        options: options,
+        multiple: attributes["multiple"] == true,
+        required: field.dig("validations", "required") == true,
+        render: attributes["render"]
+      )
+    end
+
+    # Labels and assignees can be a list or a comma-separated string
+    def self.list(value)
+      values = value.is_a?(Array) ? value : value.to_s.split(",")
+      values.map { |item| item.to_s.strip }.compact_blank
+    end
+
+    private_class_method :parse_markdown, :parse_form, :parse_field, :list
+
+    def form?
+      fields.any?
+    end
+
+    # The issue body for a form's answers, keyed by field key
+    def compose_body(answers)
+      answers = answers.to_h.stringify_keys
+      fields.filter_map { |field| field.section(answers[field.key]) }.join("\n\n")
+    end
+  end
+end
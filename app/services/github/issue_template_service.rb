@@ -0,0 +1,109 @@
+# frozen_string_literal: true
+
+module Github
+  # Loads a repository's issue templates (see IssueTemplate) for the new issue form
+  # The template files are cached for a few minutes, so listing them to choose from only goes
+  # to GitHub once. A single template (the one a form is filled in or an issue is opened
+  # from) comes from that cache, or is fetched on its own when the list isn't cached.
+  # Files that aren't valid templates are skipped.
+  # :reek:TooManyStatements - Service orchestrates caching, the API call, and error handling
+  class IssueTemplateService
+    CACHE_EXPIRY = 10.minutes
+
+    attr_reader :user, :repository
+
+    def initialize(user:, repository:)
+      @user = user
+      @repository = repository
+    end
+
+    def call
+      files = Rails.cache.read(cache_key)
+
+      unless files
+        files = fetch_files
+        return files if files.is_a?(Hash)
+
+        Rails.cache.write(cache_key, files, expires_in: CACHE_EXPIRY)
+      end
+
+      templates = files.filter_map { |file| IssueTemplate.parse(file[:filename], file[:content]) }
+      { success: true, templates: templates }
+    rescue Octokit::TooManyRequests => rate_limit_error
+      handle_rate_limit_error(rate_limit_error)
+    rescue StandardError => error
+      handle_general_error(error)
+    end
+
+    # One template by its filename
+    # Returns { success: true, template: }, where template is nil for the blank issue or a
+    # file that isn't a template
+    def find(filename)
+      return { success: true, template: nil } if filename.blank?
+
+      files = Rails.cache.read(cache_key)
+      file = files ? files.find { |entry| entry[:filename] == filename } : fetch_file(filename)
+      return file if file&.key?(:success)
+
+      { success: true, template: file && IssueTemplate.parse(file[:filename], file[:content]) }
+    rescue Octokit::TooManyRequests => rate_limit_error
+      handle_rate_limit_error(rate_limit_error)
+    rescue StandardError => error
+      handle_general_error(error)
+    end
+
+    private
+
+    def fetch_files
+      client = api_client
+      return { success: false, error: missing_token_error } unless client
+
+      files = client.fetch_issue_templates(repository.owner, repository.name)
+      files.is_a?(Hash) ? handle_api_error(files[:error]) : files
+    end
+
+    def fetch_file(filename)
+      client = api_client
+      return { success: false, error: missing_token_error } unless client
+
+      file = client.fetch_issue_template(repository.owner, repository.name, filename)
+      file&.key?(:error) ? handle_api_error(file[:error]) : file
+    end
+
+    # :reek:DuplicateMethodCall - repository.github_domain accessed for token lookup and client
+    def api_client
+      domain = repository.github_domain
+      github_token = user.github_tokens.find_by(domain: domain)
+      Github::ApiClient.new(token: github_token.token, domain: domain) if github_token
+    end
+
+    def cache_key
+      "issue_templates/#{repository.id}"
+    end
+
+    def missing_token_error
+      "No GitHub token configured for #{repository.github_domain}"
+    end
+
+    # Error handling methods
+
+    def handle_api_error(error_message)
+      Rails.logger.error "GitHub API error loading issue templates for #{repository.full_name}: #{error_message}"
+      { success: false, error: error_message }
+    end
+
+    def handle_rate_limit_error(exception)
+      reset_time = exception.response_headers["x-ratelimit-reset"]
+      error_msg = "Rate limit exceeded. Resets at #{Time.at(reset_time.to_i)}"
+      Rails.logger.warn "Rate limit loading issue templates for #{repository.full_name}: #{error_msg}"
+      { success: false, error: error_msg }
+    end
+
+    # :reek:FeatureEnvy - exception encapsulates error details
+    def handle_general_error(exception)
+      message = exception.message
+      Rails.logger.error "Error loading issue templates for #{repository.full_name}: #{exception.class} - #{message}"
+      { success: false, error: "Failed to load issue templates: #{message}" }
+    end
+  end
+end
@@ -0,0 +1,67 @@
+# frozen_string_literal: true
+
+module Github
+  # Sets a single select field (Status, Priority, ...) of an issue's project item from the
+  # issue sidebar, or clears it when no option is given
+  # Project fields aren't cached locally, so there's nothing to update besides GitHub.
+  # :reek:TooManyStatements - Service orchestrates the API call and error handling
+  class ProjectItemFieldService
+    attr_reader :user, :repository, :project_id, :item_id, :field_id, :option_id
+
+    # :reek:LongParameterList - Keyword arguments identify the project item field and option
+    def initialize(user:, repository:, project_id:, item_id:, field_id:, option_id: nil)
+      @user = user
+      @repository = repository
+      @project_id = project_id.to_s
+      @item_id = item_id.to_s
+      @field_id = field_id.to_s
+      @option_id = option_id.presence
+    end
+
+    # :reek:DuplicateMethodCall - repository.github_domain accessed for token lookup and client
+    def call
+      return { success: false, error: "No project field given" } if [ project_id, item_id, field_id ].any?(&:blank?)
+
+      domain = repository.github_domain
+      github_token = user.github_tokens.find_by(domain: domain)
+      return { success: false, error: missing_token_error } unless github_token
+
+      client = Github::ApiClient.new(token: github_token.token, domain: domain)
+      result = client.update_project_item_field(project_id, item_id, field_id, option_id)
+      return handle_api_error(result[:error]) if result[:error]
+
+      { success: true }
+    rescue Octokit::TooManyRequests => rate_limit_error
+      handle_rate_limit_error(rate_limit_error)
+    rescue StandardError => error
+      handle_general_error(error)
+    end
+
+    private
+
+    def missing_token_error
+      "No GitHub token configured for #{repository.github_domain}"
+    end
+
+    # Error handling methods
+
+    def handle_api_error(error_message)
+      Rails.logger.error "GitHub API error updating project field #{field_id} in #{repository.full_name}: #{error_message}"
+      { success: false, error: error_message }
+    end
+
+    def handle_rate_limit_error(exception)
+      reset_time = exception.response_headers["x-ratelimit-reset"]
+      error_msg = "Rate limit exceeded. Resets at #{Time.at(reset_time.to_i)}"
+      Rails.logger.warn "Rate limit updating project field #{field_id} in #{repository.full_name}: #{error_msg}"
+      { success: false, error: error_msg }
+    end
+
+    # :reek:FeatureEnvy - exception encapsulates error details
+    def handle_general_error(exception)
+      message = exception.message
+      Rails.logger.error "Error updating project field #{field_id} in #{repository.full_name}: #{exception.class} - #{message}"
+      { success: false, error: "Failed to update project field: #{message}" }
+    end
+  end
+end
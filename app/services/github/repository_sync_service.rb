@@ -58,6 +58,7 @@ class Github::RepositorySyncService
       url: repo_data[:url],
       issue_count: repo_data[:issue_count] || 0,
       open_issue_count: repo_data[:open_issues_count] || 0,  # Note: API returns open_issues_count
+      can_push: repo_data[:can_push],
       cached_at: Time.current
     }
   end
@@ -0,0 +1,79 @@
+# frozen_string_literal: true
+
+module Github
+  # Parses GitHub search qualifiers out of an issue search query string
+  # Supports: is:open, is:closed, label:name (multiple), -label:name (multiple),
+  # assignee:username (multiple), -assignee:username (multiple), author:username, sort:field-direction
+  # The result's query and filters are what IssueSearchService takes.
+  #
+  #   Github::SearchQueryParser.parse('is:open label:bug crash')
+  #   # => { query: "crash", filters: { state: "open", labels: ["bug"] }, sort: nil, has_qualifiers: true }
+  module SearchQueryParser
+    module_function
+
+    # :reek:TooManyStatements - Parses multiple qualifier types
+    # :reek:DuplicateMethodCall - Regexp matches accessed for readability
+    def parse(query_string)
+      return { query: nil, filters: {}, sort: nil, has_qualifiers: false } if query_string.blank?
+
+      query_parts = []
+      filters = {}
+      sort = nil
+      has_qualifiers = false
+      # Labels and assignees support multiple (and negated) values
+      labels = []
+      excluded_labels = []
+      assignees = []
+      excluded_assignees = []
+
+      # Split query into tokens, preserving quoted strings
+      tokens = query_string.scan(/(?:"[^"]*"|[^\s"])+/)
+
+      tokens.each do |token|
+        case token
+        when /^is:(open|closed)$/i
+          filters[:state] = Regexp.last_match(1).downcase
+          has_qualifiers = true
+        when /^state:(open|closed)$/i
+          filters[:state] = Regexp.last_match(1).downcase
+          has_qualifiers = true
+        when /^(-?)label:(.+)$/i
+          # Remove surrounding quotes if present and collect multiple labels
+          negated = Regexp.last_match(1).present?
+          label = Regexp.last_match(2).gsub(/^["']|["']$/, "")
+          (negated ? excluded_labels : labels) << label
+          has_qualifiers = true
+        when /^(-?)assignee:(.+)$/i
+          negated = Regexp.last_match(1).present?
+          assignee = Regexp.last_match(2).gsub(/^["']|["']$/, "")
+          (negated ? excluded_assignees : assignees) << assignee
+          has_qualifiers = true
+        when /^author:(.+)$/i
+          filters[:author] = Regexp.last_match(1).gsub(/^["']|["']$/, "")
+          has_qualifiers = true
+        when /^sort:(created|updated|comments)(?:-(asc|desc))?$/i
+          # Parse sort field and direction (default to desc if not specified)
+          field = Regexp.last_match(1).downcase
+          direction = Regexp.last_match(2)&.downcase || "desc"
+          sort = direction == "asc" ? "#{field}-asc" : field
+          has_qualifiers = true
+        else
+          # Not a qualifier, add to search query
+          query_parts << token
+        end
+      end
+
+      filters[:labels] = labels if labels.any?
+      filters[:excluded_labels] = excluded_labels if excluded_labels.any?
+      filters[:assignees] = assignees if assignees.any?
+      filters[:excluded_assignees] = excluded_assignees if excluded_assignees.any?
+
+      {
+        query: query_parts.join(" ").presence,
+        filters: filters,
+        sort: sort,
+        has_qualifiers: has_qualifiers
+      }
+    end
+  end
+end
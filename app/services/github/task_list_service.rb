@@ -0,0 +1,121 @@
+# frozen_string_literal: true
+
+module Github
+  # Checks or unchecks a task list item in an issue body or comment from the issue page
+  # The item is rewritten in the markdown GitHub has now, but only if that's the markdown the
+  # page was rendered from (compared by TaskList.digest): otherwise the page is out of date and
+  # the toggle is a conflict. The cached issue or comment is updated with whatever GitHub has.
+  # :reek:TooManyStatements - Service orchestrates API calls, conflict checks, and cache updates
+  # :reek:TooManyInstanceVariables - Keyword arguments identify the text and the item
+  class TaskListService
+    CONFLICT_ERROR = "This was edited on GitHub since the page loaded. Reload to see the latest version."
+
+    attr_reader :user, :repository, :issue_number, :comment_id, :line, :checked, :digest
+
+    # :reek:LongParameterList - Keyword arguments identify the text and the item
+    # :reek:BooleanParameter - checked is the item's new state
+    def initialize(user:, repository:, issue_number:, line:, checked:, digest:, comment_id: nil)
+      @user = user
+      @repository = repository
+      @issue_number = issue_number
+      @comment_id = comment_id.presence
+      @line = line.to_i
+      @checked = checked
+      @digest = digest.to_s
+    end
+
+    # :reek:DuplicateMethodCall - repository.github_domain accessed for token lookup and client
+    def call
+      domain = repository.github_domain
+      github_token = user.github_tokens.find_by(domain: domain)
+      return { success: false, error: missing_token_error } unless github_token
+
+      client = Github::ApiClient.new(token: github_token.token, domain: domain)
+      current = fetch(client)
+      return handle_api_error(current[:error]) if current[:error]
+
+      body = current[:body].to_s
+      unless TaskList.digest(body) == digest
+        update_cache(current)
+        return { success: false, conflict: true, error: CONFLICT_ERROR }
+      end
+
+      updated_body = TaskList.new(body).toggle(line, checked)
+      return { success: false, error: "No task list item on line #{line}" } unless updated_body
+
+      updated = save(client, updated_body)
+      return handle_api_error(updated[:error]) if updated[:error]
+
+      update_cache(updated)
+
+      { success: true, body: updated[:body], digest: TaskList.digest(updated[:body]) }
+    rescue Octokit::TooManyRequests => rate_limit_error
+      handle_rate_limit_error(rate_limit_error)
+    rescue StandardError => error
+      handle_general_error(error)
+    end
+
+    private
+
+    # :reek:DuplicateMethodCall - repository owner and name passed to each client method
+    def fetch(client)
+      if comment_id
+        client.fetch_issue_comment(repository.owner, repository.name, comment_id)
+      else
+        client.fetch_issue(repository.owner, repository.name, issue_number)
+      end
+    end
+
+    # :reek:DuplicateMethodCall - repository owner and name passed to each client method
+    def save(client, body)
+      if comment_id
+        client.update_issue_comment(repository.owner, repository.name, comment_id, body)
+      else
+        client.update_issue_body(repository.owner, repository.name, issue_number, body)
+      end
+    end
+
+    # Keep cached_at as is, like other edits; issue lists get the new task progress
+    # :reek:FeatureEnvy - data encapsulates API response structure
+    def update_cache(data)
+      attributes = { body: data[:body], github_updated_at: data[:updated_at] || Time.current }
+
+      if comment_id
+        cached_comment&.update!(attributes)
+      else
+        issue = repository.issues.find_by(number: issue_number)
+        issue&.update!(attributes)
+        issue&.broadcast_synced
+      end
+    end
+
+    def cached_comment
+      IssueComment.joins(:issue).find_by(issues: { repository_id: repository.id, number: issue_number }, github_id: comment_id)
+    end
+
+    def missing_token_error
+      "No GitHub token configured for #{repository.github_domain}"
+    end
+
+    # Error handling methods
+
+    def handle_api_error(error_message)
+      Rails.logger.error "GitHub API error updating a task list in #{repository.full_name}##{issue_number}: #{error_message}"
+      { success: false, error: error_message }
+    end
+
+    def handle_rate_limit_error(exception)
+      reset_time = exception.response_headers["x-ratelimit-reset"]
+      error_msg = "Rate limit exceeded. Resets at #{Time.at(reset_time.to_i)}"
+      Rails.logger.warn "Rate limit updating a task list in #{repository.full_name}##{issue_number}: #{error_msg}"
+      { success: false, error: error_msg }
+    end
+
+    # :reek:FeatureEnvy - exception encapsulates error details
+    def handle_general_error(exception)
+      message = exception.message
+      Rails.logger.error "Error updating a task list in #{repository.full_name}##{issue_number}: #{exception.class} - #{message}"
+      { success: false, error: "Failed to update task list: #{message}" }
+    end
+  end
+end
@@ -0,0 +1,91 @@
+# frozen_string_literal: true
+
+module Push
+  # Notifies a user about changes to their issues that sync picked up
+  # An issue is notified about when the user watches it, or watches a saved search whose
+  # query it matches (matched against the local cache, like local search mode). Each issue
+  # gets one notification per sync, sent to all of the user's browsers by PushNotificationJob.
+  class WatchNotifier
+    attr_reader :user, :repository, :changes
+
+    # changes: { issue => { state:, labels: { added:, removed: }, comments: } }
+    def initialize(user:, repository:, changes:)
+      @user = user
+      @repository = repository
+      @changes = changes
+    end
+
+    # Returns the number of notifications queued
+    def call
+      return 0 unless WebPushClient.configured? && user.push_subscriptions.exists?
+
+      issues = watched_issues
+      issues.each do |issue|
+        PushNotificationJob.perform_later(user, payload(issue, changes[issue]))
+      end
+
+      issues.size
+    end
+
+    private
+
+    def watched_issues
+      issues = changes.keys
+      watched_ids = user.watches.where(watchable: issues).pluck(:watchable_id)
+      watched_ids |= watched_searches.flat_map { |saved_search| matching_issue_ids(saved_search, issues) }
+
+      issues.select { |issue| watched_ids.include?(issue.id) }
+    end
+
+    def watched_searches
+      user.saved_searches.available_in(repository).where(id: user.watches.where(watchable_type: "SavedSearch").select(:watchable_id))
+    end
+
+    # :reek:FeatureEnvy - saved_search encapsulates the query
+    def matching_issue_ids(saved_search, issues)
+      parsed_query = Github::SearchQueryParser.parse(saved_search.query)
+      result = Github::IssueSearchService.new(
+        user: user,
+        repository: repository,
+        query: parsed_query[:query],
+        filters: parsed_query[:filters],
+        search_mode: Github::IssueSearchService::LOCAL_MODE
+      ).call
+      return [] unless result[:success]
+
+      result[:issues].where(id: issues.map(&:id)).pluck(:id)
+    end
+
+    # Notification title and showNotification options for the service worker
+    def payload(issue, issue_changes)
+      number = issue.number
+
+      {
+        title: I18n.t("push_notifications.issue.title", repository: repository.full_name, number: number, title: issue.title),
+        options: {
+          body: describe(issue_changes),
+          tag: "issue-#{issue.id}",
+          icon: "/icon.png",
+          data: { path: Rails.application.routes.url_helpers.repository_issue_path(repository, number) }
+        }
+      }
+    end
+
+    # :reek:UtilityFunction - Formats a changes hash
+    # :reek:TooManyStatements - One line per kind of change
+    def describe(issue_changes)
+      state = issue_changes[:state]
+      labels = issue_changes[:labels] || {}
+      added = labels[:added] || []
+      removed = labels[:removed] || []
+      comments = issue_changes[:comments]
+
+      lines = []
+      lines << I18n.t(state == "closed" ? "push_notifications.issue.closed" : "push_notifications.issue.reopened") if state
+      lines << I18n.t("push_notifications.issue.labels_added", labels: added.join(", ")) if added.any?
+      lines << I18n.t("push_notifications.issue.labels_removed", labels: removed.join(", ")) if removed.any?
+      lines << I18n.t("push_notifications.issue.comments", count: comments) if comments
+      lines.join("\n")
+    end
+  end
+end
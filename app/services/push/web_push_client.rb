@@ -0,0 +1,73 @@
+# frozen_string_literal: true
+
+module Push
+  # Sends Web Push messages to browser push subscriptions
+  # The web-push gem encrypts payloads for the subscription (RFC 8291, aes128gcm) and signs
+  # requests with the application's VAPID key (RFC 8292), so push services need no other
+  # credentials. Keys come from config.x.vapid; generate them with `bin/rails push:vapid_keys`.
+  class WebPushClient
+    ERROR_EXPIRED = "Subscription has expired or was revoked"
+    ERROR_NOT_PUSH_SERVICE = "Subscription endpoint is not a known push service"
+
+    # Push services keep undelivered messages this long (seconds)
+    TTL = 24 * 60 * 60
+    # Push services reject VAPID tokens valid for more than 24 hours
+    TOKEN_LIFETIME = 12 * 60 * 60
+    TIMEOUT = 10
+
+    # Whether VAPID keys are configured (push notifications are offered only then)
+    def self.configured?
+      vapid = Rails.configuration.x.vapid
+      vapid[:public_key].present? && vapid[:private_key].present?
+    end
+
+    # The VAPID public key browsers subscribe with (applicationServerKey)
+    def self.public_key
+      Rails.configuration.x.vapid[:public_key]
+    end
+
+    # New VAPID key pair as base64url strings
+    def self.generate_vapid_keys
+      key = WebPush.generate_key
+
+      { public_key: key.public_key, private_key: key.private_key }
+    end
+
+    attr_reader :public_key, :subject
+
+    def initialize(vapid: Rails.configuration.x.vapid)
+      @public_key = vapid[:public_key]
+      @private_key = vapid[:private_key]
+      @subject = vapid[:subject]
+    end
+
+    # Deliver a JSON payload to a PushSubscription
+    # Returns { success: true }, or { success: false, error:, expired: } where expired means
+    # the push service no longer knows the subscription (or it isn't on a push service at all)
+    # and it should be deleted
+    # :reek:FeatureEnvy - subscription encapsulates the endpoint and its keys
+    def deliver(subscription, payload)
+      # Subscriptions are validated on save; this also covers ones saved before the check existed
+      return { success: false, expired: true, error: ERROR_NOT_PUSH_SERVICE } unless subscription.push_service_endpoint?
+
+      WebPush.payload_send(
+        message: payload.to_json,
+        endpoint: subscription.endpoint,
+        p256dh: subscription.p256dh_key,
+        auth: subscription.auth_key,
+        vapid: { subject: subject, public_key: public_key, private_key: @private_key, expiration: TOKEN_LIFETIME },
+        ttl: TTL,
+        open_timeout: TIMEOUT,
+        read_timeout: TIMEOUT
+      )
+
+      { success: true }
+    rescue WebPush::ExpiredSubscription, WebPush::InvalidSubscription
+      { success: false, expired: true, error: ERROR_EXPIRED }
+    rescue WebPush::ResponseError => error
+      { success: false, expired: false, error: "Push service responded with #{error.response.code}" }
+    rescue StandardError => error
+      { success: false, expired: false, error: "Failed to send push notification: #{error.message}" }
+    end
+  end
+end
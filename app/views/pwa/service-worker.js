@@ -1,26 +1,284 @@
-// Add a service worker for processing Web Push notifications:
+// Service worker: offline copies of the issue pages you've visited, and push notifications
 //
-// self.addEventListener("push", async (event) => {
-//   const { title, options } = await event.data.json()
-//   event.waitUntil(self.registration.showNotification(title, options))
-// })
-//
-// self.addEventListener("notificationclick", function(event) {
-//   event.notification.close()
-//   event.waitUntil(
-//     clients.matchAll({ type: "window" }).then((clientList) => {
-//       for (let i = 0; i < clientList.length; i++) {
-//         let client = clientList[i]
-//         let clientPath = (new URL(client.url)).pathname
-//
-//         if (clientPath == event.notification.data.path && "focus" in client) {
-//           return client.focus()
-//         }
-//       }
-//
-//       if (clients.openWindow) {
-//         return clients.openWindow(event.notification.data.path)
-//       }
-//     })
-//   )
-// })
+// The app shell (the offline page, icons, and the stylesheets and scripts each page hands
+// over with a "precache" message, see lib/service_worker.js) is cached up front. Issue
+// lists and issues#show pages are kept after each visit and served cache-first while
+// they're fresh - the same five minutes after which cached_at counts as stale - and from
+// the network after that. When the network can't be reached the last copy is served
+// anyway, with the layout's offline banner switched on (offline_banner_controller.js).
+// Only the latest pages and avatars are kept. Avatars are cached as they load. Pushes about watched issues are shown as notifications.
+
+const VERSION = "v1"
+const SHELL_CACHE = `shell-${VERSION}`
+const PAGES_CACHE = `pages-${VERSION}`
+const AVATARS_CACHE = `avatars-${VERSION}`
+
+const SHELL_URLS = ["/offline.html", "/icon.png", "/icon.svg"]
+const OFFLINE_URL = "/offline.html"
+
+// Issue list and issue pages: /repositories/1/issues, /repositories/1/issues/42
+const PAGE_PATH = /^\/repositories\/\d+\/issues(\/\d+)?\/?$/
+const REPOSITORY_PATH = /^\/repositories\/\d+/
+
+// Matches Repository#stale?
+const FRESH_FOR = 5 * 60 * 1000
+const MAX_PAGES = 100
+const MAX_AVATARS = 500
+
+// When a page was cached (stored with the copy)
+const CACHED_AT_HEADER = "X-Cached-At"
+
+// The layout's offline banner, switched on by giving it a cached-at value
+const BANNER_CONTROLLER = 'data-controller="offline-banner"'
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_URLS)))
+  self.skipWaiting()
+})
+
+// Drop caches from earlier versions
+self.addEventListener("activate", (event) => {
+  const current = [SHELL_CACHE, PAGES_CACHE, AVATARS_CACHE]
+
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => !current.includes(name)).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  )
+})
+
+// Pages send their stylesheets and scripts so the shell matches the current deploy's digests
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "precache") {
+    event.waitUntil(precache(event.data.urls || []))
+  }
+})
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+
+  // Writes (refresh, bulk actions, sign in/out) make cached copies out of date
+  if (request.method !== "GET") {
+    if (url.origin === self.location.origin) event.waitUntil(forgetPages(url.pathname))
+    return
+  }
+
+  if (isPage(request, url)) {
+    event.respondWith(pageResponse(event))
+  } else if (isAvatar(request, url)) {
+    event.respondWith(avatarResponse(event))
+  } else if (url.origin === self.location.origin && url.pathname.startsWith("/assets/")) {
+    event.respondWith(assetResponse(request))
+  } else {
+    event.respondWith(shellResponse(request))
+  }
+})
+
+// Full-page HTML visits (browser or Turbo Drive) of an issue list or issue;
+// Turbo Frame and Turbo Stream requests get different markup, so they're left alone
+function isPage(request, url) {
+  const accept = request.headers.get("Accept") || ""
+
+  return url.origin === self.location.origin &&
+    PAGE_PATH.test(url.pathname) &&
+    !request.headers.has("Turbo-Frame") &&
+    accept.includes("text/html") &&
+    !accept.includes("text/vnd.turbo-stream.html")
+}
+
+// GitHub, GitHub Enterprise and Gravatar avatars
+function isAvatar(request, url) {
+  return request.destination === "image" &&
+    (url.hostname.startsWith("avatars.") || url.hostname.endsWith("gravatar.com") || url.pathname.startsWith("/avatars/"))
+}
+
+async function pageResponse(event) {
+  const { request } = event
+  const cache = await caches.open(PAGES_CACHE)
+  const cached = await cache.match(request.url)
+
+  // Known to be offline: skip straight to the network failure so the banner shows
+  if (cached && isFresh(cached) && self.navigator.onLine !== false) return cached
+
+  try {
+    const response = await fetch(request)
+    if (isCacheablePage(response)) event.waitUntil(storePage(cache, request.url, response.clone()))
+
+    return response
+  } catch (error) {
+    if (cached) return withOfflineBanner(cached)
+
+    return offlineResponse(error)
+  }
+}
+
+function isFresh(response) {
+  const cachedAt = Date.parse(response.headers.get(CACHED_AT_HEADER))
+  return Date.now() - cachedAt < FRESH_FOR
+}
+
+// Redirected responses carry flash messages meant for one visit, and pages showing a
+// refresh under way are marked no-store (the list is reloaded once it's done)
+function isCacheablePage(response) {
+  return response.ok &&
+    !response.redirected &&
+    !(response.headers.get("Cache-Control") || "").includes("no-store") &&
+    (response.headers.get("Content-Type") || "").includes("text/html")
+}
+
+async function storePage(cache, url, response) {
+  const headers = new Headers(response.headers)
+  headers.set(CACHED_AT_HEADER, new Date().toISOString())
+  headers.delete("Content-Length")
+  headers.delete("Content-Encoding")
+
+  const body = await response.blob()
+  await cache.put(url, new Response(body, { status: response.status, statusText: response.statusText, headers }))
+  await trimCache(cache, MAX_PAGES)
+}
+
+// Copy of a cached page with the offline banner showing when it was cached
+async function withOfflineBanner(cached) {
+  const cachedAt = cached.headers.get(CACHED_AT_HEADER)
+  const html = (await cached.text()).replace(BANNER_CONTROLLER, `${BANNER_CONTROLLER} data-offline-banner-cached-at-value="${cachedAt}"`)
+
+  return new Response(html, { status: cached.status, statusText: cached.statusText, headers: cached.headers })
+}
+
+// Forget a repository's pages after a write to it, or every page when signing in or out
+// or changing account settings that every page carries (shortcuts, time display)
+async function forgetPages(pathname) {
+  if (pathname.startsWith("/session") || pathname.startsWith("/user/")) {
+    await caches.delete(PAGES_CACHE)
+    return
+  }
+
+  const repository = pathname.match(REPOSITORY_PATH)?.[0]
+  if (!repository) return
+
+  const cache = await caches.open(PAGES_CACHE)
+  const requests = await cache.keys()
+  const stale = requests.filter(request => new URL(request.url).pathname.startsWith(`${repository}/`))
+
+  await Promise.all(stale.map(request => cache.delete(request)))
+}
+
+// Cached avatar right away, refreshed in the background for next time
+async function avatarResponse(event) {
+  const cache = await caches.open(AVATARS_CACHE)
+  const cached = await cache.match(event.request)
+
+  const update = fetch(event.request).then(async (response) => {
+    if (response.ok || response.type === "opaque") {
+      await cache.put(event.request, response.clone())
+      await trimCache(cache, MAX_AVATARS)
+    }
+
+    return response
+  })
+
+  if (cached) {
+    event.waitUntil(update.catch(() => {}))
+    return cached
+  }
+
+  return update
+}
+
+// Oldest entries go first
+async function trimCache(cache, maxEntries) {
+  const requests = await cache.keys()
+  await Promise.all(requests.slice(0, Math.max(0, requests.length - maxEntries)).map(request => cache.delete(request)))
+}
+
+// Digested assets never change, so any cached copy will do
+async function assetResponse(request) {
+  const cache = await caches.open(SHELL_CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) await cache.put(request, response.clone())
+
+  return response
+}
+
+// Everything else goes to the network; shell entries are refreshed on the way and
+// served from the cache when offline, and other pages fall back to the offline page
+async function shellResponse(request) {
+  const cache = await caches.open(SHELL_CACHE)
+
+  try {
+    const response = await fetch(request)
+    if ((response.ok || response.type === "opaque") && await cache.match(request)) {
+      await cache.put(request, response.clone())
+    }
+
+    return response
+  } catch (error) {
+    const cached = await cache.match(request)
+    if (cached) return cached
+
+    if (request.mode === "navigate" || (request.headers.get("Accept") || "").includes("text/html")) {
+      return offlineResponse(error)
+    }
+
+    throw error
+  }
+}
+
+async function offlineResponse(error) {
+  const offline = await caches.match(OFFLINE_URL)
+  if (offline) return offline
+
+  throw error
+}
+
+// Cache shell URLs that aren't cached yet (cross-origin ones as the page loads them, without CORS)
+async function precache(urls) {
+  const cache = await caches.open(SHELL_CACHE)
+
+  await Promise.all(urls.map(async (url) => {
+    if (await cache.match(url)) return
+
+    try {
+      const sameOrigin = new URL(url, self.location.origin).origin === self.location.origin
+      const response = await fetch(url, { mode: sameOrigin ? "same-origin" : "no-cors" })
+      if (response.ok || response.type === "opaque") await cache.put(url, response)
+    } catch (error) {
+      console.error("Error precaching", url, error)
+    }
+  }))
+}
+
+// Shown for pushes without a payload (e.g. a push service's test message)
+const EMPTY_PUSH = { title: "Github Viewer", options: { icon: "/icon.png" } }
+
+// Push notifications about watched issues (see Push::WatchNotifier for the payload)
+self.addEventListener("push", (event) => {
+  const { title, options } = event.data ? event.data.json() : EMPTY_PUSH
+  event.waitUntil(self.registration.showNotification(title, options))
+})
+
+// Focus a tab that already shows the issue, or open one
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close()
+  const path = event.notification.data?.path || "/"
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((clientList) => {
+      for (const client of clientList) {
+        const clientPath = (new URL(client.url)).pathname
+
+        if (clientPath === path && "focus" in client) {
+          return client.focus()
+        }
+      }
+
+      if (self.clients.openWindow) {
+        return self.clients.openWindow(path)
+      }
+    })
+  )
+})
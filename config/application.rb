@@ -30,5 +30,16 @@ module GithubViewer
     config.active_record.encryption.primary_key = ENV["ACTIVE_RECORD_ENCRYPTION_PRIMARY_KEY"]
     config.active_record.encryption.deterministic_key = ENV["ACTIVE_RECORD_ENCRYPTION_DETERMINISTIC_KEY"]
     config.active_record.encryption.key_derivation_salt = ENV["ACTIVE_RECORD_ENCRYPTION_KEY_DERIVATION_SALT"]
+
+    # VAPID keys for Web Push notifications (generate a pair with `bin/rails push:vapid_keys`)
+    # Push notifications are only offered when both keys are set
+    config.x.vapid = {
+      public_key: ENV["VAPID_PUBLIC_KEY"],
+      private_key: ENV["VAPID_PRIVATE_KEY"],
+      subject: ENV.fetch("VAPID_SUBJECT", "mailto:admin@example.com")
+    }
+
+    # Register the service worker (app/views/pwa/service-worker.js) that keeps offline copies of visited pages
+    config.x.service_worker = true
   end
 end
@@ -51,6 +51,9 @@ Rails.application.configure do
   # Raise error when a before_action's only/except options reference missing actions.
   config.action_controller.raise_on_missing_callback_actions = true
 
+  # Don't register the service worker, so system tests never get pages from its cache.
+  config.x.service_worker = false
+
   # Configure ActiveRecord encryption with deterministic keys for testing
   config.active_record.encryption.primary_key = "test_primary_key_that_is_at_least_32_characters_long_for_testing"
   config.active_record.encryption.deterministic_key = "test_deterministic_key_that_is_at_least_32_characters_long"
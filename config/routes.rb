@@ -1,23 +1,44 @@
 Rails.application.routes.draw do
-  resource :user, only: [ :show, :edit, :update ]
+  resource :user, only: [ :show, :edit, :update ] do
+    resource :keyboard_shortcuts, only: [ :update, :destroy ]
+    resource :push_subscription, only: [ :create, :destroy ]
+    resource :time_display, only: [ :update ]
+  end
   get "dashboard/index"
   resource :session
   resources :passwords, param: :token
   resources :users, only: [ :new, :create ]
   resources :github_tokens, only: [ :create, :destroy ]
+  resource :markdown_preview, only: [ :create ]
+  resources :saved_searches, only: [ :index, :create, :update, :destroy ] do
+    member do
+      patch :move
+    end
+    resource :watch, only: [ :create, :destroy ]
+  end
   resources :repositories, only: [ :index, :new, :create, :destroy ] do
     member do
       post :refresh
       get :assignable_users
       get :labels
+      get :milestones
+      get :mentionable_users
+      get :issue_references
     end
-    resources :issues, only: [ :index, :show ] do
+    resources :issues, only: [ :index, :show, :new, :create ] do
       collection do
         post :refresh
+        delete :refresh, action: :cancel_refresh
       end
       member do
         post :refresh
       end
+      resource :bulk_action, only: [ :create ], controller: "issue_bulk_actions"
+      resource :sidebar_action, only: [ :create ], controller: "issue_sidebar_actions"
+      resource :project_field, only: [ :update ], controller: "issue_project_fields"
+      resource :task_list, only: [ :update ], controller: "issue_task_lists"
+      resources :comments, only: [ :create ], controller: "issue_comments"
+      resource :watch, only: [ :create, :destroy ]
     end
   end
   # Define your application routes per the DSL in https://guides.rubyonrails.org/routing.html
@@ -26,9 +47,9 @@ Rails.application.routes.draw do
   # Can be used by load balancers and uptime monitors to verify that the app is live.
   get "up" => "rails/health#show", as: :rails_health_check
 
-  # Render dynamic PWA files from app/views/pwa/* (remember to link manifest in application.html.erb)
-  # get "manifest" => "rails/pwa#manifest", as: :pwa_manifest
-  # get "service-worker" => "rails/pwa#service_worker", as: :pwa_service_worker
+  # Render dynamic PWA files from app/views/pwa/* (the manifest is linked in application.html.erb)
+  get "manifest" => "rails/pwa#manifest", as: :pwa_manifest
+  get "service-worker" => "rails/pwa#service_worker", as: :pwa_service_worker
 
   # Defines the root path route ("/")
   root "dashboard#index"
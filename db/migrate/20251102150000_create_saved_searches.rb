@@ -0,0 +1,15 @@
+class CreateSavedSearches < ActiveRecord::Migration[8.1]
+  def change
+    create_table :saved_searches do |t|
+      t.references :user, null: false, foreign_key: true
+      t.references :repository, foreign_key: true # nil for searches that apply to every repository
+      t.string :name, null: false
+      t.text :query, null: false
+      t.integer :position, null: false, default: 0
+
+      t.timestamps
+    end
+
+    add_index :saved_searches, [ :user_id, :position ]
+  end
+end
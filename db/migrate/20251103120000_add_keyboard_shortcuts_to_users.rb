@@ -0,0 +1,6 @@
+class AddKeyboardShortcutsToUsers < ActiveRecord::Migration[8.1]
+  def change
+    # Remapped shortcut keys by shortcut id, e.g. { "list.move" => ["n", "p"] }
+    add_column :users, :keyboard_shortcuts, :json, null: false, default: {}
+  end
+end
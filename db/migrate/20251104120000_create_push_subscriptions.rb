@@ -0,0 +1,16 @@
+class CreatePushSubscriptions < ActiveRecord::Migration[8.1]
+  def change
+    # One row per browser a user has turned on push notifications in
+    create_table :push_subscriptions do |t|
+      t.references :user, null: false, foreign_key: true
+      t.text :endpoint, null: false
+      t.string :p256dh_key, null: false
+      t.string :auth_key, null: false
+      t.string :user_agent
+
+      t.timestamps
+    end
+
+    add_index :push_subscriptions, :endpoint, unique: true
+  end
+end
@@ -0,0 +1,13 @@
+class CreateWatches < ActiveRecord::Migration[8.1]
+  def change
+    # Issues and saved searches a user gets push notifications for
+    create_table :watches do |t|
+      t.references :user, null: false, foreign_key: true
+      t.references :watchable, polymorphic: true, null: false
+
+      t.timestamps
+    end
+
+    add_index :watches, [ :user_id, :watchable_type, :watchable_id ], unique: true
+  end
+end
@@ -0,0 +1,6 @@
+class AddTimeDisplayToUsers < ActiveRecord::Migration[8.1]
+  def change
+    # How times are shown: relative ("3 hours ago"), absolute or ISO 8601
+    add_column :users, :time_display, :string, null: false, default: "relative"
+  end
+end
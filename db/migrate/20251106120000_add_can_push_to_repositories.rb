@@ -0,0 +1,7 @@
+class AddCanPushToRepositories < ActiveRecord::Migration[8.1]
+  def change
+    # Whether the user's token can push to the repository (edit issue bodies and comments);
+    # unknown until the repository is next synced
+    add_column :repositories, :can_push, :boolean
+  end
+end
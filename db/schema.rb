@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.1].define(version: 2025_11_01_042847) do
+ActiveRecord::Schema[8.1].define(version: 2025_11_06_120000) do
   create_table "github_tokens", force: :cascade do |t|
     t.datetime "created_at", null: false
     t.string "domain", default: "github.com", null: false
@@ -57,8 +57,21 @@ ActiveRecord::Schema[8.1].define(version: 2025_11_01_042847) do
     t.index ["repository_id"], name: "index_issues_on_repository_id"
   end
 
+  create_table "push_subscriptions", force: :cascade do |t|
+    t.string "auth_key", null: false
+    t.datetime "created_at", null: false
+    t.text "endpoint", null: false
+    t.string "p256dh_key", null: false
+    t.datetime "updated_at", null: false
+    t.string "user_agent"
+    t.integer "user_id", null: false
+    t.index ["endpoint"], name: "index_push_subscriptions_on_endpoint", unique: true
+    t.index ["user_id"], name: "index_push_subscriptions_on_user_id"
+  end
+
   create_table "repositories", force: :cascade do |t|
     t.datetime "cached_at"
+    t.boolean "can_push"
     t.datetime "created_at", null: false
     t.text "description"
     t.string "full_name", null: false
@@ -85,6 +98,19 @@ ActiveRecord::Schema[8.1].define(version: 2025_11_01_042847) do
     t.index ["repository_id"], name: "index_repository_assignable_users_on_repository_id"
   end
 
+  create_table "saved_searches", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.string "name", null: false
+    t.integer "position", default: 0, null: false
+    t.text "query", null: false
+    t.integer "repository_id"
+    t.datetime "updated_at", null: false
+    t.integer "user_id", null: false
+    t.index ["repository_id"], name: "index_saved_searches_on_repository_id"
+    t.index ["user_id", "position"], name: "index_saved_searches_on_user_id_and_position"
+    t.index ["user_id"], name: "index_saved_searches_on_user_id"
+  end
+
   create_table "sessions", force: :cascade do |t|
     t.datetime "created_at", null: false
     t.string "ip_address"
@@ -100,15 +126,32 @@ ActiveRecord::Schema[8.1].define(version: 2025_11_01_042847) do
     t.string "email_address"
     t.string "github_domain", default: "github.com", null: false
     t.text "github_token"
+    t.json "keyboard_shortcuts", default: {}, null: false
     t.string "password_digest"
+    t.string "time_display", default: "relative", null: false
     t.datetime "updated_at", null: false
     t.index ["email_address"], name: "index_users_on_email_address", unique: true
   end
 
+  create_table "watches", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.integer "user_id", null: false
+    t.integer "watchable_id", null: false
+    t.string "watchable_type", null: false
+    t.index ["user_id", "watchable_type", "watchable_id"], name: "index_watches_on_user_id_and_watchable_type_and_watchable_id", unique: true
+    t.index ["user_id"], name: "index_watches_on_user_id"
+    t.index ["watchable_type", "watchable_id"], name: "index_watches_on_watchable"
+  end
+
   add_foreign_key "github_tokens", "users"
   add_foreign_key "issue_comments", "issues"
   add_foreign_key "issues", "repositories"
+  add_foreign_key "push_subscriptions", "users"
   add_foreign_key "repositories", "users"
   add_foreign_key "repository_assignable_users", "repositories"
+  add_foreign_key "saved_searches", "repositories"
+  add_foreign_key "saved_searches", "users"
   add_foreign_key "sessions", "users"
+  add_foreign_key "watches", "users"
 end
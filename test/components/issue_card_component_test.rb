@@ -272,4 +272,54 @@ class IssueCardComponentTest < ViewComponent::TestCase
       refute_includes link[:href], "%20author%3A"  # No space before author:
     end
   end
+
+  test "renders issue number and GitHub url for keyboard actions" do
+    issue = @repository.issues.create!(number: 7, title: "Test Issue", state: "open")
+
+    render_inline(IssueCardComponent.new(issue: issue, repository: @repository))
+
+    assert_selector ".issue-card[data-issue-number='7'][data-github-url='https://github.com/testuser/testrepo/issues/7']"
+    assert_selector ".issue-card[data-preview-url='/repositories/#{@repository.id}/issues/7']"
+  end
+
+  test "renders hidden preview with the issue body" do
+    issue = @repository.issues.create!(number: 8, title: "Test Issue", state: "open", body: "Steps to reproduce")
+
+    render_inline(IssueCardComponent.new(issue: issue, repository: @repository))
+
+    assert_selector "[data-issue-preview][hidden]", text: "Steps to reproduce", visible: :all
+  end
+
+  test "renders placeholder preview when the issue has no body" do
+    issue = @repository.issues.create!(number: 9, title: "Test Issue", state: "open")
+
+    render_inline(IssueCardComponent.new(issue: issue, repository: @repository))
+
+    assert_selector "[data-issue-preview] em", text: "No description provided.", visible: :all
+  end
+
+  test "renders selection checkbox and bulk action url" do
+    issue = @repository.issues.create!(number: 10, title: "Test Issue", state: "open")
+
+    render_inline(IssueCardComponent.new(issue: issue, repository: @repository))
+
+    assert_selector "input[type='checkbox'][data-bulk-actions-target='checkbox'][aria-label='Select issue #10']"
+    assert_selector ".issue-card[data-bulk-action-url='/repositories/#{@repository.id}/issues/10/bulk_action']"
+  end
+
+  test "renders task list progress" do
+    issue = @repository.issues.create!(number: 11, title: "Test Issue", state: "open", body: "- [x] Write tests\n- [ ] Ship it")
+
+    render_inline(IssueCardComponent.new(issue: issue, repository: @repository))
+
+    assert_text "1 of 2 tasks"
+  end
+
+  test "does not render task list progress without a task list" do
+    issue = @repository.issues.create!(number: 12, title: "Test Issue", state: "open", body: "Steps to reproduce")
+
+    render_inline(IssueCardComponent.new(issue: issue, repository: @repository))
+
+    assert_no_text "tasks"
+  end
 end
@@ -27,6 +27,20 @@ class IssueCommentComponentTest < ViewComponent::TestCase
     )
   end
 
+  test "renders a focusable timeline item with the comment's anchor" do
+    comment = @issue.issue_comments.create!(
+      github_id: 123455,
+      author_login: "commenter",
+      body: "Test comment",
+      github_created_at: 2.hours.ago,
+      github_updated_at: 2.hours.ago
+    )
+
+    render_inline(IssueCommentComponent.new(comment: comment))
+
+    assert_selector "div#comment_123455.timeline-item[tabindex='-1'][data-keyboard-shortcuts-target='timelineItem']"
+  end
+
   test "renders comment with author avatar" do
     comment = @issue.issue_comments.create!(
       github_id: 123456,
@@ -20,69 +20,67 @@ class KeyboardShortcutsModalComponentTest < ViewComponent::TestCase
     assert_selector ".hidden"
   end
 
-  def test_renders_navigation_shortcuts
+  def test_renders_close_button
     component = KeyboardShortcutsModalComponent.new
     render_inline(component)
 
-    assert_text "Navigation"
-    assert_text "Next/previous issue"
-    assert_text "Clear focus"
+    assert_selector "button[data-action='click->keyboard-shortcuts#closeHelp']"
+    # The button should exist and have SVG content
+    assert_selector "button svg"
   end
 
-  def test_renders_search_and_filter_shortcuts
+  def test_modal_has_keyboard_shortcuts_target
     component = KeyboardShortcutsModalComponent.new
     render_inline(component)
 
-    assert_text "Search & Filters"
-    assert_text "Focus search bar"
-    assert_text "Open assignees filter"
-    assert_text "Open labels filter"
-    assert_text "Open authors filter"
+    assert_selector "[data-keyboard-shortcuts-target='modal']"
   end
 
-  def test_renders_help_shortcuts
+  def test_modal_closes_on_escape
     component = KeyboardShortcutsModalComponent.new
     render_inline(component)
 
-    assert_text "Help"
-    assert_text "Show/hide keyboard shortcuts"
+    assert_selector "[data-action*='keydown.esc->keyboard-shortcuts#closeHelp']"
   end
 
-  def test_renders_keyboard_keys
+  def test_modal_closes_on_outside_click
     component = KeyboardShortcutsModalComponent.new
     render_inline(component)
 
-    # Check for kbd elements
-    assert_selector "kbd", minimum: 1
+    assert_selector "[data-action*='click->keyboard-shortcuts#closeOnOutside']"
   end
 
-  def test_renders_close_button
+  def test_renders_empty_body_for_registry_shortcuts
     component = KeyboardShortcutsModalComponent.new
     render_inline(component)
 
-    assert_selector "button[data-action='click->keyboard-shortcuts#closeHelp']"
-    # The button should exist and have SVG content
-    assert_selector "button svg"
+    assert_selector "[data-keyboard-shortcuts-target='helpBody']"
+    assert_no_selector "kbd"
   end
 
-  def test_modal_has_keyboard_shortcuts_target
+  def test_renders_go_to_sequence_links
     component = KeyboardShortcutsModalComponent.new
     render_inline(component)
 
-    assert_selector "[data-keyboard-shortcuts-target='modal']"
+    assert_selector "a[data-keyboard-shortcuts-target='sequence'][data-shortcut-id='goto.dashboard'][href='/']", visible: :all
+    assert_selector "a[data-keyboard-shortcuts-target='sequence'][data-shortcut-id='goto.repositories'][href='/repositories']", visible: :all
+    assert_selector "a[data-keyboard-shortcuts-target='sequence'][data-shortcut-id='goto.profile'][href='/user']", visible: :all
+    assert_selector "a", text: "Go to dashboard", visible: :all
   end
 
-  def test_modal_closes_on_escape
-    component = KeyboardShortcutsModalComponent.new
-    render_inline(component)
+  def test_issues_sequence_requires_repository
+    render_inline(KeyboardShortcutsModalComponent.new)
+    assert_no_selector "[data-shortcut-id='goto.issues']", visible: :all
 
-    assert_selector "[data-action*='keydown.esc->keyboard-shortcuts#closeHelp']"
+    repository = repositories(:one)
+    render_inline(KeyboardShortcutsModalComponent.new(repository: repository))
+    assert_selector "a[data-shortcut-id='goto.issues'][href='/repositories/#{repository.id}/issues']", visible: :all
   end
 
-  def test_modal_closes_on_outside_click
-    component = KeyboardShortcutsModalComponent.new
-    render_inline(component)
+  def test_sequences_skip_issues_without_repository
+    all_sequences = KeyboardShortcutsModalComponent::SEQUENCES
 
-    assert_selector "[data-action*='click->keyboard-shortcuts#closeOnOutside']"
+    assert_equal all_sequences.size - 1, KeyboardShortcutsModalComponent.new.sequences.size
+    assert_equal all_sequences.size, KeyboardShortcutsModalComponent.new(repository: repositories(:one)).sequences.size
   end
 end
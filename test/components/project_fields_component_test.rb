@@ -84,4 +84,50 @@ class ProjectFieldsComponentTest < ViewComponent::TestCase
 
     assert_text "some_symbol"
   end
+
+  test "renders single select fields as menus of their options given an update url" do
+    project_items = [
+      {
+        item_id: "PVTI_1",
+        project_id: "PVT_1",
+        project_title: "Sprint Board",
+        project_url: "https://github.com/orgs/test/projects/1",
+        fields: { "Status" => "Todo", "Estimate" => 5 },
+        editable_fields: [
+          { id: "PVTSSF_1", name: "Status", options: [ { id: "opt_todo", name: "Todo" }, { id: "opt_done", name: "Done" } ] },
+          { id: "PVTSSF_2", name: "Priority", options: [ { id: "opt_high", name: "High" } ] }
+        ]
+      }
+    ]
+
+    render_inline(ProjectFieldsComponent.new(project_items: project_items, update_url: "/repositories/1/issues/7/project_field"))
+
+    assert_selector "[data-controller='filter-dropdown project-field'][data-project-field-field-id-value='PVTSSF_1'][data-project-field-option-id-value='opt_todo']" do
+      assert_selector "button[data-project-field-target='value']", text: "Todo"
+      assert_selector "[data-project-field-target='option'][data-value='opt_done']", text: "Done"
+      assert_selector "[data-project-field-target='option'][data-value='']", text: "None"
+      assert_selector "[data-project-field-target='option'][aria-checked='true']", count: 1
+    end
+    assert_selector "[data-controller='filter-dropdown project-field'][data-project-field-field-id-value='PVTSSF_2'][data-project-field-option-id-value='']" do
+      assert_selector "button[data-project-field-target='value']", text: "None"
+    end
+    assert_selector "[data-controller='filter-dropdown project-field']", count: 2
+    assert_text "Estimate"
+  end
+
+  test "renders single select fields as text without an update url" do
+    project_items = [
+      {
+        project_title: "Sprint Board",
+        project_url: "https://github.com/orgs/test/projects/1",
+        fields: { "Status" => "Todo" },
+        editable_fields: [ { id: "PVTSSF_1", name: "Status", options: [ { id: "opt_todo", name: "Todo" } ] } ]
+      }
+    ]
+
+    render_inline(ProjectFieldsComponent.new(project_items: project_items))
+
+    assert_text "Todo"
+    assert_no_selector "[data-controller~='project-field']"
+  end
 end
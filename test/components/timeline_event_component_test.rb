@@ -17,6 +17,41 @@ class TimelineEventComponentTest < ViewComponent::TestCase
     assert_text "commented"
   end
 
+  test "gives comments an id by their GitHub id" do
+    item = {
+      type: "comment",
+      github_id: 123456,
+      created_at: Time.current,
+      actor: "testuser",
+      body: "Test comment body"
+    }
+
+    render_inline(TimelineEventComponent.new(item: item))
+
+    assert_selector "div#comment_123456", text: "Test comment body"
+  end
+
+  test "makes comments and events keyboard navigable" do
+    render_inline(TimelineEventComponent.new(item: { type: "comment", github_id: 123456, created_at: Time.current, actor: "testuser" }))
+    assert_selector "div#comment_123456.timeline-item[tabindex='-1'][data-keyboard-shortcuts-target='timelineItem']"
+
+    render_inline(TimelineEventComponent.new(item: { type: "labeled", created_at: Time.current, actor: "testuser", label: { name: "bug", color: "ff0000" } }))
+    assert_selector "div.timeline-item[tabindex='-1'][data-keyboard-shortcuts-target='timelineItem']", text: "bug"
+  end
+
+  test "makes comment task lists interactive on the issue page" do
+    repository = repositories(:one)
+    repository.update!(can_push: true)
+    item = { type: "comment", github_id: 123456, created_at: Time.current, actor: "testuser", body: "- [ ] Ship it" }
+
+    render_inline(TimelineEventComponent.new(item: item, repository: repository, issue_number: 7))
+    assert_selector "div[data-controller='task-list'][data-task-list-comment-id-value='123456'] input[type='checkbox']"
+
+    render_inline(TimelineEventComponent.new(item: item, repository: repository))
+    assert_no_selector "[data-controller='task-list']"
+    assert_selector "div.markdown input[type='checkbox']"
+  end
+
   test "renders labeled event" do
     item = {
       type: "labeled",
@@ -0,0 +1,98 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+# Tests the IssueBulkActionsController
+class IssueBulkActionsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = User.create!(
+      email_address: "test@example.com",
+      password: "password123"
+    )
+    @repository = @user.repositories.create!(
+      github_domain: "github.com",
+      owner: "rails",
+      name: "rails",
+      full_name: "rails/rails",
+      url: "https://github.com/rails/rails",
+      cached_at: 1.hour.ago
+    )
+    @issue = @repository.issues.create!(
+      number: 7,
+      title: "Bulk Issue",
+      state: "closed",
+      github_created_at: 1.day.ago,
+      github_updated_at: 1.hour.ago
+    )
+    sign_in_as(@user)
+  end
+
+  test "should run the action and return the updated card" do
+    mock_service = mock("IssueActionService")
+    mock_service.expects(:call).returns({ success: true, issue: @issue })
+    Github::IssueActionService.expects(:new)
+      .with(user: @user, repository: @repository, issue_number: 7, action: "close", values: [])
+      .returns(mock_service)
+
+    post repository_issue_bulk_action_url(@repository, 7), params: { operation: "close" }, as: :json
+
+    assert_response :success
+    body = response.parsed_body
+    assert_equal 7, body["number"]
+    assert_equal "closed", body["state"]
+    assert_includes body["html"], "Bulk Issue"
+  end
+
+  test "should pass label names through" do
+    mock_service = mock("IssueActionService")
+    mock_service.expects(:call).returns({ success: true, issue: @issue })
+    Github::IssueActionService.expects(:new)
+      .with(user: @user, repository: @repository, issue_number: 7, action: "add_labels", values: [ "bug", "docs" ])
+      .returns(mock_service)
+
+    post repository_issue_bulk_action_url(@repository, 7), params: { operation: "add_labels", values: [ "bug", "docs" ] }
+
+    assert_response :success
+  end
+
+  test "should return the error when the action fails" do
+    mock_service = mock("IssueActionService")
+    mock_service.expects(:call).returns({ success: false, error: "Issue not found" })
+    Github::IssueActionService.stubs(:new).returns(mock_service)
+
+    post repository_issue_bulk_action_url(@repository, 7), params: { operation: "reopen" }
+
+    assert_response :unprocessable_entity
+    assert_equal "Issue not found", response.parsed_body["error"]
+  end
+
+  test "should not act on other users' repositories" do
+    other_user = User.create!(email_address: "other@example.com", password: "password123")
+    other_repository = other_user.repositories.create!(
+      github_domain: "github.com",
+      owner: "ruby",
+      name: "ruby",
+      full_name: "ruby/ruby",
+      url: "https://github.com/ruby/ruby"
+    )
+    Github::IssueActionService.expects(:new).never
+
+    post repository_issue_bulk_action_url(other_repository, 1), params: { operation: "close" }
+
+    assert_response :not_found
+  end
+
+  test "should require authentication" do
+    delete session_url
+
+    post repository_issue_bulk_action_url(@repository, 7), params: { operation: "close" }
+
+    assert_redirected_to new_session_path
+  end
+
+  private
+
+  def sign_in_as(user)
+    post session_url, params: { email_address: user.email_address, password: "password123" }
+  end
+end
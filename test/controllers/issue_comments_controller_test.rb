@@ -0,0 +1,72 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+# Tests the IssueCommentsController
+class IssueCommentsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = users(:one)
+    @repository = repositories(:one)
+    @issue = issues(:one)
+    sign_in_as(@user)
+  end
+
+  test "should post the comment and append it to the timeline" do
+    comment = @issue.issue_comments.create!(github_id: 555, author_login: "octocat", body: "Looks good to me", github_created_at: Time.current)
+    mock_service = mock("IssueCommentService")
+    mock_service.expects(:call).returns({ success: true, comment: comment })
+    Github::IssueCommentService.expects(:new).with(user: @user, issue: @issue, body: "Looks good to me").returns(mock_service)
+
+    post repository_issue_comments_url(@repository, @issue.number), params: { body: "Looks good to me" }, as: :turbo_stream
+
+    assert_response :success
+    assert_select "turbo-stream[action='append'][target='issue_timeline'] template" do
+      assert_select "#comment_555[data-keyboard-shortcuts-target='timelineItem']", text: /Looks good to me/
+    end
+  end
+
+  test "should show the error above the composer when posting fails" do
+    mock_service = mock("IssueCommentService")
+    mock_service.expects(:call).returns({ success: false, error: Github::ApiClient::ERROR_FORBIDDEN })
+    Github::IssueCommentService.expects(:new).returns(mock_service)
+
+    post repository_issue_comments_url(@repository, @issue.number), params: { body: "Looks good to me" }, as: :turbo_stream
+
+    assert_response :unprocessable_entity
+    assert_select "turbo-stream[action='update'][target='comment_composer_error'] template", text: Github::ApiClient::ERROR_FORBIDDEN
+  end
+
+  test "should redirect back to the issue without Turbo Streams" do
+    mock_service = mock("IssueCommentService")
+    mock_service.expects(:call).returns({ success: false, error: "Comment can't be blank" })
+    Github::IssueCommentService.expects(:new).returns(mock_service)
+
+    post repository_issue_comments_url(@repository, @issue.number), params: { body: "" }
+
+    assert_redirected_to repository_issue_path(@repository, @issue.number)
+    assert_equal "Comment can't be blank", flash[:alert]
+  end
+
+  test "should not comment on other users' issues" do
+    sign_in_as(users(:two))
+    Github::IssueCommentService.expects(:new).never
+
+    post repository_issue_comments_url(@repository, @issue.number), params: { body: "Looks good to me" }
+
+    assert_response :not_found
+  end
+
+  test "should require authentication" do
+    delete session_url
+
+    post repository_issue_comments_url(@repository, @issue.number), params: { body: "Looks good to me" }
+
+    assert_redirected_to new_session_path
+  end
+
+  private
+
+  def sign_in_as(user)
+    post session_url, params: { email_address: user.email_address, password: "password123" }
+  end
+end
@@ -0,0 +1,80 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+# Tests the IssueProjectFieldsController
+class IssueProjectFieldsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = User.create!(
+      email_address: "test@example.com",
+      password: "password123"
+    )
+    @repository = @user.repositories.create!(
+      github_domain: "github.com",
+      owner: "rails",
+      name: "rails",
+      full_name: "rails/rails",
+      url: "https://github.com/rails/rails",
+      cached_at: 1.hour.ago
+    )
+    sign_in_as(@user)
+  end
+
+  test "should set the project field" do
+    mock_service = mock("ProjectItemFieldService")
+    mock_service.expects(:call).returns({ success: true })
+    Github::ProjectItemFieldService.expects(:new)
+      .with(user: @user, repository: @repository, project_id: "PVT_1", item_id: "PVTI_1", field_id: "PVTSSF_1", option_id: "opt_done")
+      .returns(mock_service)
+
+    patch repository_issue_project_field_url(@repository, 7), params: field_params(option_id: "opt_done")
+
+    assert_response :success
+    assert_equal({ "field_id" => "PVTSSF_1", "option_id" => "opt_done" }, response.parsed_body)
+  end
+
+  test "should return the error when the update fails" do
+    mock_service = mock("ProjectItemFieldService")
+    mock_service.expects(:call).returns({ success: false, error: "Resource not accessible by integration" })
+    Github::ProjectItemFieldService.stubs(:new).returns(mock_service)
+
+    patch repository_issue_project_field_url(@repository, 7), params: field_params(option_id: "")
+
+    assert_response :unprocessable_entity
+    assert_equal "Resource not accessible by integration", response.parsed_body["error"]
+  end
+
+  test "should not update fields through other users' repositories" do
+    other_user = User.create!(email_address: "other@example.com", password: "password123")
+    other_repository = other_user.repositories.create!(
+      github_domain: "github.com",
+      owner: "ruby",
+      name: "ruby",
+      full_name: "ruby/ruby",
+      url: "https://github.com/ruby/ruby"
+    )
+    Github::ProjectItemFieldService.expects(:new).never
+
+    patch repository_issue_project_field_url(other_repository, 1), params: field_params(option_id: "opt_done")
+
+    assert_response :not_found
+  end
+
+  test "should require authentication" do
+    delete session_url
+
+    patch repository_issue_project_field_url(@repository, 7), params: field_params(option_id: "opt_done")
+
+    assert_redirected_to new_session_path
+  end
+
+  private
+
+  def field_params(option_id:)
+    { project_id: "PVT_1", item_id: "PVTI_1", field_id: "PVTSSF_1", option_id: option_id }
+  end
+
+  def sign_in_as(user)
+    post session_url, params: { email_address: user.email_address, password: "password123" }
+  end
+end
@@ -0,0 +1,104 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+# Tests the IssueSidebarActionsController
+class IssueSidebarActionsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = User.create!(
+      email_address: "test@example.com",
+      password: "password123"
+    )
+    @repository = @user.repositories.create!(
+      github_domain: "github.com",
+      owner: "rails",
+      name: "rails",
+      full_name: "rails/rails",
+      url: "https://github.com/rails/rails",
+      cached_at: 1.hour.ago
+    )
+    @issue = @repository.issues.create!(
+      number: 7,
+      title: "Sidebar Issue",
+      state: "open",
+      labels: [ { "name" => "bug", "color" => "d73a4a" }, { "name" => "docs", "color" => "0075ca" } ],
+      assignees: [ { "login" => "octocat", "avatar_url" => "https://example.com/octocat.png" } ],
+      github_created_at: 1.day.ago,
+      github_updated_at: 1.hour.ago
+    )
+    sign_in_as(@user)
+  end
+
+  test "should run the action and return the updated sidebar" do
+    mock_service = mock("IssueActionService")
+    mock_service.expects(:call).returns({ success: true, issue: @issue })
+    Github::IssueActionService.expects(:new)
+      .with(user: @user, repository: @repository, issue_number: 7, action: "add_labels", values: [ "docs" ])
+      .returns(mock_service)
+
+    post repository_issue_sidebar_action_url(@repository, 7), params: { operation: "add_labels", values: [ "docs" ] }
+
+    assert_response :success
+    body = response.parsed_body
+    assert_equal 7, body["number"]
+    assert_equal "open", body["state"]
+    assert_equal [ "bug", "docs" ], body["labels"]
+    assert_equal [ "octocat" ], body["assignees"]
+    assert_includes body["html"]["labels"], "docs"
+    assert_includes body["html"]["assignees"], "octocat"
+  end
+
+  test "should render empty sidebar sections" do
+    @issue.update!(labels: [], assignees: [])
+    mock_service = mock("IssueActionService")
+    mock_service.expects(:call).returns({ success: true, issue: @issue })
+    Github::IssueActionService.stubs(:new).returns(mock_service)
+
+    post repository_issue_sidebar_action_url(@repository, 7), params: { operation: "remove_assignees", values: [ "octocat" ] }
+
+    assert_response :success
+    assert_includes response.parsed_body["html"]["labels"], "None yet"
+    assert_includes response.parsed_body["html"]["assignees"], "No one assigned"
+  end
+
+  test "should return the error when the action fails" do
+    mock_service = mock("IssueActionService")
+    mock_service.expects(:call).returns({ success: false, error: Github::ApiClient::ERROR_FORBIDDEN })
+    Github::IssueActionService.stubs(:new).returns(mock_service)
+
+    post repository_issue_sidebar_action_url(@repository, 7), params: { operation: "close" }
+
+    assert_response :unprocessable_entity
+    assert_equal Github::ApiClient::ERROR_FORBIDDEN, response.parsed_body["error"]
+  end
+
+  test "should not act on other users' repositories" do
+    other_user = User.create!(email_address: "other@example.com", password: "password123")
+    other_repository = other_user.repositories.create!(
+      github_domain: "github.com",
+      owner: "ruby",
+      name: "ruby",
+      full_name: "ruby/ruby",
+      url: "https://github.com/ruby/ruby"
+    )
+    Github::IssueActionService.expects(:new).never
+
+    post repository_issue_sidebar_action_url(other_repository, 1), params: { operation: "close" }
+
+    assert_response :not_found
+  end
+
+  test "should require authentication" do
+    delete session_url
+
+    post repository_issue_sidebar_action_url(@repository, 7), params: { operation: "close" }
+
+    assert_redirected_to new_session_path
+  end
+
+  private
+
+  def sign_in_as(user)
+    post session_url, params: { email_address: user.email_address, password: "password123" }
+  end
+end
@@ -0,0 +1,98 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+# Tests the IssueTaskListsController
+class IssueTaskListsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = User.create!(
+      email_address: "test@example.com",
+      password: "password123"
+    )
+    @repository = @user.repositories.create!(
+      github_domain: "github.com",
+      owner: "rails",
+      name: "rails",
+      full_name: "rails/rails",
+      url: "https://github.com/rails/rails",
+      can_push: true,
+      cached_at: 1.hour.ago
+    )
+    sign_in_as(@user)
+  end
+
+  test "should toggle the task list item" do
+    mock_service = mock("TaskListService")
+    mock_service.expects(:call).returns({ success: true, body: "- [x] Ship it", digest: "def456" })
+    Github::TaskListService.expects(:new)
+      .with(user: @user, repository: @repository, issue_number: 7, comment_id: "555", line: "3", checked: true, digest: "abc123")
+      .returns(mock_service)
+
+    patch repository_issue_task_list_url(@repository, 7), params: { comment_id: "555", line: "3", checked: "true", digest: "abc123" }
+
+    assert_response :success
+    assert_equal({ "digest" => "def456" }, response.parsed_body)
+  end
+
+  test "should pass unchecked items as false" do
+    mock_service = mock("TaskListService")
+    mock_service.expects(:call).returns({ success: true, body: "- [ ] Ship it", digest: "def456" })
+    Github::TaskListService.expects(:new).with(has_entry(checked: false)).returns(mock_service)
+
+    patch repository_issue_task_list_url(@repository, 7), params: { line: "1", checked: "false", digest: "abc123" }
+
+    assert_response :success
+  end
+
+  test "should report conflicts" do
+    mock_service = mock("TaskListService")
+    mock_service.expects(:call).returns({ success: false, conflict: true, error: Github::TaskListService::CONFLICT_ERROR })
+    Github::TaskListService.stubs(:new).returns(mock_service)
+
+    patch repository_issue_task_list_url(@repository, 7), params: { line: "3", checked: "true", digest: "stale" }
+
+    assert_response :conflict
+    assert_equal({ "error" => Github::TaskListService::CONFLICT_ERROR, "conflict" => true }, response.parsed_body)
+  end
+
+  test "should return the error when the update fails" do
+    mock_service = mock("TaskListService")
+    mock_service.expects(:call).returns({ success: false, error: "Must have admin rights to Repository." })
+    Github::TaskListService.stubs(:new).returns(mock_service)
+
+    patch repository_issue_task_list_url(@repository, 7), params: { line: "3", checked: "true", digest: "abc123" }
+
+    assert_response :unprocessable_entity
+    assert_equal "Must have admin rights to Repository.", response.parsed_body["error"]
+  end
+
+  test "should not update task lists through other users' repositories" do
+    other_user = User.create!(email_address: "other@example.com", password: "password123")
+    other_repository = other_user.repositories.create!(
+      github_domain: "github.com",
+      owner: "ruby",
+      name: "ruby",
+      full_name: "ruby/ruby",
+      url: "https://github.com/ruby/ruby"
+    )
+    Github::TaskListService.expects(:new).never
+
+    patch repository_issue_task_list_url(other_repository, 1), params: { line: "3", checked: "true", digest: "abc123" }
+
+    assert_response :not_found
+  end
+
+  test "should require authentication" do
+    delete session_url
+
+    patch repository_issue_task_list_url(@repository, 7), params: { line: "3", checked: "true", digest: "abc123" }
+
+    assert_redirected_to new_session_path
+  end
+
+  private
+
+  def sign_in_as(user)
+    post session_url, params: { email_address: user.email_address, password: "password123" }
+  end
+end
@@ -39,6 +39,18 @@ class IssuesControllerTest < ActionDispatch::IntegrationTest
     assert_select "h1", text: "rails/rails"
   end
 
+  test "should list saved searches in the navbar picker" do
+    @repository.issues.create!(number: 1, title: "Test Issue", state: "open")
+    @user.saved_searches.create!(name: "Needs triage", query: "label:\"needs triage\"", repository: @repository)
+    @user.saved_searches.create!(name: "Everywhere", query: "state:open")
+
+    get repository_issues_url(@repository, q: "state:closed")
+    assert_response :success
+    assert_select "[data-navbar-target='savedSearches'] a[role='menuitem']", text: /Needs triage/
+    assert_select "[data-navbar-target='savedSearches'] a[role='menuitem']", text: /Everywhere/
+    assert_select "input[name='saved_search[query]'][value='state:closed']"
+  end
+
   test "should trigger sync when repository has no issues" do
     # Mock the sync service to avoid real API calls
     mock_service = mock("IssueSyncService")
@@ -96,6 +108,353 @@ class IssuesControllerTest < ActionDispatch::IntegrationTest
     assert_select "h1", text: /Fix critical bug/
   end
 
+  test "should offer watching an issue when push notifications are available" do
+    Rails.configuration.x.service_worker = true
+    Push::WebPushClient.stubs(:configured?).returns(true)
+    issue = @repository.issues.create!(number: 42, title: "Fix critical bug", state: "open", cached_at: Time.current)
+
+    get repository_issue_url(@repository, issue.number)
+    assert_select "form[action='#{repository_issue_watch_path(@repository, 42)}'] button", text: "Watch"
+    assert_select "a[href='#{edit_user_path(anchor: "push-notifications")}']"
+
+    @user.watches.create!(watchable: issue)
+    get repository_issue_url(@repository, issue.number)
+    assert_select "form[action='#{repository_issue_watch_path(@repository, 42)}'] input[name='_method'][value='delete']"
+  ensure
+    Rails.configuration.x.service_worker = false
+  end
+
+  test "should not offer watching an issue without push notifications" do
+    issue = @repository.issues.create!(number: 42, title: "Fix critical bug", state: "open", cached_at: Time.current)
+
+    get repository_issue_url(@repository, issue.number)
+    assert_select "form[action='#{repository_issue_watch_path(@repository, 42)}']", count: 0
+  end
+
+  test "should subscribe the issue page to new comments" do
+    issue = @repository.issues.create!(number: 42, title: "Fix critical bug", state: "open", cached_at: Time.current)
+
+    get repository_issue_url(@repository, issue.number)
+    assert_response :success
+    assert_select "turbo-cable-stream-source[signed-stream-name='#{Turbo::StreamsChannel.signed_stream_name([ issue, :comments ])}']"
+    assert_select "[data-controller='live-comments']" do
+      assert_select "#issue_timeline[data-live-comments-target='timeline']"
+      assert_select "[data-live-comments-target='toast'].hidden"
+    end
+  end
+
+  test "should set up keyboard navigation through the issue page's timeline" do
+    issue = @repository.issues.create!(number: 42, title: "Fix critical bug", state: "open", body: "Steps to reproduce", cached_at: Time.current)
+
+    get repository_issue_url(@repository, issue.number)
+    assert_response :success
+    assert_select "[data-controller='keyboard-shortcuts'][data-keyboard-shortcuts-navigable-target-value='timelineItem']" do |pages|
+      assert_equal({ "copied" => "Link copied", "failed" => "Couldn't copy the link" }, JSON.parse(pages.first["data-keyboard-shortcuts-messages-value"]))
+      assert_select ".timeline-item[tabindex='-1'][data-keyboard-shortcuts-target='timelineItem']", text: /Steps to reproduce/
+      assert_select "[data-keyboard-shortcuts-target='status'].hidden"
+      assert_select "[data-keyboard-shortcuts-target='modal']"
+    end
+  end
+
+  test "should show the comment composer below the timeline" do
+    issue = @repository.issues.create!(number: 42, title: "Fix critical bug", state: "open", cached_at: Time.current)
+
+    get repository_issue_url(@repository, issue.number)
+    assert_response :success
+    assert_select "form#comment_composer[action='#{repository_issue_comments_path(@repository, 42)}'][data-controller='comment-composer']" do |forms|
+      assert_equal markdown_preview_path, forms.first["data-comment-composer-preview-url-value"]
+      assert_equal "comment-draft:#{@repository.id}/42", forms.first["data-comment-composer-draft-key-value"]
+      assert_select "textarea[name='body'][data-comment-composer-target='input']"
+      assert_select "[data-action='comment-composer#format'][data-comment-composer-syntax-param='taskList']"
+      assert_select "#comment_composer_error"
+    end
+  end
+
+  test "should edit labels, assignees and state from the sidebar" do
+    issue = @repository.issues.create!(
+      number: 42,
+      title: "Fix critical bug",
+      state: "open",
+      labels: [ { "name" => "bug", "color" => "d73a4a" } ],
+      assignees: [ { "login" => "octocat", "avatar_url" => "https://example.com/octocat.png" } ],
+      cached_at: Time.current
+    )
+    sidebar_action_path = repository_issue_sidebar_action_path(@repository, 42)
+
+    get repository_issue_url(@repository, issue.number)
+    assert_response :success
+    assert_select "[data-controller='filter-dropdown label-search'][data-label-search-edit-url-value='#{sidebar_action_path}']" do |pickers|
+      assert_equal [ "bug" ], JSON.parse(pickers.first["data-label-search-selected-value"])
+      assert_select "[data-label-search-target='summary']", text: /bug/
+      assert_select "[data-label-search-target='error'].hidden"
+      assert_select "[data-label-search-target='fields']", count: 0
+    end
+    assert_select "[data-controller='filter-dropdown contributor-search'][data-contributor-search-edit-url-value='#{sidebar_action_path}']" do |pickers|
+      assert_equal [ "octocat" ], JSON.parse(pickers.first["data-contributor-search-selected-value"])
+      assert_select "[data-contributor-search-target='summary']", text: /octocat/
+    end
+    assert_select "[data-controller='issue-state'][data-issue-state-url-value='#{sidebar_action_path}'][data-issue-state-state-value='open']" do
+      assert_select "[data-issue-state-target='badge']", count: 2
+      assert_select "button[data-issue-state-target='button']", text: "Close issue"
+      assert_select "template[data-issue-state-target='closedBadge']"
+    end
+  end
+
+  test "should make the issue body's task list interactive with push access" do
+    issue = @repository.issues.create!(number: 42, title: "Fix critical bug", state: "open", body: "- [x] Write tests\n- [ ] Ship it", cached_at: Time.current)
+
+    get repository_issue_url(@repository, issue.number)
+    assert_response :success
+    assert_select "[data-controller='task-list']", count: 0
+    assert_select ".markdown input[type='checkbox']", count: 2
+
+    @repository.update!(can_push: true)
+
+    get repository_issue_url(@repository, issue.number)
+    assert_response :success
+    assert_select "[data-controller='task-list'][data-task-list-url-value='#{repository_issue_task_list_path(@repository, 42)}'][data-task-list-digest-value='#{TaskList.digest(issue.body)}']" do
+      assert_select "li[data-sourcepos] input[type='checkbox']", count: 2
+    end
+  end
+
+  # New issue tests
+  test "should link to the new issue page from the issues index" do
+    get repository_issues_url(@repository)
+    assert_response :success
+    assert_select "a[href='#{new_repository_issue_path(@repository)}']", text: "New issue"
+  end
+
+  test "should show the blank new issue form without templates" do
+    stub_issue_templates
+
+    get new_repository_issue_url(@repository)
+    assert_response :success
+    assert_select "form#new_issue[action='#{repository_issues_path(@repository)}'][data-controller='comment-composer']" do |forms|
+      assert_equal "issue-draft:#{@repository.id}/blank", forms.first["data-comment-composer-draft-key-value"]
+      assert_select "input[name='issue[title]'][required]"
+      assert_select "textarea[name='issue[body]'][data-comment-composer-target='input'][data-markdown-autocomplete-target='input']"
+      assert_select "[data-controller='filter-dropdown label-search'][data-label-search-field-value='issue[labels][]']"
+      assert_select "[data-controller='filter-dropdown contributor-search'][data-contributor-search-field-value='issue[assignees][]']"
+    end
+    assert_select "#issue_templates", count: 0
+  end
+
+  test "should list issue templates to choose from" do
+    stub_issue_templates(bug_report_template, feature_request_form)
+
+    get new_repository_issue_url(@repository)
+    assert_response :success
+    assert_select "#issue_templates" do
+      assert_select "li", text: /Bug report/
+      assert_select "a[href='#{new_repository_issue_path(@repository, template: "bug_report.md")}']"
+      assert_select "a[href='#{new_repository_issue_path(@repository, template: "feature_request.yml")}']"
+      assert_select "a[href='#{new_repository_issue_path(@repository, template: "blank")}']"
+    end
+    assert_select "form#new_issue", count: 0
+  end
+
+  test "should fill the new issue form from a markdown template" do
+    stub_issue_templates(bug_report_template)
+
+    get new_repository_issue_url(@repository, template: "bug_report.md")
+    assert_response :success
+    assert_select "input[name='issue[template]'][value='bug_report.md']"
+    assert_select "input[name='issue[title]'][value='[Bug] ']"
+    assert_select "textarea[name='issue[body]']", text: /Steps to reproduce/
+    assert_select "[data-label-search-target='fields'] input[name='issue[labels][]'][value='bug']"
+    assert_select "[data-contributor-search-target='fields'] input[name='issue[assignees][]'][value='octocat']"
+  end
+
+  test "should render an issue form's fields" do
+    stub_issue_templates(feature_request_form)
+
+    get new_repository_issue_url(@repository, template: "feature_request.yml")
+    assert_response :success
+    assert_select "form#new_issue:not([data-controller])" do
+      assert_select ".markdown", text: /Thanks for the suggestion/
+      assert_select "textarea[name='issue[fields][problem]'][required]"
+      assert_select "select[name='issue[fields][area]']" do
+        assert_select "option", text: "Search"
+      end
+      assert_select "input[type='checkbox'][name='issue[fields][terms][]'][value='0']"
+      assert_select "textarea[name='issue[body]']", count: 0
+    end
+  end
+
+  test "should open an issue and go to it" do
+    stub_issue_templates
+    issue = @repository.issues.create!(number: 101, title: "Crash on start", state: "open")
+    mock_service = mock("IssueCreateService")
+    mock_service.expects(:call).returns({ success: true, issue: issue })
+    Github::IssueCreateService.expects(:new).with(
+      user: @user,
+      repository: @repository,
+      title: "Crash on start",
+      body: "It crashes",
+      labels: [ "bug" ],
+      assignees: [ "octocat" ]
+    ).returns(mock_service)
+
+    post repository_issues_url(@repository), params: { issue: { title: "Crash on start", body: "It crashes", labels: [ "bug" ], assignees: [ "octocat" ] } }
+
+    assert_redirected_to repository_issue_path(@repository, 101)
+    assert_equal "Issue opened", flash[:notice]
+  end
+
+  test "should compose the body from an issue form's answers" do
+    stub_issue_templates(feature_request_form)
+    issue = @repository.issues.create!(number: 102, title: "Saved searches", state: "open")
+    mock_service = mock("IssueCreateService")
+    mock_service.expects(:call).returns({ success: true, issue: issue })
+    Github::IssueCreateService.expects(:new).with do |arguments|
+      arguments[:body] == "### Problem\n\nSearching is slow\n\n### Area\n\nSearch\n\n### Code of conduct\n\n- [x] I agree"
+    end.returns(mock_service)
+
+    post repository_issues_url(@repository), params: {
+      issue: { title: "Saved searches", template: "feature_request.yml", body: "ignored", fields: { problem: "Searching is slow", area: "Search", terms: [ "0" ] } }
+    }
+
+    assert_redirected_to repository_issue_path(@repository, 102)
+  end
+
+  test "should load only the chosen template when opening an issue" do
+    Github::IssueTemplateService.any_instance.expects(:call).never
+    Github::IssueTemplateService.any_instance.expects(:find).with("bug_report.md").returns({ success: true, template: bug_report_template })
+    issue = @repository.issues.create!(number: 103, title: "Crash on start", state: "open")
+    mock_service = mock("IssueCreateService")
+    mock_service.expects(:call).returns({ success: true, issue: issue })
+    Github::IssueCreateService.expects(:new).returns(mock_service)
+
+    post repository_issues_url(@repository), params: { issue: { title: "Crash on start", body: "It crashes", template: "bug_report.md" } }
+
+    assert_redirected_to repository_issue_path(@repository, 103)
+  end
+
+  test "should show the form again with the error when opening an issue fails" do
+    stub_issue_templates(bug_report_template)
+    mock_service = mock("IssueCreateService")
+    mock_service.expects(:call).returns({ success: false, error: Github::ApiClient::ERROR_UPDATE_REJECTED })
+    Github::IssueCreateService.expects(:new).returns(mock_service)
+
+    post repository_issues_url(@repository), params: { issue: { title: "Crash on start", body: "It crashes", template: "bug_report.md" } }
+
+    assert_response :unprocessable_entity
+    assert_match Github::ApiClient::ERROR_UPDATE_REJECTED, response.body
+    assert_select "input[name='issue[title]'][value='Crash on start']"
+    assert_select "textarea[name='issue[body]']", text: "It crashes"
+    # Labels the user removed from the template's stay removed
+    assert_select "input[name='issue[labels][]']", count: 0
+  end
+
+  test "should still offer the blank form when templates can't be loaded" do
+    Github::IssueTemplateService.any_instance.stubs(:call).returns({ success: false, error: "Rate limit exceeded" })
+
+    get new_repository_issue_url(@repository)
+    assert_response :success
+    assert_match "Couldn&#39;t load issue templates: Rate limit exceeded", response.body
+    assert_select "form#new_issue"
+  end
+
+  test "should render only the preview frame for the issues index preview pane" do
+    issue = @repository.issues.create!(
+      number: 42,
+      title: "Fix critical bug",
+      state: "open",
+      body: "This is a test issue body",
+      author_login: "testuser",
+      github_created_at: 1.day.ago,
+      github_updated_at: 1.hour.ago
+    )
+
+    get repository_issue_url(@repository, issue.number), headers: { "Turbo-Frame" => "issue_preview" }
+    assert_response :success
+    assert_select "turbo-frame#issue_preview" do
+      assert_select "h2 a[href='#{repository_issue_path(@repository, 42)}']", text: "Fix critical bug"
+      assert_select ".markdown", text: /This is a test issue body/
+    end
+    assert_select "h1", count: 0
+  end
+
+  test "should serve prefetched previews from the local cache without calling GitHub" do
+    issue = @repository.issues.create!(
+      number: 42,
+      title: "Fix critical bug",
+      state: "open",
+      body: "This is a test issue body",
+      cached_at: 1.day.ago
+    )
+    Github::IssueSyncService.expects(:new).never
+    Github::ApiClient.expects(:new).never
+
+    get repository_issue_url(@repository, issue.number),
+      headers: { "Turbo-Frame" => "issue_preview", "X-Sec-Purpose" => "prefetch" }
+    assert_response :success
+    assert_select "turbo-frame#issue_preview" do
+      assert_select "h2 a", text: "Fix critical bug"
+      assert_select ".markdown", text: /This is a test issue body/
+    end
+  end
+
+  test "should render the preview pane on the issues index" do
+    @repository.issues.create!(number: 7, title: "Test Issue", state: "open")
+
+    get repository_issues_url(@repository)
+    assert_response :success
+    assert_select "[data-controller~='issue-preview'][data-controller~='keyboard-shortcuts']"
+    assert_select "turbo-frame#issue_preview[target='_top']"
+    assert_select ".issue-card[data-preview-url='#{repository_issue_path(@repository, 7)}']"
+  end
+
+  test "should subscribe the issues list to live updates" do
+    @repository.issues.create!(number: 7, title: "Test Issue", state: "open")
+
+    get repository_issues_url(@repository), params: { search_mode: "local" }
+    assert_response :success
+    assert_select "turbo-cable-stream-source[signed-stream-name='#{Turbo::StreamsChannel.signed_stream_name([ @repository, :issues ])}']"
+    assert_select "#issues_list[data-controller='live-issues'][data-live-issues-insert-states-value='[\"open\"]']"
+    assert_select ".issue-card#issue_card_7"
+  end
+
+  test "should render the first page with an infinite scroll sentinel" do
+    31.times do |i|
+      @repository.issues.create!(number: i + 1, title: "Issue #{i + 1}", state: "open", github_updated_at: i.hours.ago)
+    end
+
+    get repository_issues_url(@repository), params: { search_mode: "local" }
+    assert_response :success
+    assert_select "#issues_list .issue-card[data-infinite-scroll-target='row']", count: 30
+    assert_select "#issues_next_page a[data-infinite-scroll-target='sentinel'][href*='page=2']"
+    assert_select "#issues_next_page", text: /Showing 30 of 31 issues/
+  end
+
+  test "should append the next page as a turbo stream for infinite scroll" do
+    issues = (31..45).map { |number| Issue.new(repository: @repository, number: number, title: "Issue #{number}", state: "open") }
+    mock_service = mock("IssueSearchService")
+    mock_service.expects(:call).returns({ success: true, issues: issues, mode: :github, count: 45 })
+    # No extra searches for the open/closed counts
+    Github::IssueSearchService.expects(:new).once.returns(mock_service)
+
+    get repository_issues_url(@repository), params: { page: 2 }, as: :turbo_stream
+    assert_response :success
+    assert_equal "text/vnd.turbo-stream.html", response.media_type
+    assert_select "turbo-stream[action='append'][target='issues_list'] template .issue-card", count: 15
+    assert_select "turbo-stream[action='replace'][target='issues_next_page'] template" do
+      assert_select "a[data-infinite-scroll-target='sentinel']", count: 0
+    end
+  end
+
+  test "should render the bulk action bar on the issues index" do
+    @repository.issues.create!(number: 7, title: "Test Issue", state: "open")
+
+    get repository_issues_url(@repository)
+    assert_response :success
+    assert_select "[data-controller~='bulk-actions']"
+    assert_select "[data-bulk-actions-target='bar'].hidden" do
+      assert_select "[data-bulk-actions-operation-param]", count: 6
+    end
+    assert_select ".issue-card[data-bulk-action-url='#{repository_issue_bulk_action_path(@repository, 7)}'] input[type='checkbox']"
+  end
+
   test "should return 404 when issue not found" do
     # Mock the sync service to fail when fetching non-existent issue
     mock_result = { success: false, error: "Issue not found", cache_preserved: true }
@@ -129,26 +488,101 @@ class IssuesControllerTest < ActionDispatch::IntegrationTest
   end
 
   # Refresh action tests
-  test "should refresh issues successfully" do
-    mock_service = mock("IssueSyncService")
-    mock_service.expects(:call).returns({ success: true, synced_count: 10 })
+  test "should start a background refresh" do
+    Rails.stubs(:cache).returns(ActiveSupport::Cache::MemoryStore.new)
 
-    Github::IssueSyncService.expects(:new).with(user: @user, repository: @repository).returns(mock_service)
+    assert_enqueued_with(job: RefreshIssuesJob, args: [ @repository.id ]) do
+      post refresh_repository_issues_url(@repository)
+    end
 
-    post refresh_repository_issues_url(@repository)
     assert_redirected_to repository_issues_path(@repository)
-    assert_match(/success/i, flash[:notice])
+    assert_equal "Refreshing issues in the background...", flash[:notice]
+    assert IssueRefresh.find(@repository).queued?
   end
 
-  test "should show error when refresh fails" do
-    mock_service = mock("IssueSyncService")
-    mock_service.expects(:call).returns({ success: false, error: "Network timeout" })
+  test "should show refresh progress in place of the refresh button" do
+    Rails.stubs(:cache).returns(ActiveSupport::Cache::MemoryStore.new)
 
-    Github::IssueSyncService.expects(:new).with(user: @user, repository: @repository).returns(mock_service)
+    post refresh_repository_issues_url(@repository), as: :turbo_stream
 
-    post refresh_repository_issues_url(@repository)
-    assert_redirected_to repository_issues_path(@repository)
-    assert_includes flash[:alert], "Network timeout"
+    assert_response :success
+    assert_match '<turbo-stream action="replace" target="issues_refresh">', response.body
+    assert_match "Starting refresh...", response.body
+  end
+
+  test "should not start a second refresh while one is running" do
+    Rails.stubs(:cache).returns(ActiveSupport::Cache::MemoryStore.new)
+    IssueRefresh.new(repository: @repository, status: "running", fetched: 3, total: 10).save
+
+    assert_no_enqueued_jobs(only: RefreshIssuesJob) do
+      post refresh_repository_issues_url(@repository), as: :turbo_stream
+    end
+
+    assert_match "Synced 3 of 10 issues", response.body
+  end
+
+  test "should cancel a running refresh" do
+    Rails.stubs(:cache).returns(ActiveSupport::Cache::MemoryStore.new)
+    IssueRefresh.new(repository: @repository, status: "running", fetched: 3, total: 10).save
+
+    delete refresh_repository_issues_url(@repository), as: :turbo_stream
+
+    assert_response :success
+    assert IssueRefresh.find(@repository).cancelled?
+    assert_match "Refresh cancelled.", response.body
+  end
+
+  test "should redirect after cancelling a refresh without Turbo" do
+    Rails.stubs(:cache).returns(ActiveSupport::Cache::MemoryStore.new)
+    IssueRefresh.new(repository: @repository, status: "queued").save
+
+    delete refresh_repository_issues_url(@repository), params: { q: "is:open" }
+
+    assert_redirected_to repository_issues_path(@repository, q: "is:open")
+    assert_equal "Refresh cancelled.", flash[:notice]
+  end
+
+  test "should leave a finished refresh alone when cancelling" do
+    Rails.stubs(:cache).returns(ActiveSupport::Cache::MemoryStore.new)
+    IssueRefresh.new(repository: @repository, status: "failed", error: "Network timeout").save
+
+    delete refresh_repository_issues_url(@repository), as: :turbo_stream
+
+    assert IssueRefresh.find(@repository).failed?
+  end
+
+  test "should show a running refresh's progress on the index" do
+    @repository.issues.create!(number: 1, title: "Test Issue", state: "open", github_created_at: 1.day.ago, github_updated_at: 1.hour.ago)
+    Rails.stubs(:cache).returns(ActiveSupport::Cache::MemoryStore.new)
+    IssueRefresh.new(repository: @repository, status: "running", fetched: 3, total: 10, rate_limit_remaining: 4990).save
+
+    get repository_issues_url(@repository), params: { search_mode: "local" }
+
+    assert_response :success
+    assert_select "#issues_refresh[data-issue-refresh-status-value=running] progress[value='3'][max='10']"
+    assert_select "#issues_refresh", text: /4990 API requests left/
+    assert_select "#issues_refresh form[action=?] input[name=_method][value=delete]", refresh_repository_issues_path(@repository)
+    assert_includes response.headers["Cache-Control"], "no-store"
+  end
+
+  test "should offer to retry a failed refresh on the index" do
+    @repository.issues.create!(number: 1, title: "Test Issue", state: "open", github_created_at: 1.day.ago, github_updated_at: 1.hour.ago)
+    Rails.stubs(:cache).returns(ActiveSupport::Cache::MemoryStore.new)
+    IssueRefresh.new(repository: @repository, status: "failed", error: "Network timeout").save
+
+    get repository_issues_url(@repository), params: { search_mode: "local" }
+
+    assert_select "#issues_refresh", text: /Refresh failed: Network timeout/
+    assert_select "#issues_refresh form[action=?] button", refresh_repository_issues_path(@repository), text: "Retry"
+    assert_not_includes response.headers["Cache-Control"], "no-store"
+  end
+
+  test "should show the stale cache refresh button without a refresh" do
+    @repository.issues.create!(number: 1, title: "Test Issue", state: "open", github_created_at: 1.day.ago, github_updated_at: 1.hour.ago)
+    get repository_issues_url(@repository), params: { search_mode: "local" }
+
+    assert_select "#issues_refresh form[action=?]", refresh_repository_issues_path(@repository)
+    assert_select "#issues_refresh", text: /Refreshed about 1 hour ago/
   end
 
   # Search functionality tests
@@ -323,6 +757,33 @@ class IssuesControllerTest < ActionDispatch::IntegrationTest
     assert_response :success
   end
 
+  test "should pass negated labels and multiple assignees to search service" do
+    @repository.issues.create!(
+      number: 1,
+      title: "Test Issue",
+      state: "open",
+      github_created_at: 1.day.ago,
+      github_updated_at: 1.hour.ago
+    )
+
+    mock_service = mock("IssueSearchService")
+    mock_service.expects(:call).returns({ success: true, issues: @repository.issues.to_a, mode: :local, count: 1 })
+
+    expected_filters = { state: "open", labels: [ "bug" ], excluded_labels: [ "wontfix" ], assignees: [ "alice", "bob" ] }
+    Github::IssueSearchService.expects(:new).with(has_entry(:filters, expected_filters)).returns(mock_service)
+
+    get repository_issues_url(@repository), params: { q: "state:open label:bug -label:wontfix assignee:alice assignee:bob" }
+    assert_response :success
+  end
+
+  test "should link the open and closed filters to the query with that state" do
+    get repository_issues_url(@repository), params: { q: "is:open label:bug" }
+    assert_response :success
+
+    assert_select "a[href='#{repository_issues_path(@repository, q: "label:bug state:open")}'][data-action='issues-search#selectState'][data-issues-search-state-param='open']", text: /Open/
+    assert_select "a[href='#{repository_issues_path(@repository, q: "label:bug state:closed")}'][data-issues-search-state-param='closed']", text: /Closed/
+  end
+
   # Authorization tests
   test "should not access issues from other users repositories" do
     other_user = User.create!(
@@ -832,9 +1293,11 @@ class IssuesControllerTest < ActionDispatch::IntegrationTest
       comments_count: 5
     )
 
-    get repository_issues_url(@repository, q: "sort:comments-desc")
+    get repository_issues_url(@repository, q: "sort:comments-desc label:bug")
     assert_response :success
     assert_select "button", text: "Sort"
+    assert_select "a[href='#{repository_issues_path(@repository, q: "label:bug sort:updated-desc")}'][data-action='click->filter-dropdown#selectItem']", text: /Updated/
+    assert_select "a[href='#{repository_issues_path(@repository, q: "label:bug sort:comments-asc")}']", text: /Least/
   end
 
   test "should show Most/Least when sorting by comments" do
@@ -1113,6 +1576,54 @@ class IssuesControllerTest < ActionDispatch::IntegrationTest
 
   private
 
+  def stub_issue_templates(*templates)
+    service = Github::IssueTemplateService.any_instance
+    service.stubs(:call).returns({ success: true, templates: templates })
+    service.stubs(:find).returns({ success: true, template: nil })
+    templates.each { |template| service.stubs(:find).with(template.filename).returns({ success: true, template: template }) }
+  end
+
+  def bug_report_template
+    Github::IssueTemplate.parse("bug_report.md", <<~MARKDOWN)
+      ---
+      name: Bug report
+      about: Something isn't working
+      title: "[Bug] "
+      labels: bug
+      assignees: octocat
+      ---
+      **Steps to reproduce**
+    MARKDOWN
+  end
+
+  def feature_request_form
+    Github::IssueTemplate.parse("feature_request.yml", <<~YAML)
+      name: Feature request
+      description: Suggest an idea
+      body:
+        - type: markdown
+          attributes:
+            value: Thanks for the suggestion!
+        - type: textarea
+          id: problem
+          attributes:
+            label: Problem
+          validations:
+            required: true
+        - type: dropdown
+          id: area
+          attributes:
+            label: Area
+            options: [Search, Notifications]
+        - type: checkboxes
+          id: terms
+          attributes:
+            label: Code of conduct
+            options:
+              - label: I agree
+    YAML
+  end
+
   def sign_in_as(user)
     post session_url, params: { email_address: user.email_address, password: "password123" }
   end
@@ -0,0 +1,76 @@
+require "test_helper"
+
+# Tests the KeyboardShortcutsController controller
+class KeyboardShortcutsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = users(:one)
+    sign_in_as(@user)
+  end
+
+  test "should save remapped shortcuts" do
+    patch user_keyboard_shortcuts_url, params: {
+      keyboard_shortcuts: { "list.move" => [ "n", "p" ], "goto.dashboard" => [ "g h" ] }
+    }
+
+    assert_redirected_to edit_user_path(anchor: "keyboard-shortcuts")
+    assert_equal "Keyboard shortcuts saved.", flash[:notice]
+    assert_equal({ "list.move" => [ "n", "p" ], "goto.dashboard" => [ "g h" ] }, @user.reload.keyboard_shortcuts)
+  end
+
+  test "should replace previously saved shortcuts" do
+    @user.update!(keyboard_shortcuts: { "list.move" => [ "n", "p" ] })
+
+    patch user_keyboard_shortcuts_url, params: { keyboard_shortcuts: { "help.toggle" => [ "h" ] } }
+
+    assert_equal({ "help.toggle" => [ "h" ] }, @user.reload.keyboard_shortcuts)
+  end
+
+  test "should clear shortcuts when nothing differs from the defaults" do
+    @user.update!(keyboard_shortcuts: { "list.move" => [ "n", "p" ] })
+
+    patch user_keyboard_shortcuts_url
+
+    assert_equal({}, @user.reload.keyboard_shortcuts)
+  end
+
+  test "should drop blank keys" do
+    patch user_keyboard_shortcuts_url, params: { keyboard_shortcuts: { "help.toggle" => [ "" ], "list.move" => [ "n", "" ] } }
+
+    assert_equal({ "list.move" => [ "n" ] }, @user.reload.keyboard_shortcuts)
+  end
+
+  test "should not save conflicting shortcuts" do
+    patch user_keyboard_shortcuts_url, params: {
+      keyboard_shortcuts: { "list.move" => [ "n", "p" ], "help.toggle" => [ "n" ] }
+    }
+
+    assert_redirected_to edit_user_path(anchor: "keyboard-shortcuts")
+    assert_match "assign n to more than one shortcut", flash[:alert]
+    assert_equal({}, @user.reload.keyboard_shortcuts)
+  end
+
+  test "should reset all shortcuts" do
+    @user.update!(keyboard_shortcuts: { "list.move" => [ "n", "p" ] })
+
+    delete user_keyboard_shortcuts_url
+
+    assert_redirected_to edit_user_path(anchor: "keyboard-shortcuts")
+    assert_equal "Keyboard shortcuts reset to their defaults.", flash[:notice]
+    assert_equal({}, @user.reload.keyboard_shortcuts)
+  end
+
+  test "should require authentication" do
+    delete session_url
+
+    patch user_keyboard_shortcuts_url, params: { keyboard_shortcuts: { "help.toggle" => [ "h" ] } }
+
+    assert_redirected_to new_session_path
+    assert_equal({}, @user.reload.keyboard_shortcuts)
+  end
+
+  private
+
+  def sign_in_as(user)
+    post session_url, params: { email_address: user.email_address, password: "password123" }
+  end
+end
@@ -0,0 +1,40 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+# Tests the MarkdownPreviewsController
+class MarkdownPreviewsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    sign_in_as(users(:one))
+  end
+
+  test "should render markdown like posted comments" do
+    post markdown_preview_url, params: { body: "**Bold** and\n\n- [ ] a task" }
+
+    assert_response :success
+    assert_select "strong", text: "Bold"
+    assert_select "input[type='checkbox']"
+    assert_no_match(/<html/, response.body)
+  end
+
+  test "should render nothing for a blank body" do
+    post markdown_preview_url, params: { body: "" }
+
+    assert_response :success
+    assert_empty response.body
+  end
+
+  test "should require authentication" do
+    delete session_url
+
+    post markdown_preview_url, params: { body: "**Bold**" }
+
+    assert_redirected_to new_session_path
+  end
+
+  private
+
+  def sign_in_as(user)
+    post session_url, params: { email_address: user.email_address, password: "password123" }
+  end
+end
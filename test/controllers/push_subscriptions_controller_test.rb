@@ -0,0 +1,112 @@
+require "test_helper"
+
+# Tests the PushSubscriptionsController controller
+class PushSubscriptionsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = users(:one)
+    sign_in_as(@user)
+  end
+
+  test "should create push subscription" do
+    assert_difference("PushSubscription.count") do
+      post user_push_subscription_url, params: subscription_params, as: :json
+    end
+
+    assert_response :created
+    subscription = @user.push_subscriptions.last
+    assert_equal "https://fcm.googleapis.com/fcm/send/abc123", subscription.endpoint
+    assert_equal "key", subscription.p256dh_key
+    assert_equal "auth", subscription.auth_key
+  end
+
+  test "should move an existing subscription for the same browser to the current user" do
+    subscription = users(:two).push_subscriptions.create!(endpoint: "https://fcm.googleapis.com/fcm/send/abc123", p256dh_key: "key", auth_key: "auth")
+
+    assert_no_difference("PushSubscription.count") do
+      post user_push_subscription_url, params: subscription_params, as: :json
+    end
+
+    assert_response :created
+    assert_equal @user, subscription.reload.user
+  end
+
+  test "should not take over another user's subscription by its endpoint" do
+    subscription = users(:two).push_subscriptions.create!(endpoint: "https://fcm.googleapis.com/fcm/send/abc123", p256dh_key: "old", auth_key: "old")
+
+    assert_no_difference("PushSubscription.count") do
+      post user_push_subscription_url, params: subscription_params, as: :json
+    end
+
+    assert_response :unprocessable_entity
+    assert_equal "Endpoint has already been taken", response.parsed_body["error"]
+    assert_equal users(:two), subscription.reload.user
+    assert_equal "old", subscription.auth_key
+  end
+
+  test "should update the current user's subscription for the same browser" do
+    subscription = @user.push_subscriptions.create!(endpoint: "https://fcm.googleapis.com/fcm/send/abc123", p256dh_key: "old", auth_key: "old")
+
+    assert_no_difference("PushSubscription.count") do
+      post user_push_subscription_url, params: subscription_params, as: :json
+    end
+
+    assert_response :created
+    assert_equal "key", subscription.reload.p256dh_key
+  end
+
+  test "should not subscribe endpoints outside known push services" do
+    [ "https://127.0.0.1/send/abc123", "https://169.254.169.254/latest/meta-data", "https://internal.example.com/send/abc123" ].each do |endpoint|
+      assert_no_difference("PushSubscription.count") do
+        post user_push_subscription_url, params: subscription_params(endpoint: endpoint), as: :json
+      end
+
+      assert_response :unprocessable_entity
+      assert_equal "Endpoint is not a known push service", response.parsed_body["error"]
+    end
+  end
+
+  test "should not create an invalid push subscription" do
+    assert_no_difference("PushSubscription.count") do
+      post user_push_subscription_url, params: subscription_params(endpoint: "http://fcm.googleapis.com/fcm/send/abc123"), as: :json
+    end
+
+    assert_response :unprocessable_entity
+    assert_equal "Endpoint is invalid", response.parsed_body["error"]
+  end
+
+  test "should destroy push subscription" do
+    @user.push_subscriptions.create!(subscription_params[:push_subscription])
+
+    assert_difference("PushSubscription.count", -1) do
+      delete user_push_subscription_url, params: subscription_params, as: :json
+    end
+
+    assert_response :no_content
+  end
+
+  test "should not destroy another user's push subscription" do
+    users(:two).push_subscriptions.create!(subscription_params[:push_subscription])
+
+    assert_no_difference("PushSubscription.count") do
+      delete user_push_subscription_url, params: subscription_params, as: :json
+    end
+  end
+
+  test "should require authentication" do
+    delete session_url
+
+    post user_push_subscription_url, params: subscription_params, as: :json
+
+    assert_redirected_to new_session_path
+  end
+
+  private
+
+  def subscription_params(endpoint: "https://fcm.googleapis.com/fcm/send/abc123")
+    { push_subscription: { endpoint: endpoint, p256dh_key: "key", auth_key: "auth" } }
+  end
+
+  def sign_in_as(user)
+    post session_url, params: { email_address: user.email_address, password: "password123" }
+  end
+end
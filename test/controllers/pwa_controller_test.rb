@@ -0,0 +1,24 @@
+require "test_helper"
+
+# Tests the PWA manifest and service worker routes, and the offline banner the service worker relies on
+class PwaControllerTest < ActionDispatch::IntegrationTest
+  test "should get service worker" do
+    get pwa_service_worker_url(format: :js)
+    assert_response :success
+    assert_match(/addEventListener\("fetch"/, response.body)
+  end
+
+  test "should get manifest" do
+    get pwa_manifest_url(format: :json)
+    assert_response :success
+    assert_equal "Github Viewer", response.parsed_body["name"]
+  end
+
+  test "layout renders the offline banner for the service worker to switch on" do
+    get new_session_url
+    assert_response :success
+    assert_select "link[rel=manifest][href='/manifest.json']"
+    assert_includes response.body, 'data-controller="offline-banner">'
+    assert_select "[data-controller='offline-banner'] time[data-offline-banner-target='time']"
+  end
+end
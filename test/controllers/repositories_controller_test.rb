@@ -324,6 +324,31 @@ class RepositoriesControllerTest < ActionDispatch::IntegrationTest
     assert_equal 20, json.length
     # Current user should be first
     assert_equal "current_user", json.first["login"]
+    # Total before the limit lets the client know the list was truncated
+    assert_equal "26", response.headers["X-Total-Count"]
+  end
+
+  test "should return labels as JSON with total count" do
+    repository = @user.repositories.create!(
+      github_domain: "github.com",
+      owner: "rails",
+      name: "rails",
+      full_name: "rails/rails",
+      cached_at: 1.minute.ago
+    )
+
+    mock_labels = 60.times.map { |i| OpenStruct.new(name: "label-#{i}", color: "ededed") }
+    mock_api_client = mock
+    mock_api_client.stubs(:fetch_labels).returns(mock_labels)
+    Github::ApiClient.stubs(:new).returns(mock_api_client)
+
+    get labels_repository_url(repository), as: :json
+
+    assert_response :success
+    json = JSON.parse(response.body)
+    assert_equal 50, json.length
+    assert_equal({ "name" => "label-0", "color" => "ededed" }, json.first)
+    assert_equal "60", response.headers["X-Total-Count"]
   end
 
   test "should preserve avatar tokens for GHE URLs" do
@@ -529,6 +554,134 @@ class RepositoriesControllerTest < ActionDispatch::IntegrationTest
     assert json["error"].include?("Failed to fetch assignable users")
   end
 
+  test "should return milestones as JSON with open milestones first" do
+    repository = @user.repositories.create!(
+      github_domain: "github.com",
+      owner: "rails",
+      name: "rails",
+      full_name: "rails/rails",
+      cached_at: 1.minute.ago
+    )
+
+    mock_milestones = [
+      OpenStruct.new(title: "v0.9", state: "closed", due_on: nil),
+      OpenStruct.new(title: "v1.0", state: "open", due_on: nil),
+      OpenStruct.new(title: "v2.0", state: "open", due_on: nil)
+    ]
+    mock_api_client = mock
+    mock_api_client.expects(:fetch_milestones).with("rails", "rails").returns(mock_milestones)
+    Github::ApiClient.stubs(:new).returns(mock_api_client)
+
+    get milestones_repository_url(repository), as: :json
+
+    assert_response :success
+    json = JSON.parse(response.body)
+    assert_equal [ "v1.0", "v2.0", "v0.9" ], json.map { |milestone| milestone["title"] }
+    assert_equal "closed", json.last["state"]
+  end
+
+  test "should search milestones by query" do
+    repository = @user.repositories.create!(
+      github_domain: "github.com",
+      owner: "rails",
+      name: "rails",
+      full_name: "rails/rails",
+      cached_at: 1.minute.ago
+    )
+
+    mock_milestones = [
+      OpenStruct.new(title: "Backlog", state: "open", due_on: nil),
+      OpenStruct.new(title: "v1.0", state: "open", due_on: nil)
+    ]
+    mock_api_client = mock
+    mock_api_client.stubs(:fetch_milestones).returns(mock_milestones)
+    Github::ApiClient.stubs(:new).returns(mock_api_client)
+
+    get milestones_repository_url(repository), params: { q: "back" }, as: :json
+
+    assert_response :success
+    json = JSON.parse(response.body)
+    assert_equal [ "Backlog" ], json.map { |milestone| milestone["title"] }
+  end
+
+  test "should return milestone API errors as JSON" do
+    repository = @user.repositories.create!(
+      github_domain: "github.com",
+      owner: "rails",
+      name: "rails",
+      full_name: "rails/rails",
+      cached_at: 1.minute.ago
+    )
+
+    mock_api_client = mock
+    mock_api_client.stubs(:fetch_milestones).returns({ error: "Unauthorized" })
+    Github::ApiClient.stubs(:new).returns(mock_api_client)
+
+    get milestones_repository_url(repository), as: :json
+
+    assert_response :unprocessable_entity
+    assert_equal "Unauthorized", JSON.parse(response.body)["error"]
+  end
+
+  test "should return error for milestones when no github token exists" do
+    repository = @user.repositories.create!(
+      github_domain: "github.com",
+      owner: "rails",
+      name: "rails",
+      full_name: "rails/rails",
+      cached_at: 1.minute.ago
+    )
+    @user.github_tokens.destroy_all
+
+    get milestones_repository_url(repository), as: :json
+
+    assert_response :unauthorized
+  end
+
+  test "should suggest mentionable users from the cached assignable users" do
+    repository = @user.repositories.create!(github_domain: "github.com", owner: "rails", name: "rails", full_name: "rails/rails")
+    repository.repository_assignable_users.create!(login: "bob", avatar_url: "https://example.com/bob.png")
+    repository.repository_assignable_users.create!(login: "alice", avatar_url: "https://example.com/alice.png")
+    repository.repository_assignable_users.create!(login: "alfred")
+    Github::ApiClient.expects(:new).never
+
+    get mentionable_users_repository_url(repository), as: :json
+
+    assert_response :success
+    assert_equal [ "alfred", "alice", "bob" ], response.parsed_body.map { |user| user["login"] }
+    assert_equal "https://example.com/alice.png", response.parsed_body.second["avatar_url"]
+    assert_equal "3", response.headers["X-Total-Count"]
+
+    get mentionable_users_repository_url(repository), params: { q: "al" }, as: :json
+
+    assert_equal [ "alfred", "alice" ], response.parsed_body.map { |user| user["login"] }
+  end
+
+  test "should suggest issue references from the local issue cache" do
+    repository = @user.repositories.create!(github_domain: "github.com", owner: "rails", name: "rails", full_name: "rails/rails")
+    repository.issues.create!(number: 5, title: "Fix login redirect", state: "closed", github_updated_at: 2.days.ago)
+    repository.issues.create!(number: 51, title: "Add dark mode", state: "open", github_updated_at: 1.hour.ago)
+    Github::ApiClient.expects(:new).never
+
+    get issue_references_repository_url(repository), as: :json
+
+    assert_response :success
+    assert_equal [ { "number" => 51, "title" => "Add dark mode", "state" => "open" }, { "number" => 5, "title" => "Fix login redirect", "state" => "closed" } ], response.parsed_body
+
+    get issue_references_repository_url(repository), params: { q: "login" }, as: :json
+
+    assert_equal [ 5 ], response.parsed_body.map { |issue| issue["number"] }
+  end
+
+  test "should not suggest from other users' repositories" do
+    other_user = User.create!(email_address: "other@example.com", password: "password123")
+    repository = other_user.repositories.create!(github_domain: "github.com", owner: "ruby", name: "ruby", full_name: "ruby/ruby")
+
+    get issue_references_repository_url(repository), as: :json
+
+    assert_response :not_found
+  end
+
   private
 
   def sign_in_as(user)
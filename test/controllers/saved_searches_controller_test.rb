@@ -0,0 +1,124 @@
+require "test_helper"
+
+# Tests the SavedSearchesController controller
+class SavedSearchesControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = users(:one)
+    @repository = repositories(:one)
+    sign_in_as(@user)
+  end
+
+  test "should get index" do
+    get saved_searches_url
+
+    assert_response :success
+    assert_select "input[value='Needs triage']"
+    assert_select "input[value='Assigned to me']"
+  end
+
+  test "should offer watching saved searches when push notifications are available" do
+    Rails.configuration.x.service_worker = true
+    Push::WebPushClient.stubs(:configured?).returns(true)
+    @user.watches.create!(watchable: saved_searches(:triage))
+
+    get saved_searches_url
+
+    assert_select "form[action='#{saved_search_watch_path(saved_searches(:triage))}'] input[name='_method'][value='delete']"
+    assert_select "form[action='#{saved_search_watch_path(saved_searches(:mine))}'] button", text: "Watch"
+  ensure
+    Rails.configuration.x.service_worker = false
+  end
+
+  test "should create saved search for a repository" do
+    assert_difference("SavedSearch.count") do
+      post saved_searches_url, params: {
+        saved_search: { name: "Bugs", query: "state:open label:bug", repository_id: @repository.id }
+      }, headers: { "HTTP_REFERER" => repository_issues_url(@repository) }
+    end
+
+    assert_redirected_to repository_issues_url(@repository)
+    assert_equal "Saved search \"Bugs\" created.", flash[:notice]
+
+    saved_search = @user.saved_searches.find_by!(name: "Bugs")
+    assert_equal @repository, saved_search.repository
+    assert_equal "state:open label:bug", saved_search.query
+  end
+
+  test "should create global saved search with a blank repository" do
+    post saved_searches_url, params: {
+      saved_search: { name: "Bugs", query: "label:bug", repository_id: "" }
+    }
+
+    assert_redirected_to saved_searches_path
+    assert @user.saved_searches.find_by!(name: "Bugs").global?
+  end
+
+  test "should not create saved search without a query" do
+    assert_no_difference("SavedSearch.count") do
+      post saved_searches_url, params: { saved_search: { name: "Empty", query: "" } }
+    end
+
+    assert_redirected_to saved_searches_path
+    assert_match(/Failed to save search/, flash[:alert])
+  end
+
+  test "should not create saved search for another user's repository" do
+    other_user = users(:two)
+    other_repository = other_user.repositories.create!(
+      owner: "octocat", name: "hello-world", full_name: "octocat/hello-world", github_domain: "github.com"
+    )
+
+    assert_no_difference("SavedSearch.count") do
+      post saved_searches_url, params: {
+        saved_search: { name: "Theirs", query: "state:open", repository_id: other_repository.id }
+      }
+    end
+
+    assert_match(/Failed to save search/, flash[:alert])
+  end
+
+  test "should rename saved search" do
+    patch saved_search_url(saved_searches(:triage)), params: { saved_search: { name: "Triage queue" } }
+
+    assert_redirected_to saved_searches_path
+    assert_equal "Triage queue", saved_searches(:triage).reload.name
+  end
+
+  test "should not rename saved search to a blank name" do
+    patch saved_search_url(saved_searches(:triage)), params: { saved_search: { name: "" } }
+
+    assert_redirected_to saved_searches_path
+    assert_match(/Failed to update saved search/, flash[:alert])
+    assert_equal "Needs triage", saved_searches(:triage).reload.name
+  end
+
+  test "should move saved search" do
+    patch move_saved_search_url(saved_searches(:stale), direction: "up")
+
+    assert_redirected_to saved_searches_path
+    assert_equal [ saved_searches(:triage), saved_searches(:stale), saved_searches(:mine) ], @user.saved_searches.ordered.to_a
+  end
+
+  test "should destroy saved search" do
+    assert_difference("SavedSearch.count", -1) do
+      delete saved_search_url(saved_searches(:triage))
+    end
+
+    assert_redirected_to saved_searches_path
+  end
+
+  test "should not find another user's saved search" do
+    other_search = users(:two).saved_searches.create!(name: "Theirs", query: "state:open")
+
+    delete saved_search_url(other_search)
+
+    assert_response :not_found
+    assert SavedSearch.exists?(other_search.id)
+  end
+
+  private
+
+  def sign_in_as(user)
+    post session_url, params: { email_address: user.email_address, password: "password123" }
+  end
+end
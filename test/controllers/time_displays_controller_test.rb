@@ -0,0 +1,40 @@
+require "test_helper"
+
+# Tests the TimeDisplaysController controller
+class TimeDisplaysControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = users(:one)
+    sign_in_as(@user)
+  end
+
+  test "should save the time display" do
+    patch user_time_display_url, params: { time_display: "absolute" }
+
+    assert_redirected_to edit_user_path(anchor: "time-display")
+    assert_equal "Time display saved.", flash[:notice]
+    assert_equal "absolute", @user.reload.time_display
+  end
+
+  test "should not save an unknown time display" do
+    patch user_time_display_url, params: { time_display: "fuzzy" }
+
+    assert_redirected_to edit_user_path(anchor: "time-display")
+    assert_match "Time display is not included in the list", flash[:alert]
+    assert_equal "relative", @user.reload.time_display
+  end
+
+  test "should require authentication" do
+    delete session_url
+
+    patch user_time_display_url, params: { time_display: "iso" }
+
+    assert_redirected_to new_session_path
+    assert_equal "relative", @user.reload.time_display
+  end
+
+  private
+
+  def sign_in_as(user)
+    post session_url, params: { email_address: user.email_address, password: "password123" }
+  end
+end
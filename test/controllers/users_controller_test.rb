@@ -84,6 +84,57 @@ class UsersControllerTest < ActionDispatch::IntegrationTest
     assert_select "h1", "Edit Profile"
   end
 
+  test "edit includes the keyboard shortcuts panel with saved bindings" do
+    @user.update!(keyboard_shortcuts: { "list.move" => [ "n", "p" ] })
+    sign_in_as(@user)
+
+    get edit_user_url
+
+    assert_select "#keyboard-shortcuts[data-controller='shortcut-settings']" do |panel|
+      assert_equal({ "list.move" => [ "n", "p" ] }, JSON.parse(panel.first["data-shortcut-settings-bindings-value"]))
+    end
+    assert_select "form#keyboard-shortcuts-form[action='#{user_keyboard_shortcuts_path}']"
+    assert_select "meta[name='keyboard-shortcuts']"
+  end
+
+  test "edit includes the time display panel with the saved choice" do
+    @user.update!(time_display: "absolute")
+    sign_in_as(@user)
+
+    get edit_user_url
+
+    assert_select "#time-display form[action='#{user_time_display_path}']" do
+      assert_select "input[type=radio][name=time_display]", count: 3
+      assert_select "input[type=radio][name=time_display][value=absolute][checked]"
+    end
+    assert_select "meta[name='time-display'][content='absolute']"
+  end
+
+  test "edit includes the push notifications panel when available" do
+    Rails.configuration.x.service_worker = true
+    Push::WebPushClient.stubs(:configured?).returns(true)
+    Push::WebPushClient.stubs(:public_key).returns("BPublicKey")
+    sign_in_as(@user)
+
+    get edit_user_url
+
+    assert_select "#push-notifications[data-controller='push-subscription']" do |panel|
+      assert_equal user_push_subscription_path, panel.first["data-push-subscription-url-value"]
+      assert_equal "BPublicKey", panel.first["data-push-subscription-public-key-value"]
+      assert_equal "Push notifications are on for this browser.", JSON.parse(panel.first["data-push-subscription-messages-value"])["enabled"]
+    end
+  ensure
+    Rails.configuration.x.service_worker = false
+  end
+
+  test "edit leaves out the push notifications panel without VAPID keys" do
+    sign_in_as(@user)
+
+    get edit_user_url
+
+    assert_select "#push-notifications", count: 0
+  end
+
   private
 
   def sign_in_as(user)
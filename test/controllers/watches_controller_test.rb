@@ -0,0 +1,89 @@
+require "test_helper"
+
+# Tests the WatchesController controller
+class WatchesControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @user = users(:one)
+    @repository = repositories(:one)
+    @issue = issues(:one)
+    @saved_search = saved_searches(:triage)
+    sign_in_as(@user)
+  end
+
+  test "should watch an issue" do
+    assert_difference("Watch.count") do
+      post repository_issue_watch_url(@repository, @issue.number)
+    end
+
+    assert_redirected_to repository_issue_path(@repository, @issue.number)
+    assert_equal "You'll get push notifications about changes picked up during sync.", flash[:notice]
+    assert @user.watching?(@issue)
+  end
+
+  test "should not watch an issue twice" do
+    @user.watches.create!(watchable: @issue)
+
+    assert_no_difference("Watch.count") do
+      post repository_issue_watch_url(@repository, @issue.number)
+    end
+  end
+
+  test "should unwatch an issue" do
+    @user.watches.create!(watchable: @issue)
+
+    assert_difference("Watch.count", -1) do
+      delete repository_issue_watch_url(@repository, @issue.number)
+    end
+
+    assert_redirected_to repository_issue_path(@repository, @issue.number)
+    assert_equal "You'll no longer get push notifications about it.", flash[:notice]
+  end
+
+  test "should watch a saved search" do
+    assert_difference("Watch.count") do
+      post saved_search_watch_url(@saved_search)
+    end
+
+    assert_redirected_to saved_searches_path
+    assert @user.watching?(@saved_search)
+  end
+
+  test "should unwatch a saved search" do
+    @user.watches.create!(watchable: @saved_search)
+
+    assert_difference("Watch.count", -1) do
+      delete saved_search_watch_url(@saved_search), headers: { "HTTP_REFERER" => saved_searches_url }
+    end
+
+    assert_redirected_to saved_searches_url
+  end
+
+  test "should not watch another user's saved search" do
+    other_search = users(:two).saved_searches.create!(name: "Theirs", query: "state:open")
+
+    assert_no_difference("Watch.count") do
+      post saved_search_watch_url(other_search)
+    end
+
+    assert_response :not_found
+  end
+
+  test "should not watch an issue in another user's repository" do
+    other_repository = users(:two).repositories.create!(
+      github_domain: "github.com",
+      owner: "other",
+      name: "repo",
+      full_name: "other/repo"
+    )
+
+    post repository_issue_watch_url(other_repository, 1)
+
+    assert_response :not_found
+  end
+
+  private
+
+  def sign_in_as(user)
+    post session_url, params: { email_address: user.email_address, password: "password123" }
+  end
+end
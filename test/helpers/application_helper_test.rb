@@ -52,4 +52,60 @@ class ApplicationHelperTest < ActionView::TestCase
     # Should be in UTC and ISO 8601 format
     assert_match(/datetime="2025-01-15T\d{2}:30:45Z"/, result)
   end
+
+  test "keyboard_shortcuts_meta_tag renders the current user's shortcuts as JSON" do
+    user = users(:one)
+    user.update!(keyboard_shortcuts: { "list.move" => [ "n", "p" ] })
+    Current.session = user.sessions.create!
+
+    result = keyboard_shortcuts_meta_tag
+
+    assert_match(/<meta name="keyboard-shortcuts"/, result)
+    assert_equal({ "list.move" => [ "n", "p" ] }, JSON.parse(CGI.unescapeHTML(result[/content="([^"]*)"/, 1])))
+  ensure
+    Current.reset
+  end
+
+  test "keyboard_shortcuts_meta_tag renders nothing when signed out" do
+    assert_nil keyboard_shortcuts_meta_tag
+  end
+
+  test "time_display_meta_tag renders the current user's time display" do
+    user = users(:one)
+    user.update!(time_display: "iso")
+    Current.session = user.sessions.create!
+
+    assert_equal '<meta name="time-display" content="iso">', time_display_meta_tag
+  ensure
+    Current.reset
+  end
+
+  test "time_display_meta_tag renders relative times when signed out" do
+    assert_equal '<meta name="time-display" content="relative">', time_display_meta_tag
+  end
+
+  test "service_worker_meta_tag renders the service worker path when enabled" do
+    Rails.configuration.x.service_worker = true
+
+    assert_equal '<meta name="service-worker" content="/service-worker.js">', service_worker_meta_tag
+  ensure
+    Rails.configuration.x.service_worker = false
+  end
+
+  test "service_worker_meta_tag renders nothing when disabled" do
+    assert_nil service_worker_meta_tag
+  end
+
+  test "push_notifications_available? requires the service worker and VAPID keys" do
+    Push::WebPushClient.stubs(:configured?).returns(true)
+    assert_not push_notifications_available?
+
+    Rails.configuration.x.service_worker = true
+    assert push_notifications_available?
+
+    Push::WebPushClient.stubs(:configured?).returns(false)
+    assert_not push_notifications_available?
+  ensure
+    Rails.configuration.x.service_worker = false
+  end
 end
@@ -0,0 +1,43 @@
+require "test_helper"
+
+# Tests for IssuesHelper
+class IssuesHelperTest < ActionView::TestCase
+  test "live_insert_states takes new issues of the filtered state" do
+    assert_equal [ "open" ], live_insert_states("is:issue state:open")
+    assert_equal [ "closed" ], live_insert_states("is:closed")
+  end
+
+  test "live_insert_states takes new issues of any state without a state filter" do
+    assert_equal [ "open", "closed" ], live_insert_states("")
+    assert_equal [ "open", "closed" ], live_insert_states("sort:created-desc")
+  end
+
+  test "live_insert_states takes no new issues in searched, filtered or re-sorted lists" do
+    assert_equal [], live_insert_states("state:open crash")
+    assert_equal [], live_insert_states("state:open label:bug")
+    assert_equal [], live_insert_states("state:open author:octocat")
+    assert_equal [], live_insert_states("state:open sort:updated")
+    assert_equal [], live_insert_states("state:open sort:created-asc")
+  end
+
+  test "live_insert_states follows the sort parameter without a sort qualifier" do
+    params[:sort] = "comments"
+
+    assert_equal [], live_insert_states("state:open")
+  end
+
+  test "query_with_state switches the query's issue state" do
+    assert_equal "label:bug state:closed", query_with_state("is:open label:bug", "closed")
+    assert_equal "crash state:open", query_with_state("state:closed crash STATE:OPEN", "open")
+    assert_equal "state:open", query_with_state(nil, "open")
+  end
+
+  test "query_with_state keeps negated states" do
+    assert_equal "-is:closed state:open", query_with_state("-is:closed", "open")
+  end
+
+  test "query_with_sort replaces the query's sort" do
+    assert_equal "label:bug sort:updated-desc", query_with_sort("sort:created-asc label:bug", "updated-desc")
+    assert_equal "sort:comments-asc", query_with_sort(nil, "comments-asc")
+  end
+end
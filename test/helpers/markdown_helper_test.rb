@@ -47,6 +47,44 @@ class MarkdownHelperTest < ActionView::TestCase
     assert_match(/type="checkbox"/, result)
   end
 
+  test "renders source positions when asked" do
+    result = render_markdown("- [ ] Todo item\n- [x] Done item", sourcepos: true)
+
+    assert_match(/<li data-sourcepos="2:1-2:15"/, result)
+    assert_no_match(/data-sourcepos/, render_markdown("- [ ] Todo item"))
+  end
+
+  test "makes task lists interactive for repositories the user can push to" do
+    repository = repositories(:one)
+    repository.update!(can_push: true)
+    text = "- [ ] Todo item\n- [x] Done item"
+
+    render html: markdown_body_tag(text, repository: repository, issue_number: 7, comment_id: 555)
+
+    assert_select "div[data-controller='task-list'][data-task-list-url-value='/repositories/#{repository.id}/issues/7/task_list']" \
+      "[data-task-list-comment-id-value='555'][data-task-list-digest-value='#{TaskList.digest(text)}']" do
+      assert_select "div.markdown[data-task-list-target='body'] li[data-sourcepos] input[type='checkbox']", count: 2
+      assert_select "p.hidden[data-task-list-target='error'][role='alert']"
+    end
+  end
+
+  test "renders plain markdown without push access" do
+    render html: markdown_body_tag("- [ ] Todo item", repository: repositories(:one), issue_number: 7)
+
+    assert_select "[data-controller='task-list']", count: 0
+    assert_select "div.markdown input[type='checkbox']"
+  end
+
+  test "renders plain markdown without a task list" do
+    repository = repositories(:one)
+    repository.update!(can_push: true)
+
+    render html: markdown_body_tag("No tasks here", repository: repository, issue_number: 7)
+
+    assert_select "[data-controller='task-list']", count: 0
+    assert_select "div.markdown", text: "No tasks here"
+  end
+
   test "renders autolinks" do
     markdown = "Visit https://example.com"
     result = render_markdown(markdown)
@@ -0,0 +1,18 @@
+require "test_helper"
+
+# Tests for SavedSearchesHelper
+class SavedSearchesHelperTest < ActionView::TestCase
+  test "saved_search_issues_path opens the saved search's repository" do
+    saved_search = saved_searches(:triage)
+
+    expected = repository_issues_path(repositories(:one), q: saved_search.query)
+    assert_equal expected, saved_search_issues_path(saved_search, repositories(:two))
+  end
+
+  test "saved_search_issues_path opens global searches in the given repository" do
+    saved_search = saved_searches(:mine)
+
+    expected = repository_issues_path(repositories(:two), q: saved_search.query)
+    assert_equal expected, saved_search_issues_path(saved_search, repositories(:two))
+  end
+end
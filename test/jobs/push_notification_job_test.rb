@@ -0,0 +1,39 @@
+require "test_helper"
+
+class PushNotificationJobTest < ActiveJob::TestCase
+  setup do
+    @user = users(:one)
+    @payload = { title: "rails/rails#1: Add support for new feature", options: { body: "Closed" } }
+    @subscription = @user.push_subscriptions.create!(endpoint: "https://fcm.googleapis.com/fcm/send/abc123", p256dh_key: "key", auth_key: "auth")
+  end
+
+  test "should deliver to each of the user's subscriptions" do
+    other_subscription = @user.push_subscriptions.create!(endpoint: "https://fcm.googleapis.com/fcm/send/def456", p256dh_key: "key", auth_key: "auth")
+    client = mock("WebPushClient")
+    client.expects(:deliver).with(@subscription, @payload).returns({ success: true })
+    client.expects(:deliver).with(other_subscription, @payload).returns({ success: true })
+    Push::WebPushClient.expects(:new).returns(client)
+
+    PushNotificationJob.perform_now(@user, @payload)
+  end
+
+  test "should delete expired subscriptions" do
+    client = mock("WebPushClient")
+    client.expects(:deliver).returns({ success: false, expired: true, error: Push::WebPushClient::ERROR_EXPIRED })
+    Push::WebPushClient.expects(:new).returns(client)
+
+    assert_difference -> { @user.push_subscriptions.count }, -1 do
+      PushNotificationJob.perform_now(@user, @payload)
+    end
+  end
+
+  test "should keep subscriptions after other errors" do
+    client = mock("WebPushClient")
+    client.expects(:deliver).returns({ success: false, expired: false, error: "Push service responded with 500" })
+    Push::WebPushClient.expects(:new).returns(client)
+
+    assert_no_difference -> { @user.push_subscriptions.count } do
+      PushNotificationJob.perform_now(@user, @payload)
+    end
+  end
+end
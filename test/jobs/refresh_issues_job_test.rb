@@ -0,0 +1,117 @@
+require "test_helper"
+
+class RefreshIssuesJobTest < ActiveJob::TestCase
+  include Turbo::Broadcastable::TestHelper
+
+  setup do
+    @user = users(:one)
+    @repository = repositories(:one)
+    Rails.stubs(:cache).returns(ActiveSupport::Cache::MemoryStore.new)
+  end
+
+  test "should sync issues and report progress until completed" do
+    IssueRefresh.new(repository: @repository).save
+    stub_sync([ 0, 2 ], [ 1, 2 ], [ 2, 2 ], result: { success: true, synced_count: 2 })
+
+    RefreshIssuesJob.perform_now(@repository.id)
+
+    statuses = broadcasts.map { |stream| stream.at_css("[data-issue-refresh-status-value]")["data-issue-refresh-status-value"] }
+    assert_equal %w[queued running running running running completed], statuses
+    assert_includes broadcasts[-2].to_html, "Synced 2 of 2 issues"
+    assert_includes broadcasts[-2].to_html, "4990 API requests left"
+    assert_nil IssueRefresh.find(@repository)
+  end
+
+  test "should keep a failed refresh so it can be retried" do
+    IssueRefresh.new(repository: @repository).save
+    stub_sync(result: { success: false, error: "Failed to sync issues: Network timeout" })
+
+    RefreshIssuesJob.perform_now(@repository.id)
+
+    issue_refresh = IssueRefresh.find(@repository)
+    assert issue_refresh.failed?
+    assert_equal "Failed to sync issues: Network timeout", issue_refresh.error
+    assert_includes broadcasts.last.to_html, "Retry"
+  end
+
+  test "should stop the sync once the refresh is cancelled" do
+    IssueRefresh.new(repository: @repository).save
+    service = stub_sync([ 0, 2 ], [ 1, 2 ], result: { success: true, synced_count: 2 }) do
+      IssueRefresh.find(@repository).update(status: "cancelled")
+    end
+
+    RefreshIssuesJob.perform_now(@repository.id)
+
+    assert service.cancelled
+    assert_nil IssueRefresh.find(@repository)
+  end
+
+  test "should not sync a refresh cancelled before it started" do
+    IssueRefresh.new(repository: @repository, status: "cancelled").save
+    Github::IssueSyncService.expects(:new).never
+
+    RefreshIssuesJob.perform_now(@repository.id)
+
+    assert_nil IssueRefresh.find(@repository)
+  end
+
+  test "should not sync without a queued refresh" do
+    Github::IssueSyncService.expects(:new).never
+
+    RefreshIssuesJob.perform_now(@repository.id)
+  end
+
+  test "should record unexpected errors as a failed refresh" do
+    IssueRefresh.new(repository: @repository).save
+    Github::IssueSyncService.expects(:new).raises(StandardError.new("Unexpected"))
+
+    assert_raises(StandardError) do
+      RefreshIssuesJob.perform_now(@repository.id)
+    end
+
+    issue_refresh = IssueRefresh.find(@repository)
+    assert issue_refresh.failed?
+    assert_equal "Unexpected", issue_refresh.error
+  end
+
+  private
+
+  def broadcasts
+    capture_turbo_stream_broadcasts([ @repository, :issues ])
+  end
+
+  # Stands in for the repository owner's IssueSyncService: calls the job's progress callable
+  # with each [fetched, total] (running the block after the first), then returns result
+  def stub_sync(*reports, result:, &after_first)
+    service = FakeSync.new(reports, result, after_first)
+    Github::IssueSyncService.expects(:new).with do |params|
+      service.progress = params[:progress]
+      params[:user] == @user && params[:repository] == @repository
+    end.returns(service)
+
+    service
+  end
+
+  # Progress-reporting stand-in for IssueSyncService
+  class FakeSync
+    attr_accessor :progress
+    attr_reader :cancelled
+
+    def initialize(reports, result, after_first)
+      @reports = reports
+      @result = result
+      @after_first = after_first
+    end
+
+    def call
+      @reports.each_with_index do |(fetched, total), index|
+        progress.call(fetched, total, { "core" => { remaining: 4990 } })
+        @after_first&.call if index.zero?
+      end
+      @result
+    rescue Github::IssueSyncService::Cancelled
+      @cancelled = true
+      { success: false, cancelled: true, error: Github::IssueSyncService::ERROR_CANCELLED }
+    end
+  end
+end
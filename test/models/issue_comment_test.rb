@@ -2,6 +2,9 @@ require "test_helper"
 
 # Tests for IssueComment model validations, associations, and ordering
 class IssueCommentTest < ActiveSupport::TestCase
+  include ActiveJob::TestHelper
+  include Turbo::Broadcastable::TestHelper
+
   setup do
     @issue = issues(:one)
     @comment = issue_comments(:one)
@@ -50,4 +53,24 @@ class IssueCommentTest < ActiveSupport::TestCase
     comments = IssueComment.all.to_a
     assert_equal comments.first.github_created_at, @comment.github_created_at
   end
+
+  test "timeline_item describes the comment for the issue timeline" do
+    item = @comment.timeline_item
+
+    assert_equal "comment", item[:type]
+    assert_equal "cached_#{@comment.id}", item[:id]
+    assert_equal @comment.github_id, item[:github_id]
+    assert_equal @comment.author_login, item[:actor]
+    assert_equal @comment.body, item[:body]
+  end
+
+  test "broadcast_synced appends the comment to the issue page timeline" do
+    perform_enqueued_jobs { @comment.broadcast_synced }
+
+    streams = capture_turbo_stream_broadcasts([ @issue, :comments ])
+    assert_equal 1, streams.size
+    assert_equal "append", streams.first["action"]
+    assert_equal "issue_timeline", streams.first["target"]
+    assert_includes streams.first.to_html, %(id="comment_#{@comment.github_id}")
+  end
 end
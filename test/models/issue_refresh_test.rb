@@ -0,0 +1,101 @@
+require "test_helper"
+
+# Tests for IssueRefresh progress tracking, its cache storage and broadcasts
+class IssueRefreshTest < ActiveSupport::TestCase
+  include ActiveJob::TestHelper
+  include Turbo::Broadcastable::TestHelper
+
+  setup do
+    @repository = repositories(:one)
+    Rails.stubs(:cache).returns(ActiveSupport::Cache::MemoryStore.new)
+  end
+
+  test "should start queued with nothing fetched" do
+    issue_refresh = IssueRefresh.new(repository: @repository)
+
+    assert issue_refresh.queued?
+    assert issue_refresh.active?
+    assert_equal 0, issue_refresh.fetched
+  end
+
+  test "should not save an unknown status" do
+    issue_refresh = IssueRefresh.new(repository: @repository, status: "paused")
+
+    assert_not issue_refresh.save
+    assert_nil IssueRefresh.find(@repository)
+  end
+
+  test "should find a saved refresh by repository" do
+    IssueRefresh.new(repository: @repository, status: "running", fetched: 3, total: 10, rate_limit_remaining: 4990).save
+
+    issue_refresh = IssueRefresh.find(@repository)
+
+    assert issue_refresh.running?
+    assert_equal 3, issue_refresh.fetched
+    assert_equal 10, issue_refresh.total
+    assert_equal 4990, issue_refresh.rate_limit_remaining
+    assert_equal @repository, issue_refresh.repository
+    assert_nil IssueRefresh.find(repositories(:two))
+  end
+
+  test "should broadcast its progress to the repository's issue lists" do
+    IssueRefresh.new(repository: @repository, status: "running", fetched: 3, total: 10).save
+
+    streams = capture_turbo_stream_broadcasts([ @repository, :issues ])
+    assert_equal 1, streams.size
+    assert_equal "replace", streams.first["action"]
+    assert_equal IssueRefresh::DOM_ID, streams.first["target"]
+    assert_includes streams.first.to_html, "Synced 3 of 10 issues"
+  end
+
+  test "should queue a job when started" do
+    assert_enqueued_with(job: RefreshIssuesJob, args: [ @repository.id ]) do
+      IssueRefresh.start(@repository)
+    end
+
+    assert IssueRefresh.find(@repository).queued?
+  end
+
+  test "should return the refresh under way instead of starting another" do
+    IssueRefresh.new(repository: @repository, status: "running", fetched: 3).save
+
+    issue_refresh = nil
+    assert_no_enqueued_jobs(only: RefreshIssuesJob) do
+      issue_refresh = IssueRefresh.start(@repository)
+    end
+
+    assert issue_refresh.running?
+    assert_equal 3, issue_refresh.fetched
+  end
+
+  test "should start again after a failed refresh" do
+    IssueRefresh.new(repository: @repository, status: "failed", error: "Network timeout").save
+
+    assert_enqueued_jobs 1, only: RefreshIssuesJob do
+      IssueRefresh.start(@repository)
+    end
+
+    issue_refresh = IssueRefresh.find(@repository)
+    assert issue_refresh.queued?
+    assert_nil issue_refresh.error
+  end
+
+  test "should notice a cancel saved elsewhere" do
+    issue_refresh = IssueRefresh.new(repository: @repository, status: "running")
+    issue_refresh.save
+    assert_not issue_refresh.cancel_requested?
+
+    IssueRefresh.find(@repository).update(status: "cancelled")
+
+    assert issue_refresh.cancel_requested?
+  end
+
+  test "should be forgotten once cleared" do
+    issue_refresh = IssueRefresh.new(repository: @repository, status: "completed")
+    issue_refresh.save
+
+    issue_refresh.clear
+
+    assert_nil IssueRefresh.find(@repository)
+  end
+end
@@ -2,6 +2,9 @@ require "test_helper"
 
 # Tests for Issue model validations, associations, state management, and scopes
 class IssueTest < ActiveSupport::TestCase
+  include ActiveJob::TestHelper
+  include Turbo::Broadcastable::TestHelper
+
   setup do
     @repository = repositories(:one)
     @issue = issues(:one)
@@ -152,6 +155,45 @@ class IssueTest < ActiveSupport::TestCase
     assert_equal Issue.count, issues.count
   end
 
+  test "should filter without_label when label is present" do
+    issues = Issue.without_label("enhancement")
+    assert_not_includes issues, @issue
+    assert_includes issues, issues(:two)
+  end
+
+  test "should not filter without_label when label is blank" do
+    issues = Issue.without_label("")
+    assert_equal Issue.count, issues.count
+  end
+
+  test "should filter not_assigned_to when login is present" do
+    issues = Issue.not_assigned_to("dhh")
+    assert_not_includes issues, @issue
+    assert_includes issues, issues(:two)
+  end
+
+  test "should exclude only whole label and assignee names" do
+    debug_issue = @repository.issues.create!(
+      number: 901,
+      title: "Debug logging",
+      state: "open",
+      labels: [ { "name" => "debug", "color" => "cccccc" } ],
+      assignees: [ { "login" => "dhhbot" } ]
+    )
+
+    assert_includes Issue.without_label("bug"), debug_issue
+    assert_not_includes Issue.without_label("bug"), issues(:two)
+    assert_includes Issue.not_assigned_to("dhh"), debug_issue
+  end
+
+  test "should keep issues without labels or assignees when excluding" do
+    bare_issue = @repository.issues.create!(number: 902, title: "Bare issue", state: "open")
+    bare_issue.update_columns(labels: nil, assignees: nil)
+
+    assert_includes Issue.without_label("bug"), bare_issue
+    assert_includes Issue.not_assigned_to("dhh"), bare_issue
+  end
+
   test "should filter assigned_to when login is present" do
     issues = Issue.assigned_to("dhh")
     assert_includes issues, @issue
@@ -171,4 +213,46 @@ class IssueTest < ActiveSupport::TestCase
     issues = Issue.authored_by("")
     assert_equal Issue.count, issues.count
   end
+
+  test "should find issues referenced by number prefix or title" do
+    other = @issue.repository.issues.create!(number: 12, title: "Unrelated", state: "open")
+
+    assert_equal [ @issue, other ], @issue.repository.issues.referenced_by("1").order(:number).to_a
+    assert_equal [ @issue ], @issue.repository.issues.referenced_by("new feature").to_a
+    assert_equal [ other ], @issue.repository.issues.referenced_by("12").to_a
+  end
+
+  test "should not filter referenced_by when query is blank" do
+    issues = Issue.referenced_by("")
+    assert_equal Issue.count, issues.count
+  end
+
+  test "card_dom_id is based on the issue number" do
+    assert_equal "issue_card_1", @issue.card_dom_id
+    assert_equal "issue_card_7", Issue.new(number: 7).card_dom_id
+  end
+
+  test "broadcast_synced prepends new issues to the repository's issue lists" do
+    issue = @repository.issues.create!(number: 999, title: "New issue", state: "open")
+
+    perform_enqueued_jobs { issue.broadcast_synced }
+
+    streams = capture_turbo_stream_broadcasts([ @repository, :issues ])
+    assert_equal 1, streams.size
+    assert_equal "prepend", streams.first["action"]
+    assert_equal "issues_list", streams.first["target"]
+    assert_includes streams.first.to_html, 'id="issue_card_999"'
+  end
+
+  test "broadcast_synced replaces the cards of changed issues" do
+    @issue.update!(state: "closed")
+
+    perform_enqueued_jobs { @issue.broadcast_synced }
+
+    streams = capture_turbo_stream_broadcasts([ @repository, :issues ])
+    assert_equal 1, streams.size
+    assert_equal "replace", streams.first["action"]
+    assert_equal "issue_card_1", streams.first["target"]
+    assert_includes streams.first.to_html, 'data-issue-state="closed"'
+  end
 end
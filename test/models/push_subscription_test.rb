@@ -0,0 +1,51 @@
+require "test_helper"
+
+class PushSubscriptionTest < ActiveSupport::TestCase
+  setup do
+    @user = users(:one)
+  end
+
+  test "validates presence of endpoint and keys" do
+    subscription = @user.push_subscriptions.build
+
+    assert_not subscription.valid?
+    assert_includes subscription.errors[:endpoint], "can't be blank"
+    assert_includes subscription.errors[:p256dh_key], "can't be blank"
+    assert_includes subscription.errors[:auth_key], "can't be blank"
+  end
+
+  test "requires an https endpoint" do
+    subscription = @user.push_subscriptions.build(endpoint: "http://push.example.com/abc", p256dh_key: "key", auth_key: "auth")
+
+    assert_not subscription.valid?
+    assert_includes subscription.errors[:endpoint], "is invalid"
+  end
+
+  test "validates uniqueness of endpoint" do
+    @user.push_subscriptions.create!(endpoint: "https://fcm.googleapis.com/fcm/send/abc", p256dh_key: "key", auth_key: "auth")
+    duplicate = users(:two).push_subscriptions.build(endpoint: "https://fcm.googleapis.com/fcm/send/abc", p256dh_key: "key", auth_key: "auth")
+
+    assert_not duplicate.valid?
+    assert_includes duplicate.errors[:endpoint], "has already been taken"
+  end
+
+  test "requires an endpoint on a known push service" do
+    [ "https://fcm.googleapis.com/fcm/send/abc", "https://web.push.apple.com/abc", "https://updates.push.services.mozilla.com/wpush/v2/abc", "https://wns2-by3p.notify.windows.com/w/?token=abc" ].each do |endpoint|
+      assert @user.push_subscriptions.build(endpoint: endpoint, p256dh_key: "key", auth_key: "auth").valid?, endpoint
+    end
+
+    [ "https://localhost/abc", "https://10.0.0.5/abc", "https://169.254.169.254/abc", "https://fcm.googleapis.com@127.0.0.1/abc", "https://fcm.googleapis.com.evil.com/abc", "https://fcm.googleapis.com:8443/abc" ].each do |endpoint|
+      subscription = @user.push_subscriptions.build(endpoint: endpoint, p256dh_key: "key", auth_key: "auth")
+
+      assert_not subscription.valid?, endpoint
+      assert_includes subscription.errors[:endpoint], "is not a known push service"
+    end
+  end
+
+  test "reports only the format error for non-https endpoints" do
+    subscription = @user.push_subscriptions.build(endpoint: "http://10.0.0.5/abc", p256dh_key: "key", auth_key: "auth")
+
+    assert_not subscription.valid?
+    assert_equal [ "is invalid" ], subscription.errors[:endpoint]
+  end
+end
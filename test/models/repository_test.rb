@@ -115,6 +115,11 @@ class RepositoryTest < ActiveSupport::TestCase
     assert_not Issue.exists?(issue_id)
   end
 
+  test "should build GitHub issue url" do
+    expected = "https://#{@repository.github_domain}/#{@repository.owner}/#{@repository.name}/issues/42"
+    assert_equal expected, @repository.github_issue_url(42)
+  end
+
   test "should return staleness in words for minutes" do
     @repository.cached_at = 2.minutes.ago
     staleness = @repository.staleness_in_words
@@ -0,0 +1,81 @@
+require "test_helper"
+
+class SavedSearchTest < ActiveSupport::TestCase
+  setup do
+    @user = users(:one)
+    @repository = repositories(:one)
+  end
+
+  test "validates presence of name and query" do
+    saved_search = @user.saved_searches.build
+
+    assert_not saved_search.valid?
+    assert_includes saved_search.errors[:name], "can't be blank"
+    assert_includes saved_search.errors[:query], "can't be blank"
+  end
+
+  test "validates uniqueness of name per user and repository" do
+    duplicate = @user.saved_searches.build(name: "Needs triage", query: "state:open", repository: @repository)
+    assert_not duplicate.valid?
+
+    other_repository = @user.saved_searches.build(name: "Needs triage", query: "state:open", repository: repositories(:two))
+    assert other_repository.valid?
+  end
+
+  test "rejects a repository belonging to another user" do
+    other_user = users(:two)
+    saved_search = other_user.saved_searches.build(name: "Mine", query: "state:open", repository: @repository)
+
+    assert_not saved_search.valid?
+    assert_includes saved_search.errors[:repository], "is invalid"
+  end
+
+  test "appends new searches to the end of the list" do
+    saved_search = @user.saved_searches.create!(name: "Bugs", query: "label:bug")
+
+    assert_equal 3, saved_search.position
+    assert_equal saved_search, @user.saved_searches.ordered.last
+  end
+
+  test "global? is true without a repository" do
+    assert saved_searches(:mine).global?
+    assert_not saved_searches(:triage).global?
+  end
+
+  test "available_in includes global searches and the repository's own" do
+    available = @user.saved_searches.available_in(@repository)
+
+    assert_includes available, saved_searches(:triage)
+    assert_includes available, saved_searches(:mine)
+    assert_not_includes available, saved_searches(:stale)
+  end
+
+  test "available_in without a repository only includes repository searches" do
+    available = @user.saved_searches.available_in(nil)
+
+    assert_includes available, saved_searches(:triage)
+    assert_includes available, saved_searches(:stale)
+    assert_not_includes available, saved_searches(:mine)
+  end
+
+  test "move swaps position with the neighboring search" do
+    saved_searches(:mine).move("up")
+
+    assert_equal [ saved_searches(:mine), saved_searches(:triage), saved_searches(:stale) ], @user.saved_searches.ordered.to_a
+
+    saved_searches(:mine).reload.move("down")
+
+    assert_equal [ saved_searches(:triage), saved_searches(:mine), saved_searches(:stale) ], @user.saved_searches.ordered.to_a
+  end
+
+  test "move returns false at the end of the list" do
+    assert_not saved_searches(:triage).move("up")
+    assert_not saved_searches(:stale).move("down")
+  end
+
+  test "is destroyed with its repository" do
+    assert_difference("SavedSearch.count", -1) do
+      repositories(:two).destroy
+    end
+  end
+end
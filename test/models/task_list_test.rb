@@ -0,0 +1,51 @@
+require "test_helper"
+
+# Tests for finding, counting and toggling task list items in markdown
+class TaskListTest < ActiveSupport::TestCase
+  BODY = "Steps:\r\n\r\n- [x] Write tests\r\n- [ ] Ship it\r\n  * [X] Nested\r\n"
+
+  test "should find items by line" do
+    task_list = TaskList.new(BODY)
+
+    assert_equal [ { line: 3, checked: true }, { line: 4, checked: false }, { line: 5, checked: true } ], task_list.items
+    assert_equal 3, task_list.total_count
+    assert_equal 2, task_list.completed_count
+    assert task_list.any?
+  end
+
+  test "should ignore task list syntax in code blocks" do
+    task_list = TaskList.new("```\n- [ ] Not a task\n```\n")
+
+    assert_not task_list.any?
+    assert_equal 0, task_list.total_count
+  end
+
+  test "should have no items without markdown" do
+    assert_not TaskList.new(nil).any?
+    assert_not TaskList.new("").any?
+  end
+
+  test "should check an item and keep the rest of the markdown" do
+    assert_equal "Steps:\r\n\r\n- [x] Write tests\r\n- [x] Ship it\r\n  * [X] Nested\r\n", TaskList.new(BODY).toggle(4, true)
+  end
+
+  test "should uncheck a nested item" do
+    assert_equal "Steps:\r\n\r\n- [x] Write tests\r\n- [ ] Ship it\r\n  * [ ] Nested\r\n", TaskList.new(BODY).toggle(5, false)
+  end
+
+  test "should toggle numbered and quoted items" do
+    assert_equal "1. [x] First", TaskList.new("1. [ ] First").toggle(1, true)
+    assert_equal "> - [x] Quoted", TaskList.new("> - [ ] Quoted").toggle(1, true)
+  end
+
+  test "should not toggle lines without an item" do
+    assert_nil TaskList.new(BODY).toggle(1, true)
+    assert_nil TaskList.new(BODY).toggle(42, true)
+  end
+
+  test "should digest the markdown" do
+    assert_equal TaskList.digest(BODY), TaskList.digest(BODY.dup)
+    assert_not_equal TaskList.digest(BODY), TaskList.digest(BODY.sub("[ ]", "[x]"))
+    assert_equal TaskList.digest(""), TaskList.digest(nil)
+  end
+end
@@ -157,4 +157,57 @@ class UserTest < ActiveSupport::TestCase
 
     assert_not GithubToken.exists?(token_id)
   end
+
+  test "keyboard shortcuts default to an empty set" do
+    assert_equal({}, users(:one).keyboard_shortcuts)
+  end
+
+  test "should accept remapped keyboard shortcuts" do
+    user = users(:one)
+    user.keyboard_shortcuts = { "list.move" => [ "n", "p" ], "goto.dashboard" => [ "g h" ], "search.focusAnywhere" => [ "Mod+k" ] }
+
+    assert user.valid?
+  end
+
+  test "should reject malformed keyboard shortcuts" do
+    user = users(:one)
+
+    [
+      [ "n" ],
+      { "list.move" => "n" },
+      { "list.move" => [] },
+      { "not an id" => [ "n" ] },
+      { "list.move" => [ "g d e" ] },
+      { "list.move" => [ "" ] }
+    ].each do |shortcuts|
+      user.keyboard_shortcuts = shortcuts
+      assert_not user.valid?, "expected #{shortcuts.inspect} to be invalid"
+      assert_includes user.errors[:keyboard_shortcuts], "is invalid"
+    end
+  end
+
+  test "should reject keys assigned to more than one shortcut" do
+    user = users(:one)
+    user.keyboard_shortcuts = { "list.move" => [ "n", "p" ], "help.toggle" => [ "n" ] }
+
+    assert_not user.valid?
+    assert_includes user.errors[:keyboard_shortcuts], "assign n to more than one shortcut"
+  end
+
+  test "time display defaults to relative" do
+    assert_equal "relative", users(:one).time_display
+  end
+
+  test "should only accept known time displays" do
+    user = users(:one)
+
+    User::TIME_DISPLAYS.each do |display|
+      user.time_display = display
+      assert user.valid?, "expected #{display} to be valid"
+    end
+
+    user.time_display = "fuzzy"
+    assert_not user.valid?
+    assert_includes user.errors[:time_display], "is not included in the list"
+  end
 end
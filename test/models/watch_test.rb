@@ -0,0 +1,54 @@
+require "test_helper"
+
+class WatchTest < ActiveSupport::TestCase
+  setup do
+    @user = users(:one)
+    @issue = issues(:one)
+    @saved_search = saved_searches(:triage)
+  end
+
+  test "watches an issue or saved search of the user's" do
+    assert @user.watches.build(watchable: @issue).valid?
+    assert @user.watches.build(watchable: @saved_search).valid?
+  end
+
+  test "rejects another user's issue or saved search" do
+    other_user = users(:two)
+
+    issue_watch = other_user.watches.build(watchable: @issue)
+    assert_not issue_watch.valid?
+    assert_includes issue_watch.errors[:watchable], "is invalid"
+
+    saved_search_watch = other_user.watches.build(watchable: @saved_search)
+    assert_not saved_search_watch.valid?
+    assert_includes saved_search_watch.errors[:watchable], "is invalid"
+  end
+
+  test "rejects other watchable types" do
+    watch = @user.watches.build(watchable: repositories(:one))
+
+    assert_not watch.valid?
+    assert_includes watch.errors[:watchable_type], "is not included in the list"
+  end
+
+  test "validates uniqueness per user and watchable" do
+    @user.watches.create!(watchable: @issue)
+
+    assert_not @user.watches.build(watchable: @issue).valid?
+  end
+
+  test "user knows what they're watching" do
+    @user.watches.create!(watchable: @issue)
+
+    assert @user.watching?(@issue)
+    assert_not @user.watching?(issues(:two))
+  end
+
+  test "is destroyed with its watchable" do
+    @user.watches.create!(watchable: @saved_search)
+
+    assert_difference("Watch.count", -1) do
+      @saved_search.destroy
+    end
+  end
+end
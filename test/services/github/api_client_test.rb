@@ -105,6 +105,32 @@ class Github::ApiClientTest < ActiveSupport::TestCase
     assert_equal 1, results[:total_count]
   end
 
+  test "should read rate limit from the last response's headers" do
+    mock_octokit_client = mock("OctokitClient")
+    mock_response = OpenStruct.new(headers: {
+      "x-ratelimit-remaining" => "4990",
+      "x-ratelimit-limit" => "5000",
+      "x-ratelimit-reset" => "1700000000",
+      "x-ratelimit-resource" => "core"
+    })
+    mock_octokit_client.stubs(:last_response).returns(mock_response)
+    @client.instance_variable_set(:@client, mock_octokit_client)
+
+    rate_limit = @client.last_response_rate_limit
+
+    assert_equal 4990, rate_limit["core"][:remaining]
+    assert_equal 5000, rate_limit["core"][:limit]
+    assert_equal Time.at(1_700_000_000), rate_limit["core"][:resets_at]
+  end
+
+  test "should have no rate limit before any response" do
+    mock_octokit_client = mock("OctokitClient")
+    mock_octokit_client.stubs(:last_response).returns(nil)
+    @client.instance_variable_set(:@client, mock_octokit_client)
+
+    assert_nil @client.last_response_rate_limit
+  end
+
   # Repository fetch tests
 
   test "should fetch repository successfully" do
@@ -125,7 +151,8 @@ class Github::ApiClientTest < ActiveSupport::TestCase
         full_name: "rails/rails",
         description: "Ruby on Rails",
         html_url: "https://github.com/rails/rails",
-        open_issues_count: 100
+        open_issues_count: 100,
+        permissions: OpenStruct.new(admin: false, push: true, pull: true)
       )
     end
     def mock_client.rate_limit
@@ -142,6 +169,7 @@ class Github::ApiClientTest < ActiveSupport::TestCase
     assert_equal "Ruby on Rails", result[:description]
     assert_equal "https://github.com/rails/rails", result[:url]
     assert_equal 100, result[:open_issues_count]
+    assert_equal true, result[:can_push]
   end
 
   test "should handle repository not found" do
@@ -339,6 +367,436 @@ class Github::ApiClientTest < ActiveSupport::TestCase
     assert_includes result[:error], "https://docs.github.com"
   end
 
+  test "should fetch milestones successfully" do
+    mock_client = OpenStruct.new
+    def mock_client.milestones(repo, options)
+      [
+        OpenStruct.new(title: "v1.0", state: "open", due_on: nil)
+      ]
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.fetch_milestones("rails", "rails")
+
+    assert_equal 1, result.length
+    assert_equal "v1.0", result.first.title
+    assert_equal "open", result.first.state
+  end
+
+  test "should handle milestones not found" do
+    mock_client = OpenStruct.new
+    def mock_client.milestones(repo, options)
+      raise Octokit::NotFound.new
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    assert_equal [], @client.fetch_milestones("rails", "rails")
+  end
+
+  test "should handle SAML protected error in fetch_milestones" do
+    mock_client = OpenStruct.new
+    def mock_client.milestones(repo, options)
+      raise Octokit::SAMLProtected.new
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.fetch_milestones("rails", "rails")
+
+    assert result.is_a?(Hash)
+    assert_includes result[:error], "SAML SSO authorization"
+  end
+
+  # Issue write tests
+
+  test "should add labels to an issue" do
+    mock_client = OpenStruct.new
+    def mock_client.add_labels_to_an_issue(repo, issue_number, labels)
+      [ OpenStruct.new(name: "bug", color: "d73a4a"), OpenStruct.new(name: labels.first, color: "a2eeef") ]
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.add_issue_labels("rails", "rails", 1, [ "enhancement" ])
+
+    assert_equal [ { name: "bug", color: "d73a4a" }, { name: "enhancement", color: "a2eeef" } ], result
+  end
+
+  test "should skip labels the issue does not have when removing labels" do
+    mock_client = OpenStruct.new
+    def mock_client.remove_label(repo, issue_number, label)
+      raise Octokit::NotFound.new if label == "missing"
+    end
+    def mock_client.labels_for_issue(repo, issue_number)
+      [ OpenStruct.new(name: "bug", color: "d73a4a") ]
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.remove_issue_labels("rails", "rails", 1, [ "missing", "enhancement" ])
+
+    assert_equal [ { name: "bug", color: "d73a4a" } ], result
+  end
+
+  test "should close an issue" do
+    mock_client = OpenStruct.new
+    def mock_client.close_issue(repo, issue_number)
+      OpenStruct.new(
+        number: issue_number,
+        title: "Issue 1",
+        state: "closed",
+        body: "Body 1",
+        user: OpenStruct.new(login: "user1", avatar_url: "https://avatar1.png"),
+        labels: [],
+        assignees: [],
+        comments: 0,
+        created_at: 1.day.ago,
+        updated_at: Time.current
+      )
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.update_issue_state("rails", "rails", 1, "closed")
+
+    assert_equal 1, result[:number]
+    assert_equal "closed", result[:state]
+  end
+
+  test "should comment on an issue" do
+    mock_client = OpenStruct.new
+    def mock_client.add_comment(repo, issue_number, body)
+      OpenStruct.new(
+        id: 555,
+        user: OpenStruct.new(login: "octocat", avatar_url: "https://avatar.png"),
+        body: body,
+        created_at: Time.current,
+        updated_at: Time.current
+      )
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.create_issue_comment("rails", "rails", 1, "Looks good to me")
+
+    assert_equal 555, result[:github_id]
+    assert_equal "octocat", result[:author_login]
+    assert_equal "Looks good to me", result[:body]
+  end
+
+  test "should handle a locked issue when commenting" do
+    mock_client = OpenStruct.new
+    def mock_client.add_comment(repo, issue_number, body)
+      raise Octokit::UnprocessableEntity.new
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.create_issue_comment("rails", "rails", 1, "Looks good to me")
+
+    assert_equal Github::ApiClient::ERROR_UPDATE_REJECTED, result[:error]
+  end
+
+  test "should fetch an issue comment" do
+    mock_client = OpenStruct.new
+    def mock_client.issue_comment(repo, comment_id)
+      raise ArgumentError unless repo == "rails/rails" && comment_id == 555
+
+      OpenStruct.new(
+        id: 555,
+        user: OpenStruct.new(login: "octocat", avatar_url: "https://avatar.png"),
+        body: "- [ ] Ship it",
+        created_at: Time.current,
+        updated_at: Time.current
+      )
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.fetch_issue_comment("rails", "rails", 555)
+
+    assert_equal 555, result[:github_id]
+    assert_equal "- [ ] Ship it", result[:body]
+  end
+
+  test "should handle a missing comment when fetching it" do
+    mock_client = OpenStruct.new
+    def mock_client.issue_comment(repo, comment_id)
+      raise Octokit::NotFound.new
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.fetch_issue_comment("rails", "rails", 555)
+
+    assert_equal Github::ApiClient::ERROR_COMMENT_NOT_FOUND, result[:error]
+  end
+
+  test "should update an issue body" do
+    mock_client = OpenStruct.new
+    def mock_client.update_issue(repo, issue_number, options)
+      raise ArgumentError unless repo == "rails/rails" && issue_number == 1
+
+      OpenStruct.new(
+        number: 1,
+        title: "Test Issue",
+        state: "open",
+        body: options[:body],
+        user: OpenStruct.new(login: "octocat", avatar_url: "https://avatar.png"),
+        labels: [],
+        assignees: [],
+        comments: 0,
+        created_at: Time.current,
+        updated_at: Time.current
+      )
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.update_issue_body("rails", "rails", 1, "- [x] Ship it")
+
+    assert_equal 1, result[:number]
+    assert_equal "- [x] Ship it", result[:body]
+  end
+
+  test "should handle missing permission when updating an issue body" do
+    mock_client = OpenStruct.new
+    def mock_client.update_issue(repo, issue_number, options)
+      raise Octokit::Forbidden.new
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.update_issue_body("rails", "rails", 1, "- [x] Ship it")
+
+    assert_equal Github::ApiClient::ERROR_FORBIDDEN, result[:error]
+  end
+
+  test "should update an issue comment" do
+    mock_client = OpenStruct.new
+    def mock_client.update_comment(repo, comment_id, body)
+      raise ArgumentError unless repo == "rails/rails" && comment_id == 555
+
+      OpenStruct.new(
+        id: 555,
+        user: OpenStruct.new(login: "octocat", avatar_url: "https://avatar.png"),
+        body: body,
+        created_at: 1.hour.ago,
+        updated_at: Time.current
+      )
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.update_issue_comment("rails", "rails", 555, "- [x] Ship it")
+
+    assert_equal 555, result[:github_id]
+    assert_equal "- [x] Ship it", result[:body]
+  end
+
+  test "should handle a missing comment when updating it" do
+    mock_client = OpenStruct.new
+    def mock_client.update_comment(repo, comment_id, body)
+      raise Octokit::NotFound.new
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.update_issue_comment("rails", "rails", 555, "- [x] Ship it")
+
+    assert_equal Github::ApiClient::ERROR_COMMENT_NOT_FOUND, result[:error]
+  end
+
+  test "should open an issue" do
+    mock_client = OpenStruct.new
+    def mock_client.create_issue(repo, title, body, options)
+      OpenStruct.new(
+        number: 101,
+        title: title,
+        state: "open",
+        body: body,
+        user: OpenStruct.new(login: "octocat", avatar_url: "https://avatar.png"),
+        labels: options[:labels].map { |name| OpenStruct.new(name: name, color: "d73a4a") },
+        assignees: [],
+        comments: 0,
+        created_at: Time.current,
+        updated_at: Time.current
+      )
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.create_issue("rails", "rails", "Crash on start", "It crashes", labels: [ "bug" ])
+
+    assert_equal 101, result[:number]
+    assert_equal "Crash on start", result[:title]
+    assert_equal [ { name: "bug", color: "d73a4a" } ], result[:labels]
+  end
+
+  test "should handle missing permission when opening an issue" do
+    mock_client = OpenStruct.new
+    def mock_client.create_issue(repo, title, body, options)
+      raise Octokit::Forbidden.new
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.create_issue("rails", "rails", "Crash on start", "It crashes")
+
+    assert_equal Github::ApiClient::ERROR_FORBIDDEN, result[:error]
+  end
+
+  test "should fetch issue templates" do
+    mock_client = OpenStruct.new
+    def mock_client.contents(repo, options)
+      if options[:path] == ".github/ISSUE_TEMPLATE"
+        [
+          OpenStruct.new(type: "file", name: "bug_report.md", path: ".github/ISSUE_TEMPLATE/bug_report.md"),
+          OpenStruct.new(type: "file", name: "config.yml", path: ".github/ISSUE_TEMPLATE/config.yml"),
+          OpenStruct.new(type: "dir", name: "old.md", path: ".github/ISSUE_TEMPLATE/old.md")
+        ]
+      else
+        OpenStruct.new(content: Base64.encode64("---\nname: Bug report\n---\n"))
+      end
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.fetch_issue_templates("rails", "rails")
+
+    assert_equal [ { filename: "bug_report.md", content: "---\nname: Bug report\n---\n" } ], result
+  end
+
+  test "should fetch a single issue template without listing the directory" do
+    mock_client = OpenStruct.new
+    def mock_client.contents(repo, options)
+      raise "listed #{options[:path]}" unless options[:path] == ".github/ISSUE_TEMPLATE/bug_report.md"
+
+      OpenStruct.new(type: "file", content: Base64.encode64("---\nname: Bug report\n---\n"))
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.fetch_issue_template("rails", "rails", "bug_report.md")
+
+    assert_equal({ filename: "bug_report.md", content: "---\nname: Bug report\n---\n" }, result)
+  end
+
+  test "should not fetch files that can't be issue templates" do
+    mock_client = OpenStruct.new
+    def mock_client.contents(repo, options)
+      raise "fetched #{options[:path]}"
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    assert_nil @client.fetch_issue_template("rails", "rails", "config.yml")
+    assert_nil @client.fetch_issue_template("rails", "rails", "../workflows/ci.yml")
+    assert_nil @client.fetch_issue_template("rails", "rails", "blank")
+  end
+
+  test "should return no issue templates when the repository has none" do
+    mock_client = OpenStruct.new
+    def mock_client.contents(repo, options)
+      raise Octokit::NotFound.new
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    assert_equal [], @client.fetch_issue_templates("rails", "rails")
+  end
+
+  test "should handle missing permission when assigning an issue" do
+    mock_client = OpenStruct.new
+    def mock_client.add_assignees(repo, issue_number, logins)
+      raise Octokit::Forbidden.new
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.add_issue_assignees("rails", "rails", 1, [ "octocat" ])
+
+    assert_equal Github::ApiClient::ERROR_FORBIDDEN, result[:error]
+  end
+
+  test "should handle SAML protected error when removing assignees" do
+    mock_client = OpenStruct.new
+    def mock_client.remove_assignees(repo, issue_number, logins)
+      raise Octokit::SAMLProtected.new
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.remove_issue_assignees("rails", "rails", 1, [ "octocat" ])
+
+    assert_includes result[:error], "SAML SSO authorization"
+  end
+
   # Test connection tests
 
   test "should test connection successfully" do
@@ -870,10 +1328,22 @@ class Github::ApiClientTest < ActiveSupport::TestCase
               projectItems: {
                 nodes: [
                   {
+                    id: "PVTI_1",
                     project: {
+                      id: "PVT_1",
                       title: "Sprint Board",
                       number: 1,
-                      url: "https://github.com/orgs/test/projects/1"
+                      url: "https://github.com/orgs/test/projects/1",
+                      fields: {
+                        nodes: [
+                          {},
+                          {
+                            id: "PVTSSF_1",
+                            name: "Status",
+                            options: [ { id: "opt_todo", name: "Todo" }, { id: "opt_progress", name: "In Progress" } ]
+                          }
+                        ]
+                      }
                     },
                     fieldValues: {
                       nodes: [
@@ -910,6 +1380,10 @@ class Github::ApiClientTest < ActiveSupport::TestCase
     assert_equal "Sprint Board", result[0][:project_title]
     assert_equal "In Progress", result[0][:fields]["Status"]
     assert_equal 5, result[0][:fields]["Estimate"]
+    assert_equal "PVTI_1", result[0][:item_id]
+    assert_equal "PVT_1", result[0][:project_id]
+    assert_equal [ { id: "PVTSSF_1", name: "Status", options: [ { id: "opt_todo", name: "Todo" }, { id: "opt_progress", name: "In Progress" } ] } ],
+      result[0][:editable_fields]
   end
 
   test "should return empty array on error in fetch_issue_project_fields" do
@@ -946,6 +1420,68 @@ class Github::ApiClientTest < ActiveSupport::TestCase
     assert_empty result
   end
 
+  # Tests for update_project_item_field
+
+  test "should set a project item field to an option" do
+    mock_client = OpenStruct.new
+    def mock_client.post(path, body)
+      @body = JSON.parse(body)
+      { data: { updateProjectV2ItemFieldValue: { projectV2Item: { id: "PVTI_1" } } } }
+    end
+    def mock_client.body
+      @body
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.update_project_item_field("PVT_1", "PVTI_1", "PVTSSF_1", "opt_done")
+
+    assert result[:success]
+    assert_includes mock_client.body["query"], "updateProjectV2ItemFieldValue"
+    assert_equal({ "projectId" => "PVT_1", "itemId" => "PVTI_1", "fieldId" => "PVTSSF_1", "optionId" => "opt_done" }, mock_client.body["variables"])
+  end
+
+  test "should clear a project item field without an option" do
+    mock_client = OpenStruct.new
+    def mock_client.post(path, body)
+      @body = JSON.parse(body)
+      { data: { clearProjectV2ItemFieldValue: { projectV2Item: { id: "PVTI_1" } } } }
+    end
+    def mock_client.body
+      @body
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.update_project_item_field("PVT_1", "PVTI_1", "PVTSSF_1", nil)
+
+    assert result[:success]
+    assert_includes mock_client.body["query"], "clearProjectV2ItemFieldValue"
+    assert_not mock_client.body["variables"].key?("optionId")
+  end
+
+  test "should return the error when a project item field update fails" do
+    mock_client = OpenStruct.new
+    def mock_client.post(path, body)
+      { errors: [ { message: "Resource not accessible by integration" } ] }
+    end
+    def mock_client.rate_limit
+      nil
+    end
+
+    @client.instance_variable_set(:@client, mock_client)
+
+    result = @client.update_project_item_field("PVT_1", "PVTI_1", "PVTSSF_1", "opt_done")
+
+    assert_equal "Resource not accessible by integration", result[:error]
+  end
+
   # Tests for fetch_issue_timeline
 
   test "should fetch timeline successfully" do
@@ -0,0 +1,134 @@
+require "test_helper"
+
+# Tests for GitHub IssueActionService with mocked API calls
+class Github::IssueActionServiceTest < ActiveSupport::TestCase
+  include ActiveJob::TestHelper
+  include Turbo::Broadcastable::TestHelper
+
+  setup do
+    @user = users(:one)
+    @repository = repositories(:one)
+    @repository.issues.destroy_all
+    @user.github_tokens.create!(domain: "github.com", token: "test_token_123")
+    @issue = @repository.issues.create!(
+      number: 1,
+      title: "Test Issue",
+      state: "open",
+      labels: [ { "name" => "bug", "color" => "d73a4a" } ],
+      github_created_at: 1.day.ago,
+      github_updated_at: 1.day.ago,
+      cached_at: 1.hour.ago
+    )
+    @mock_client = mock("ApiClient")
+    Github::ApiClient.stubs(:new).returns(@mock_client)
+  end
+
+  test "should add labels and update the cached issue" do
+    @mock_client.expects(:add_issue_labels).with("rails", "rails", 1, [ "enhancement" ]).returns([
+      { name: "bug", color: "d73a4a" },
+      { name: "enhancement", color: "a2eeef" }
+    ])
+
+    result = service("add_labels", [ "enhancement" ]).call
+
+    assert result[:success]
+    assert_equal [ "bug", "enhancement" ], @issue.reload.label_names
+  end
+
+  test "should close the issue and keep cached_at" do
+    cached_at = @issue.cached_at
+    @mock_client.expects(:update_issue_state).with("rails", "rails", 1, "closed").returns(sample_issue_data(state: "closed"))
+
+    result = service("close").call
+
+    assert result[:success]
+    assert @issue.reload.closed?
+    assert_equal cached_at.to_i, @issue.cached_at.to_i
+  end
+
+  test "should broadcast the updated card to open issue lists" do
+    @mock_client.expects(:update_issue_state).returns(sample_issue_data(state: "closed"))
+
+    perform_enqueued_jobs { service("close").call }
+
+    streams = capture_turbo_stream_broadcasts([ @repository, :issues ])
+    assert_equal 1, streams.size
+    assert_equal "replace", streams.first["action"]
+    assert_equal @issue.card_dom_id, streams.first["target"]
+  end
+
+  test "should build uncached issues without saving them" do
+    @mock_client.expects(:add_issue_assignees).with("rails", "rails", 2, [ "octocat" ]).returns(sample_issue_data(number: 2))
+
+    result = service("add_assignees", [ "octocat" ], issue_number: 2).call
+
+    assert result[:success]
+    assert result[:issue].new_record?
+    assert_equal "Issue 2", result[:issue].title
+    assert_nil @repository.issues.find_by(number: 2)
+  end
+
+  test "should fetch uncached issues after label actions" do
+    @mock_client.expects(:remove_issue_labels).returns([])
+    @mock_client.expects(:fetch_issue).with("rails", "rails", 2).returns(sample_issue_data(number: 2))
+
+    result = service("remove_labels", [ "bug" ], issue_number: 2).call
+
+    assert result[:success]
+    assert_equal 2, result[:issue].number
+  end
+
+  test "should return API errors" do
+    @mock_client.expects(:update_issue_state).returns({ error: Github::ApiClient::ERROR_FORBIDDEN })
+
+    result = service("reopen").call
+
+    assert_not result[:success]
+    assert_equal Github::ApiClient::ERROR_FORBIDDEN, result[:error]
+  end
+
+  test "should reject unknown actions" do
+    result = service("lock").call
+
+    assert_not result[:success]
+    assert_includes result[:error], "Unknown action"
+  end
+
+  test "should require values for label and assignee actions" do
+    result = service("add_labels", [ "" ]).call
+
+    assert_not result[:success]
+    assert_equal "No labels or assignees given", result[:error]
+  end
+
+  test "should return error without a GitHub token" do
+    @user.github_tokens.destroy_all
+
+    result = service("close").call
+
+    assert_not result[:success]
+    assert_includes result[:error], "No GitHub token configured"
+  end
+
+  private
+
+  def service(action, values = [], issue_number: 1)
+    Github::IssueActionService.new(user: @user, repository: @repository, issue_number: issue_number, action: action, values: values)
+  end
+
+  def sample_issue_data(number: 1, state: "open")
+    {
+      number: number,
+      title: "Issue #{number}",
+      state: state,
+      body: "Body",
+      author_login: "octocat",
+      author_avatar_url: "https://example.com/avatar.png",
+      labels: [],
+      assignees: [ { login: "octocat", avatar_url: "https://example.com/avatar.png" } ],
+      comments_count: 0,
+      created_at: 1.day.ago,
+      updated_at: Time.current
+    }
+  end
+end
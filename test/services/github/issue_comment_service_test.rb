@@ -0,0 +1,105 @@
+require "test_helper"
+
+# Tests for GitHub IssueCommentService with mocked API calls
+class Github::IssueCommentServiceTest < ActiveSupport::TestCase
+  include ActiveJob::TestHelper
+  include Turbo::Broadcastable::TestHelper
+
+  setup do
+    @user = users(:one)
+    @repository = repositories(:one)
+    @repository.issues.destroy_all
+    @user.github_tokens.create!(domain: "github.com", token: "test_token_123")
+    @issue = @repository.issues.create!(
+      number: 1,
+      title: "Test Issue",
+      state: "open",
+      comments_count: 2,
+      github_created_at: 1.day.ago,
+      github_updated_at: 1.day.ago,
+      cached_at: 1.hour.ago
+    )
+    @mock_client = mock("ApiClient")
+    Github::ApiClient.stubs(:new).returns(@mock_client)
+  end
+
+  test "should post the comment and cache it with the issue" do
+    @mock_client.expects(:create_issue_comment).with("rails", "rails", 1, "Looks good to me").returns(sample_comment_data)
+
+    result = service("Looks good to me").call
+
+    assert result[:success]
+    comment = result[:comment]
+    assert comment.persisted?
+    assert_equal 555, comment.github_id
+    assert_equal "Looks good to me", comment.body
+    assert_equal 3, @issue.reload.comments_count
+  end
+
+  test "should broadcast the comment to others viewing the issue" do
+    @mock_client.expects(:create_issue_comment).returns(sample_comment_data)
+
+    perform_enqueued_jobs { service("Looks good to me").call }
+
+    streams = capture_turbo_stream_broadcasts([ @issue, :comments ])
+    assert_equal 1, streams.size
+    assert_equal "issue_timeline", streams.first["target"]
+    assert_includes streams.first.to_html, "comment_555"
+  end
+
+  test "should not count a comment sync already cached" do
+    @issue.issue_comments.create!(github_id: 555, body: "Looks good to me", github_created_at: Time.current)
+    @mock_client.expects(:create_issue_comment).returns(sample_comment_data)
+
+    result = service("Looks good to me").call
+
+    assert result[:success]
+    assert_equal 1, @issue.issue_comments.count
+    assert_equal 2, @issue.reload.comments_count
+  end
+
+  test "should not post a blank comment" do
+    @mock_client.expects(:create_issue_comment).never
+
+    result = service("  ").call
+
+    assert_not result[:success]
+    assert_equal "Comment can't be blank", result[:error]
+  end
+
+  test "should return API errors without caching anything" do
+    @mock_client.expects(:create_issue_comment).returns({ error: Github::ApiClient::ERROR_FORBIDDEN })
+
+    result = service("Looks good to me").call
+
+    assert_not result[:success]
+    assert_equal Github::ApiClient::ERROR_FORBIDDEN, result[:error]
+    assert_empty @issue.issue_comments
+  end
+
+  test "should return error without a GitHub token" do
+    @user.github_tokens.destroy_all
+
+    result = service("Looks good to me").call
+
+    assert_not result[:success]
+    assert_includes result[:error], "No GitHub token configured"
+  end
+
+  private
+
+  def service(body)
+    Github::IssueCommentService.new(user: @user, issue: @issue, body: body)
+  end
+
+  def sample_comment_data
+    {
+      github_id: 555,
+      author_login: "octocat",
+      author_avatar_url: "https://example.com/avatar.png",
+      body: "Looks good to me",
+      created_at: Time.current,
+      updated_at: Time.current
+    }
+  end
+end
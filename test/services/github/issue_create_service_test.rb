@@ -0,0 +1,93 @@
+require "test_helper"
+
+# Tests for GitHub IssueCreateService with mocked API calls
+class Github::IssueCreateServiceTest < ActiveSupport::TestCase
+  include ActiveJob::TestHelper
+  include Turbo::Broadcastable::TestHelper
+
+  setup do
+    @user = users(:one)
+    @repository = repositories(:one)
+    @repository.issues.destroy_all
+    @user.github_tokens.create!(domain: "github.com", token: "test_token_123")
+    @mock_client = mock("ApiClient")
+    Github::ApiClient.stubs(:new).returns(@mock_client)
+  end
+
+  test "should open the issue and cache it" do
+    @mock_client.expects(:create_issue)
+      .with("rails", "rails", "Crash on start", "It crashes", labels: [ "bug" ], assignees: [ "octocat" ])
+      .returns(sample_issue_data)
+
+    result = service(labels: [ "bug", "" ], assignees: [ "octocat" ]).call
+
+    assert result[:success]
+    issue = result[:issue]
+    assert issue.persisted?
+    assert_equal 101, issue.number
+    assert_equal "Crash on start", issue.title
+    assert_equal [ "bug" ], issue.label_names
+    assert_not_nil issue.cached_at
+  end
+
+  test "should broadcast the new issue to open issue lists" do
+    @mock_client.expects(:create_issue).returns(sample_issue_data)
+
+    perform_enqueued_jobs { service.call }
+
+    streams = capture_turbo_stream_broadcasts([ @repository, :issues ])
+    assert_equal 1, streams.size
+    assert_equal "prepend", streams.first["action"]
+    assert_equal "issues_list", streams.first["target"]
+  end
+
+  test "should not open an issue without a title" do
+    @mock_client.expects(:create_issue).never
+
+    result = service(title: "  ").call
+
+    assert_not result[:success]
+    assert_equal "Title can't be blank", result[:error]
+  end
+
+  test "should return API errors without caching anything" do
+    @mock_client.expects(:create_issue).returns({ error: Github::ApiClient::ERROR_FORBIDDEN })
+
+    result = service.call
+
+    assert_not result[:success]
+    assert_equal Github::ApiClient::ERROR_FORBIDDEN, result[:error]
+    assert_empty @repository.issues
+  end
+
+  test "should return error without a GitHub token" do
+    @user.github_tokens.destroy_all
+
+    result = service.call
+
+    assert_not result[:success]
+    assert_includes result[:error], "No GitHub token configured"
+  end
+
+  private
+
+  def service(title: "Crash on start", labels: [], assignees: [])
+    Github::IssueCreateService.new(user: @user, repository: @repository, title: title, body: "It crashes", labels: labels, assignees: assignees)
+  end
+
+  def sample_issue_data
+    {
+      number: 101,
+      title: "Crash on start",
+      state: "open",
+      body: "It crashes",
+      author_login: "octocat",
+      author_avatar_url: "https://example.com/avatar.png",
+      labels: [ { name: "bug", color: "d73a4a" } ],
+      assignees: [ { login: "octocat", avatar_url: "https://example.com/avatar.png" } ],
+      comments_count: 0,
+      created_at: Time.current,
+      updated_at: Time.current
+    }
+  end
+end
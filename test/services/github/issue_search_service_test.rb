@@ -160,6 +160,32 @@ module Github
       assert_includes result[:issues], @issue1
     end
 
+    test "local search excludes negated labels" do
+      service = IssueSearchService.new(
+        user: @user,
+        repository: @repository,
+        filters: { state: "open", excluded_labels: [ "bug" ] }
+      )
+      result = service.call
+
+      assert result[:success]
+      assert_equal 1, result[:count]
+      assert_includes result[:issues], @issue2
+    end
+
+    test "local search requires every assignee and excludes negated assignees" do
+      @issue2.update!(assignees: [
+        { "login" => "dev1", "avatar_url" => "https://github.com/dev1.png" },
+        { "login" => "dev2", "avatar_url" => "https://github.com/dev2.png" }
+      ])
+
+      both = IssueSearchService.new(user: @user, repository: @repository, filters: { assignees: [ "dev1", "dev2" ] }).call
+      assert_equal [ @issue2 ], both[:issues].to_a
+
+      without_dev2 = IssueSearchService.new(user: @user, repository: @repository, filters: { assignees: [ "dev1" ], excluded_assignees: [ "dev2" ] }).call
+      assert_equal [ @issue1 ], without_dev2[:issues].to_a
+    end
+
     test "local search combines query and filters" do
       service = IssueSearchService.new(
         user: @user,
@@ -320,6 +346,29 @@ module Github
       assert result[:success]
     end
 
+    test "github search builds query with negated and multiple qualifiers" do
+      @user.github_tokens.create!(
+        token: "ghp_test_token",
+        domain: "github.com"
+      )
+
+      mock_client = mock("ApiClient")
+      expected_query = "repo:octocat/hello-world label:\"bug\" -label:\"wontfix\" assignee:dev1 assignee:dev2 -assignee:dev3"
+      mock_client.expects(:search_issues).with(expected_query, sort: "created", order: "desc", per_page: 30, page: 1).returns({ items: [], total_count: 0 })
+      mock_client.expects(:rate_limit_info).returns(nil)
+
+      Github::ApiClient.expects(:new).returns(mock_client)
+
+      service = IssueSearchService.new(
+        user: @user,
+        repository: @repository,
+        filters: { labels: [ "bug" ], excluded_labels: [ "wontfix" ], assignees: [ "dev1", "dev2" ], excluded_assignees: [ "dev3" ] },
+        search_mode: :github
+      )
+
+      assert service.call[:success]
+    end
+
     test "github search handles API errors" do
       github_token = @user.github_tokens.create!(
         token: "ghp_test_token",
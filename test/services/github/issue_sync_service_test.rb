@@ -294,6 +294,121 @@ class Github::IssueSyncServiceTest < ActiveSupport::TestCase
     assert_equal 0, @repository.issues.count
   end
 
+  # Progress tests
+
+  test "should report progress as issues are synced" do
+    mock_client = create_mock_client_with_issues_and_comments
+    mock_client.define_singleton_method(:last_response_rate_limit) do
+      { "core" => { remaining: 4990, limit: 5000, resets_at: 1.hour.from_now } }
+    end
+    Github::ApiClient.stubs(:new).returns(mock_client)
+    reports = []
+    progress = ->(fetched, total, rate_limit) { reports << [ fetched, total, rate_limit.dig("core", :remaining) ] }
+
+    result = Github::IssueSyncService.new(user: @user, repository: @repository, progress: progress).call
+
+    assert result[:success]
+    assert_equal [ [ 0, 2, 4990 ], [ 1, 2, 4990 ], [ 2, 2, 4990 ] ], reports
+  end
+
+  test "should roll back a sync cancelled from its progress callback" do
+    mock_client = create_mock_client_with_issues_and_comments
+    mock_client.define_singleton_method(:last_response_rate_limit) { nil }
+    Github::ApiClient.stubs(:new).returns(mock_client)
+    cached_at = @repository.cached_at
+    progress = ->(fetched, _total, _rate_limit) { raise Github::IssueSyncService::Cancelled if fetched == 1 }
+
+    result = Github::IssueSyncService.new(user: @user, repository: @repository, progress: progress).call
+
+    assert_not result[:success]
+    assert result[:cancelled]
+    assert_equal Github::IssueSyncService::ERROR_CANCELLED, result[:error]
+    assert_equal 0, @repository.issues.count
+    assert_equal cached_at, @repository.reload.cached_at
+  end
+
+  # Live update tests
+
+  test "should broadcast new issues and comments" do
+    Github::ApiClient.stubs(:new).returns(create_mock_client_with_issues_and_comments)
+    Issue.any_instance.expects(:broadcast_synced).twice
+    IssueComment.any_instance.expects(:broadcast_synced).twice
+
+    assert @service.call[:success]
+  end
+
+  test "should not broadcast unchanged issues on re-sync" do
+    Github::ApiClient.stubs(:new).returns(create_mock_client_with_issues_and_comments)
+
+    freeze_time do
+      Issue.any_instance.stubs(:broadcast_synced)
+      IssueComment.any_instance.stubs(:broadcast_synced)
+      @service.call
+
+      Issue.any_instance.expects(:broadcast_synced).never
+      IssueComment.any_instance.expects(:broadcast_synced).never
+      assert @service.call[:success]
+    end
+  end
+
+  test "should broadcast issues changed since the last sync" do
+    Github::ApiClient.stubs(:new).returns(create_mock_client_with_issues_and_comments)
+
+    freeze_time do
+      Issue.any_instance.stubs(:broadcast_synced)
+      IssueComment.any_instance.stubs(:broadcast_synced)
+      @service.call
+      @repository.issues.find_by!(number: 2).update!(title: "Old title")
+
+      Issue.any_instance.expects(:broadcast_synced).once
+      assert @service.call[:success]
+    end
+  end
+
+  test "should not broadcast a rolled back sync" do
+    mock_client = create_mock_client_with_issues_and_comments
+    mock_client.define_singleton_method(:fetch_issue_comments) do |_owner, _repo_name, issue_number|
+      raise StandardError, "Comments unavailable" if issue_number == 2
+
+      []
+    end
+    Github::ApiClient.stubs(:new).returns(mock_client)
+    Issue.any_instance.expects(:broadcast_synced).never
+
+    assert_not @service.call[:success]
+  end
+
+  # Watch notification tests
+
+  test "should pass changes to cached issues on to the watch notifier" do
+    issue = @repository.issues.create!(
+      number: 1,
+      title: "Test Issue 1",
+      state: "closed",
+      labels: [ { "name" => "wontfix", "color" => "ffffff" } ],
+      comments_count: 0,
+      author_login: "octocat"
+    )
+
+    Github::ApiClient.stubs(:new).returns(create_mock_client_with_issues_and_comments)
+    notifier = mock("WatchNotifier")
+    notifier.expects(:call).returns(1)
+    Push::WatchNotifier.expects(:new).with(
+      user: @user,
+      repository: @repository,
+      changes: { issue => { state: "open", labels: { added: [ "bug" ], removed: [ "wontfix" ] }, comments: 2 } }
+    ).returns(notifier)
+
+    assert @service.call[:success]
+  end
+
+  test "should not notify watchers about newly cached issues" do
+    Github::ApiClient.stubs(:new).returns(create_mock_client_with_issues_and_comments)
+    Push::WatchNotifier.expects(:new).never
+
+    assert @service.call[:success]
+  end
+
   # Test helper methods
 
   def create_mock_client_with_issues_and_comments
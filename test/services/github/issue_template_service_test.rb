@@ -0,0 +1,94 @@
+require "test_helper"
+
+# Tests for GitHub IssueTemplateService with mocked API calls
+class Github::IssueTemplateServiceTest < ActiveSupport::TestCase
+  setup do
+    @user = users(:one)
+    @repository = repositories(:one)
+    @user.github_tokens.create!(domain: "github.com", token: "test_token_123")
+    @mock_client = mock("ApiClient")
+    Github::ApiClient.stubs(:new).returns(@mock_client)
+  end
+
+  test "should parse the repository's templates, skipping invalid files" do
+    @mock_client.expects(:fetch_issue_templates).with("rails", "rails").returns([
+      { filename: "bug_report.md", content: "---\nname: Bug report\n---\nSteps" },
+      { filename: "notes.md", content: "Not a template" }
+    ])
+
+    result = service.call
+
+    assert result[:success]
+    assert_equal [ "Bug report" ], result[:templates].map(&:name)
+  end
+
+  test "should fetch templates once while cached" do
+    Rails.stubs(:cache).returns(ActiveSupport::Cache::MemoryStore.new)
+    @mock_client.expects(:fetch_issue_templates).once.returns([ { filename: "bug_report.md", content: "---\nname: Bug report\n---\n" } ])
+
+    2.times { assert_equal 1, service.call[:templates].size }
+  end
+
+  test "should return API errors without caching them" do
+    Rails.stubs(:cache).returns(ActiveSupport::Cache::MemoryStore.new)
+    @mock_client.expects(:fetch_issue_templates).twice.returns({ error: Github::ApiClient::ERROR_SAML_PROTECTED })
+
+    2.times do
+      result = service.call
+      assert_not result[:success]
+      assert_equal Github::ApiClient::ERROR_SAML_PROTECTED, result[:error]
+    end
+  end
+
+  test "should fetch only the chosen template while the list isn't cached" do
+    @mock_client.expects(:fetch_issue_templates).never
+    @mock_client.expects(:fetch_issue_template).with("rails", "rails", "bug_report.md")
+      .returns({ filename: "bug_report.md", content: "---\nname: Bug report\n---\n" })
+
+    result = service.find("bug_report.md")
+
+    assert result[:success]
+    assert_equal "Bug report", result[:template].name
+  end
+
+  test "should find the chosen template in the cached list" do
+    Rails.stubs(:cache).returns(ActiveSupport::Cache::MemoryStore.new)
+    @mock_client.expects(:fetch_issue_templates).once.returns([ { filename: "bug_report.md", content: "---\nname: Bug report\n---\n" } ])
+    @mock_client.expects(:fetch_issue_template).never
+
+    service.call
+
+    assert_equal "Bug report", service.find("bug_report.md")[:template].name
+    assert_nil service.find("missing.md")[:template]
+  end
+
+  test "should not go to GitHub for the blank issue" do
+    Github::ApiClient.expects(:new).never
+
+    assert_equal({ success: true, template: nil }, service.find(""))
+  end
+
+  test "should return API errors for the chosen template" do
+    @mock_client.expects(:fetch_issue_template).returns({ error: Github::ApiClient::ERROR_UNAUTHORIZED })
+
+    result = service.find("bug_report.md")
+
+    assert_not result[:success]
+    assert_equal Github::ApiClient::ERROR_UNAUTHORIZED, result[:error]
+  end
+
+  test "should return error without a GitHub token" do
+    @user.github_tokens.destroy_all
+
+    result = service.call
+
+    assert_not result[:success]
+    assert_includes result[:error], "No GitHub token configured"
+  end
+
+  private
+
+  def service
+    Github::IssueTemplateService.new(user: @user, repository: @repository)
+  end
+end
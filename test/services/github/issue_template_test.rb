@@ -0,0 +1,139 @@
+require "test_helper"
+
+# Tests for Github::IssueTemplate
+class Github::IssueTemplateTest < ActiveSupport::TestCase
+  test "should parse a markdown template's front matter and body" do
+    template = Github::IssueTemplate.parse("bug_report.md", <<~MARKDOWN)
+      ---
+      name: Bug report
+      about: Something isn't working
+      title: "[Bug] "
+      labels: bug, needs triage
+      assignees: ''
+      ---
+
+      **Steps to reproduce**
+    MARKDOWN
+
+    assert_equal "bug_report.md", template.filename
+    assert_equal "Bug report", template.name
+    assert_equal "Something isn't working", template.about
+    assert_equal "[Bug] ", template.title
+    assert_equal [ "bug", "needs triage" ], template.labels
+    assert_empty template.assignees
+    assert_equal "**Steps to reproduce**", template.body
+    assert_not template.form?
+  end
+
+  test "should parse an issue form's fields" do
+    template = Github::IssueTemplate.parse("feature.yml", feature_form)
+
+    assert_equal "Feature request", template.name
+    assert_equal "Suggest an idea", template.about
+    assert_equal [ "enhancement" ], template.labels
+    assert template.form?
+    assert_equal [ "field_0", "problem", "logs", "field_3", "terms" ], template.fields.map(&:key)
+
+    problem = template.fields.second
+    assert_equal "textarea", problem.type
+    assert_equal "Problem", problem.label
+    assert problem.required
+    assert_equal [ "Firefox", "Chrome" ], template.fields.fourth.options
+    assert template.fields.fourth.multiple
+    assert_equal [ "I agree" ], template.fields.fifth.options
+  end
+
+  test "should compose an issue form's body like GitHub" do
+    template = Github::IssueTemplate.parse("feature.yml", feature_form)
+
+    body = template.compose_body("problem" => "Searching is slow", "logs" => "boom", "field_3" => [ "", "Firefox", "Chrome" ], "terms" => [ "0" ])
+
+    assert_equal <<~MARKDOWN.chomp, body
+      ### Problem
+
+      Searching is slow
+
+      ### Logs
+
+      ```shell
+      boom
+      ```
+
+      ### Browser
+
+      Firefox, Chrome
+
+      ### Code of conduct
+
+      - [x] I agree
+    MARKDOWN
+  end
+
+  test "should fill in unanswered fields" do
+    template = Github::IssueTemplate.parse("feature.yml", feature_form)
+
+    body = template.compose_body(nil)
+
+    assert_includes body, "### Problem\n\n_No response_"
+    assert_includes body, "### Logs\n\n_No response_"
+    assert_includes body, "- [ ] I agree"
+  end
+
+  test "should skip field types GitHub doesn't support" do
+    template = Github::IssueTemplate.parse("form.yml", <<~YAML)
+      name: Form
+      body:
+        - type: slider
+          attributes:
+            label: Rating
+        - type: input
+          id: version
+          attributes:
+            label: Version
+    YAML
+
+    assert_equal [ "version" ], template.fields.map(&:key)
+  end
+
+  test "should not parse files that aren't templates" do
+    assert_nil Github::IssueTemplate.parse("notes.md", "Just some notes")
+    assert_nil Github::IssueTemplate.parse("broken.yml", "name: [")
+    assert_nil Github::IssueTemplate.parse("nameless.yml", "body: []")
+  end
+
+  private
+
+  def feature_form
+    <<~YAML
+      name: Feature request
+      description: Suggest an idea
+      labels: [enhancement]
+      body:
+        - type: markdown
+          attributes:
+            value: Thanks for the suggestion!
+        - type: textarea
+          id: problem
+          attributes:
+            label: Problem
+          validations:
+            required: true
+        - type: textarea
+          id: logs
+          attributes:
+            label: Logs
+            render: shell
+        - type: dropdown
+          attributes:
+            label: Browser
+            multiple: true
+            options: [Firefox, Chrome]
+        - type: checkboxes
+          id: terms
+          attributes:
+            label: Code of conduct
+            options:
+              - label: I agree
+    YAML
+  end
+end
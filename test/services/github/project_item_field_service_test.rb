@@ -0,0 +1,68 @@
+require "test_helper"
+
+# Tests for GitHub ProjectItemFieldService with mocked API calls
+class Github::ProjectItemFieldServiceTest < ActiveSupport::TestCase
+  setup do
+    @user = users(:one)
+    @repository = repositories(:one)
+    @user.github_tokens.create!(domain: "github.com", token: "test_token_123")
+    @mock_client = mock("ApiClient")
+    Github::ApiClient.stubs(:new).returns(@mock_client)
+  end
+
+  test "should set the field to the option" do
+    @mock_client.expects(:update_project_item_field).with("PVT_1", "PVTI_1", "PVTSSF_1", "opt_done").returns({ success: true })
+
+    result = service(option_id: "opt_done").call
+
+    assert result[:success]
+  end
+
+  test "should clear the field without an option" do
+    @mock_client.expects(:update_project_item_field).with("PVT_1", "PVTI_1", "PVTSSF_1", nil).returns({ success: true })
+
+    result = service(option_id: "").call
+
+    assert result[:success]
+  end
+
+  test "should return API errors" do
+    @mock_client.expects(:update_project_item_field).returns({ error: "Resource not accessible by integration" })
+
+    result = service(option_id: "opt_done").call
+
+    assert_not result[:success]
+    assert_equal "Resource not accessible by integration", result[:error]
+  end
+
+  test "should require the project, item and field" do
+    @mock_client.expects(:update_project_item_field).never
+
+    result = Github::ProjectItemFieldService.new(user: @user, repository: @repository, project_id: "PVT_1", item_id: "", field_id: "PVTSSF_1").call
+
+    assert_not result[:success]
+    assert_equal "No project field given", result[:error]
+  end
+
+  test "should return error without a GitHub token" do
+    @user.github_tokens.destroy_all
+
+    result = service(option_id: "opt_done").call
+
+    assert_not result[:success]
+    assert_includes result[:error], "No GitHub token configured"
+  end
+
+  private
+
+  def service(option_id:)
+    Github::ProjectItemFieldService.new(
+      user: @user,
+      repository: @repository,
+      project_id: "PVT_1",
+      item_id: "PVTI_1",
+      field_id: "PVTSSF_1",
+      option_id: option_id
+    )
+  end
+end
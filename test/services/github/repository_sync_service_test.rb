@@ -38,6 +38,7 @@ class Github::RepositorySyncServiceTest < ActiveSupport::TestCase
     assert_equal "https://github.com/rails/rails", repo.url
     assert_equal 0, repo.issue_count  # Not provided by API
     assert_equal 100, repo.open_issue_count
+    assert repo.can_push?
     assert repo.cached_at >= 1.second.ago
   end
 
@@ -140,7 +141,8 @@ class Github::RepositorySyncServiceTest < ActiveSupport::TestCase
         full_name: "rails/rails",
         description: "Ruby on Rails",
         url: "https://github.com/rails/rails",
-        open_issues_count: 100
+        open_issues_count: 100,
+        can_push: true
       }
     end
     mock_client
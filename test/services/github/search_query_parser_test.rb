@@ -0,0 +1,37 @@
+require "test_helper"
+
+# Tests for Github::SearchQueryParser
+class Github::SearchQueryParserTest < ActiveSupport::TestCase
+  test "should return no filters for a blank query" do
+    assert_equal({ query: nil, filters: {}, sort: nil, has_qualifiers: false }, Github::SearchQueryParser.parse(""))
+  end
+
+  test "should keep plain text as the query" do
+    result = Github::SearchQueryParser.parse("memory leak")
+
+    assert_equal "memory leak", result[:query]
+    assert_equal({}, result[:filters])
+    assert_not result[:has_qualifiers]
+  end
+
+  test "should parse qualifiers into filters" do
+    result = Github::SearchQueryParser.parse('is:closed label:bug label:"needs triage" -label:wontfix assignee:alice -assignee:bob author:carol crash')
+
+    assert_equal "crash", result[:query]
+    assert_equal({
+      state: "closed",
+      labels: [ "bug", "needs triage" ],
+      excluded_labels: [ "wontfix" ],
+      assignees: [ "alice" ],
+      excluded_assignees: [ "bob" ],
+      author: "carol"
+    }, result[:filters])
+    assert result[:has_qualifiers]
+  end
+
+  test "should parse sort qualifiers" do
+    assert_equal "updated", Github::SearchQueryParser.parse("sort:updated-desc")[:sort]
+    assert_equal "created-asc", Github::SearchQueryParser.parse("sort:created-asc")[:sort]
+    assert_equal "comments", Github::SearchQueryParser.parse("sort:comments")[:sort]
+  end
+end
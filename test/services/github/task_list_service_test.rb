@@ -0,0 +1,145 @@
+require "test_helper"
+
+# Tests for GitHub TaskListService with mocked API calls
+class Github::TaskListServiceTest < ActiveSupport::TestCase
+  include ActiveJob::TestHelper
+  include Turbo::Broadcastable::TestHelper
+
+  BODY = "Steps:\r\n\r\n- [x] Write tests\r\n- [ ] Ship it\r\n"
+
+  setup do
+    @user = users(:one)
+    @repository = repositories(:one)
+    @repository.issues.destroy_all
+    @user.github_tokens.create!(domain: "github.com", token: "test_token_123")
+    @issue = @repository.issues.create!(
+      number: 1,
+      title: "Test Issue",
+      state: "open",
+      body: BODY,
+      github_created_at: 1.day.ago,
+      github_updated_at: 1.day.ago,
+      cached_at: 1.hour.ago
+    )
+    @mock_client = mock("ApiClient")
+    Github::ApiClient.stubs(:new).returns(@mock_client)
+  end
+
+  test "should check the item and save the issue body" do
+    checked_body = "Steps:\r\n\r\n- [x] Write tests\r\n- [x] Ship it\r\n"
+    @mock_client.expects(:fetch_issue).with("rails", "rails", 1).returns(sample_issue_data(body: BODY))
+    @mock_client.expects(:update_issue_body).with("rails", "rails", 1, checked_body).returns(sample_issue_data(body: checked_body))
+
+    result = service(line: 4, checked: true).call
+
+    assert result[:success]
+    assert_equal checked_body, result[:body]
+    assert_equal TaskList.digest(checked_body), result[:digest]
+    assert_equal checked_body, @issue.reload.body
+  end
+
+  test "should broadcast the issue's new task progress to open issue lists" do
+    @mock_client.expects(:fetch_issue).returns(sample_issue_data(body: BODY))
+    @mock_client.expects(:update_issue_body).returns(sample_issue_data(body: BODY.sub("[ ]", "[x]")))
+
+    perform_enqueued_jobs { service(line: 4, checked: true).call }
+
+    streams = capture_turbo_stream_broadcasts([ @repository, :issues ])
+    assert_equal 1, streams.size
+    assert_equal @issue.card_dom_id, streams.first["target"]
+  end
+
+  test "should uncheck an item in a comment" do
+    comment = @issue.issue_comments.create!(github_id: 555, body: BODY, github_created_at: 1.hour.ago)
+    unchecked_body = "Steps:\r\n\r\n- [ ] Write tests\r\n- [ ] Ship it\r\n"
+    @mock_client.expects(:fetch_issue_comment).with("rails", "rails", "555").returns(sample_comment_data(body: BODY))
+    @mock_client.expects(:update_issue_comment).with("rails", "rails", "555", unchecked_body).returns(sample_comment_data(body: unchecked_body))
+
+    result = service(line: 3, checked: false, comment_id: "555").call
+
+    assert result[:success]
+    assert_equal unchecked_body, comment.reload.body
+    assert_equal BODY, @issue.reload.body
+  end
+
+  test "should report a conflict when the body changed on GitHub" do
+    edited_body = "Steps:\r\n\r\n- [x] Write tests\r\n- [ ] Write docs\r\n- [ ] Ship it\r\n"
+    @mock_client.expects(:fetch_issue).returns(sample_issue_data(body: edited_body))
+    @mock_client.expects(:update_issue_body).never
+
+    result = service(line: 4, checked: true).call
+
+    assert_not result[:success]
+    assert result[:conflict]
+    assert_equal Github::TaskListService::CONFLICT_ERROR, result[:error]
+    assert_equal edited_body, @issue.reload.body
+  end
+
+  test "should reject lines without a task list item" do
+    @mock_client.expects(:fetch_issue).returns(sample_issue_data(body: BODY))
+    @mock_client.expects(:update_issue_body).never
+
+    result = service(line: 1, checked: true).call
+
+    assert_not result[:success]
+    assert_equal "No task list item on line 1", result[:error]
+  end
+
+  test "should return API errors" do
+    @mock_client.expects(:fetch_issue).returns(sample_issue_data(body: BODY))
+    @mock_client.expects(:update_issue_body).returns({ error: Github::ApiClient::ERROR_FORBIDDEN })
+
+    result = service(line: 4, checked: true).call
+
+    assert_not result[:success]
+    assert_equal Github::ApiClient::ERROR_FORBIDDEN, result[:error]
+    assert_equal BODY, @issue.reload.body
+  end
+
+  test "should return error without a GitHub token" do
+    @user.github_tokens.destroy_all
+
+    result = service(line: 4, checked: true).call
+
+    assert_not result[:success]
+    assert_includes result[:error], "No GitHub token configured"
+  end
+
+  private
+
+  def service(line:, checked:, comment_id: nil, digest: TaskList.digest(BODY))
+    Github::TaskListService.new(
+      user: @user,
+      repository: @repository,
+      issue_number: 1,
+      comment_id: comment_id,
+      line: line,
+      checked: checked,
+      digest: digest
+    )
+  end
+
+  def sample_issue_data(body:)
+    {
+      number: 1,
+      title: "Test Issue",
+      state: "open",
+      body: body,
+      labels: [],
+      assignees: [],
+      comments_count: 0,
+      created_at: 1.day.ago,
+      updated_at: Time.current
+    }
+  end
+
+  def sample_comment_data(body:)
+    {
+      github_id: 555,
+      author_login: "octocat",
+      body: body,
+      created_at: 1.hour.ago,
+      updated_at: Time.current
+    }
+  end
+end
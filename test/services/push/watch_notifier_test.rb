@@ -0,0 +1,76 @@
+require "test_helper"
+
+# Tests for Push::WatchNotifier
+class Push::WatchNotifierTest < ActiveSupport::TestCase
+  setup do
+    @user = users(:one)
+    @repository = repositories(:one)
+    @issue = issues(:one)
+    @user.push_subscriptions.create!(endpoint: "https://fcm.googleapis.com/fcm/send/abc123", p256dh_key: "key", auth_key: "auth")
+    Push::WebPushClient.stubs(:configured?).returns(true)
+  end
+
+  test "should queue a notification for a watched issue" do
+    @user.watches.create!(watchable: @issue)
+
+    PushNotificationJob.expects(:perform_later).with(@user, {
+      title: "#{@repository.full_name}#1: Add support for new feature",
+      options: {
+        body: "Closed\nLabeled: bug\n2 new comments",
+        tag: "issue-#{@issue.id}",
+        icon: "/icon.png",
+        data: { path: "/repositories/#{@repository.id}/issues/1" }
+      }
+    })
+
+    assert_equal 1, notify(@issue => { state: "closed", labels: { added: [ "bug" ], removed: [] }, comments: 2 })
+  end
+
+  test "should queue a notification for an issue matching a watched saved search" do
+    saved_search = @user.saved_searches.create!(name: "Security", query: "label:security", repository: @repository)
+    @user.watches.create!(watchable: saved_search)
+    issue = issues(:two)
+
+    PushNotificationJob.expects(:perform_later).with(@user, has_entry(options: has_entry(tag: "issue-#{issue.id}")))
+
+    assert_equal 1, notify(@issue => { comments: 1 }, issue => { state: "open" })
+  end
+
+  test "should ignore saved searches for other repositories" do
+    @user.watches.create!(watchable: saved_searches(:stale))
+
+    PushNotificationJob.expects(:perform_later).never
+
+    assert_equal 0, notify(@issue => { state: "closed" })
+  end
+
+  test "should not notify about unwatched issues" do
+    PushNotificationJob.expects(:perform_later).never
+
+    assert_equal 0, notify(@issue => { state: "closed" })
+  end
+
+  test "should not notify without push subscriptions" do
+    @user.watches.create!(watchable: @issue)
+    @user.push_subscriptions.destroy_all
+
+    PushNotificationJob.expects(:perform_later).never
+
+    assert_equal 0, notify(@issue => { state: "closed" })
+  end
+
+  test "should not notify when push notifications are not configured" do
+    @user.watches.create!(watchable: @issue)
+    Push::WebPushClient.stubs(:configured?).returns(false)
+
+    PushNotificationJob.expects(:perform_later).never
+
+    assert_equal 0, notify(@issue => { state: "closed" })
+  end
+
+  private
+
+  def notify(changes)
+    Push::WatchNotifier.new(user: @user, repository: @repository, changes: changes).call
+  end
+end
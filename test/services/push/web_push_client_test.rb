@@ -0,0 +1,98 @@
+require "test_helper"
+
+# Tests for Push::WebPushClient VAPID keys and delivery
+class Push::WebPushClientTest < ActiveSupport::TestCase
+  setup do
+    @vapid = Push::WebPushClient.generate_vapid_keys.merge(subject: "mailto:admin@example.com")
+    @client = Push::WebPushClient.new(vapid: @vapid)
+    @subscription = users(:one).push_subscriptions.create!(
+      endpoint: "https://fcm.googleapis.com/fcm/send/abc123",
+      p256dh_key: "BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM",
+      auth_key: "tBHItJI5svbpez7KI4CCXg"
+    )
+  end
+
+  test "generates base64url VAPID keys" do
+    assert_equal 65, Base64.urlsafe_decode64(@vapid[:public_key]).bytesize
+    assert_equal @vapid[:public_key], WebPush::VapidKey.from_keys(@vapid[:public_key], @vapid[:private_key]).public_key
+  end
+
+  test "is configured only with both VAPID keys" do
+    Rails.configuration.x.stubs(:vapid).returns(@vapid)
+    assert Push::WebPushClient.configured?
+    assert_equal @vapid[:public_key], Push::WebPushClient.public_key
+
+    Rails.configuration.x.stubs(:vapid).returns(@vapid.merge(private_key: nil))
+    assert_not Push::WebPushClient.configured?
+  end
+
+  test "delivers to the subscription endpoint with the VAPID keys" do
+    WebPush.expects(:payload_send).with(has_entries(
+      message: '{"title":"Hello"}',
+      endpoint: "https://fcm.googleapis.com/fcm/send/abc123",
+      p256dh: @subscription.p256dh_key,
+      auth: @subscription.auth_key,
+      vapid: has_entries(subject: "mailto:admin@example.com", public_key: @vapid[:public_key], private_key: @vapid[:private_key]),
+      ttl: Push::WebPushClient::TTL
+    ))
+
+    assert_equal({ success: true }, @client.deliver(@subscription, { title: "Hello" }))
+  end
+
+  test "reports expired subscriptions" do
+    WebPush.stubs(:payload_send).raises(push_service_error(WebPush::ExpiredSubscription, "410"))
+
+    result = @client.deliver(@subscription, { title: "Hello" })
+
+    assert_not result[:success]
+    assert result[:expired]
+    assert_equal Push::WebPushClient::ERROR_EXPIRED, result[:error]
+  end
+
+  test "reports unknown subscriptions as expired" do
+    WebPush.stubs(:payload_send).raises(push_service_error(WebPush::InvalidSubscription, "404"))
+
+    result = @client.deliver(@subscription, { title: "Hello" })
+
+    assert_not result[:success]
+    assert result[:expired]
+  end
+
+  test "reports other push service errors" do
+    WebPush.stubs(:payload_send).raises(push_service_error(WebPush::PushServiceError, "500"))
+
+    result = @client.deliver(@subscription, { title: "Hello" })
+
+    assert_not result[:success]
+    assert_not result[:expired]
+    assert_equal "Push service responded with 500", result[:error]
+  end
+
+  test "does not deliver to endpoints outside known push services" do
+    @subscription.update_column(:endpoint, "https://127.0.0.1/send/abc123")
+    WebPush.expects(:payload_send).never
+
+    result = @client.deliver(@subscription, { title: "Hello" })
+
+    assert_not result[:success]
+    assert result[:expired]
+    assert_equal Push::WebPushClient::ERROR_NOT_PUSH_SERVICE, result[:error]
+  end
+
+  test "reports network errors" do
+    WebPush.stubs(:payload_send).raises(Errno::ECONNREFUSED)
+
+    result = @client.deliver(@subscription, { title: "Hello" })
+
+    assert_not result[:success]
+    assert_not result[:expired]
+    assert_match(/Failed to send push notification/, result[:error])
+  end
+
+  private
+
+  # The gem's errors carry the push service's response
+  def push_service_error(error_class, code)
+    error_class.new(stub(code: code, body: ""), "fcm.googleapis.com")
+  end
+end
@@ -0,0 +1,77 @@
+require "application_system_test_case"
+
+# Tests loading more issues as the list scrolls, and leaving and coming back to a long list
+class InfiniteScrollTest < ApplicationSystemTestCase
+  setup do
+    @user = User.create!(
+      email_address: "test@example.com",
+      password: "password123"
+    )
+    @repository = @user.repositories.create!(
+      github_domain: "github.com",
+      owner: "rails",
+      name: "rails",
+      full_name: "rails/rails",
+      cached_at: 1.hour.ago
+    )
+
+    # Two pages of 30, newest (Test Issue 1) first
+    60.times do |i|
+      @repository.issues.create!(
+        number: i + 1,
+        title: "Test Issue #{i + 1}",
+        state: "open",
+        github_created_at: (i + 1).hours.ago,
+        github_updated_at: (i + 1).hours.ago,
+        cached_at: Time.current
+      )
+    end
+
+    # A short window, so the next page waits for the sentinel and rows leave the viewport quickly
+    page.current_window.resize_to(1400, 600)
+  end
+
+  test "scrolling to the sentinel loads the next page and j moves across the pages" do
+    sign_in
+    visit repository_issues_path(@repository)
+    assert_selector ".issue-card", count: 30
+
+    scroll_to find("[data-infinite-scroll-target='sentinel']")
+    assert_selector ".issue-card", count: 60
+
+    page.find("body").send_keys(*Array.new(31, "j"))
+
+    assert_equal "31", page.evaluate_script("document.activeElement.closest('.issue-card').dataset.issueNumber")
+  end
+
+  test "going back to a scrolled list restores the rows virtualized before leaving" do
+    sign_in
+    visit repository_issues_path(@repository)
+
+    scroll_to find("[data-infinite-scroll-target='sentinel']")
+    assert_selector ".issue-card", count: 60
+
+    # Far above the viewport, the first rows are emptied
+    page.execute_script("window.scrollTo(0, document.body.scrollHeight)")
+    assert_no_link "Test Issue 1", exact: true
+
+    click_link "Test Issue 60"
+    assert_selector "h1", text: "Test Issue 60"
+
+    page.go_back
+    assert_selector ".issue-card", count: 60
+
+    page.execute_script("window.scrollTo(0, 0)")
+    assert_link "Test Issue 1", exact: true
+  end
+
+  private
+
+  def sign_in
+    visit new_session_path
+    fill_in "Email address", with: @user.email_address
+    fill_in "Password", with: "password123"
+    click_button "Sign in"
+    assert_current_path root_path, wait: 5
+  end
+end
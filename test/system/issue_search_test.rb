@@ -0,0 +1,126 @@
+require "application_system_test_case"
+require "ostruct"
+
+# Tests editing the issues search query from the filters
+class IssueSearchTest < ApplicationSystemTestCase
+  setup do
+    @user = User.create!(
+      email_address: "test@example.com",
+      password: "password123"
+    )
+    @repository = @user.repositories.create!(
+      github_domain: "github.com",
+      owner: "rails",
+      name: "rails",
+      full_name: "rails/rails",
+      cached_at: 1.hour.ago
+    )
+    @repository.issues.create!(number: 1, title: "Test Issue 1", state: "open", cached_at: 1.hour.ago)
+  end
+
+  test "finished qualifiers become chips and stay in the query" do
+    sign_in
+    visit repository_issues_path(@repository)
+
+    search_input.send_keys("label:bug crash ")
+
+    assert_selector "[data-search-chips-target='chips'] span[data-key='label']", text: "label:bug"
+    assert_equal "crash ", search_input.value
+    assert_equal "label:bug crash", query_field.value
+  end
+
+  test "removing a chip removes its qualifier from the query" do
+    sign_in
+    visit repository_issues_path(@repository, q: "label:bug state:open crash")
+
+    find("button[aria-label='Remove label:bug']").click
+
+    assert_no_selector "[data-search-chips-target='chips'] span[data-key='label']"
+    assert_equal "state:open crash", query_field.value
+  end
+
+  test "backspace in an empty search input pulls the last chip back for editing" do
+    sign_in
+    visit repository_issues_path(@repository, q: "state:open label:bug")
+
+    search_input.send_keys(:backspace)
+
+    assert_equal "label:bug", search_input.value
+    assert_no_selector "[data-search-chips-target='chips'] span[data-key='label']"
+    assert_selector "[data-search-chips-target='chips'] span[data-key='state']"
+    assert_equal "state:open label:bug", query_field.value
+  end
+
+  test "backspace with text in the search input leaves the chips alone" do
+    sign_in
+    visit repository_issues_path(@repository, q: "label:bug crash")
+
+    search_input.send_keys(:home, :backspace)
+
+    assert_equal "crash ", search_input.value
+    assert_selector "[data-search-chips-target='chips'] span[data-key='label']", text: "label:bug"
+  end
+
+  test "choosing a filter drops a half-typed qualifier" do
+    sign_in
+    visit repository_issues_path(@repository)
+
+    search_input.send_keys("label:")
+    click_button "Sort"
+    click_button "Oldest"
+
+    assert_selector "input[name='q'][value*='sort:']", visible: :all
+    assert_no_match(/label:/, query_field.value)
+  end
+
+  test "state filters are links to the query with that state" do
+    sign_in
+    visit repository_issues_path(@repository, q: "label:bug")
+
+    assert_link "Closed", href: repository_issues_path(@repository, q: "label:bug state:closed")
+
+    click_link "Closed"
+
+    assert_selector "input[name='q'][value*='state:closed']", visible: :all
+  end
+
+  test "enter in the labels filter toggles the first match and ctrl-enter applies" do
+    @user.github_tokens.create!(domain: "github.com", token: "ghp_test1234567890abcdef")
+    Github::ApiClient.any_instance.stubs(:fetch_labels).returns([
+      OpenStruct.new(name: "bug", color: "d73a4a"),
+      OpenStruct.new(name: "docs", color: "0075ca")
+    ])
+
+    sign_in
+    visit repository_issues_path(@repository)
+
+    page.find("body").send_keys("l")
+    labels_search = find("input[placeholder='Search labels...']", visible: true)
+    labels_search.send_keys("doc", :enter)
+
+    assert_selector "[data-value='docs'][aria-checked='true']", visible: true
+    assert_no_match(/label:docs/, query_field.value)
+
+    labels_search.send_keys([ :control, :enter ])
+
+    assert_selector "input[name='q'][value*='label:docs']", visible: :all
+  end
+
+  private
+
+  def search_input
+    find("[data-keyboard-shortcuts-target='searchInput']")
+  end
+
+  def query_field
+    find("input[name='q']", visible: :all)
+  end
+
+  def sign_in
+    visit new_session_path
+    fill_in "Email address", with: @user.email_address
+    fill_in "Password", with: "password123"
+    click_button "Sign in"
+    assert_current_path root_path, wait: 5
+  end
+end
@@ -59,6 +59,78 @@ class KeyboardShortcutsTest < ApplicationSystemTestCase
     assert_text "Keyboard shortcuts"
   end
 
+  test "keyboard shortcuts modal lists shortcuts registered on the page" do
+    sign_in
+    visit repository_issues_path(@repository)
+
+    page.find("body").send_keys("?")
+
+    # Filter dropdowns and the navbar register their own keys
+    assert_text "Open labels filter"
+    assert_text "Open saved searches"
+    assert_text "Go to dashboard"
+  end
+
+  test "pressing g then d goes to the dashboard" do
+    sign_in
+    visit repository_issues_path(@repository)
+
+    page.find("body").send_keys("g", "d")
+
+    assert_current_path root_path
+  end
+
+  test "remapped shortcuts replace the default keys" do
+    @user.update!(keyboard_shortcuts: { "help.toggle" => [ "h" ] })
+    sign_in
+    visit repository_issues_path(@repository)
+
+    page.find("body").send_keys("?")
+    assert_selector "[role='dialog']", visible: false
+
+    page.find("body").send_keys("h")
+    assert_selector "[role='dialog']", visible: true
+  end
+
+  test "pressing l opens the visible labels filter" do
+    sign_in
+    visit repository_issues_path(@repository)
+
+    page.find("body").send_keys("l")
+
+    # The desktop copy of the filters, not the hidden mobile one
+    search_input = find("input[placeholder='Search labels...']", visible: true)
+    assert_equal search_input, page.evaluate_script("document.activeElement")
+  end
+
+  test "pressing x selects the focused issue and p toggles its preview" do
+    sign_in
+    visit repository_issues_path(@repository)
+
+    page.find("body").send_keys("j")
+    page.send_keys("x")
+    assert_selector ".issue-card[data-selected='true']", count: 1
+
+    page.send_keys("p")
+    assert_selector ".issue-card [data-issue-preview]", visible: true, count: 1
+
+    page.send_keys("p")
+    assert_no_selector ".issue-card [data-issue-preview]", visible: true
+  end
+
+  test "pressing shift-x selects a range of issues and shows the bulk action bar" do
+    sign_in
+    visit repository_issues_path(@repository)
+
+    page.find("body").send_keys("j")
+    page.send_keys("x")
+    assert_selector "[data-bulk-actions-target='bar']", visible: true, text: "1 selected"
+
+    page.send_keys("j", "j", [ :shift, "x" ])
+    assert_selector ".issue-card[data-selected='true'] input[type='checkbox']:checked", count: 3
+    assert_text "3 selected"
+  end
+
   test "pressing escape closes keyboard shortcuts modal" do
     sign_in
     visit repository_issues_path(@repository)
@@ -82,7 +154,7 @@ class KeyboardShortcutsTest < ApplicationSystemTestCase
     page.find("body").send_keys("/")
 
     # Search input should be focused
-    search_input = find("input[name='q']")
+    search_input = find("[data-keyboard-shortcuts-target='searchInput']")
     assert_equal search_input, page.evaluate_script("document.activeElement")
   end
 
@@ -107,7 +179,7 @@ class KeyboardShortcutsTest < ApplicationSystemTestCase
     visit repository_issues_path(@repository)
 
     # Verify that the page has the keyboard shortcuts controller
-    assert_selector "[data-controller='keyboard-shortcuts']"
+    assert_selector "[data-controller~='keyboard-shortcuts']"
   end
 
   test "keyboard shortcuts modal has data attributes" do